@@ -2,8 +2,18 @@
  * The entry point for the app
  */
 
+// Load the config first, to report its invalid settings without a stack trace
+try {
+  require('./src/config');
+} catch (err) {
+  console.log('\x1b[31m%s\x1b[0m', err.message);
+  process.exit(1);
+}
+
 // Dependencies
-var app = require('./src/app');
+var cluster = require('./src/cluster');
 
-// Launch the app
-app.init();
+// Launch the app, or in cluster mode, the workers that run it
+cluster.init(function () {
+  require('./src/app').init();
+});
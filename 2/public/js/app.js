@@ -0,0 +1,13 @@
+/**
+ * Storefront scripts. The pages work without them: they only add a confirmation before the forms with a `data-confirm` message.
+ */
+(function () {
+  'use strict';
+
+  document.addEventListener('submit', function (event) {
+    var message = event.target.getAttribute('data-confirm');
+    if (message && !window.confirm(message)) {
+      event.preventDefault();
+    }
+  });
+})();
@@ -0,0 +1,20 @@
+/**
+ * Re-encrypts the stored records with the current encryption key, and renames their data files by the
+ * current hash key (see the `encryption` settings of `src/config.js`).
+ * Usage: `NODE_ENV=<environment> node scripts/rotate-keys.js`
+ */
+
+// Dependencies
+const dataStore = require('../src/dataStore');
+const encryption = require('../src/encryption');
+
+// Rewrite the collections one after another
+(async () => {
+  for (const dir of encryption.collections()) {
+    const count = await dataStore.reencryptAsync(dir);
+    console.log('\x1b[32m%s\x1b[0m', `Re-encrypted ${count} record(s) of ${dir}`);
+  }
+})().catch((err) => {
+  console.log('\x1b[31m%s\x1b[0m', `Could not re-encrypt the records: ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,12 @@
+/**
+ * Prints the configuration of an environment, as it is layered from the defaults, the config file and the environment variables
+ * (see `src/config.js`), with its secrets redacted, or the invalid settings.
+ * Usage: `NODE_ENV=<environment> node scripts/show-config.js`
+ */
+
+try {
+  console.log(JSON.stringify(require('../src/config'), null, 2));
+} catch (err) {
+  console.log('\x1b[31m%s\x1b[0m', err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,23 @@
+/**
+ * An error that carries the HTTP status code and the payload a request handler should respond with.
+ * It is thrown (rejected) by the promise-based handler methods and settled into the
+ * `(statusCode, payload)` callbacks by `helpers.respond`.
+ * @class ResponseError
+ * @extends Error
+ */
+module.exports = class ResponseError extends Error {
+  /**
+   * Creates an instance of ResponseError.
+   * @constructor
+   * @param {Number} statusCode The HTTP status code
+   * @param {Object} [payload] The response payload, usually an `{ Error: "..." }` object
+   * @memberof ResponseError.prototype
+   */
+  constructor(statusCode, payload) {
+    const message = payload && typeof payload === "object" ? payload.Error || payload.error : payload;
+    super(typeof message === "string" ? message : `Request failed with status code ${statusCode}`);
+    this.name = "ResponseError";
+    this.statusCode = typeof statusCode === "number" ? statusCode : 500;
+    this.payload = payload;
+  }
+};
@@ -1,5 +1,87 @@
 // Dependencies
+const config = require('./config');
 const server = require('./server');
+const middleware = require('./middleware');
+const logger = require('./logger');
+const cluster = require('./cluster');
+const Checkout = require('./handlers/Checkout');
+const Trash = require('./handlers/Trash');
+const Health = require('./handlers/Health');
+
+// How often the expired records are purged from the trash
+const PURGE_INTERVAL = 1000 * 60 * 60 * 24;
+
+// How often the checkouts abandoned by a failure or a crashed process are recovered
+const RECOVERY_INTERVAL = 1000 * 60;
+
+/**
+ * Finishes the checkouts left pending by a failure, or by a process that crashed (see `Checkout.recoverAsync`).
+ */
+const recoverCheckouts = () => {
+  Checkout.recoverAsync().then((checkouts) => {
+    if (checkouts.length > 0) {
+      console.log('\x1b[33m%s\x1b[0m', 'Recovered ' + checkouts.length + ' interrupted checkout(s)');
+    }
+  }, (err) => {
+    console.log('\x1b[31m%s\x1b[0m', 'Could not recover the interrupted checkouts: ' + err.message);
+  });
+};
+
+/**
+ * Purges the records kept in the trash for longer than their retention period.
+ */
+const purgeTrash = () => {
+  Trash.purgeAsync().then((count) => {
+    if (count > 0) {
+      console.log('\x1b[33m%s\x1b[0m', 'Purged ' + count + ' expired record(s) from the trash');
+    }
+  }, (err) => {
+    console.log('\x1b[31m%s\x1b[0m', 'Could not purge the trash: ' + err.message);
+  });
+};
+
+/**
+ * Shuts the app down gracefully: stops accepting connections, waits for the requests in flight and the running checkouts
+ * (for up to `shutdownTimeout` milliseconds), flushes the logs and exits.
+ * @param {String} signal The signal that stops the app
+ */
+const shutdown = (signal) => {
+  if (server.shuttingDown) {
+    return;
+  }
+  console.log('\x1b[33m%s\x1b[0m', 'Received ' + signal + ', shutting down');
+  logger.info('Shutting down', { signal: signal });
+
+  // Exit anyway if the shutdown takes too long
+  setTimeout(() => {
+    console.log('\x1b[31m%s\x1b[0m', 'Could not shut down gracefully in ' + config.shutdownTimeout + 'ms, exiting');
+    process.exit(1);
+  }, config.shutdownTimeout).unref();
+
+  server.close(() => {
+    Checkout.drainAsync().then(() => {
+      logger.close(() => {
+        process.exit(0);
+      });
+    });
+  });
+};
+
+/**
+ * Loads the TLS certificate of the HTTPS server again, e.g. once it is renewed. The current certificate is kept if the new one cannot be loaded.
+ */
+const reloadCertificates = () => {
+  if (!config.tls.enabled) {
+    return;
+  }
+  server.loadCertificatesAsync().then(() => {
+    console.log('\x1b[36m%s\x1b[0m', 'Reloaded the TLS certificate');
+    logger.info('Reloaded the TLS certificate');
+  }, (err) => {
+    console.log('\x1b[31m%s\x1b[0m', 'Could not reload the TLS certificate: ' + err.message);
+    logger.error('Could not reload the TLS certificate', { error: err.message });
+  });
+};
 
 /**
  * Declare and export the main module of the app
@@ -10,10 +92,55 @@ module.exports = {
    */
   init: () => {
 
+    // Register the middleware run around every request handler (the first one registered runs first)
+    server
+      .use(middleware.requestId)
+      .use(middleware.accessLog)
+      .use(middleware.logRequest)
+      .use(middleware.https)
+      .use(middleware.cors)
+      .use(middleware.normalizeRequest)
+      .use(middleware.negotiateContent)
+      .use(middleware.rateLimit)
+      .use(middleware.validateRequest);
+
     // Start the server
     server.init();
 
+    // The app is not ready while a server is not listening, or is shutting down
+    Health.addCheck('servers', () => {
+      if (server.shuttingDown) {
+        throw new Error('The servers are shutting down');
+      }
+      if (!server.httpServer.listening) {
+        throw new Error('The HTTP server is not listening');
+      }
+      if (config.tls.enabled && !server.httpsServer.listening) {
+        throw new Error('The HTTPS server is not listening');
+      }
+    });
+
+    // Shut down gracefully when the app is stopped
+    process.once('SIGTERM', shutdown);
+    process.once('SIGINT', shutdown);
+
+    // Load the renewed TLS certificate when asked to
+    process.on('SIGHUP', reloadCertificates);
+
+    // The other workers of the cluster mode leave the background jobs to the first one
+    if (!cluster.isLeader) {
+      return;
+    }
+
+    // Finish the checkouts interrupted by the last shutdown now, and then the ones abandoned by a failure or a crashed worker
+    recoverCheckouts();
+    setInterval(recoverCheckouts, RECOVERY_INTERVAL).unref();
+
+    // Purge the trash now, and then once a day
+    purgeTrash();
+    setInterval(purgeTrash, PURGE_INTERVAL).unref();
+
     // Start the workers
     // workers.init();
   }
-};
\ No newline at end of file
+};
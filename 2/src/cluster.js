@@ -0,0 +1,170 @@
+/**
+ * Cluster mode: a primary process forks the workers that run the app, which share its HTTP and HTTPS ports,
+ * restarts the workers that exit, and relays the changes of the records made by each worker to the others
+ */
+
+// Dependencies
+const nodeCluster = require('cluster');
+const os = require('os');
+const config = require('./config');
+const dataStore = require('./dataStore');
+const logger = require('./logger');
+
+// The type of the messages relaying the changes of the records between the workers
+const CHANGE_MESSAGE = 'dataStore:change';
+
+// How long a worker must run, in milliseconds, for its exit not to count as a crash loop (which delays its restarts)
+const MIN_UPTIME = 10 * 1000;
+
+// The longest delay before restarting a worker, in milliseconds
+const MAX_RESTART_DELAY = 60 * 1000;
+
+// Define the cluster module
+const cluster = {};
+
+/**
+ * Whether this process is a worker of the cluster mode
+ * @type {Boolean}
+ */
+cluster.isWorker = nodeCluster.isWorker;
+
+/**
+ * The position of this worker among the workers (from `0`), which a restarted worker keeps. A single process is at `0`.
+ * @type {Number}
+ */
+cluster.slot = nodeCluster.isWorker ? Number(process.env.CLUSTER_SLOT) || 0 : 0;
+
+/**
+ * Whether this process runs the background jobs of the app (e.g. purging the trash): the single process, or the first worker.
+ * @type {Boolean}
+ */
+cluster.isLeader = cluster.slot === 0;
+
+/**
+ * Sends the changes of the records made by this worker to the primary process, and applies the ones it relays from the other workers,
+ * so that the indexes and the caches of each worker are kept up to date.
+ */
+const relayChanges = () => {
+  dataStore.on('change', (change) => {
+    if (!change.remote && process.connected) {
+      process.send({ type: CHANGE_MESSAGE, change: change });
+    }
+  });
+  process.on('message', (message) => {
+    if (message && message.type === CHANGE_MESSAGE) {
+      dataStore.applyRemoteChange(message.change);
+    }
+  });
+};
+
+/**
+ * Forks the workers, restarts the ones that exit, and relays their messages to the other workers. The `SIGTERM` and `SIGINT`
+ * signals are passed on to the workers, which shut down gracefully, and the primary process exits once they have all exited.
+ * The `SIGHUP` signal is passed on as well, for the workers to reload the TLS certificate.
+ */
+const startWorkers = () => {
+  const count = config.cluster.workers > 0 ? config.cluster.workers : os.cpus().length;
+  const slots = new Map();
+  let shuttingDown = false;
+
+  const fork = (slot) => {
+    const worker = nodeCluster.fork({ CLUSTER_SLOT: String(slot) });
+    const state = slots.get(slot) || { delay: config.cluster.restartDelay };
+    slots.set(slot, Object.assign(state, { worker: worker, forkedOn: Date.now() }));
+
+    worker.on('message', (message) => {
+      if (message && message.type === CHANGE_MESSAGE) {
+        slots.forEach((other) => {
+          if (other.worker !== worker && other.worker.isConnected()) {
+            other.worker.send(message);
+          }
+        });
+      }
+    });
+
+    worker.on('exit', (code, signal) => {
+      if (shuttingDown) {
+        if (Object.keys(nodeCluster.workers).length === 0) {
+          console.log('\x1b[33m%s\x1b[0m', 'All the workers have exited');
+          logger.info('All the workers have exited');
+          logger.close(() => {
+            process.exit(0);
+          });
+        }
+        return;
+      }
+
+      // Wait longer before each restart while the worker keeps crashing soon after it starts
+      state.delay = Date.now() - state.forkedOn < MIN_UPTIME ? Math.min(state.delay * 2, MAX_RESTART_DELAY) : config.cluster.restartDelay;
+      console.log('\x1b[31m%s\x1b[0m', 'Worker ' + slot + ' (' + worker.process.pid + ') exited with ' + (signal || 'code ' + code) + ', restarting it in ' + state.delay + 'ms');
+      logger.error('A worker exited, restarting it', { worker: slot, pid: worker.process.pid, code: code, signal: signal, delay: state.delay });
+      setTimeout(() => {
+        if (!shuttingDown) {
+          fork(slot);
+        }
+      }, state.delay);
+    });
+  };
+
+  const stop = (signal) => {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    console.log('\x1b[33m%s\x1b[0m', 'Received ' + signal + ', shutting the workers down');
+    logger.info('Shutting the workers down', { signal: signal });
+    const workers = Object.keys(nodeCluster.workers).map((id) => nodeCluster.workers[id]);
+    if (workers.length === 0) {
+      logger.close(() => {
+        process.exit(0);
+      });
+      return;
+    }
+    workers.forEach((worker) => {
+      worker.process.kill(signal);
+    });
+  };
+
+  process.once('SIGTERM', stop);
+  process.once('SIGINT', stop);
+  process.on('SIGHUP', () => {
+    Object.keys(nodeCluster.workers).forEach((id) => {
+      nodeCluster.workers[id].process.kill('SIGHUP');
+    });
+  });
+
+  console.log('\x1b[36m%s\x1b[0m', 'Starting ' + count + ' worker(s)');
+  logger.info('Starting the workers', { count: count });
+  for (let slot = 0; slot < count; slot++) {
+    fork(slot);
+  }
+};
+
+/**
+ * Starts the app: in cluster mode (see the `cluster` setting of the config), the primary process starts the workers,
+ * which start the app. Otherwise, the app is started in this process.
+ * @param {Function} startApp Starts the app in the current process
+ */
+cluster.init = function (startApp) {
+  if (nodeCluster.isWorker) {
+    relayChanges();
+    startApp();
+    return;
+  }
+  if (!config.cluster.enabled) {
+    startApp();
+    return;
+  }
+
+  // The workers cannot share the records kept in the memory of each process
+  if (!dataStore.adapter.shared) {
+    console.log('\x1b[31m%s\x1b[0m', 'The cluster mode needs a storage backend shared by the processes (the file adapter), starting a single process');
+    logger.error('The cluster mode needs a storage backend shared by the processes, starting a single process', { adapter: config.storage.adapter });
+    startApp();
+    return;
+  }
+  startWorkers();
+};
+
+// Export the module
+module.exports = cluster;
@@ -0,0 +1,64 @@
+/**
+ * Compression of the response payloads, with the content coding the client accepts (`Accept-Encoding`):
+ * brotli (`br`), `gzip` or `deflate`
+ */
+
+// Dependencies
+const zlib = require('zlib');
+const util = require('util');
+const config = require('./config');
+const negotiation = require('./negotiation');
+
+// The content codings supported, and their compression functions
+const CODERS = {
+  'br': util.promisify(zlib.brotliCompress),
+  'gzip': util.promisify(zlib.gzip),
+  'deflate': util.promisify(zlib.deflate)
+};
+
+// The options of each compression function. A low brotli quality is much faster than the default (11), and still compresses better than gzip.
+const OPTIONS = {
+  'br': { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } },
+  'gzip': {},
+  'deflate': {}
+};
+
+// The content types worth compressing (the images other than SVG, for instance, are compressed already)
+const COMPRESSIBLE_REGEXP = /^(text\/|application\/(json|javascript|xml)\b|application\/[\w.-]+\+(json|xml)\b|image\/svg\+xml\b)/i;
+
+// Define the compression module
+const compression = {};
+
+/**
+ * Tells whether a payload of the given type and size is compressed, for the clients that accept a supported content coding.
+ * @param {String} contentType The `Content-Type` of the payload
+ * @param {Number} size The size of the payload, in bytes
+ * @returns {Boolean}
+ */
+compression.isCompressible = function (contentType, size) {
+  return config.compression.threshold >= 0 && size >= config.compression.threshold && COMPRESSIBLE_REGEXP.test(contentType || '');
+};
+
+/**
+ * Returns the content coding to compress a payload with, by the `Accept-Encoding` request header and the `compression.encodings`
+ * setting of the config (the supported ones, in the order the server prefers them).
+ * @param {String} [acceptEncoding] The `Accept-Encoding` request header
+ * @returns {String|null} `br`, `gzip` or `deflate`, or `null` if the payload is to be sent as it is
+ */
+compression.encodingOf = function (acceptEncoding) {
+  const offers = config.compression.encodings.filter((encoding) => CODERS.hasOwnProperty(encoding));
+  return negotiation.encodingOf(acceptEncoding, offers);
+};
+
+/**
+ * Compresses a payload.
+ * @param {String|Buffer} payload
+ * @param {String} encoding `br`, `gzip` or `deflate`
+ * @returns {Promise<Buffer>}
+ */
+compression.compressAsync = function (payload, encoding) {
+  return CODERS[encoding](payload, OPTIONS[encoding]);
+};
+
+// Export the module
+module.exports = compression;
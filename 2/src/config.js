@@ -1,55 +1,422 @@
 /**
- * Create and export configuration variables for all environments.
- */
-const environments = Object.freeze({
-
-  // Staging (default) environment
-  staging: Object.freeze({
-    'httpPort': 3000,
-    'httpsPort': 3001,
-    'envName': 'staging',
-    'hashingSecret': 'thisIsASecret',
-    'maxChecks': 5,
-    'stripe': {
-      publicKey: "pk_test_gsNHkNdtiWJ822u2lNCi4Blf",
-      secretKey: "sk_test_MMTWqfUXOrKzgvs9fmHQrWJO"
+ * The configuration of the app, layered from (the later ones overriding the earlier ones):
+ *  1. the defaults below
+ *  2. the settings of the environment named by `NODE_ENV`: `staging` (the default, for any other name) or `production`
+ *  3. the JSON file named by `CONFIG_FILE` (relative to the app folder), or `config.json` if there is one
+ *  4. the environment variables of the settings (see `src/configSchema.js`)
+ * It is validated against its schema when it is loaded, which throws an error listing the invalid settings. The secrets
+ * (e.g. the `hashingSecret` and the API keys) are not kept in the source: they are set by the config file or the environment,
+ * except for the `hashingSecret` of the staging environment, which is not secret.
+ * The secret values are redacted when the config (or one of its sections) is logged or converted to JSON.
+ */
+
+// Dependencies
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const schema = require('./configSchema');
+const validation = require('./validation');
+
+// The value the secrets are replaced with when they are logged or dumped
+const REDACTED = '[redacted]';
+
+// The default settings, for all the environments
+const defaults = {
+  'httpPort': 3000,
+  'httpsPort': 3001,
+  // The secret the passwords are hashed with
+  'hashingSecret': '',
+  'maxChecks': 5,
+  // The maximum size of a request body, in bytes (larger requests are answered with 413)
+  'maxBodySize': 1024 * 1024,
+  // How long a shutdown waits for the requests in flight and the running checkouts, in milliseconds, before exiting anyway
+  'shutdownTimeout': 30 * 1000,
+  // The users allowed to use the admin operations (e.g. restoring deleted records)
+  'admins': ['jane.smith@mail.com'],
+  'cluster': {
+    // Whether the app is run by several worker processes sharing its ports, which a primary process starts, and restarts when they crash.
+    // The storage backend must be shared by the processes (the `file` adapter), and the rate limit buckets should be persisted.
+    'enabled': false,
+    // The number of workers (`0` for one per CPU)
+    'workers': 0,
+    // How long to wait before restarting a worker that exited, in milliseconds. It doubles (up to a minute) while the workers crash soon after they start.
+    'restartDelay': 1000
+  },
+  'trash': {
+    // How long the deleted records are kept in the trash before they are purged, in days, by collection
+    'retentionDays': {
+      'users': 30,
+      'items': 30,
+      'orders': 2555
+    }
+  },
+  'tls': {
+    // Whether the HTTPS server is started
+    'enabled': true,
+    // The files of the private key, the certificate and the optional CA chain sent along with it (or `null`), relative to the app folder.
+    // They are read again when the app receives a SIGHUP.
+    'key': '../key.pem',
+    'cert': '../cert.pem',
+    'ca': null,
+    // Whether the HTTP requests are redirected to HTTPS (except the health probes)
+    'redirectHttp': false,
+    // The `Strict-Transport-Security` header of the HTTPS responses: how long the browsers only use HTTPS, in seconds (`0` for no header)
+    'hsts': {
+      'maxAge': 0,
+      'includeSubDomains': false
+    }
+  },
+  'compression': {
+    // The payloads of at least this size, in bytes, are compressed for the clients that accept it (`-1` turns the compression off)
+    'threshold': 1024,
+    // The content codings used (`br`, `gzip` and `deflate`), in the order they are preferred
+    'encodings': ['br', 'gzip', 'deflate']
+  },
+  'cors': {
+    // The origins allowed to call the API from a browser (`*` for any), e.g. `https://shop.example.com`
+    'origins': ['*'],
+    // The methods and request headers allowed in the cross-origin requests
+    'methods': ['GET', 'POST', 'PUT', 'DELETE'],
+    'headers': ['Content-Type', 'tokenid', 'If-Match', 'X-Request-Id'],
+    // The response headers the browser scripts can read
+    'exposedHeaders': ['ETag', 'X-Request-Id', 'Retry-After', 'X-Total-Count', 'X-Next-Cursor'],
+    // Whether the browsers may send cookies and HTTP authentication (the request origin is then echoed rather than `*`)
+    'credentials': false,
+    // How long the browsers may cache a preflight response, in seconds
+    'maxAge': 600
+  },
+  'rateLimits': {
+    // Token buckets, applied to the routes listed as `<METHOD> <route path>` (see `src/rateLimiter.js`): a client can make up to
+    // `capacity` requests at once, and `refillPerMinute` more each minute, counted by `key` (`ip`, `email` or `token`)
+    'rules': [
+      { 'name': 'login-ip', 'routes': ['POST user/login', 'POST tokens', 'POST account/login'], 'key': 'ip', 'capacity': 20, 'refillPerMinute': 10 },
+      { 'name': 'login-email', 'routes': ['POST user/login', 'POST tokens', 'POST account/login'], 'key': 'email', 'capacity': 5, 'refillPerMinute': 1 },
+      { 'name': 'checkout-token', 'routes': ['PUT user/checkout', 'POST users/:email/checkout', 'POST checkout'], 'key': 'token', 'capacity': 3, 'refillPerMinute': 1 }
+    ],
+    // Whether the buckets are kept in the `rateLimits` collection of the storage, rather than in memory
+    'persist': false
+  },
+  'assets': {
+    // How long the browsers may cache the static assets of the `public` directory, in seconds
+    'maxAge': 60
+  },
+  'logs': {
+    // The directory of the JSON log files (`access-<date>.log` and `app-<date>.log`), relative to the app folder
+    'dir': '.logs',
+    // How many days of logs are kept
+    'maxFiles': 14
+  },
+  'storage': {
+    // One of `file` (JSON files under `options.baseDir`), `memory` or `log` (append-only log in `options.file`)
+    'adapter': 'file',
+    'options': {
+      'baseDir': '.data'
+    }
+  },
+  'encryption': {
+    // The personal data fields encrypted at rest, by collection (nothing is encrypted without a `currentKey`)
+    'fields': {
+      'users': ['email', 'firstName', 'lastName', 'streetAddress'],
+      'tokens': ['email'],
+      'orders': ['email'],
+      'checkouts': ['email']
     },
-    'mailgun': {
-      apiKey: "9a181dbebc109b5ec5f487bd3888ead0-4836d8f5-1d3da058",
-      domain: "sandbox1c69e583c92048b2bbed68081d919a4f.mailgun.org"
+    // The collections whose data files are named by a keyed hash (`hashKey`) of a field, rather than by the field itself
+    'hashedNames': {
+      'users': 'email'
     },
-    'twilio': {
-      'accountId': 'ACb32d411ad7fe886aac54c665d25e5c5d',
-      'authToken': '9455e3eb3109edc12e3d8c92768f7a67',
-      'fromPhone': '+15005550006'
-    }
-  }),
+    // The encryption keys (32 bytes, hex encoded) by key ID. After adding a key or changing the `currentKey` or the `hashKey`,
+    // run `node scripts/rotate-keys.js`, and keep the previous keys until it has completed
+    'keys': {},
+    // The ID of the key the fields are encrypted with (nothing is encrypted without it), and the key of the file name hash
+    'currentKey': '',
+    'hashKey': ''
+  },
+  // The credentials of the payment, mail and SMS services
+  'stripe': {
+    'publicKey': '',
+    'secretKey': ''
+  },
+  'mailgun': {
+    'apiKey': '',
+    'domain': ''
+  },
+  'twilio': {
+    'accountSid': '',
+    'authToken': '',
+    'fromPhone': ''
+  }
+};
 
-  // Production environment
-  production: Object.freeze({
+// The settings of each environment, over the defaults
+const environments = {
+  staging: {
+    // The sample records of `.data` were hashed with it, so it is not a secret
+    'hashingSecret': 'thisIsASecret'
+  },
+  production: {
     'httpPort': 5000,
     'httpsPort': 5001,
-    'envName': 'production',
-    'hashingSecret': 'thisIsAlsoASecret',
     'maxChecks': 10,
-    'stripe': {
-      publicKey: '',
-      secretKey: ''
+    'admins': [],
+    'tls': {
+      'redirectHttp': true,
+      'hsts': {
+        'maxAge': 60 * 60 * 24 * 365,
+        'includeSubDomains': true
+      }
+    },
+    'cors': {
+      'origins': []
     },
-    'mailgun': {
-      apiKey: '',
-      domain: ''
+    'rateLimits': {
+      'persist': true
     },
-    'twilio': {
-      'accountSid': '',
-      'authToken': '',
-      'fromPhone': ''
+    'assets': {
+      'maxAge': 60 * 60 * 24
+    },
+    'logs': {
+      'maxFiles': 30
     }
-  })
-});
+  }
+};
+
+/**
+ * Tells whether the given value is a plain object (rather than an array, or `null`).
+ * @param {*} value
+ * @returns {Boolean}
+ */
+const isObject = (value) => value !== null && typeof value === 'object' && !(value instanceof Array);
+
+/**
+ * Returns the settings of `base` overridden by the ones of `overrides`: the objects are merged, and the other values (including the lists) replaced.
+ * @param {Object} base
+ * @param {Object} overrides
+ * @returns {Object} A new object
+ */
+const merge = (base, overrides) => {
+  const merged = Object.assign({}, base);
+  Object.keys(overrides).forEach((name) => {
+    merged[name] = isObject(merged[name]) && isObject(overrides[name]) ? merge(merged[name], overrides[name]) : overrides[name];
+  });
+  return merged;
+};
+
+/**
+ * Records where the given settings come from, by the name of each setting (e.g. `tls.enabled`).
+ * @param {Object} sources The origins of the settings, by name
+ * @param {Object} settings
+ * @param {String} origin e.g. `config.json`
+ * @param {String} [prefix] The name of the section of the settings
+ */
+const recordSources = (sources, settings, origin, prefix) => {
+  Object.keys(settings).forEach((name) => {
+    const field = validation.fieldOf(prefix || '', name);
+    if (isObject(settings[name])) {
+      recordSources(sources, settings[name], origin, field);
+    } else {
+      sources[field] = origin;
+    }
+  });
+};
+
+/**
+ * Reads the JSON config file: the one named by `CONFIG_FILE`, or else `config.json`, if there is one.
+ * @returns {Object|null} `{ file, settings }`, or `null` if there is no config file
+ * @throws {Error} If the file cannot be read or parsed
+ */
+const readConfigFile = () => {
+  const file = typeof process.env.CONFIG_FILE === 'string' && process.env.CONFIG_FILE.length ? process.env.CONFIG_FILE : null;
+  const filePath = path.resolve(__dirname, '..', file || 'config.json');
+  if (!file && !fs.existsSync(filePath)) {
+    return null;
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read the config file ${filePath}: ${err.message}`);
+  }
+  if (!isObject(settings)) {
+    throw new Error(`The config file ${filePath} must hold a JSON object`);
+  }
+  return { file: path.basename(filePath), settings: settings };
+};
+
+/**
+ * Parses the value of an environment variable by the schema of its setting. A value that cannot be parsed is kept
+ * as it is, for the validation to report it.
+ * @param {Object} node The schema of the setting
+ * @param {String} value
+ * @returns {*}
+ */
+const parseVariable = (node, value) => {
+  const types = node.type instanceof Array ? node.type : [node.type];
+  if (types.indexOf('null') > -1 && value === 'null') {
+    return null;
+  }
+  if (types.indexOf('integer') > -1 || types.indexOf('number') > -1) {
+    return value.trim().length && isFinite(Number(value)) ? Number(value) : value;
+  }
+  if (types.indexOf('boolean') > -1) {
+    return value === 'true' ? true : (value === 'false' ? false : value);
+  }
+  if (types.indexOf('array') > -1 && node.items && node.items.type === 'string') {
+    return value.split(',').map((item) => item.trim()).filter((item) => item.length);
+  }
+  if (types.indexOf('array') > -1 || types.indexOf('object') > -1) {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return value;
+    }
+  }
+  return value;
+};
+
+/**
+ * Returns the settings set by the environment variables named in the schema.
+ * @param {Object} node The schema of the settings
+ * @param {Object} sources The origins of the settings, by name, which the variables are recorded in
+ * @param {String} [prefix] The name of the section of the settings
+ * @returns {Object}
+ */
+const readVariables = (node, sources, prefix) => {
+  const settings = {};
+  Object.keys(node.properties || {}).forEach((name) => {
+    const property = node.properties[name];
+    const field = validation.fieldOf(prefix || '', name);
+    if (property.env && typeof process.env[property.env] === 'string') {
+      settings[name] = parseVariable(property, process.env[property.env]);
+      sources[field] = property.env;
+    } else if (property.properties) {
+      const section = readVariables(property, sources, field);
+      if (Object.keys(section).length) {
+        settings[name] = section;
+      }
+    }
+  });
+  return settings;
+};
+
+/**
+ * Lists the settings that must be set in the given environment but are empty, as validation errors.
+ * @param {Object} node The schema of the settings
+ * @param {Object} settings
+ * @param {String} environment
+ * @param {String} [prefix] The name of the section of the settings
+ * @returns {Array}
+ */
+const missingSettings = (node, settings, environment, prefix) => {
+  return Object.keys(node.properties || {}).reduce((errors, name) => {
+    const property = node.properties[name];
+    const field = validation.fieldOf(prefix || '', name);
+    const value = isObject(settings) ? settings[name] : undefined;
+    if (property.requiredIn && property.requiredIn.indexOf(environment) > -1 && (value === undefined || value === null || value === '')) {
+      errors.push({ field: field, message: `is required in ${environment}` });
+    }
+    return property.properties ? errors.concat(missingSettings(property, value, environment, field)) : errors;
+  }, []);
+};
+
+/**
+ * Returns a copy of the given settings, with their secret values redacted (empty values are kept, to show they are not set).
+ * @param {Object} node The schema of the settings
+ * @param {*} value
+ * @returns {*}
+ */
+const redact = (node, value) => {
+  if (node.secret) {
+    return value === undefined || value === null || value === '' ? value : REDACTED;
+  }
+  if (!isObject(value)) {
+    return value instanceof Array ? value.map((item) => redact(node.items || {}, item)) : value;
+  }
+  return Object.keys(value).reduce((copy, name) => {
+    const property = node.properties && node.properties[name] ? node.properties[name] : (isObject(node.additionalProperties) ? node.additionalProperties : {});
+    copy[name] = redact(property, value[name]);
+    return copy;
+  }, {});
+};
+
+/**
+ * Makes the given settings, and each of their sections, redact their secrets when they are logged (`util.inspect`)
+ * or converted to JSON. The settings themselves are left as they are.
+ * @param {Object} node The schema of the settings
+ * @param {Object} settings
+ */
+const protect = (node, settings) => {
+  if (!isObject(settings)) {
+    return;
+  }
+  Object.defineProperty(settings, 'toJSON', { value: () => redact(node, settings) });
+  Object.defineProperty(settings, util.inspect.custom, { value: () => redact(node, settings) });
+  Object.keys(settings).forEach((name) => {
+    const property = node.properties && node.properties[name] ? node.properties[name] : node.additionalProperties;
+    if (isObject(property)) {
+      protect(property, settings[name]);
+    }
+  });
+};
+
+/**
+ * Freezes the given settings, and each of their sections.
+ * @param {Object} settings
+ * @returns {Object} The settings
+ */
+const deepFreeze = (settings) => {
+  Object.keys(settings).forEach((name) => {
+    if (settings[name] !== null && typeof settings[name] === 'object') {
+      deepFreeze(settings[name]);
+    }
+  });
+  return Object.freeze(settings);
+};
+
+/**
+ * Builds the configuration from its layers, and validates it.
+ * @returns {Object}
+ * @throws {Error} Listing the invalid settings, and where they were set
+ */
+const load = () => {
+  const name = typeof process.env.NODE_ENV === 'string' ? process.env.NODE_ENV.toLowerCase() : '';
+  const environment = Object.prototype.hasOwnProperty.call(environments, name) ? name : 'staging';
+
+  const sources = {};
+  let settings = merge(merge(defaults, environments[environment]), { 'envName': environment });
+  const configFile = readConfigFile();
+  if (configFile) {
+    settings = merge(settings, configFile.settings);
+    recordSources(sources, configFile.settings, configFile.file);
+  }
+  settings = merge(settings, readVariables(schema, sources));
+
+  // The settings that depend on each other
+  const errors = validation.validate(schema, settings).concat(missingSettings(schema, settings, environment));
+  const encryption = isObject(settings.encryption) ? settings.encryption : {};
+  if (typeof encryption.currentKey === 'string' && encryption.currentKey.length && !(isObject(encryption.keys) && encryption.keys.hasOwnProperty(encryption.currentKey))) {
+    errors.push({ field: 'encryption.currentKey', message: 'must be the ID of one of the encryption.keys' });
+  }
+
+  if (errors.length) {
+    const originOf = (field) => {
+      const name = Object.keys(sources).filter((source) => field === source || field.indexOf(`${source}.`) === 0 || field.indexOf(`${source}[`) === 0)
+        .sort((a, b) => b.length - a.length)[0];
+      return name ? ` (set by ${sources[name]})` : '';
+    };
+    const envOf = (field) => {
+      const node = field.split('.').reduce((parent, name) => parent && parent.properties ? parent.properties[name] : null, schema);
+      return node && node.env && !sources[field] ? ` (set it with ${node.env})` : '';
+    };
+    throw new Error(`Invalid configuration for the ${environment} environment:\n` + errors.map((error) => {
+      return `  - ${error.field} ${error.message}${originOf(error.field) || envOf(error.field)}`;
+    }).join('\n'));
+  }
 
-// Determine which environment was passed as a command-line argument
-const environment = typeof (process.env.NODE_ENV) === 'string' ? process.env.NODE_ENV.toLowerCase() : '';
+  protect(schema, settings);
+  return deepFreeze(settings);
+};
 
-// Check that the current environment is one of the environments above, if not default to staging. Then export the module
-module.exports = typeof (environments[environment]) === 'object' ? environments[environment] : environments.staging;
+// Export the configuration of the current environment
+module.exports = load();
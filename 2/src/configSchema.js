@@ -0,0 +1,115 @@
+/**
+ * The schema of the configuration (see `src/config.js` and `src/validation.js`). Besides the validation keywords, a setting may have:
+ * - `env`: the environment variable that sets it. Numbers and booleans (`true` or `false`) are parsed, lists of strings are
+ *   separated by commas, and the other lists and objects are given as JSON.
+ * - `secret`: whether its value is redacted when the configuration is logged or dumped
+ * - `requiredIn`: the environments it must be set (not empty) in
+ */
+
+/**
+ * A port number, set by the given environment variable.
+ * @param {String} env
+ * @returns {Object}
+ */
+const port = (env) => ({ type: 'integer', minimum: 1, maximum: 65535, env: env });
+
+/**
+ * A list of strings, set by the given environment variable (if any) as a comma separated list.
+ * @param {String} [env]
+ * @returns {Object}
+ */
+const strings = (env) => ({ type: 'array', items: { type: 'string' }, env: env });
+
+/**
+ * A section of the settings, which must have all the given settings, and no other.
+ * @param {Object} properties The schemas of the settings, by name
+ * @returns {Object}
+ */
+const object = (properties) => ({ type: 'object', properties: properties, required: Object.keys(properties), additionalProperties: false });
+
+// Export the schema
+module.exports = object({
+  'httpPort': port('HTTP_PORT'),
+  'httpsPort': port('HTTPS_PORT'),
+  'envName': { type: 'string' },
+  'hashingSecret': { type: 'string', minLength: 1, secret: true, env: 'HASHING_SECRET' },
+  'maxChecks': { type: 'integer', minimum: 1 },
+  'maxBodySize': { type: 'integer', minimum: 1, env: 'MAX_BODY_SIZE' },
+  'shutdownTimeout': { type: 'integer', minimum: 0, env: 'SHUTDOWN_TIMEOUT' },
+  'admins': strings('ADMINS'),
+  'cluster': object({
+    'enabled': { type: 'boolean', env: 'CLUSTER_ENABLED' },
+    'workers': { type: 'integer', minimum: 0, env: 'CLUSTER_WORKERS' },
+    'restartDelay': { type: 'integer', minimum: 0 }
+  }),
+  'trash': object({
+    'retentionDays': { type: 'object', additionalProperties: { type: 'number', minimum: 0 } }
+  }),
+  'tls': object({
+    'enabled': { type: 'boolean', env: 'TLS_ENABLED' },
+    'key': { type: 'string', minLength: 1, env: 'TLS_KEY' },
+    'cert': { type: 'string', minLength: 1, env: 'TLS_CERT' },
+    'ca': { type: ['string', 'null'], env: 'TLS_CA' },
+    'redirectHttp': { type: 'boolean', env: 'TLS_REDIRECT_HTTP' },
+    'hsts': object({
+      'maxAge': { type: 'integer', minimum: 0 },
+      'includeSubDomains': { type: 'boolean' }
+    })
+  }),
+  'compression': object({
+    'threshold': { type: 'integer', minimum: -1 },
+    'encodings': { type: 'array', items: { type: 'string', enum: ['br', 'gzip', 'deflate'] } }
+  }),
+  'cors': object({
+    'origins': strings('CORS_ORIGINS'),
+    'methods': strings(),
+    'headers': strings(),
+    'exposedHeaders': strings(),
+    'credentials': { type: 'boolean' },
+    'maxAge': { type: 'integer', minimum: 0 }
+  }),
+  'rateLimits': object({
+    'rules': {
+      type: 'array',
+      items: object({
+        'name': { type: 'string', minLength: 1 },
+        'routes': { type: 'array', items: { type: 'string', pattern: '^[A-Z]+ \\S*$' } },
+        'key': { type: 'string', enum: ['ip', 'email', 'token'] },
+        'capacity': { type: 'integer', minimum: 1 },
+        'refillPerMinute': { type: 'number', minimum: 0 }
+      })
+    },
+    'persist': { type: 'boolean', env: 'RATE_LIMITS_PERSIST' }
+  }),
+  'assets': object({
+    'maxAge': { type: 'integer', minimum: 0 }
+  }),
+  'logs': object({
+    'dir': { type: 'string', minLength: 1, env: 'LOG_DIR' },
+    'maxFiles': { type: 'integer', minimum: 1 }
+  }),
+  'storage': object({
+    'adapter': { type: 'string', enum: ['file', 'memory', 'log'], env: 'STORAGE_ADAPTER' },
+    'options': { type: 'object', env: 'STORAGE_OPTIONS' }
+  }),
+  'encryption': object({
+    'fields': { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+    'hashedNames': { type: 'object', additionalProperties: { type: 'string' } },
+    'keys': { type: 'object', additionalProperties: { type: 'string', pattern: '^[0-9a-fA-F]{64}$', secret: true }, env: 'ENCRYPTION_KEYS' },
+    'currentKey': { type: 'string', requiredIn: ['production'], env: 'ENCRYPTION_CURRENT_KEY' },
+    'hashKey': { type: 'string', secret: true, requiredIn: ['production'], env: 'ENCRYPTION_HASH_KEY' }
+  }),
+  'stripe': object({
+    'publicKey': { type: 'string', requiredIn: ['production'], env: 'STRIPE_PUBLIC_KEY' },
+    'secretKey': { type: 'string', secret: true, requiredIn: ['production'], env: 'STRIPE_SECRET_KEY' }
+  }),
+  'mailgun': object({
+    'apiKey': { type: 'string', secret: true, requiredIn: ['production'], env: 'MAILGUN_API_KEY' },
+    'domain': { type: 'string', requiredIn: ['production'], env: 'MAILGUN_DOMAIN' }
+  }),
+  'twilio': object({
+    'accountSid': { type: 'string', env: 'TWILIO_ACCOUNT_SID' },
+    'authToken': { type: 'string', secret: true, env: 'TWILIO_AUTH_TOKEN' },
+    'fromPhone': { type: 'string', env: 'TWILIO_FROM_PHONE' }
+  })
+});
@@ -0,0 +1,53 @@
+/**
+ * CSV (RFC 4180) export of the records returned by the list endpoints
+ */
+
+// The characters that make a spreadsheet read a cell as a formula
+const FORMULA_REGEXP = /^[=+\-@\t\r]/;
+
+// Define the CSV module
+const csv = {};
+
+/**
+ * Formats a value as a CSV field: objects (e.g. the items of an order) as JSON, `null` and `undefined` as an empty field.
+ * The fields holding a comma, a quote or a line break are quoted, and the text that would be read as a formula is prefixed with `'`.
+ * @param {*} value
+ * @returns {String}
+ */
+csv.field = function (value) {
+  let text;
+  if (value === null || value === undefined) {
+    text = '';
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  if (typeof value === 'string' && FORMULA_REGEXP.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats records as CSV: a header line with the fields of the records (in the order they first appear), and a line per record.
+ * @param {Array} records
+ * @returns {String}
+ */
+csv.stringify = function (records) {
+  const columns = [];
+  records.forEach((record) => {
+    Object.keys(record && typeof record === 'object' ? record : {}).forEach((name) => {
+      if (columns.indexOf(name) < 0) {
+        columns.push(name);
+      }
+    });
+  });
+  const lines = [columns.map(csv.field).join(',')].concat(records.map((record) => {
+    return columns.map((name) => csv.field(record && typeof record === 'object' ? record[name] : undefined)).join(',');
+  }));
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Export the module
+module.exports = csv;
@@ -1,51 +1,386 @@
 // Dependencies
-const fs = require('fs');
-const path = require('path');
+const EventEmitter = require('events');
+const config = require('./config');
 const helpers = require('./helpers');
+const storage = require('./storage');
+const encryption = require('./encryption');
+const logger = require('./logger');
+
+// The tail of the queue of pending operations of each locked record, keyed by `dir/file`
+const locks = {};
+
+// The secondary indexes of each collection, keyed by collection and by index name
+const indexes = {};
+
+// The hooks called with the changes of each collection as soon as they are stored, keyed by collection (see `dataStore.onWrite`)
+const writeHooks = {};
+
+// The storage backend, chosen from the config
+let adapter = storage.createAdapter(config.storage);
+
+// The emitter of the change events of the records
+const events = new EventEmitter();
+
+// The collection the deleted records are moved to, under the name of their own collection (e.g. `trash/users`)
+const TRASH_DIR = 'trash';
+
+/**
+ * Returns a deep copy of the given record, or `null`.
+ * @param {Object} [data]
+ * @returns {Object|null}
+ */
+const copyOf = (data) => data ? JSON.parse(JSON.stringify(data)) : null;
+
+/**
+ * Calls the write hooks of the collection of a record with its change right away (see `dataStore.onWrite`), then emits its change event
+ * (e.g. `orders:updated`) and the generic `change` event, once the current operation has completed.
+ * The listeners are called one after another, and their errors (or rejections) are reported without affecting the change or the other listeners.
+ * @param {String} type One of `created`, `updated`, `deleted`, `restored` and `purged`
+ * @param {String} dir data directory name
+ * @param {String} file data file name
+ * @param {Object} [before] The record before the change (`null` if it was created)
+ * @param {Object} [after] The record after the change (`null` if it was deleted)
+ * @param {Boolean} [remote=false] Whether the change was made by another process (see `dataStore.applyRemoteChange`)
+ */
+const emitChange = (type, dir, file, before, after, remote) => {
+  const change = Object.freeze({
+    type: `${dir}:${type}`,
+    collection: dir,
+    id: file,
+    before: copyOf(before),
+    after: copyOf(after),
+    at: Date.now(),
+    remote: Boolean(remote)
+  });
+  const report = (name) => (err) => {
+    logger.error('A listener of a change event failed', { event: name, collection: dir, id: file, error: err && err.message });
+  };
+
+  (writeHooks[dir] || []).forEach((hook) => {
+    try {
+      hook(change);
+    } catch (err) {
+      report(`${dir} write hook`)(err);
+    }
+  });
+
+  process.nextTick(() => {
+    [change.type, 'change'].forEach((name) => {
+      events.rawListeners(name).forEach((listener) => {
+        try {
+          Promise.resolve(listener(change)).catch(report(name));
+        } catch (err) {
+          report(name)(err);
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Returns the secondary indexes defined for the given collection.
+ * @param {String} dir data directory name
+ * @returns {Array}
+ */
+const indexesOf = (dir) => Object.prototype.hasOwnProperty.call(indexes, dir) ? Object.keys(indexes[dir]).map((name) => indexes[dir][name]) : [];
+
+/**
+ * Returns the version of the given record. The records stored before versioning was introduced are at version `0`.
+ * @param {Object} data The record
+ * @returns {Number}
+ */
+const versionOf = (data) => data && typeof data.version === 'number' ? data.version : 0;
+
+/**
+ * Makes sure the given record is at one of the given versions.
+ * @param {Object} data The record
+ * @param {Number|Array} [ifVersion] The expected version(s), no check if not given
+ * @throws {Error} An error with the `EVERSION` code, if the record is at a different version
+ */
+const checkVersion = (data, ifVersion) => {
+  if (ifVersion === null || typeof ifVersion === 'undefined') {
+    return;
+  }
+  const versions = ifVersion instanceof Array ? ifVersion : [ifVersion];
+  if (versions.indexOf(versionOf(data)) < 0) {
+    const err = new Error('The record has been modified since the expected version');
+    err.code = 'EVERSION';
+    throw err;
+  }
+};
+
+/**
+ * Returns a copy of the given record at the given version.
+ * @param {Object} data The record
+ * @param {Number} version
+ * @returns {Object}
+ */
+const withVersion = (data, version) => Object.assign({}, data, { version: version });
+
+/**
+ * Reads the given record from the storage backend, and decrypts its encrypted fields.
+ * @param {String} dir data directory name
+ * @param {String} file data file name
+ * @returns {Promise<Object>}
+ */
+const readRecord = async (dir, file) => encryption.decryptRecord(dir, await adapter.read(dir, encryption.fileNameOf(dir, file)));
+
+/**
+ * Returns the name of the collection the deleted records of the given collection are moved to.
+ * @param {String} dir data directory name
+ * @returns {String}
+ */
+const trashOf = (dir) => `${TRASH_DIR}/${dir}`;
+
+// The fields of the records in the trash that are encrypted along with the ones of their collection
+const TRASH_FIELDS = ['deletedBy'];
+
+/**
+ * Reads the given record from the trash of its collection, and decrypts its encrypted fields.
+ * @param {String} dir data directory name
+ * @param {String} fileName The name of its data file
+ * @returns {Promise<Object>}
+ */
+const readTrashed = async (dir, fileName) => encryption.decryptRecord(dir, await adapter.read(trashOf(dir), fileName), TRASH_FIELDS);
+
+/**
+ * Returns a copy of the given record to store, with its encrypted fields encrypted, as well as
+ * the user who deleted it (for the records in the trash).
+ * @param {String} dir data directory name
+ * @param {Object} data The record
+ * @returns {Object}
+ */
+const encodeRecord = (dir, data) => encryption.encryptRecord(dir, data, data && typeof data.deletedBy === 'string' ? TRASH_FIELDS : []);
+
+/**
+ * Encrypts the encrypted fields of the given record, and writes it to the storage backend.
+ * @param {String} method The adapter method to write with, `create` or `update`
+ * @param {String} dir data directory name
+ * @param {String} file data file name
+ * @param {Object} data The record
+ * @returns {Promise}
+ */
+const writeRecord = (method, dir, file, data) => adapter[method](dir, encryption.fileNameOf(dir, file), encodeRecord(dir, data));
+
+/**
+ * Lists the names of the records of the given collection. The data files named by a keyed hash are read
+ * to find the names of their records, and the ones not named by the current hash key are skipped.
+ * @param {String} dir data directory name
+ * @returns {Promise<Array>}
+ */
+const listRecords = async (dir) => {
+  const files = await adapter.list(dir);
+  if (!encryption.hashesNames(dir)) {
+    return files;
+  }
+  const names = await Promise.all(files.map(async (fileName) => {
+    const data = await adapter.read(dir, fileName).catch(() => null);
+    const name = encryption.nameOf(dir, encryption.decryptRecord(dir, data));
+    return name !== null && encryption.fileNameOf(dir, name) === fileName ? name : null;
+  }));
+  return names.filter((name) => name !== null);
+};
+
+/**
+ * Adds the given record to the given index, replacing its previous entries, if any.
+ * A record that has been removed (`data` is `null`) is only taken out of the index.
+ * @param {Object} index
+ * @param {String} file data file name
+ * @param {Object} [data] The record
+ */
+const indexRecord = (index, file, data) => {
+  // Take the record out of the index
+  (index.keysByFile.get(file) || []).map(String).forEach((key) => {
+    const files = index.files.get(key);
+    files.delete(file);
+    if (files.size === 0) {
+      index.files.delete(key);
+    }
+  });
+  index.keysByFile.delete(file);
+
+  if (data) {
+    // Put it back under its current keys
+    let keys;
+    try {
+      keys = index.keyOf(data);
+    } catch (err) {
+      keys = null;
+    }
+    keys = (keys instanceof Array ? keys : [keys])
+      .filter((key) => key !== null && typeof key !== 'undefined')
+      .filter((key, position, allKeys) => allKeys.findIndex((other) => String(other) === String(key)) === position);
+
+    keys.map(String).forEach((key) => {
+      if (!index.files.has(key)) {
+        index.files.set(key, new Set());
+      }
+      index.files.get(key).add(file);
+    });
+
+    // Keep the keys as they are (e.g. numbers), for `dataStore.keysAsync`
+    index.keysByFile.set(file, keys);
+  }
+};
+
+/**
+ * Updates all the indexes of the given collection with the new data of the given record.
+ * @param {String} dir data directory name
+ * @param {String} file data file name
+ * @param {Object} [data] The new record, or `null` if it has been deleted
+ */
+const reindex = (dir, file, data) => {
+  indexesOf(dir).forEach((index) => indexRecord(index, file, data));
+};
+
+/**
+ * Empties the indexes of the given collection, so that they are filled again when they are next queried.
+ * @param {String} dir data directory name
+ */
+const resetIndexes = (dir) => {
+  indexesOf(dir).forEach((index) => {
+    index.files.clear();
+    index.keysByFile.clear();
+    index.building = null;
+  });
+};
+
+/**
+ * Fills the given index (once) from the records already stored in its collection.
+ * The records written while it is being filled are indexed by their writes.
+ * @param {Object} index
+ * @returns {Promise}
+ */
+const buildIndex = (index) => {
+  if (!index.building) {
+    index.building = (async () => {
+      const files = await listRecords(index.dir).catch((err) => {
+        if (err.code === 'ENOENT') {
+          return [];
+        }
+        throw err;
+      });
+      await Promise.all(files.map((file) => dataStore.lock(index.dir, file, async () => {
+        if (!index.keysByFile.has(file)) {
+          const data = await readRecord(index.dir, file).catch(() => null);
+          if (data) {
+            indexRecord(index, file, data);
+          }
+        }
+      })));
+    })();
+
+    // Allow a later retry if the records could not be loaded
+    index.building.catch(() => {
+      index.building = null;
+    });
+  }
+  return index.building;
+};
+
+/**
+ * Returns the given index, ready to be queried.
+ * @param {String} dir data directory name
+ * @param {String} name index name
+ * @returns {Promise<Object>}
+ */
+const getIndex = async (dir, name) => {
+  const index = Object.prototype.hasOwnProperty.call(indexes, dir) ? indexes[dir][name] : null;
+  if (!index) {
+    throw new Error(`There is no index named ${name} on ${dir}`);
+  }
+  await buildIndex(index);
+  return index;
+};
 
 let dataStore = {};
 
 /**
- * The base directory of data folder
+ * The storage adapter the records are kept in
  * @property
- * @type {string}
+ * @type {StorageAdapter}
+ */
+Object.defineProperty(dataStore, 'adapter', {
+  enumerable: true,
+  get: () => adapter
+});
+
+/**
+ * Replaces the storage adapter (e.g. with a `MemoryStore` in tests).
+ * @param {StorageAdapter} newAdapter
+ * @returns {Object}
+ */
+dataStore.use = (newAdapter) => {
+  if (!(newAdapter instanceof storage.StorageAdapter)) {
+    throw new Error('The storage adapter must extend StorageAdapter');
+  }
+  adapter = newAdapter;
+
+  // Rebuild the indexes from the new storage backend
+  Object.keys(indexes).forEach(resetIndexes);
+  return dataStore;
+};
+
+/**
+ * Runs the given task once all the tasks previously queued for the same record are settled, and while holding the lock
+ * of the record in the storage backend (see `StorageAdapter#lock`), so that the operations on a record are applied one after another,
+ * even by several processes.
+ * @param {String} dir data directory name
+ * @param {String} file data file name
+ * @param {Function} task A function returning a value or a promise
+ * @returns {Promise} Settles as the promise returned by the task
+ */
+dataStore.lock = (dir, file, task) => {
+  const key = `${dir}/${file}`;
+  const result = (locks[key] || Promise.resolve()).then(() => adapter.lock(dir, encryption.fileNameOf(dir, file), task));
+  const tail = result.then(Function.prototype, Function.prototype);
+
+  locks[key] = tail;
+  tail.then(() => {
+    // Forget the queue once it is drained
+    if (locks[key] === tail) {
+      delete locks[key];
+    }
+  });
+  return result;
+};
+
+/**
+ * Writes the given data to the given data file. The stored record is at version `1`.
+ * @param {String} dir data directory name
+ * @param {String} file data file name
+ * @param {Object} data data to write to file
+ * @returns {Promise<Object>} Resolves with the stored record
  */
-dataStore.baseDir = path.join(__dirname, "/../.data/");
+dataStore.createAsync = (dir, file, data) => dataStore.lock(dir, file, async () => {
+  const record = withVersion(data, 1);
+  await writeRecord('create', dir, file, record);
+  reindex(dir, file, record);
+  emitChange('created', dir, file, null, record);
+  return record;
+});
 
 /**
  * Writes the given data to the given data file
  * @param {String} dir data directory name
  * @param {String} file data file name
- * @param {String} data data string to write to file
+ * @param {Object} data data to write to file
  * @param {Function} callback
  * @returns {Object}
  */
 dataStore.create = (dir, file, data, callback) => {
-  callback = typeof callback === "function" ? callback : Function.prototype;
-
-  // Open the file for writing
-  fs.open(`${dataStore.baseDir}${dir}/${file}.json`, 'wx', (err, fileDescriptor) => {
-    if (!err && fileDescriptor) {
-      // Convert data to string
-      let stringData = JSON.stringify(data);
-
-      // Write to file and close it
-      fs.writeFile(fileDescriptor, stringData, (err) => {
-        if (!err) {
-          fs.close(fileDescriptor, (err) => {
-            callback(!err ? null : 'Error closing new file');
-          });
-        } else {
-          callback('Error writing to new file');
-        }
-      });
-    } else {
-      callback('Could not create new file, it may already exist');
-    }
-  });
+  helpers.callback(dataStore.createAsync(dir, file, data), callback);
   return dataStore;
 };
 
+/**
+ * Reads the data from the given data file
+ * @param {String} dir data directory name
+ * @param {String} file data file name
+ * @returns {Promise<Object>}
+ */
+dataStore.readAsync = (dir, file) => readRecord(dir, file);
+
 /**
  * Reads the data from the given data file
  * @param {String} dir data directory name
@@ -54,76 +389,126 @@ dataStore.create = (dir, file, data, callback) => {
  * @returns {Object}
  */
 dataStore.read = (dir, file, callback) => {
-  callback = typeof callback === "function" ? callback : Function.prototype;
-
-  fs.readFile(`${dataStore.baseDir}${dir}/${file}.json`, 'utf8', (err, data) => {
-    if (!err && data) {
-      const parsedData = helpers.parseJsonToObject(data);
-      callback(false, parsedData);
-    } else {
-      callback(err, data);
-    }
-  });
+  helpers.callback(dataStore.readAsync(dir, file), callback);
   return dataStore;
 };
 
+/**
+ * Update the given data file with the given data. The version of the stored record is incremented.
+ * @param {String} dir data directory name
+ * @param {String} file data file name
+ * @param {Object} data data to write to file
+ * @param {Object} [options]
+ * @param {Number|Array} [options.ifVersion] Only update the record if it is at (one of) this version(s),
+ * otherwise reject with an `EVERSION` error
+ * @returns {Promise<Object>} Resolves with the stored record
+ */
+dataStore.updateAsync = (dir, file, data, options) => dataStore.lock(dir, file, async () => {
+  options = options || {};
+  const current = await readRecord(dir, file);
+  checkVersion(current, options.ifVersion);
+
+  const record = withVersion(data, versionOf(current) + 1);
+  await writeRecord('update', dir, file, record);
+  reindex(dir, file, record);
+  emitChange('updated', dir, file, current, record);
+  return record;
+});
+
 /**
  * Update the given data file with the given data.
  * @param {String} dir data directory name
  * @param {String} file data file name
+ * @param {Object} data data to write to file
  * @param {Function} callback
  * @returns {Object}
  */
 dataStore.update = (dir, file, data, callback) => {
-  callback = typeof callback === "function" ? callback : Function.prototype;
-
-  // Open the file for writing
-  fs.open(`${dataStore.baseDir}${dir}/${file}.json`, 'r+', (err, fileDescriptor) => {
-    if (!err && fileDescriptor) {
-      // Convert data to string
-      const stringData = JSON.stringify(data);
-
-      // Truncate the file
-      fs.truncate(fileDescriptor, (err) => {
-        if (!err) {
-          // Write to file and close it
-          fs.writeFile(fileDescriptor, stringData, (err) => {
-            if (!err) {
-              fs.close(fileDescriptor, (err) => {
-                callback(!err ? false : 'Error closing existing file');
-              });
-            } else {
-              callback('Error writing to existing file');
-            }
-          });
-        } else {
-          callback('Error truncating file');
-        }
-      });
-    } else {
-      callback('Could not open file for updating, it may not exist yet');
-    }
-  });
+  helpers.callback(dataStore.updateAsync(dir, file, data), callback);
   return dataStore;
 };
 
 /**
- * Deletes the given data from the given data file
+ * Reads the given data file, passes its data to the given function and writes back the data it returns,
+ * while holding the lock of the record, so that concurrent read-modify-write cycles do not lose updates.
+ * The read error (with the `ENOENT` code, if the file does not exist) and any error thrown by the
+ * given function are passed through, and nothing is written in that case.
+ * @param {String} dir data directory name
+ * @param {String} file data file name
+ * @param {Function} modify A function that receives the current data and returns (or resolves with) the new data
+ * @param {Object} [options]
+ * @param {Number|Array} [options.ifVersion] Only update the record if it is at (one of) this version(s),
+ * otherwise reject with an `EVERSION` error
+ * @returns {Promise<Object>} Resolves with the stored record
+ */
+dataStore.modifyAsync = (dir, file, modify, options) => dataStore.lock(dir, file, async () => {
+  options = options || {};
+  const data = await readRecord(dir, file);
+  checkVersion(data, options.ifVersion);
+
+  const before = copyOf(data);
+  const record = withVersion(await modify(data), versionOf(data) + 1);
+  await writeRecord('update', dir, file, record);
+  reindex(dir, file, record);
+  emitChange('updated', dir, file, before, record);
+  return record;
+});
+
+/**
+ * Reads the given data file, passes its data to the given function and writes back the data it returns.
  * @param {String} dir data directory name
  * @param {String} file data file name
+ * @param {Function} modify See `dataStore.modifyAsync`
  * @param {Function} callback
  * @returns {Object}
  */
-dataStore.delete = (dir, file, callback) => {
-  callback = typeof callback === "function" ? callback : Function.prototype;
+dataStore.modify = (dir, file, modify, callback) => {
+  helpers.callback(dataStore.modifyAsync(dir, file, modify), callback);
+  return dataStore;
+};
 
-  // Unlink the file from the filesystem
-  fs.unlink(`${dataStore.baseDir}${dir}/${file}.json`, (err) => {
-    callback(err);
+/**
+ * Deletes the given data from the given data file
+ * @param {String} dir data directory name
+ * @param {String} file data file name
+ * @param {Object} [options]
+ * @param {Number|Array} [options.ifVersion] Only delete the record if it is at (one of) this version(s),
+ * otherwise reject with an `EVERSION` error
+ * @returns {Promise}
+ */
+dataStore.deleteAsync = (dir, file, options) => dataStore.lock(dir, file, async () => {
+  options = options || {};
+  const data = await readRecord(dir, file).catch((err) => {
+    if (options.ifVersion !== null && typeof options.ifVersion !== 'undefined') {
+      throw err;
+    }
+    return null;
   });
+  checkVersion(data, options.ifVersion);
+  await adapter.delete(dir, encryption.fileNameOf(dir, file));
+  reindex(dir, file, null);
+  emitChange('deleted', dir, file, data, null);
+});
+
+/**
+ * Deletes the given data from the given data file
+ * @param {String} dir data directory name
+ * @param {String} file data file name
+ * @param {Function} callback
+ * @returns {Object}
+ */
+dataStore.delete = (dir, file, callback) => {
+  helpers.callback(dataStore.deleteAsync(dir, file), callback);
   return dataStore;
 };
 
+/**
+ * Lists all the items in a directory
+ * @param {String} dir data directory name
+ * @returns {Promise<Array>} The names of the records (the trimmed names of the data files, unless they are named by a keyed hash)
+ */
+dataStore.listAsync = (dir) => listRecords(dir);
+
 /**
  * Lists all the items in a directory
  * @param {String} dir data directory name
@@ -131,23 +516,303 @@ dataStore.delete = (dir, file, callback) => {
  * @returns {Object}
  */
 dataStore.list = (dir, callback) => {
-  callback = typeof callback === "function" ? callback : Function.prototype;
+  helpers.callback(dataStore.listAsync(dir), callback);
+  return dataStore;
+};
+
+/**
+ * Moves the given record to the trash, along with the time it was deleted on and the user who deleted it.
+ * The record can be restored with `dataStore.restoreAsync`, until it is purged by `dataStore.purgeTrashAsync`.
+ * A record deleted again replaces its previous copy in the trash.
+ * @param {String} dir data directory name
+ * @param {String} file data file name
+ * @param {Object} [options]
+ * @param {Number|Array} [options.ifVersion] Only delete the record if it is at (one of) this version(s),
+ * otherwise reject with an `EVERSION` error
+ * @param {String} [options.deletedBy] The ID (email) of the user who deleted the record
+ * @returns {Promise<Object>} Resolves with the deleted record, as stored in the trash
+ */
+dataStore.trashAsync = (dir, file, options) => dataStore.lock(dir, file, async () => {
+  options = options || {};
+  const data = await readRecord(dir, file);
+  checkVersion(data, options.ifVersion);
 
-  fs.readdir(`${dataStore.baseDir}${dir}/`, (err, data) => {
-    if (!err && data && data.length > 0) {
-      var trimmedFileNames = [];
-      data.forEach((fileName) => {
-        trimmedFileNames.push(fileName.replace('.json', ''));
+  const trashed = Object.assign({}, data, {
+    deletedOn: Date.now(),
+    deletedBy: typeof options.deletedBy === 'string' ? options.deletedBy : null
+  });
+  const fileName = encryption.fileNameOf(dir, file);
+  const exists = await adapter.read(trashOf(dir), fileName).then(() => true, () => false);
+  await adapter[exists ? 'update' : 'create'](trashOf(dir), fileName, encodeRecord(dir, trashed));
+  await adapter.delete(dir, fileName);
+  reindex(dir, file, null);
+  emitChange('deleted', dir, file, data, null);
+  return trashed;
+});
+
+/**
+ * Moves the given record back from the trash. The version of the restored record is incremented.
+ * Rejects with an `ENOENT` error if the record is not in the trash, and with an error if it exists again.
+ * @param {String} dir data directory name
+ * @param {String} file data file name
+ * @returns {Promise<Object>} Resolves with the restored record
+ */
+dataStore.restoreAsync = (dir, file) => dataStore.lock(dir, file, async () => {
+  const trashed = await readTrashed(dir, encryption.fileNameOf(dir, file));
+  const data = Object.assign({}, trashed);
+  delete data.deletedOn;
+  delete data.deletedBy;
+
+  const record = withVersion(data, versionOf(data) + 1);
+  await writeRecord('create', dir, file, record);
+  await adapter.delete(trashOf(dir), encryption.fileNameOf(dir, file));
+  reindex(dir, file, record);
+  emitChange('restored', dir, file, null, record);
+  return record;
+});
+
+/**
+ * Lists the records of a collection that are in the trash.
+ * @param {String} dir data directory name
+ * @returns {Promise<Array>} The deleted records, with their `deletedOn` and `deletedBy` fields
+ */
+dataStore.listTrashAsync = async (dir) => {
+  const fileNames = await adapter.list(trashOf(dir));
+  const records = await Promise.all(fileNames.map((fileName) => {
+    return readTrashed(dir, fileName).catch(() => null);
+  }));
+  return records.filter((record) => record !== null);
+};
+
+/**
+ * Permanently deletes the records of a collection that were moved to the trash before the given time.
+ * @param {String} dir data directory name
+ * @param {Number} before The time in milliseconds
+ * @returns {Promise<Number>} Resolves with the number of purged records
+ */
+dataStore.purgeTrashAsync = async (dir, before) => {
+  const fileNames = await adapter.list(trashOf(dir));
+  let count = 0;
+  for (const fileName of fileNames) {
+    const data = await readTrashed(dir, fileName).catch(() => null);
+    if (data && typeof data.deletedOn === 'number' && data.deletedOn < before) {
+      await adapter.delete(trashOf(dir), fileName);
+      const name = encryption.nameOf(dir, data);
+      emitChange('purged', dir, name !== null ? name : fileName, data, null);
+      count++;
+    }
+  }
+  return count;
+};
+
+/**
+ * Rewrites all the records of a collection (and of its trash) with the current encryption settings: their encrypted fields are
+ * encrypted with the current key, and their data files are named by the current hash key. The versions of
+ * the records are left as they are. This is how the encryption keys are rotated (see `scripts/rotate-keys.js`).
+ * @param {String} dir data directory name
+ * @returns {Promise<Number>} Resolves with the number of records rewritten
+ */
+dataStore.reencryptAsync = async (dir) => {
+  let count = 0;
+  for (const storeDir of [dir, trashOf(dir)]) {
+    const fileNames = await adapter.list(storeDir).catch((err) => {
+      if (err.code === 'ENOENT') {
+        return [];
+      }
+      throw err;
+    });
+
+    const extraFields = storeDir === dir ? [] : TRASH_FIELDS;
+    for (const fileName of fileNames) {
+      const name = encryption.nameOf(dir, encryption.decryptRecord(dir, await adapter.read(storeDir, fileName), extraFields));
+      const file = name !== null ? name : fileName;
+
+      await dataStore.lock(dir, file, async () => {
+        const record = encodeRecord(dir, encryption.decryptRecord(dir, await adapter.read(storeDir, fileName), extraFields));
+        const newFileName = encryption.fileNameOf(dir, file);
+        if (newFileName === fileName) {
+          await adapter.update(storeDir, fileName, record);
+        } else {
+          await adapter.create(storeDir, newFileName, record);
+          await adapter.delete(storeDir, fileName);
+        }
       });
-      callback(false, trimmedFileNames);
-    } else {
-      callback(err, data);
+    }
+    count += fileNames.length;
+  }
+
+  // The records that were not named by the current hash key could not be indexed
+  resetIndexes(dir);
+  return count;
+};
+
+/**
+ * Registers a listener of the change events of the records. The events are named after the collection and the change,
+ * e.g. `orders:created`, `orders:updated`, `users:deleted` (or `restored`, when restored from the trash, and `purged`, when purged from it),
+ * and the `change` event is emitted for all of them. The listener receives the change, as `{ type, collection, id, before, after, at, remote }`,
+ * where `before` and `after` are copies of the record before and after the change (`null` if it did not exist), and `remote` tells
+ * whether it was made by another process (see `dataStore.applyRemoteChange`).
+ * The events are emitted once the changes are stored, and the errors of the listeners do not affect the changes.
+ * @param {String} event The event name
+ * @param {Function} listener
+ * @returns {Object}
+ */
+dataStore.on = (event, listener) => {
+  events.on(event, listener);
+  return dataStore;
+};
+
+/**
+ * Registers a listener of the next change event with the given name (see `dataStore.on`).
+ * @param {String} event The event name
+ * @param {Function} listener
+ * @returns {Object}
+ */
+dataStore.once = (event, listener) => {
+  events.once(event, listener);
+  return dataStore;
+};
+
+/**
+ * Removes a listener of the change events (see `dataStore.on`).
+ * @param {String} event The event name
+ * @param {Function} listener
+ * @returns {Object}
+ */
+dataStore.off = (event, listener) => {
+  events.removeListener(event, listener);
+  return dataStore;
+};
+
+/**
+ * Registers a hook called with every change of the records of the given collection (see `dataStore.on` for the change), as soon as
+ * it is stored: before the write resolves, and before the change events are emitted. It is meant for the synchronous upkeep of the state
+ * derived from the records (e.g. dropping a cache), so that a change is visible to the next read. The errors of the hooks are reported
+ * without affecting the change.
+ * @param {String} dir data directory name
+ * @param {Function} hook
+ * @returns {Object}
+ */
+dataStore.onWrite = (dir, hook) => {
+  writeHooks[dir] = (writeHooks[dir] || []).concat(hook);
+  return dataStore;
+};
+
+/**
+ * Applies a change made by another process sharing the storage backend (e.g. another worker of the cluster mode, see `src/cluster.js`):
+ * updates the indexes with it, and emits its events, with the `remote` flag of the change set.
+ * @param {Object} change The change, as received by the listeners of the other process (see `dataStore.on`)
+ * @returns {Object}
+ */
+dataStore.applyRemoteChange = (change) => {
+  if (!change || typeof change.collection !== 'string' || typeof change.id !== 'string') {
+    return dataStore;
+  }
+  const type = change.type.slice(change.collection.length + 1);
+  if (type !== 'purged') {
+    reindex(change.collection, change.id, change.after);
+  }
+  emitChange(type, change.collection, change.id, change.before, change.after, true);
+  return dataStore;
+};
+
+/**
+ * Defines a secondary index on a collection, which maps keys derived from the records to the names
+ * of the records. The index is filled from the stored records when it is first queried, and is then
+ * kept up to date by the writes made through the `dataStore` (and the changes applied by `dataStore.applyRemoteChange`).
+ * @param {String} dir data directory name
+ * @param {String} name index name
+ * @param {Function} keyOf A function that receives a record and returns its key, an array of keys, or `null`
+ * @returns {Object}
+ */
+dataStore.defineIndex = (dir, name, keyOf) => {
+  if (typeof keyOf !== 'function') {
+    throw new Error('The index key must be computed by a function');
+  }
+  indexes[dir] = Object.prototype.hasOwnProperty.call(indexes, dir) ? indexes[dir] : {};
+  indexes[dir][name] = {
+    dir: dir,
+    keyOf: keyOf,
+    files: new Map(),
+    keysByFile: new Map(),
+    building: null
+  };
+  return dataStore;
+};
+
+/**
+ * Looks up the records of a collection that have the given key in the given index.
+ * @param {String} dir data directory name
+ * @param {String} name index name
+ * @param {*} key
+ * @returns {Promise<Array>} The names of the matching data files
+ */
+dataStore.findAsync = async (dir, name, key) => {
+  const index = await getIndex(dir, name);
+  const files = index.files.get(String(key));
+  return files ? Array.from(files) : [];
+};
+
+/**
+ * Looks up the records of a collection that have the given key in the given index.
+ * @param {String} dir data directory name
+ * @param {String} name index name
+ * @param {*} key
+ * @param {Function} callback
+ * @returns {Object}
+ */
+dataStore.find = (dir, name, key, callback) => {
+  helpers.callback(dataStore.findAsync(dir, name, key), callback);
+  return dataStore;
+};
+
+/**
+ * Returns the keys of the records of a collection in the given index, as returned by its `keyOf` function (e.g. numbers),
+ * without reading the records: e.g. to sort and page them, and then read only the records of the page.
+ * @param {String} dir data directory name
+ * @param {String} name index name
+ * @returns {Promise<Map>} The keys of each indexed record, as an array, by data file name
+ */
+dataStore.keysAsync = async (dir, name) => {
+  const index = await getIndex(dir, name);
+  return new Map(index.keysByFile);
+};
+
+/**
+ * Looks up the records of a collection whose keys in the given index are within the given range.
+ * The keys are compared as strings, so they should sort lexically (e.g. `YYYY-MM-DD` dates).
+ * @param {String} dir data directory name
+ * @param {String} name index name
+ * @param {String} [min] The lowest key (inclusive), no lower limit if not given
+ * @param {String} [max] The highest key (inclusive), no upper limit if not given
+ * @returns {Promise<Array>} The names of the matching data files
+ */
+dataStore.findRangeAsync = async (dir, name, min, max) => {
+  const index = await getIndex(dir, name);
+  const files = new Set();
+  index.files.forEach((keyFiles, key) => {
+    if ((min === null || typeof min === 'undefined' || key >= String(min)) && (max === null || typeof max === 'undefined' || key <= String(max))) {
+      keyFiles.forEach((file) => files.add(file));
     }
   });
+  return Array.from(files);
+};
+
+/**
+ * Looks up the records of a collection whose keys in the given index are within the given range.
+ * @param {String} dir data directory name
+ * @param {String} name index name
+ * @param {String} [min]
+ * @param {String} [max]
+ * @param {Function} callback
+ * @returns {Object}
+ */
+dataStore.findRange = (dir, name, min, max, callback) => {
+  helpers.callback(dataStore.findRangeAsync(dir, name, min, max), callback);
   return dataStore;
 };
 
 /**
- * Data storage module to perform CRUD operations against the file system.
+ * Data storage module to perform CRUD operations against the configured storage backend.
  */
 module.exports = Object.freeze(dataStore);
@@ -0,0 +1,225 @@
+/**
+ * Encryption at rest of the personal data fields of the stored records
+ */
+
+// Dependencies
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+
+// Constants
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// The current settings, see `encryption.configure`
+let settings = {};
+
+// Define the encryption module
+const encryption = {};
+
+/**
+ * Returns the key with the given ID, as a buffer.
+ * @param {String} keyId
+ * @returns {Buffer}
+ * @throws {Error} If there is no such key
+ */
+const keyOf = (keyId) => {
+  if (!Object.prototype.hasOwnProperty.call(settings.keys, keyId)) {
+    throw new Error(`Unknown encryption key: ${keyId}`);
+  }
+  return Buffer.from(settings.keys[keyId], 'hex');
+};
+
+/**
+ * Sets the fields to encrypt and the keys to encrypt them with.
+ * @param {Object} [newSettings]
+ * @param {Object} [newSettings.fields] The names of the fields to encrypt, by collection
+ * @param {Object} [newSettings.hashedNames] The name of the field the data files are named by, for the collections
+ * whose data files are named by a keyed hash of that field
+ * @param {Object} [newSettings.keys] The encryption keys (32 bytes, hex encoded), by key ID
+ * @param {String} [newSettings.currentKey] The ID of the key the fields are encrypted with (nothing is encrypted if not given)
+ * @param {String} [newSettings.hashKey] The key of the hash the data files are named by (they are named by the field itself if not given)
+ * @returns {Object}
+ * @throws {Error} If the settings are invalid
+ */
+encryption.configure = function (newSettings) {
+  newSettings = newSettings && typeof newSettings === 'object' ? newSettings : {};
+  const keys = newSettings.keys && typeof newSettings.keys === 'object' ? newSettings.keys : {};
+  Object.keys(keys).forEach((keyId) => {
+    if (!/^[\w.-]+$/.test(keyId) || !/^[0-9a-fA-F]{64}$/.test(keys[keyId])) {
+      throw new Error(`Invalid encryption key: ${keyId}. It must be 32 bytes, hex encoded, with an ID made of letters, digits, '.', '-' and '_'`);
+    }
+  });
+  const currentKey = typeof newSettings.currentKey === 'string' && newSettings.currentKey.length ? newSettings.currentKey : null;
+  if (currentKey && !Object.prototype.hasOwnProperty.call(keys, currentKey)) {
+    throw new Error(`Unknown encryption key: ${currentKey}`);
+  }
+
+  settings = {
+    fields: newSettings.fields && typeof newSettings.fields === 'object' ? newSettings.fields : {},
+    hashedNames: newSettings.hashedNames && typeof newSettings.hashedNames === 'object' ? newSettings.hashedNames : {},
+    keys: keys,
+    currentKey: currentKey,
+    hashKey: typeof newSettings.hashKey === 'string' && newSettings.hashKey.length ? newSettings.hashKey : null
+  };
+  return encryption;
+};
+
+/**
+ * Returns the names of the collections that have encrypted fields, or data files named by a keyed hash.
+ * @returns {Array}
+ */
+encryption.collections = function () {
+  return Object.keys(settings.fields)
+    .concat(Object.keys(settings.hashedNames))
+    .filter((dir, position, dirs) => dirs.indexOf(dir) === position);
+};
+
+/**
+ * Returns the names of the encrypted fields of the given collection, along with the given ones.
+ * @param {String} dir data directory name
+ * @param {Array} [extraFields]
+ * @returns {Array}
+ */
+const fieldsOf = (dir, extraFields) => (settings.fields[dir] || []).concat(extraFields || []);
+
+/**
+ * Returns `true` if the given value has been encrypted (or escaped) by `encryption.encrypt`, or `false` otherwise.
+ * @param {*} value
+ * @returns {Boolean}
+ */
+encryption.isEncrypted = function (value) {
+  return typeof value === 'string' && value.indexOf(PREFIX) === 0;
+};
+
+/**
+ * Encrypts the given value (any JSON value) with the current key, as `enc:<key ID>:<IV, tag and cipher text, base64 encoded>`.
+ * If there is no current key, the value is returned as it is, except for the strings that look encrypted, which are escaped
+ * as `enc::<value>` (with no key ID), so that they are not taken for encrypted values when they are read.
+ * @param {*} value
+ * @returns {*}
+ */
+encryption.encrypt = function (value) {
+  if (typeof value === 'undefined') {
+    return value;
+  }
+  if (!settings.currentKey) {
+    return encryption.isEncrypted(value) ? `${PREFIX}:${value}` : value;
+  }
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keyOf(settings.currentKey), iv);
+  const cipherText = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return `${PREFIX}${settings.currentKey}:${Buffer.concat([iv, cipher.getAuthTag(), cipherText]).toString('base64')}`;
+};
+
+/**
+ * Decrypts a value encrypted (or escaped) by `encryption.encrypt`. Any other value is returned as it is.
+ * @param {*} value
+ * @returns {*}
+ * @throws {Error} If the value was encrypted with an unknown key, or has been tampered with
+ */
+encryption.decrypt = function (value) {
+  if (!encryption.isEncrypted(value)) {
+    return value;
+  }
+  const parts = value.slice(PREFIX.length).split(':');
+  if (!parts[0].length) {
+    return value.slice(PREFIX.length + 1);
+  }
+  const data = Buffer.from(parts[1] || '', 'base64');
+  const decipher = crypto.createDecipheriv(ALGORITHM, keyOf(parts[0]), data.slice(0, IV_LENGTH));
+  decipher.setAuthTag(data.slice(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  const plainText = Buffer.concat([decipher.update(data.slice(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  return JSON.parse(plainText.toString('utf8'));
+};
+
+/**
+ * Returns a copy of the given record, with the encrypted fields of its collection encrypted.
+ * @param {String} dir data directory name
+ * @param {Object} data
+ * @param {Array} [extraFields] The other fields to encrypt, e.g. `deletedBy` for the records in the trash
+ * @returns {Object}
+ */
+encryption.encryptRecord = function (dir, data, extraFields) {
+  const fields = fieldsOf(dir, extraFields);
+  if (!fields.length || !data || typeof data !== 'object') {
+    return data;
+  }
+  const record = Object.assign({}, data);
+  fields.forEach((field) => {
+    if (Object.prototype.hasOwnProperty.call(record, field)) {
+      record[field] = encryption.encrypt(record[field]);
+    }
+  });
+  return record;
+};
+
+/**
+ * Returns a copy of the given record, with the encrypted fields of its collection decrypted. The other fields are left
+ * as they are, whatever they hold. A field that cannot be decrypted (e.g. with a key that has been removed) is set
+ * to `null`, and the error is logged, so that the rest of the record can still be read.
+ * @param {String} dir data directory name
+ * @param {Object} data
+ * @param {Array} [extraFields] The other fields to decrypt, e.g. `deletedBy` for the records in the trash
+ * @returns {Object}
+ */
+encryption.decryptRecord = function (dir, data, extraFields) {
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+  const record = Object.assign({}, data);
+  fieldsOf(dir, extraFields).forEach((field) => {
+    if (!Object.prototype.hasOwnProperty.call(record, field)) {
+      return;
+    }
+    try {
+      record[field] = encryption.decrypt(record[field]);
+    } catch (err) {
+      record[field] = null;
+      logger.error('Could not decrypt a field', { collection: dir, field: field, error: err.message });
+    }
+  });
+  return record;
+};
+
+/**
+ * Returns `true` if the data files of the given collection are named by a keyed hash, or `false` otherwise.
+ * @param {String} dir data directory name
+ * @returns {Boolean}
+ */
+encryption.hashesNames = function (dir) {
+  return Boolean(settings.hashKey && settings.hashedNames[dir]);
+};
+
+/**
+ * Returns the name of the given record, for the collections whose data files are named by a keyed hash.
+ * @param {String} dir data directory name
+ * @param {Object} data The (decrypted) record
+ * @returns {String|null}
+ */
+encryption.nameOf = function (dir, data) {
+  const field = settings.hashedNames[dir];
+  return field && data && typeof data[field] === 'string' ? data[field] : null;
+};
+
+/**
+ * Returns the name of the data file of the given record: a keyed hash (HMAC-SHA256) of its name
+ * for the collections configured so, or its name otherwise.
+ * @param {String} dir data directory name
+ * @param {String} file The record name
+ * @returns {String}
+ */
+encryption.fileNameOf = function (dir, file) {
+  if (!encryption.hashesNames(dir)) {
+    return file;
+  }
+  return crypto.createHmac('sha256', settings.hashKey).update(String(file)).digest('hex');
+};
+
+// Use the settings of the config
+encryption.configure(config.encryption);
+
+// Export the module
+module.exports = encryption;
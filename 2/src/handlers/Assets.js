@@ -0,0 +1,92 @@
+// Dependencies
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const ResponseError = require("../ResponseError");
+
+// The directory of the static assets
+const PUBLIC_DIR = path.join(__dirname, "..", "..", "public");
+
+// The content types of the static assets, by file extension
+const MIME_TYPES = {
+  ".css": "text/css; charset=utf-8",
+  ".js": "application/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".html": "text/html; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2"
+};
+
+/**
+ * Serves the static assets (CSS, JS, images) of the `public` directory.
+ * @class Assets
+ */
+module.exports = class Assets {
+  /**
+   * Reads a static asset.
+   * @static
+   * @param {Object} data
+   * @param {Object} data.params
+   * @param {String} data.params.file The path of the asset in the `public` directory, e.g. `css/style.css`
+   * @param {Object} [data.headers]
+   * @param {String} [data.headers.if-none-match] The `ETag` of the cached asset, to only read it if it has changed since
+   * @returns {Promise<Object>} Resolves with `{ statusCode, body, headers }`: `200` with the asset, or `304` (and no body) if it has not changed
+   * @throws {ResponseError} `404` if the asset does not exist
+   * @memberof Assets
+   */
+  static async getAsync (data) {
+    data = data && typeof data === "object" ? data : {};
+    const file = data.params && typeof data.params.file === "string" ? data.params.file : "";
+
+    // Only serve the files of the public directory, with a known type
+    const filePath = path.resolve(PUBLIC_DIR, file);
+    const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()];
+    if (filePath.indexOf(PUBLIC_DIR + path.sep) !== 0 || !contentType) {
+      throw new ResponseError(404, { "Error": "Asset not found" });
+    }
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (!stats || !stats.isFile()) {
+      throw new ResponseError(404, { "Error": "Asset not found" });
+    }
+
+    const headers = {
+      "Content-Type": contentType,
+      "Cache-Control": `public, max-age=${config.assets.maxAge}`,
+      "ETag": `"${stats.size.toString(36)}-${Math.floor(stats.mtimeMs).toString(36)}"`,
+      "Last-Modified": stats.mtime.toUTCString()
+    };
+    const ifNoneMatch = data.headers && typeof data.headers["if-none-match"] === "string" ? data.headers["if-none-match"] : "";
+    if (ifNoneMatch.split(",").some((etag) => etag.trim() === headers.ETag || etag.trim() === "*")) {
+      return { statusCode: 304, body: "", headers: headers };
+    }
+    return { statusCode: 200, body: await fs.promises.readFile(filePath), headers: headers };
+  }
+
+  /**
+   * Serves a static asset.
+   * @static
+   * @param {Object} data See `Assets.getAsync`
+   * @param {Function} callback
+   * @memberof Assets
+   */
+  static get (data, callback) {
+    Assets.getAsync(data).then((asset) => {
+      callback(asset.statusCode, asset.body, asset.headers);
+    }, (err) => {
+      if (err instanceof ResponseError) {
+        callback(err.statusCode, err.message, { "Content-Type": "text/plain; charset=utf-8" });
+      } else {
+        callback(500, "Internal server error", { "Content-Type": "text/plain; charset=utf-8" });
+      }
+    });
+    return Assets;
+  }
+};
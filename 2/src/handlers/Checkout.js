@@ -0,0 +1,517 @@
+// Dependencies
+const os = require("os");
+const helpers = require("../helpers");
+const dataStore = require("../dataStore");
+const ResponseError = require("../ResponseError");
+const logger = require("../logger");
+const Order = require("./Order");
+
+// The steps of a checkout, in the order they are done
+const STEPS = ["started", "orderCreated", "charging", "charged", "orderCompleted", "userUpdated"];
+
+// The IDs of the checkouts being run by this process
+const running = new Set();
+
+// The owner recorded in the checkouts run by this process, unique to it even among the processes of other hosts
+const OWNER = `${os.hostname()}:${process.pid}:${helpers.createRandomString(8)}`;
+
+// How often the checkouts being run record that their process is still alive, in milliseconds
+const HEARTBEAT_INTERVAL = 5 * 1000;
+
+// How long after its last heartbeat a pending checkout is taken over from its owner, as left behind by a process that crashed, in milliseconds
+const HEARTBEAT_TIMEOUT = 30 * 1000;
+
+// The timer of the heartbeats, while this process runs checkouts
+let heartbeat = null;
+
+/**
+ * Records that this process is still alive in the checkouts it runs, so that no other process takes them over in the middle of a step
+ * (e.g. while the payment provider is slow to answer).
+ */
+const beat = () => {
+  running.forEach((id) => {
+    dataStore.modifyAsync("checkouts", id, (checkoutData) => {
+      checkoutData.heartbeatOn = Date.now();
+      return checkoutData;
+    }).catch(Function.prototype);
+  });
+};
+
+// Index the checkouts by status, and the pending checkouts by user
+dataStore.defineIndex("checkouts", "status", (checkout) => checkout.status);
+dataStore.defineIndex("checkouts", "pending", (checkout) => checkout.status === "pending" ? checkout.email : null);
+
+/**
+ * Runs the checkout of a user's cart as a transaction, whose steps are recorded in a journal (the `checkouts` collection) as they are done:
+ *  1. `started`: the cart items and the payment details are recorded, along with the ID of the order to create
+ *  2. `orderCreated`: the order is created
+ *  3. `charging`: the payment is about to be made
+ *  4. `charged`: the payment succeeded, and its details are recorded
+ *  5. `orderCompleted`: the order is updated with the payment details
+ *  6. `userUpdated`: the order is added to the user's orders, and its items are removed from the cart
+ * after which the receipt is mailed, and the checkout is `completed`.
+ *
+ * Each step can be repeated safely: the order ID is chosen up front, the payment is made with the checkout ID as its idempotency key,
+ * and the user is only updated if the order is not in its orders yet. A checkout that fails before the payment is made is `rolledBack`
+ * (its order is deleted, and the cart is left as it is), while a checkout that fails after that, or whose payment outcome is not known,
+ * stays `pending`: it is resumed by the next checkout of the user (see `Checkout.runAsync`), or by `Checkout.recoverAsync`.
+ *
+ * The process that runs a checkout records itself as its `owner`, and the time it was last seen alive (`heartbeatOn`), which it updates
+ * every few seconds while the checkout runs. A pending checkout is only taken over by another run if it has no owner (its last run failed),
+ * or if its owner has not been seen for `HEARTBEAT_TIMEOUT` (its process crashed), see `Checkout.prototype.ownAsync`.
+ * @class Checkout
+ */
+module.exports = class Checkout {
+  /**
+   * Starts the checkout of the given user's cart, or resumes the one left pending by a failure (see `Checkout.pendingOfAsync`),
+   * and runs it to the end.
+   * @static
+   * @param {String} email The user ID
+   * @param {String} [stripeToken=tok_visa] See `Order.prototype.chargeAsync`
+   * @param {String} [requestId] The ID of the request that starts the checkout, logged along with its steps
+   * @returns {Promise<Object>} Resolves with `{ orderData, info, checkoutId, resumed }`, `resumed` being `true` if a pending checkout
+   * was run instead of a new one
+   * @memberof Checkout
+   */
+  static async runAsync (email, stripeToken, requestId) {
+    const pending = await Checkout.pendingOfAsync(email);
+    if (pending) {
+      logger.info("Resuming the pending checkout of the user", { requestId: requestId, checkoutId: pending.id, step: pending.step });
+    }
+    const checkout = pending || await Checkout.startAsync(email, stripeToken, requestId);
+    await checkout.resumeAsync();
+    return {
+      orderData: await dataStore.readAsync("orders", checkout.orderId),
+      info: checkout.info,
+      checkoutId: checkout.id,
+      resumed: Boolean(pending)
+    };
+  }
+
+  /**
+   * Returns the checkout of the given user left pending by a failure, if any. It is resumed with its own items and payment details,
+   * the items added to the cart since being left for the next checkout.
+   * @static
+   * @param {String} email The user ID
+   * @returns {Promise<Checkout|null>}
+   * @memberof Checkout
+   */
+  static async pendingOfAsync (email) {
+    const pending = await dataStore.findAsync("checkouts", "pending", email);
+    if (pending.length === 0) {
+      return null;
+    }
+    return new Checkout(await dataStore.readAsync("checkouts", pending[0]));
+  }
+
+  /**
+   * Records a new checkout of the given user's cart, unless another checkout of the user is still pending.
+   * @static
+   * @param {String} email The user ID
+   * @param {String} [stripeToken=tok_visa] See `Order.prototype.chargeAsync`
+   * @param {String} [requestId] The ID of the request that starts the checkout
+   * @returns {Promise<Checkout>}
+   * @memberof Checkout
+   */
+  static startAsync (email, stripeToken, requestId) {
+    // Hold the lock of the user's record, so that the cart does not change while it is recorded
+    return dataStore.lock("users", email, async () => {
+      const pending = await dataStore.findAsync("checkouts", "pending", email);
+      if (pending.length > 0) {
+        throw new ResponseError(409, { "Error": "Another checkout is in progress.", "checkoutId": pending[0] });
+      }
+
+      let userData;
+      try {
+        userData = await dataStore.readAsync("users", email);
+      } catch (err) {
+        throw new ResponseError(404, { "Error": "The specified user does not exist." });
+      }
+      if (!userData.cart || Object.keys(userData.cart).length === 0) {
+        throw new ResponseError(403, { "Error": "Cannot create order. Cart is empty." });
+      }
+
+      const checkout = new Checkout({
+        id: helpers.createRandomString(20),
+        email: email,
+        items: userData.cart,
+        stripeToken: stripeToken,
+        orderId: Order.createUniqueId(),
+        requestId: requestId,
+        owner: OWNER
+      });
+      checkout.history.push({ step: checkout.step, status: checkout.status, at: checkout.createdOn });
+      let checkoutData;
+      try {
+        checkoutData = await dataStore.createAsync("checkouts", checkout.id, checkout.toJSON());
+      } catch (err) {
+        throw new ResponseError(500, { "Error": "Could not start the checkout." });
+      }
+      return new Checkout(checkoutData).log();
+    });
+  }
+
+  /**
+   * Finishes the checkouts left pending by a failure, or by a process that crashed or was restarted: the ones that did not get
+   * to the payment are rolled back, and the others are resumed. The checkouts run by a live process are left to it.
+   * @static
+   * @returns {Promise<Array>} Resolves with the checkouts, as they are after the recovery
+   * @memberof Checkout
+   */
+  static async recoverAsync () {
+    const ids = await dataStore.findAsync("checkouts", "status", "pending");
+    const checkouts = [];
+    for (const id of ids.filter((id) => !running.has(id))) {
+      const checkout = new Checkout(await dataStore.readAsync("checkouts", id));
+      if (!checkout.isAbandoned(Date.now())) {
+        continue;
+      }
+      try {
+        if (STEPS.indexOf(checkout.step) < STEPS.indexOf("charging")) {
+          await checkout.ownAsync(() => checkout.rollBackAsync(new Error("The checkout was interrupted before the payment.")));
+        } else {
+          await checkout.resumeAsync();
+        }
+      } catch (err) {
+        // the checkout stays pending, and its error is recorded
+      }
+      checkouts.push(checkout);
+    }
+    return checkouts;
+  }
+
+  /**
+   * Waits for the checkouts being run by this process to be completed, rolled back, or left pending by a failure.
+   * @static
+   * @returns {Promise}
+   * @memberof Checkout
+   */
+  static async drainAsync () {
+    while (running.size > 0) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+
+  /**
+   * Creates an instance of Checkout.
+   * @constructor
+   * @param {Object} [data] The journal record
+   * @memberof Checkout.prototype
+   */
+  constructor(data) {
+    data = data && typeof data === "object" ? data : {};
+    this.id = data.id;
+    this.email = data.email;
+    this.items = data.items && typeof data.items === "object" ? data.items : {};
+    this.stripeToken = typeof data.stripeToken === "string" ? data.stripeToken : "tok_visa";
+    this.orderId = data.orderId;
+    this.requestId = typeof data.requestId === "string" ? data.requestId : null;
+    this.status = typeof data.status === "string" ? data.status : "pending";
+    this.step = STEPS.indexOf(data.step) > -1 ? data.step : STEPS[0];
+    this.payment = data.payment || null;
+    this.info = data.info || null;
+    this.error = data.error || null;
+    this.history = data.history instanceof Array ? data.history : [];
+    this.createdOn = typeof data.createdOn === "number" ? data.createdOn : Date.now();
+    this.owner = typeof data.owner === "string" ? data.owner : null;
+    this.heartbeatOn = typeof data.heartbeatOn === "number" ? data.heartbeatOn : this.createdOn;
+    this.version = typeof data.version === "number" ? data.version : 0;
+  }
+
+  /**
+   * Runs the remaining steps of this checkout, until it is completed or rolled back.
+   * @returns {Promise<Checkout>}
+   * @throws {ResponseError} `409` if the checkout is run by another process, or the error of a failed step, after the checkout
+   * is rolled back or its error is recorded
+   * @memberof Checkout.prototype
+   */
+  async resumeAsync () {
+    return this.ownAsync(async () => {
+      while (this.status === "pending") {
+        try {
+          await this.nextStepAsync();
+        } catch (err) {
+          throw await this.failAsync(err);
+        }
+      }
+      return this;
+    });
+  }
+
+  /**
+   * Runs the given task as the owner of this checkout: the checkout is recorded as owned by this process (unless it is already),
+   * and its heartbeat is kept while the task runs.
+   * @param {Function} task Returns a promise
+   * @returns {Promise} Resolves with the result of the task
+   * @throws {ResponseError} `409` if the checkout is being run by this process, or by another one that is still alive
+   * @memberof Checkout.prototype
+   */
+  async ownAsync (task) {
+    if (running.has(this.id)) {
+      throw new ResponseError(409, { "Error": "The checkout is already in progress.", "checkoutId": this.id });
+    }
+    running.add(this.id);
+    heartbeat = heartbeat || setInterval(beat, HEARTBEAT_INTERVAL).unref();
+    try {
+      if (this.owner !== OWNER) {
+        await this.claimAsync();
+      }
+      return await task();
+    } finally {
+      running.delete(this.id);
+      if (running.size === 0) {
+        clearInterval(heartbeat);
+        heartbeat = null;
+      }
+    }
+  }
+
+  /**
+   * Records this process as the owner of this checkout, if it is abandoned (see `Checkout.prototype.isAbandoned`).
+   * The record is checked and updated while holding its lock, so that only one process takes the checkout over.
+   * @returns {Promise<Checkout>}
+   * @throws {ResponseError} `409` if the checkout is run by another process that is still alive
+   * @memberof Checkout.prototype
+   */
+  async claimAsync () {
+    const checkoutData = await dataStore.modifyAsync("checkouts", this.id, (storedData) => {
+      const checkout = new Checkout(storedData);
+      if (checkout.status === "pending" && checkout.owner !== OWNER && !checkout.isAbandoned(Date.now())) {
+        throw new ResponseError(409, { "Error": "Another checkout is in progress.", "checkoutId": checkout.id });
+      }
+      return Object.assign(checkout.toJSON(), { owner: OWNER, heartbeatOn: Date.now() });
+    });
+    Object.assign(this, new Checkout(checkoutData));
+    return this;
+  }
+
+  /**
+   * Tells whether this checkout is left to be taken over: it has no owner, or is owned by this process without being run,
+   * or its owner has not been seen alive for `HEARTBEAT_TIMEOUT`.
+   * @param {Number} now The current time, in milliseconds
+   * @returns {Boolean}
+   * @memberof Checkout.prototype
+   */
+  isAbandoned (now) {
+    if (this.owner === OWNER) {
+      return !running.has(this.id);
+    }
+    return this.owner === null || now - this.heartbeatOn > HEARTBEAT_TIMEOUT;
+  }
+
+  /**
+   * Runs the step that follows the last recorded one.
+   * @returns {Promise<Checkout>}
+   * @memberof Checkout.prototype
+   */
+  async nextStepAsync () {
+    switch (this.step) {
+      case "started":
+        return this.createOrderAsync();
+      case "orderCreated":
+        return this.recordAsync({ step: "charging" });
+      case "charging":
+        return this.chargeAsync();
+      case "charged":
+        return this.completeOrderAsync();
+      case "orderCompleted":
+        return this.updateUserAsync();
+      case "userUpdated":
+        return this.sendInvoiceAsync();
+    }
+  }
+
+  /**
+   * Creates the order, unless it was created by a previous attempt.
+   * @returns {Promise<Checkout>}
+   * @memberof Checkout.prototype
+   */
+  async createOrderAsync () {
+    try {
+      await Order.createAsync(this.orderId, this.email, this.items);
+    } catch (err) {
+      const exists = await dataStore.readAsync("orders", this.orderId).then(() => true, () => false);
+      if (!exists) {
+        throw err;
+      }
+    }
+    return this.recordAsync({ step: "orderCreated" });
+  }
+
+  /**
+   * Charges the order, unless it was already paid.
+   * @returns {Promise<Checkout>}
+   * @memberof Checkout.prototype
+   */
+  async chargeAsync () {
+    const order = new Order(await dataStore.readAsync("orders", this.orderId));
+    const payment = order.completedOn && order.paymentInfo ? order.paymentInfo : await order.chargeAsync({
+      stripeToken: this.stripeToken,
+      idempotencyKey: this.id
+    });
+
+    // The payment token is not needed anymore
+    return this.recordAsync({ step: "charged", payment: payment, stripeToken: "" });
+  }
+
+  /**
+   * Records the payment in the order, unless it was already recorded.
+   * @returns {Promise<Checkout>}
+   * @memberof Checkout.prototype
+   */
+  async completeOrderAsync () {
+    const order = new Order(await dataStore.readAsync("orders", this.orderId));
+    if (!order.completedOn) {
+      await order.markPaidAsync(this.payment);
+    }
+    return this.recordAsync({ step: "orderCompleted" });
+  }
+
+  /**
+   * Adds the order to the user's orders and removes its items from the cart, unless the order was already added.
+   * @returns {Promise<Checkout>}
+   * @memberof Checkout.prototype
+   */
+  async updateUserAsync () {
+    try {
+      await dataStore.modifyAsync("users", this.email, (userData) => {
+        userData.orders = userData.orders instanceof Array ? userData.orders : [];
+        if (userData.orders.indexOf(this.orderId) < 0) {
+          userData.orders.push(this.orderId);
+          userData.cart = userData.cart && typeof userData.cart === "object" ? userData.cart : {};
+          Object.keys(this.items).forEach((itemId) => {
+            delete userData.cart[itemId];
+          });
+        }
+        return userData;
+      });
+    } catch (err) {
+      // there is nothing to update if the user has been deleted
+      if (err.code !== "ENOENT") {
+        throw err;
+      }
+    }
+    return this.recordAsync({ step: "userUpdated" });
+  }
+
+  /**
+   * Mails the receipt, and completes the checkout. A receipt that could not be mailed does not fail the checkout.
+   * @returns {Promise<Checkout>}
+   * @memberof Checkout.prototype
+   */
+  async sendInvoiceAsync () {
+    let info = `Receipt mailed to ${this.email}`;
+    try {
+      const order = new Order(await dataStore.readAsync("orders", this.orderId));
+      await order.sendInvoiceAsync();
+    } catch (err) {
+      info = `Could not mail the receipt to ${this.email}`;
+    }
+    return this.recordAsync({ status: "completed", info: info });
+  }
+
+  /**
+   * Handles the failure of the current step: the checkout is rolled back if it has not been charged (or the payment was declined),
+   * otherwise the error is recorded, and the checkout stays pending to be resumed later.
+   * @param {Error} err
+   * @returns {Promise<ResponseError>} Resolves with the error to report
+   * @memberof Checkout.prototype
+   */
+  async failAsync (err) {
+    const declined = this.step === "charging" && err instanceof ResponseError && err.statusCode === 400;
+    if (STEPS.indexOf(this.step) < STEPS.indexOf("charging") || declined) {
+      try {
+        await this.rollBackAsync(err);
+      } catch (rollBackError) {
+        // the checkout stays pending, and is rolled back by the recovery
+      }
+      return err instanceof ResponseError ? err : new ResponseError(500, { "Error": "Could not create the order." });
+    }
+
+    // Leave the checkout to the next run, which may be in another process
+    await this.recordAsync({ error: err.message, owner: null }).catch(Function.prototype);
+    return new ResponseError(this.step === "charging" ? 502 : 500, {
+      "Error": this.step === "charging"
+        ? "The payment could not be confirmed. The checkout will be resumed."
+        : "The order has been paid, but could not be completed yet. The checkout will be resumed.",
+      "checkoutId": this.id
+    });
+  }
+
+  /**
+   * Deletes the order, if it was created and not paid, and records the checkout as rolled back.
+   * @param {Error} err The reason of the roll back
+   * @returns {Promise<Checkout>}
+   * @memberof Checkout.prototype
+   */
+  async rollBackAsync (err) {
+    try {
+      const orderData = await dataStore.readAsync("orders", this.orderId);
+      if (!orderData.completedOn) {
+        await dataStore.deleteAsync("orders", this.orderId);
+      }
+    } catch (readError) {
+      if (readError.code !== "ENOENT") {
+        throw readError;
+      }
+    }
+    return this.recordAsync({ status: "rolledBack", error: err.message });
+  }
+
+  /**
+   * Stores the given changes of this checkout in its journal record, along with an entry in its history.
+   * @param {Object} changes
+   * @returns {Promise<Checkout>}
+   * @memberof Checkout.prototype
+   */
+  async recordAsync (changes) {
+    const checkoutData = await dataStore.modifyAsync("checkouts", this.id, (storedData) => {
+      const checkout = new Checkout(Object.assign(storedData, { error: null, heartbeatOn: Date.now() }, changes));
+      checkout.history.push({ step: checkout.step, status: checkout.status, at: Date.now() });
+      return checkout.toJSON();
+    });
+    Object.assign(this, new Checkout(checkoutData));
+    return this.log();
+  }
+
+  /**
+   * Writes the current step and status of this checkout to the app log, along with the ID of the request that started it.
+   * @returns {Checkout}
+   * @memberof Checkout.prototype
+   */
+  log () {
+    const fields = { requestId: this.requestId, checkoutId: this.id, orderId: this.orderId, step: this.step, status: this.status };
+    if (this.error) {
+      logger.error(`Checkout ${this.status} at ${this.step}: ${this.error}`, fields);
+    } else {
+      logger.info(`Checkout ${this.status} at ${this.step}`, fields);
+    }
+    return this;
+  }
+
+  /**
+   * Returns the journal record of this checkout.
+   * @returns {Object}
+   * @memberof Checkout.prototype
+   */
+  toJSON () {
+    return {
+      id: this.id,
+      email: this.email,
+      items: this.items,
+      stripeToken: this.stripeToken,
+      orderId: this.orderId,
+      requestId: this.requestId,
+      status: this.status,
+      step: this.step,
+      payment: this.payment,
+      info: this.info,
+      error: this.error,
+      history: this.history,
+      createdOn: this.createdOn,
+      owner: this.owner,
+      heartbeatOn: this.heartbeatOn,
+      version: this.version
+    };
+  }
+};
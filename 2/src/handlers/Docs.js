@@ -0,0 +1,258 @@
+// Dependencies
+const helpers = require("../helpers");
+const templates = require("../templates");
+const openapi = require("../openapi");
+
+// The response headers of the docs page
+const HTML_HEADERS = { "Content-Type": "text/html; charset=utf-8" };
+
+// The parts of the requests, in the order they are listed on the docs page, and their captions
+const LOCATIONS = [
+  { location: "path", caption: "Path parameters" },
+  { location: "query", caption: "URL parameters" },
+  { location: "header", caption: "Headers" }
+];
+
+/**
+ * Describes the type of a schema of the API description, as HTML: the schemas of the components link to their description.
+ * @param {Object} [schema]
+ * @returns {String}
+ */
+const typeOf = (schema) => {
+  if (!schema) {
+    return "";
+  }
+  if (schema.$ref) {
+    const name = schema.$ref.split("/").pop();
+    return `<a href="#schema-${templates.escape(name)}">${templates.escape(name)}</a>`;
+  }
+  let type;
+  if (schema.oneOf) {
+    type = schema.oneOf.map(typeOf).join(" or ");
+  } else if (schema.type === "array") {
+    type = `array of ${typeOf(schema.items) || "any"}`;
+  } else if (schema.type === "object" && schema.additionalProperties && typeof schema.additionalProperties === "object") {
+    type = `map of ${typeOf(schema.additionalProperties)}`;
+  } else {
+    type = templates.escape(schema.type || "any") + (schema.format ? ` (${templates.escape(schema.format)})` : "");
+  }
+  return schema.nullable ? `${type} or null` : type;
+};
+
+/**
+ * Renders a description of the API description as HTML: a sentence, whose `code` spans are kept.
+ * @param {String} [text]
+ * @returns {String}
+ */
+const htmlOf = (text) => {
+  text = typeof text === "string" ? text.trim() : "";
+  if (text.length && !/[.!?]$/.test(text)) {
+    text += ".";
+  }
+  return templates.escape(text).replace(/`([^`]+)`/g, "<code>$1</code>");
+};
+
+/**
+ * Describes a schema of the API description: its description, followed by its constraints.
+ * @param {Object} [schema]
+ * @returns {String}
+ */
+const descriptionOf = (schema) => {
+  schema = schema || {};
+  const constraints = [];
+  if (schema.enum) {
+    constraints.push(`One of: ${schema.enum.map((value) => `\`${value}\``).join(", ")}`);
+  }
+  if (typeof schema.minimum === "number") {
+    constraints.push(`${schema.exclusiveMinimum ? "Greater than" : "At least"} ${schema.minimum}`);
+  }
+  if (typeof schema.maximum === "number") {
+    constraints.push(`At most ${schema.maximum}`);
+  }
+  if (typeof schema.minLength === "number" && schema.minLength === schema.maxLength) {
+    constraints.push(`${schema.minLength} characters long`);
+  } else if (typeof schema.minLength === "number") {
+    constraints.push(`At least ${schema.minLength} character(s) long`);
+  }
+  return [htmlOf(schema.description)].concat(constraints.map(htmlOf)).join(" ").trim();
+};
+
+/**
+ * Renders the table of the fields of an object schema, or nothing if it has none.
+ * @param {String} caption
+ * @param {Object} [schema]
+ * @param {Array} [fields] The fields, as `{ name, schema, required }`, instead of the properties of the schema
+ * @returns {Promise<String>}
+ */
+const renderFieldsAsync = async (caption, schema, fields) => {
+  fields = fields || Object.keys((schema && schema.properties) || {}).map((name) => ({
+    name: name,
+    schema: schema.properties[name],
+    required: (schema.required || []).indexOf(name) > -1
+  }));
+  if (!fields.length) {
+    return "";
+  }
+  const rows = await templates.renderEachAsync("_docsField", fields.map((field) => ({
+    name: field.name,
+    type: typeOf(field.schema),
+    required: field.required ? "Yes" : "No",
+    description: descriptionOf(Object.assign({}, field.schema, field.description ? { description: field.description } : {}))
+  })));
+  return templates.renderAsync("_docsFields", { caption: caption, rows: rows });
+};
+
+/**
+ * Renders an operation of the API description.
+ * @param {String} path
+ * @param {String} method
+ * @param {Object} operation
+ * @returns {Promise<String>}
+ */
+const renderOperationAsync = async (path, method, operation) => {
+  const parameters = operation.parameters || [];
+  const fields = [];
+  for (const part of LOCATIONS) {
+    fields.push(await renderFieldsAsync(part.caption, null, parameters.filter((parameter) => parameter.in === part.location).map((parameter) => ({
+      name: parameter.name,
+      schema: parameter.schema,
+      required: parameter.required,
+      description: parameter.description
+    }))));
+  }
+  if (operation.requestBody) {
+    fields.push(await renderFieldsAsync("Payload", operation.requestBody.content["application/json"].schema));
+  }
+
+  const responses = await templates.renderEachAsync("_docsResponse", Object.keys(operation.responses).map((status) => {
+    const response = operation.responses[status];
+    const headers = Object.keys(response.headers || {});
+    return {
+      status: status,
+      type: response.content ? Object.keys(response.content).map((type) => `${typeOf(response.content[type].schema)} (${templates.escape(type)})`).join("<br>") : "",
+      description: htmlOf(response.description) + (headers.length ? ` ${htmlOf(`Headers: ${headers.map((name) => `\`${name}\``).join(", ")}`)}` : "")
+    };
+  }));
+
+  return templates.renderAsync("_docsOperation", {
+    id: operation.operationId,
+    method: method,
+    methodName: method.toUpperCase(),
+    path: path,
+    summary: operation.summary,
+    description: htmlOf(operation.description),
+    auth: operation.security ? htmlOf("Needs a token in the `tokenid` header") : "",
+    fields: fields.join(""),
+    responses: await templates.renderAsync("_docsResponses", { rows: responses })
+  });
+};
+
+/**
+ * Serves the description of the API: as an OpenAPI 3 document, and as an HTML page, which needs no other resources.
+ * @class Docs
+ */
+module.exports = class Docs {
+  /**
+   * Returns the OpenAPI description of the API.
+   * @static
+   * @returns {Promise<Object>}
+   * @memberof Docs
+   */
+  static async openapiAsync () {
+    return openapi.document();
+  }
+
+  /**
+   * Calls back with the OpenAPI description of the API.
+   * @static
+   * @param {Object} data
+   * @param {Function} callback
+   * @memberof Docs
+   */
+  static openapi (data, callback) {
+    helpers.respond(Docs.openapiAsync(), callback);
+    return Docs;
+  }
+
+  /**
+   * Renders the docs page: the operations of the API description, grouped by tag, and its schemas.
+   * @static
+   * @returns {Promise<String>} Resolves with the HTML of the page
+   * @memberof Docs
+   */
+  static async pageAsync () {
+    const document = openapi.document();
+    const tags = [];
+    for (const tag of document.tags) {
+      const operations = [];
+      for (const path of Object.keys(document.paths)) {
+        for (const method of Object.keys(document.paths[path])) {
+          const operation = document.paths[path][method];
+          if (operation.tags.indexOf(tag.name) > -1) {
+            operations.push(await renderOperationAsync(path, method, operation));
+          }
+        }
+      }
+      tags.push(await templates.renderAsync("_docsTag", { name: tag.name, operations: operations.join("") }));
+    }
+
+    const schemas = [];
+    for (const name of Object.keys(document.components.schemas)) {
+      const schema = document.components.schemas[name];
+      schemas.push(await templates.renderAsync("_docsSchema", {
+        name: name,
+        description: htmlOf(schema.description),
+        fields: await renderFieldsAsync("Properties", schema)
+      }));
+    }
+
+    return templates.renderAsync("docs", {
+      title: document.info.title,
+      version: document.info.version,
+      description: document.info.description,
+      nav: await templates.renderEachAsync("_docsNav", document.tags),
+      tags: tags.join(""),
+      schemas: schemas.join("")
+    });
+  }
+
+  /**
+   * Calls back with the docs page.
+   * @static
+   * @param {Object} data
+   * @param {Function} callback
+   * @memberof Docs
+   */
+  static page (data, callback) {
+    callback = typeof callback === "function" ? callback : Function.prototype;
+    Docs.pageAsync().then((html) => {
+      callback(200, html, HTML_HEADERS);
+    }, () => {
+      callback(500, "Internal server error", { "Content-Type": "text/plain; charset=utf-8" });
+    });
+    return Docs;
+  }
+
+  /**
+   * The descriptions of the request handlers, by handler name (see `router.add`).
+   * @static
+   * @readonly
+   * @memberof Docs
+   */
+  static get operations () {
+    return {
+      openapi: {
+        summary: "API description",
+        description: "Returns the OpenAPI 3 description of the API, generated from its routes.",
+        tags: ["Docs"],
+        responses: { 200: { description: "The OpenAPI document", schema: { type: "object" } } }
+      },
+      page: {
+        summary: "API reference",
+        description: "Returns the HTML page of the API reference, generated from the OpenAPI description.",
+        tags: ["Docs"],
+        responses: { 200: { description: "The HTML page (`text/html`)" } }
+      }
+    };
+  }
+};
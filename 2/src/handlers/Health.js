@@ -0,0 +1,208 @@
+// Dependencies
+const config = require("../config");
+const configSchema = require("../configSchema");
+const helpers = require("../helpers");
+const dataStore = require("../dataStore");
+const ResponseError = require("../ResponseError");
+
+// The collection of the storage probes
+const PROBE_DIR = "health";
+
+/**
+ * Lists the settings that must be set in the given environment (the ones `requiredIn` it, see `src/configSchema.js`),
+ * as paths in the config, e.g. `stripe.secretKey`.
+ * @param {Object} node The schema of the settings
+ * @param {String} environment
+ * @param {String} [prefix] The path of the section of the settings
+ * @returns {Array}
+ */
+const requiredSettingsOf = (node, environment, prefix) => Object.keys(node.properties || {}).reduce((settings, name) => {
+  const property = node.properties[name];
+  const setting = prefix ? `${prefix}.${name}` : name;
+  if (property.requiredIn && property.requiredIn.indexOf(environment) > -1) {
+    settings.push(setting);
+  }
+  return settings.concat(requiredSettingsOf(property, environment, setting));
+}, []);
+
+// The settings the app cannot serve requests without in the current environment, along with the hashing secret of the passwords
+const REQUIRED_SETTINGS = ["hashingSecret"].concat(requiredSettingsOf(configSchema, config.envName));
+
+// The readiness checks added by `Health.addCheck`, by name
+const checks = {};
+
+/**
+ * Implements the liveness and readiness probes of the app.
+ * @class Health
+ */
+module.exports = class Health {
+  /**
+   * Tells that the process is up and serving requests.
+   * @static
+   * @returns {Promise<Object>} Resolves with `{ status, uptime }`, the uptime in seconds
+   * @memberof Health
+   */
+  static async liveAsync () {
+    return { status: "ok", uptime: Math.round(process.uptime()) };
+  }
+
+  /**
+   * Tells that the process is up and serving requests.
+   * @static
+   * @param {Object} data
+   * @param {Function} callback
+   * @memberof Health
+   */
+  static live (data, callback) {
+    helpers.respond(Health.liveAsync(), callback);
+    return Health;
+  }
+
+  /**
+   * Tells whether the app is ready to serve requests: the storage can be written and read, the settings required in the current environment are configured,
+   * and the checks added by `Health.addCheck` pass.
+   * @static
+   * @returns {Promise<Object>} Resolves with `{ status, checks }`, the result of each check as `{ ok, error }`
+   * @throws {ResponseError} `503`, with the same payload, if any check fails
+   * @memberof Health
+   */
+  static async readyAsync () {
+    const all = Object.assign({ storage: Health.checkStorageAsync, config: Health.checkConfig }, checks);
+    const results = {};
+    for (const name of Object.keys(all)) {
+      try {
+        await all[name]();
+        results[name] = { ok: true };
+      } catch (err) {
+        results[name] = { ok: false, error: err.message };
+      }
+    }
+
+    const ready = Object.keys(results).every((name) => results[name].ok);
+    const payload = { status: ready ? "ok" : "unavailable", checks: results };
+    if (!ready) {
+      throw new ResponseError(503, payload);
+    }
+    return payload;
+  }
+
+  /**
+   * Tells whether the app is ready to serve requests.
+   * @static
+   * @param {Object} data
+   * @param {Function} callback
+   * @memberof Health
+   */
+  static ready (data, callback) {
+    helpers.respond(Health.readyAsync(), callback);
+    return Health;
+  }
+
+  /**
+   * Adds a readiness check.
+   * @static
+   * @param {String} name
+   * @param {Function} check A function that throws (or rejects) with the reason the app is not ready, if it is not
+   * @returns {Health}
+   * @memberof Health
+   */
+  static addCheck (name, check) {
+    checks[name] = check;
+    return Health;
+  }
+
+  /**
+   * Writes, reads back and deletes a probe record. The probe goes to the storage adapter directly, rather than through
+   * the `dataStore`, so that it emits no change events (and is not indexed, or relayed to the other workers).
+   * @static
+   * @returns {Promise}
+   * @throws {Error} If the storage cannot be written or read
+   * @memberof Health
+   */
+  static async checkStorageAsync () {
+    const adapter = dataStore.adapter;
+    const id = `probe-${process.pid}-${helpers.createRandomString(10)}`;
+    await adapter.create(PROBE_DIR, id, { id: id, at: Date.now() });
+    try {
+      const probe = await adapter.read(PROBE_DIR, id);
+      if (!probe || probe.id !== id) {
+        throw new Error("The probe record could not be read back");
+      }
+    } finally {
+      await adapter.delete(PROBE_DIR, id);
+    }
+  }
+
+  /**
+   * Makes sure the required settings are configured.
+   * @static
+   * @throws {Error} Listing the missing settings
+   * @memberof Health
+   */
+  static checkConfig () {
+    const missing = REQUIRED_SETTINGS.filter((setting) => {
+      const value = setting.split(".").reduce((settings, name) => settings && typeof settings === "object" ? settings[name] : undefined, config);
+      return typeof value !== "string" || !value.length;
+    });
+    if (missing.length) {
+      throw new Error(`Missing settings: ${missing.join(", ")}`);
+    }
+  }
+
+  /**
+   * The descriptions of the request handlers, by handler name (see `router.add`), along with the one of `handlers.ping`.
+   * @static
+   * @readonly
+   * @memberof Health
+   */
+  static get operations () {
+    const readiness = {
+      type: "object",
+      properties: {
+        status: { type: "string", enum: ["ok", "unavailable"] },
+        checks: {
+          type: "object",
+          additionalProperties: {
+            type: "object",
+            properties: { ok: { type: "boolean" }, error: { type: "string" } },
+            required: ["ok"]
+          },
+          description: "The result of each check, by name"
+        }
+      },
+      required: ["status", "checks"]
+    };
+
+    return {
+      ping: {
+        summary: "Ping",
+        tags: ["Health"],
+        responses: { 200: { description: "The app is up", schema: { type: "object" } } }
+      },
+      live: {
+        summary: "Liveness probe",
+        description: "Tells that the process is up and serving requests.",
+        tags: ["Health"],
+        responses: {
+          200: {
+            description: "The process is up",
+            schema: {
+              type: "object",
+              properties: { status: { type: "string", enum: ["ok"] }, uptime: { type: "integer", description: "In seconds" } },
+              required: ["status", "uptime"]
+            }
+          }
+        }
+      },
+      ready: {
+        summary: "Readiness probe",
+        description: "Tells whether the storage can be read, the settings required in the current environment are configured, and the other checks pass.",
+        tags: ["Health"],
+        responses: {
+          200: { description: "The app is ready", schema: readiness },
+          503: { description: "The app is not ready, along with the failed checks", schema: readiness }
+        }
+      }
+    };
+  }
+};
@@ -1,6 +1,36 @@
 // Dependencies
 const helpers = require("../helpers");
+const pagination = require("../pagination");
 const dataStore = require("../dataStore");
+const ResponseError = require("../ResponseError");
+const Token = require("./Token");
+const schemas = require("./schemas");
+
+// The cached list of all items (the menu), filled by `Item.listAsync` and dropped whenever an item changes
+const menu = {
+  items: null,
+  loading: null,
+  generation: 0,
+  hits: 0,
+  misses: 0,
+  invalidations: 0
+};
+
+/**
+ * Drops the cached menu, so that it is loaded again when it is next needed.
+ */
+const invalidateMenu = () => {
+  menu.items = null;
+  menu.generation++;
+  menu.invalidations++;
+};
+
+// Keep the menu up to date with the changes of the items: it is dropped as soon as an item is written, so that the next read sees the change
+dataStore.onWrite("items", (change) => {
+  if (change.type !== "items:purged") {
+    invalidateMenu();
+  }
+});
 
 /**
  * Defines and implements the CRUD operations for items, as well as the functionality
@@ -8,111 +38,103 @@ const dataStore = require("../dataStore");
  * @class Item
  */
 module.exports = class Item {
-  /**
-   * HTTP Request handler for the Items. It handles the HTTP method `get` only. The `post`, `put` and `delete` methods will not be exposed over the REST API.
-   * @param {Object} data 
-   * @param {String} data.path Recognized paths: `items`
-   * @param {Object} data.queryParams
-   * @param {Object} data.headers
-   * @param {Object} data.payload
-   * @param {String} data.method The HTTP method ['get']. Methods like ['post' | 'put' | 'delete'] not exposed over the REST API.
-   * @param {Function} callback 
-   */
-  static httpRequestHandler (data, callback) {
-    data = data && typeof data === "object" ? data : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
-
-    // const acceptedMethods = ['post', 'get', 'put', 'delete'];
-    const acceptedMethods = ['get']; // Users can only read (GET) the items. Methods like ['post' | 'put' | 'delete'] not exposed over the REST API
-    const method = typeof data.method === "string" ? data.method.trim().toLowerCase() : "";
-    if (acceptedMethods.indexOf(method) > -1) {
-      Item[method](data, callback);
-    } else {
-      callback(405);
-    }
-    return Item;
-  }
-
   /**
    * Creates and stores a new Item.
    * @param {Object} data 
    * @param {Object} data.payload
    * @param {String} data.payload.name 
-   * @param {String} data.payload.unitPrice 
+   * @param {Number} data.payload.unitPrice 
    * @param {String} [data.payload.imageURL] 
    * @param {String} [data.payload.description] 
-   * @param {Function} callback 
+   * @returns {Promise<Object>} Resolves with the new item data
+   * @throws {ResponseError} `400`, with the errors of the fields (see `helpers.validateRequest`), if the payload is invalid
    */
-  static post (data, callback) {
+  static async postAsync (data) {
     data = data && typeof data === "object" ? data : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
+    data.payload = data.payload && typeof data.payload === "object" ? data.payload : {};
 
-    // Check that all required fields are filled out
-    const name = typeof data.payload.name === 'string' && data.payload.name.trim().length ? data.payload.name.trim() : false;
-    const unitPrice = Item.isValidPrice(Number(data.payload.unitPrice)) ? Number(data.payload.unitPrice) : false;
+    // Check that all required fields are filled out (the route is not exposed, so the request is not validated before)
+    helpers.validateRequest({ payload: Item.operations.post.payload }, data);
+    const name = data.payload.name.trim();
+    const unitPrice = data.payload.unitPrice;
     const description = data.payload.description;
     const imageURL = data.payload.imageURL;
 
-    if (name && unitPrice) {
-      // Define item ID
-      const id = Item.createUniqueId();
-
-      // Make sure the item doesn't already exist
-      dataStore.read('items', id, (err, data) => {
-        if (err) {
-          // Create and store the new item object
-          const itemData = new Item({
-            id: id,
-            name: name,
-            description: description,
-            imageURL: imageURL,
-            unitPrice: unitPrice
-          }).toJSON();
-
-          dataStore.create('items', id, itemData, (err) => {
-            if (!err) {
-              callback(200, itemData);
-            } else {
-              callback(500, { 'Error': 'Could not create the new item' });
-            }
-          });
-        } else {
-          callback(400, { 'Error': 'A item with this id already exists' });
-        }
-      });
-    } else {
-      callback(400, { 'Error': 'Missing required fields' });
+    if (!name.length) {
+      throw new ResponseError(400, { 'Error': 'Missing required fields' });
+    }
+
+    // Define item ID
+    const id = Item.createUniqueId();
+
+    // Make sure the item doesn't already exist
+    const existing = await dataStore.readAsync('items', id).catch(() => null);
+    if (existing) {
+      throw new ResponseError(400, { 'Error': 'A item with this id already exists' });
     }
+
+    // Create and store the new item object
+    const itemData = new Item({
+      id: id,
+      name: name,
+      description: description,
+      imageURL: imageURL,
+      unitPrice: unitPrice
+    }).toJSON();
+
+    try {
+      await dataStore.createAsync('items', id, itemData);
+    } catch (err) {
+      throw new ResponseError(500, { 'Error': 'Could not create the new item' });
+    }
+    return itemData;
+  }
+
+  /**
+   * Creates and stores a new Item.
+   * @param {Object} data See `Item.postAsync`
+   * @param {Function} callback 
+   */
+  static post (data, callback) {
+    helpers.respond(Item.postAsync(data), callback);
     return Item;
   }
 
   /**
-   * Retrieves and calls back with an existing item.
+   * Retrieves an existing item or, if no item ID is given, the existing items (or a page of them).
    * @param {Object} data 
+   * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+   * @param {String} [data.params.id] Used instead of `data.queryParams.id`
    * @param {Object} data.headers
    * @param {Object} data.queryParams
-   * @param {String} [data.queryParams.id] if not provided, will return the entire list of items
-   * @param {Function} callback 
+   * @param {String} [data.queryParams.id] if not provided, will return the items or a page of them (see `Item.queryAsync` for the list parameters)
+   * @returns {Promise<Object|Array>} Resolves with the item data, or with the items (or a page of them)
    */
-  static get (data, callback) {
+  static async getAsync (data) {
     data = data && typeof data === "object" ? data : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
+    data.queryParams = data.queryParams && typeof data.queryParams === "object" ? data.queryParams : {};
 
     // Check that id is valid
-    const id = Item.isValidId(data.queryParams.id) ? data.queryParams.id.trim() : false;
-    if (id) {
-      // Lookup the item
-      dataStore.read('items', id, (err, data) => {
-        if (!err && data) {
-          callback(200, new Item(data).toJSON());
-        } else {
-          callback(404, { 'Error': 'Cannot find an item with the given ID' });
-        }
-      });
-    } else {
-      // callback(400, { 'Error': 'Missing required field' });
-      Item.list(callback);
+    const id = helpers.requestParam(data, "id", "queryParams", Item.isValidId);
+    if (!id) {
+      return Item.queryAsync(data.queryParams);
     }
+
+    // Lookup the item
+    const itemData = await dataStore.readAsync('items', id).catch(() => null);
+    if (!itemData) {
+      throw new ResponseError(404, { 'Error': 'Cannot find an item with the given ID' });
+    }
+    return new Item(itemData).toJSON();
+  }
+
+  /**
+   * Retrieves and calls back with an existing item.
+   * @param {Object} data See `Item.getAsync`
+   * @param {Function} callback 
+   */
+  static get (data, callback) {
+    helpers.respond(Item.getAsync(data), callback);
     return Item;
   }
 
@@ -122,176 +144,255 @@ module.exports = class Item {
    * @param {Object} data.payload
    * @param {String} data.payload.id 
    * @param {String} [data.payload.name] 
-   * @param {String} [data.payload.unitPrice] 
+   * @param {Number} [data.payload.unitPrice] 
    * @param {String} [data.payload.description] 
    * @param {String} [data.payload.imageURL] 
-   * @param {Function} callback 
+   * @returns {Promise<Object>} Resolves with the updated item data
+   * @throws {ResponseError} `400`, with the errors of the fields (see `helpers.validateRequest`), if the payload is invalid
    */
-  static put (data, callback) {
+  static async putAsync (data) {
     data = data && typeof data === "object" ? data : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
-
-    // Check for required field
-    const id = Item.isValidId(data.payload.id) ? data.payload.id.trim() : false;
-
-    // Error if id is invalid
-    if (id) {
-      // Check for optional fields
-      const name = typeof (data.payload.name) === 'string' && data.payload.name.trim().length ? data.payload.name.trim() : false;
-      const description = typeof (data.payload.description) === 'string' && data.payload.description.trim().length ? data.payload.description.trim() : false;
-      const imageURL = typeof (data.payload.imageURL) === 'string' && data.payload.imageURL.trim().length ? data.payload.imageURL.trim() : false;
-      const unitPrice = Item.isValidPrice(Number(data.payload.unitPrice)) ? Number(data.payload.unitPrice) : false;
-
-      // Error if nothing is sent to update
-      if (name || description || imageURL || unitPrice) {
-        // Lookup the item
-        dataStore.read('items', id, (err, itemData) => {
-          if (!err && itemData) {
-            // Update the fields if necessary
-            if (name) {
-              itemData.name = name;
-            }
-            if (unitPrice) {
-              itemData.unitPrice = unitPrice;
-            }
-            if (description) {
-              itemData.description = description;
-            }
-            if (imageURL) {
-              itemData.imageURL = imageURL;
-            }
-
-            // Store the new updates
-            itemData = new Item(itemData).toJSON();
-
-            if (itemData.id === id) {
-              dataStore.update('items', id, itemData, (err) => {
-                if (!err) {
-                  callback(200, itemData);
-                } else {
-                  callback(500, { 'Error': 'Could not update the specified item.' });
-                }
-              });
-            } else {
-              callback(400, { 'Error': 'Could not update the specified item' });
-            }
-          } else {
-            callback(400, { 'Error': 'Specified item does not exist.' });
-          }
-        });
-      } else {
-        callback(400, { 'Error': 'Missing fields to update.' });
+    data.payload = data.payload && typeof data.payload === "object" ? data.payload : {};
+
+    // Check the fields (the route is not exposed, so the request is not validated before)
+    helpers.validateRequest({ payload: Item.operations.put.payload }, data);
+    const id = data.payload.id.trim();
+
+    // Check for optional fields
+    const name = typeof (data.payload.name) === 'string' && data.payload.name.trim().length ? data.payload.name.trim() : false;
+    const description = typeof (data.payload.description) === 'string' && data.payload.description.trim().length ? data.payload.description.trim() : false;
+    const imageURL = typeof (data.payload.imageURL) === 'string' && data.payload.imageURL.trim().length ? data.payload.imageURL.trim() : false;
+    const unitPrice = typeof (data.payload.unitPrice) === 'number' ? data.payload.unitPrice : false;
+
+    // Error if nothing is sent to update
+    if (!name && !description && !imageURL && !unitPrice) {
+      throw new ResponseError(400, { 'Error': 'Missing fields to update.' });
+    }
+
+    // Lookup the item and store the updates, while holding the lock of its record
+    try {
+      return await dataStore.modifyAsync('items', id, (itemData) => {
+        // Update the fields if necessary
+        if (name) {
+          itemData.name = name;
+        }
+        if (unitPrice) {
+          itemData.unitPrice = unitPrice;
+        }
+        if (description) {
+          itemData.description = description;
+        }
+        if (imageURL) {
+          itemData.imageURL = imageURL;
+        }
+
+        itemData = new Item(itemData).toJSON();
+        if (itemData.id !== id) {
+          throw new ResponseError(400, { 'Error': 'Could not update the specified item' });
+        }
+        return itemData;
+      });
+    } catch (err) {
+      if (err instanceof ResponseError) {
+        throw err;
+      } else if (err.code === 'ENOENT') {
+        throw new ResponseError(400, { 'Error': 'Specified item does not exist.' });
       }
-    } else {
-      callback(400, { 'Error': 'Missing required field.' });
+      throw new ResponseError(500, { 'Error': 'Could not update the specified item.' });
     }
+  }
+
+  /**
+   * Updates or modifies an existing item.
+   * @param {Object} data See `Item.putAsync`
+   * @param {Function} callback 
+   */
+  static put (data, callback) {
+    helpers.respond(Item.putAsync(data), callback);
     return Item;
   }
 
   /**
-   * Deletes an existing item.
+   * Deletes an existing item, moving it to the trash (see `Trash`).
    * @param {Object} data 
+   * @param {Object} [data.headers]
+   * @param {String} [data.headers.tokenid] The token of the user deleting the item, recorded in the trash
    * @param {Object} data.queryParams
    * @param {String} data.queryParams.id 
-   * @param {Function} callback 
+   * @returns {Promise<Boolean>}
    */
-  static delete (data, callback) {
+  static async deleteAsync (data) {
     data = data && typeof data === "object" ? data : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
+    data.queryParams = data.queryParams && typeof data.queryParams === "object" ? data.queryParams : {};
 
     // Check that id number is valid
     const id = Item.isValidId(data.queryParams.id) ? data.queryParams.id.trim() : false;
-    if (id) {
-      // Lookup the item
-      dataStore.read('items', id, (err, itemData) => {
-        if (!err && itemData) {
-          const item = new Item(itemData);
-
-          if (item.id === id) {
-            // Delete the item's data
-            dataStore.delete('items', id, (err) => {
-              if (!err) {
-                callback(200, true);
-              } else {
-                callback(400, { 'Error': 'Could not delete the specified item' });
-              }
-            });
-          } else {
-            callback(400, { 'Error': 'Could not find the specified item.' });
-          }
-        } else {
-          callback(400, { 'Error': 'Could not find the specified item.' });
-        }
-      });
-    } else {
-      callback(400, { 'Error': 'Missing required field' })
+    if (!id) {
+      throw new ResponseError(400, { 'Error': 'Missing required field' });
     }
+
+    // Lookup the item
+    const itemData = await dataStore.readAsync('items', id).catch(() => null);
+    if (!itemData || new Item(itemData).id !== id) {
+      throw new ResponseError(400, { 'Error': 'Could not find the specified item.' });
+    }
+
+    // Move the item's data to the trash
+    const token = Token.authenticate(data, await Token.fromHeadersAsync(data.headers));
+    try {
+      await dataStore.trashAsync('items', id, { deletedBy: token ? token.email : null });
+    } catch (err) {
+      throw new ResponseError(400, { 'Error': 'Could not delete the specified item' });
+    }
+    return true;
+  }
+
+  /**
+   * Deletes an existing item.
+   * @param {Object} data See `Item.deleteAsync`
+   * @param {Function} callback 
+   */
+  static delete (data, callback) {
+    helpers.respond(Item.deleteAsync(data), callback);
     return Item;
   }
 
+  /**
+   * Filters, sorts and paginates the existing items.
+   * @static
+   * @param {Object} queryParams
+   * @param {String} [queryParams.name] Only the items whose name contains this text (case insensitive)
+   * @param {String} [queryParams.minPrice] Only the items with at least this unit price
+   * @param {String} [queryParams.maxPrice] Only the items with at most this unit price
+   * @param {String} [queryParams.sort=name] One of `name`, `unitPrice` and `id`, prefixed with `-` for descending order
+   * @param {String} [queryParams.limit=25] The page size (at most 100)
+   * @param {String} [queryParams.offset=0] The position of the page
+   * @param {String} [queryParams.cursor] The `nextCursor` of the previous page (instead of `offset`)
+   * @returns {Promise<Object|Array>} Resolves with the page, as `{ data, pagination }`, if one is requested (see `pagination.isRequested`),
+   * or else with all the matching items
+   * @memberof Item
+   */
+  static async queryAsync (queryParams) {
+    queryParams = queryParams && typeof queryParams === "object" ? queryParams : {};
+
+    // Check the filters
+    const name = typeof queryParams.name === "string" && queryParams.name.trim().length ? queryParams.name.trim().toLowerCase() : null;
+    const minPrice = pagination.numberParam(queryParams, 'minPrice');
+    const maxPrice = pagination.numberParam(queryParams, 'maxPrice');
+
+    // The items are paged from the menu cache, which is only read from the storage when an item has changed
+    const items = (await Item.listAsync()).filter((item) => {
+      return (name === null || item.name.toLowerCase().indexOf(name) > -1) &&
+        (minPrice === null || item.unitPrice >= minPrice) &&
+        (maxPrice === null || item.unitPrice <= maxPrice);
+    });
+    const options = {
+      sortFields: ['name', 'unitPrice', 'id'],
+      defaultSort: 'name'
+    };
+
+    if (!pagination.isRequested(queryParams)) {
+      return pagination.sort(items, queryParams, options);
+    }
+    return pagination.paginate(items, queryParams, options);
+  }
+
+  /**
+   * Loads all existing items. They are cached (as the menu) until an item changes.
+   * @returns {Promise<Array>} Resolves with an array containing all existing items
+   */
+  static async listAsync () {
+    let items = menu.items;
+    if (items) {
+      menu.hits++;
+    } else {
+      menu.misses++;
+      if (!menu.loading) {
+        // keep the loaded menu only if no item has changed in the meantime
+        const generation = menu.generation;
+        const loading = Item.loadAllAsync();
+        menu.loading = loading;
+        loading.then((loadedItems) => {
+          if (menu.generation === generation) {
+            menu.items = loadedItems;
+          }
+        }, Function.prototype).then(() => {
+          if (menu.loading === loading) {
+            menu.loading = null;
+          }
+        });
+      }
+      items = await menu.loading;
+    }
+
+    // hand out copies, so that the cached items cannot be changed by the callers
+    return items.map((item) => Object.assign({}, item));
+  }
+
+  /**
+   * Loads all existing items from the data storage, bypassing the menu cache.
+   * @returns {Promise<Array>}
+   */
+  static async loadAllAsync () {
+    try {
+      // get all item IDs
+      const itemIds = await dataStore.listAsync("items");
+
+      // load the data of each item
+      const items = await Promise.all(itemIds.map((itemId) => dataStore.readAsync('items', itemId)));
+      return items.map((itemData) => new Item(itemData).toJSON());
+    } catch (err) {
+      throw new ResponseError(500, { "Error": "Unable to load the list of items" });
+    }
+  }
+
+  /**
+   * Returns the statistics of the menu cache used by `Item.listAsync` and `Item.hashmapAsync`.
+   * @returns {Object} The number of cache `hits`, `misses` and `invalidations`, and the number of cached items (`size`)
+   */
+  static menuCacheStats () {
+    return {
+      hits: menu.hits,
+      misses: menu.misses,
+      invalidations: menu.invalidations,
+      size: menu.items ? menu.items.length : 0
+    };
+  }
+
+  /**
+   * Drops the menu cache, e.g. after the item files have been changed outside the app.
+   */
+  static clearMenuCache () {
+    invalidateMenu();
+  }
+
   /**
    * Loads and returns (calls back with) an array containing all existing items.
    * @param {Function} callback 
    */
   static list (callback) {
-    callback = typeof callback === "function" ? callback : Function.prototype;
-
-    // get all item IDs
-    dataStore.list("items", (err, data) => {
-      if (!err && data instanceof Array) {
-        const itemCount = data.length;
-        const items = [];
-
-        // for each item id
-        data.forEach((itemId) => {
-          // load the item data
-          dataStore.read('items', itemId, (err, itemData) => {
-            if (!err) {
-              items.push(new Item(itemData).toJSON());
-
-              if (items.length === itemCount) {
-                callback(200, items);
-              }
-            }
-          });
-        });
-      } else {
-        callback(500, { "Error": "Unable to load the list of items" });
-      }
-    });
+    helpers.respond(Item.listAsync(), callback);
     return Item;
   }
 
+  /**
+   * Loads all existing items.
+   * @returns {Promise<Object>} Resolves with a hashmap of all existing items, keyed by their IDs
+   */
+  static async hashmapAsync () {
+    const items = await Item.listAsync();
+    return items.reduce((map, item) => {
+      map[item.id] = item;
+      return map;
+    }, {});
+  }
+
   /**
    * Loads and returns (calls back with) a hashmap containing all existing items.
    * @param {Function} callback 
    */
   static hashmap (callback) {
-    callback = typeof callback === "function" ? callback : Function.prototype;
-
-    // get all item IDs
-    dataStore.list("items", (err, data) => {
-      if (!err && data instanceof Array) {
-        const itemCount = data.length;
-        const items = {};
-
-        // for each item id
-        data.forEach((itemId) => {
-          // load the item data
-          dataStore.read('items', itemId, (err, itemData) => {
-            if (!err) {
-              items[itemId] = new Item(itemData).toJSON();
-
-              if (Object.keys(items).length === itemCount) {
-                callback(200, items);
-              }
-            }
-          });
-        });
-      } else {
-        callback(500, { "Error": "Unable to load the list of items" });
-      }
-    });
+    helpers.respond(Item.hashmapAsync(), callback);
     return Item;
   }
 
@@ -327,6 +428,93 @@ module.exports = class Item {
     return typeof value === "number" && value > 0;
   }
 
+  /**
+   * The schemas of the item data returned by the request handlers, by name (see `src/openapi.js`).
+   * @static
+   * @readonly
+   * @memberof Item
+   */
+  static get schemas () {
+    return {
+      Item: schemas.object(Object.assign({ id: schemas.itemId }, Item.fields), ["id", "name", "unitPrice"]),
+      ItemPage: schemas.page("Item")
+    };
+  }
+
+  /**
+   * The schemas of the fields of an item, by name.
+   * @static
+   * @readonly
+   * @memberof Item
+   */
+  static get fields () {
+    return {
+      name: { type: "string", minLength: 1 },
+      description: { type: "string" },
+      imageURL: { type: "string" },
+      unitPrice: { type: "number", minimum: 0, exclusiveMinimum: true }
+    };
+  }
+
+  /**
+   * The descriptions of the request handlers, by handler name (see `router.add`). Listing the items and reading one of them
+   * are both done by `Item.get`, and are described apart. The routes of `post`, `put` and `delete` are not exposed,
+   * so `Item.postAsync` and `Item.putAsync` validate their payloads themselves.
+   * @static
+   * @readonly
+   * @memberof Item
+   */
+  static get operations () {
+    const id = schemas.object({ id: schemas.itemId }, ["id"]);
+
+    return {
+      post: {
+        summary: "Create an item",
+        tags: ["Items"],
+        payload: schemas.object(Item.fields, ["name", "unitPrice"]),
+        responses: { 200: { description: "The new item", schema: schemas.ref("Item") } },
+        errors: { 400: "Missing or invalid fields" }
+      },
+      put: {
+        summary: "Update an item",
+        description: "Updates the given fields of the item.",
+        tags: ["Items"],
+        payload: schemas.object(Object.assign({ id: schemas.itemId }, Item.fields), ["id"]),
+        responses: { 200: { description: "The item", schema: schemas.ref("Item") } },
+        errors: { 400: "Missing or invalid fields, nothing to update, or the item does not exist" }
+      },
+      delete: {
+        summary: "Delete an item",
+        description: "Moves the item to the trash, recording the user of the `tokenid` header (if any) as the one who deleted it.",
+        tags: ["Items"],
+        query: id,
+        responses: { 200: { description: "The item is deleted" } },
+        errors: { 400: "Missing or invalid ID, or the item does not exist" }
+      },
+      list: {
+        summary: "List the items",
+        description: "Returns the items (the menu), or a page of them, or the item with the given `id`.",
+        tags: ["Items"],
+        query: schemas.object(Object.assign({
+          id: Object.assign({}, schemas.itemId, { description: "The ID of an item, to return it instead of a page" }),
+          name: { type: "string", description: "Only the items whose name contains this text (case insensitive)" },
+          minPrice: { type: "number", description: "Only the items with at least this unit price" },
+          maxPrice: { type: "number", description: "Only the items with at most this unit price" }
+        }, schemas.pageQuery(["name", "unitPrice", "id"]))),
+        responses: { 200: { description: "The items, or a page of them if `limit`, `offset` or `cursor` is given", schema: schemas.list("Item") } },
+        errors: { 400: "Invalid filters, sort field or page" },
+        list: true
+      },
+      get: {
+        summary: "Read an item",
+        tags: ["Items"],
+        params: id,
+        responses: { 200: { description: "The item", schema: schemas.ref("Item") } },
+        errors: { 404: "The item does not exist" }
+      }
+    };
+  }
+
   /**
    * Creates an instance of Item.
    * @constructor
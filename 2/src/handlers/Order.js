@@ -3,9 +3,15 @@ const querystring = require('querystring');
 const config = require('../config');
 const dataStore = require('../dataStore');
 const helpers = require('../helpers');
+const pagination = require('../pagination');
+const ResponseError = require('../ResponseError');
 const Token = require('./Token');
 // const User = require('./User');
 const Item = require('./Item');
+const schemas = require('./schemas');
+
+// The indexes that keep the fields the orders are filtered and sorted by, by field (see `Order.queryAsync`)
+const LISTED_INDEXES = { createdOn: 'createdOn', completedOn: 'completedAt', total: 'total', email: 'email' };
 
 /**
  * Defines and implements the CRUD operations for orders, as well as the functionality
@@ -14,123 +20,117 @@ const Item = require('./Item');
  */
 class Order {
   /**
-   * HTTP Request handler for the Orders. It handles the HTTP `get`, `post`, `put` and `delete` methods.
+   * Creates and stores a new Order.
    * @param {Object} data 
-   * @param {String} data.path Recognized paths: `orders`
-   * @param {Object} data.queryParams
-   * @param {Object} data.headers
    * @param {Object} data.payload
-   * @param {String} data.method The HTTP method [ 'get' | 'post' | 'put' | 'delete']
-   * @param {Function} callback 
+   * @param {String} data.payload.email 
+   * @param {String} data.payload.items  A hash-map of key-value pairs, where the 'key' is the 'itemId' and the 'value' is the quantity.
+   * @returns {Promise<Object>} Resolves with the new order data
+   * @throws {ResponseError} `400`, with the errors of the fields (see `helpers.validateRequest`), if the payload is invalid
    */
-  static httpRequestHandler (data, callback) {
+  static async postAsync (data) {
     data = data && typeof data === "object" ? data : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
-
-    const acceptedMethods = ['post', 'get', 'put', 'delete'];
-    const method = typeof data.method === "string" ? data.method.trim().toLowerCase() : "";
-    if (acceptedMethods.indexOf(method) > -1) {
-      Order[method](data, callback);
-    } else {
-      callback(405);
+    data.payload = data.payload && typeof data.payload === "object" ? data.payload : {};
+
+    // Check that the email and items are valid
+    helpers.validateRequest({ payload: Order.operations.post.payload }, data);
+
+    return Order.createAsync(Order.createUniqueId(), data.payload.email.trim(), data.payload.items);
+  }
+
+  /**
+   * Creates and stores a new Order with the given ID.
+   * @static
+   * @param {String} id The order ID
+   * @param {String} email
+   * @param {Object} items A hash-map of key-value pairs, where the 'key' is the 'itemId' and the 'value' is the quantity.
+   * @returns {Promise<Object>} Resolves with the new order data
+   * @memberof Order
+   */
+  static async createAsync (id, email, items) {
+    // keep only the valid items
+    const cartItems = await Order.validItems(items);
+
+    // if there are any items in the cart create a new order, otherwise don't
+    if (Object.keys(cartItems).length === 0) {
+      throw new ResponseError(400, { "Error": "Cannot create order. User's cart is empty" });
+    }
+
+    // Record the total of the current item prices, as the order may stay unpaid (see `Checkout`)
+    const order = new Order({
+      id: id,
+      email: email,
+      items: cartItems,
+      total: Order.totalOf(cartItems, await Item.hashmapAsync())
+    });
+    const orderData = order.toJSON();
+
+    // Store the order
+    try {
+      return await dataStore.createAsync('orders', order.id, orderData);
+    } catch (err) {
+      throw new ResponseError(500, { 'Error': 'Could not create the new order' });
     }
-    return Order;
   }
 
   /**
    * Creates and stores a new Order.
-   * @param {Object} data 
-   * @param {Object} data.payload
-   * @param {String} data.payload.email 
-   * @param {String} data.payload.items  A hash-map of key-value pairs, where the 'key' is the 'itemId' and the 'value' is the quantity.
+   * @param {Object} data See `Order.postAsync`
    * @param {Function} callback 
    */
   static post (data, callback) {
-    data = data && typeof data === "object" ? data : {};
-    data.payload = typeof data.payload === "object" ? data.payload : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
-
-    // Check that email is valid
-    const email = Order.isValidEmail(data.payload.email) ? data.payload.email.trim() : false;
-
-    if (email) {
-      // retrieve the list of items
-      Item.list((statusCode, items) => {
-        const cartItems = typeof data.payload.items === "object" ? data.payload.items : {};
-        const itemIDs = items.reduce((arr, item) => {
-          arr.push(item.id);
-          return arr;
-        }, []);
-
-        // remove all keys that are not valid item IDs
-        Object.keys(cartItems).forEach((cartItem) => {
-          if (itemIDs.indexOf(cartItem) < 0) {
-            delete cartItems[cartItem];
-          }
-        });
-
-        // if there are any items in the cart create a new order, otherwise don't
-        if (Object.keys(cartItems).length > 0) {
-          const order = new Order({
-            id: Order.createUniqueId(),
-            email: email,
-            items: cartItems
-          })
-          const orderData = order.toJSON();
-
-          // Store the order
-          dataStore.create('orders', order.id, orderData, (err) => {
-            if (!err) {
-              // callback with the new order data
-              callback(200, orderData);
-            } else {
-              callback(500, { 'Error': 'Could not create the new order' });
-            }
-          });
-        } else {
-          callback(400, { "Error": "Cannot create order. User's cart is empty" });
-        }
-      });
-    } else {
-      callback(400, { 'Error': 'Missing required field' })
-    }
+    helpers.respond(Order.postAsync(data), callback, helpers.etagHeaders);
     return Order;
   }
 
   /**
-   * Retrieves and calls back with an existing order or with the entire collection of existing orders, if no order ID is given.
+   * Retrieves an existing order or, if no order ID is given, the existing orders (or a page of them).
    * @param {Object} data 
+   * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+   * @param {String} [data.params.id] Used instead of `data.queryParams.id`
    * @param {Object} data.headers
+   * @param {String} [data.headers.tokenid] The token of the user whose orders are listed (or of an admin user), required to list the orders
    * @param {Object} data.queryParams
    * @param {String} [data.queryParams.id]
-   * @param {Function} callback 
+   * @param {String} [data.queryParams.email] See `Order.queryAsync` for the list parameters
+   * @returns {Promise<Object|Array>} Resolves with the order data, or with the orders (or a page of them)
    */
-  static get (data, callback) {
+  static async getAsync (data) {
     data = data && typeof data === "object" ? data : {};
     data.queryParams = data.queryParams && typeof data.queryParams === "object" ? data.queryParams : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
 
     // Check that id is valid
-    const id = Order.isValidOrderId(data.queryParams.id) ? data.queryParams.id.trim() : false;
-    if (id) {
-      // Lookup the order
-      dataStore.read('orders', id, (err, data) => {
-        if (!err && data) {
-          callback(200, new Order(data).toJSON());
-        } else {
-          callback(404, { 'Error': 'Cannot find an order with the given ID' });
-        }
-      });
-    } else {
-      // callback(400, { 'Error': 'Missing required field' });
-      Order.list(callback);
+    const id = helpers.requestParam(data, "id", "queryParams", Order.isValidOrderId);
+    if (!id) {
+      const token = Token.authenticate(data, await Token.fromHeadersAsync(data.headers));
+      return Order.queryAsync(data.queryParams, token);
+    }
+
+    // Lookup the order
+    const orderData = await dataStore.readAsync('orders', id).catch(() => null);
+    if (!orderData) {
+      throw new ResponseError(404, { 'Error': 'Cannot find an order with the given ID' });
     }
+    return new Order(orderData).toJSON();
+  }
+
+  /**
+   * Retrieves and calls back with an existing order or, if no order ID is given, with the existing orders (or a page of them).
+   * @param {Object} data See `Order.getAsync`
+   * @param {Function} callback 
+   */
+  static get (data, callback) {
+    helpers.respond(Order.getAsync(data), callback, helpers.etagHeaders);
     return Order;
   }
 
   /**
    * Updates or modifies an existing order.
    * @param {Object} data 
+   * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+   * @param {String} [data.params.id] Used instead of `data.payload.id`
+   * @param {Object} [data.headers]
+   * @param {String} [data.headers.if-match] The `ETag` of the order, to only update it if it has not been modified since
    * @param {Object} data.payload
    * @param {String} data.payload.id 
    * @param {String} [data.payload.email] 
@@ -138,160 +138,343 @@ class Order {
    * @param {Number} [data.payload.completedOn] 
    * @param {Object} [data.payload.paymentInfo] 
    * @param {Number} [data.payload.total] 
-   * @param {Function} callback 
+   * @returns {Promise<Object>} Resolves with the updated order data
+   * @throws {ResponseError} `400`, with the errors of the fields (see `helpers.validateRequest`), if the payload is invalid
    */
-  static put (data, callback) {
+  static async putAsync (data) {
     data = data && typeof data === "object" ? data : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
+    data.headers = data.headers && typeof data.headers === "object" ? data.headers : {};
+    data.payload = data.payload && typeof data.payload === "object" ? data.payload : {};
 
     // Check for required field
-    const id = Order.isValidOrderId(data.payload.id.trim()) ? data.payload.id.trim() : false;
+    const id = helpers.requestParam(data, "id", "payload", Order.isValidOrderId);
 
     // Error if id is invalid
-    if (id) {
-
-      // Check for optional fields
-      const email = Order.isValidEmail(data.payload.email) ? data.payload.email.trim() : false;
-      const completedOn = typeof data.payload.completedOn === "number" ? data.payload.completedOn : false;
-      const paymentInfo = typeof data.payload.paymentInfo === "object" ? data.payload.paymentInfo : false;
-      const total = typeof data.payload.total === "number" ? data.payload.total : false;
-
-      // retrieve the list of items
-      Item.list((statusCode, items) => {
-        const cartItems = typeof data.payload.items === "object" ? data.payload.items : {};
-        const itemIDs = items.reduce((arr, item) => {
-          arr.push(item.id);
-          return arr;
-        }, []);
-
-        // remove all keys that are not valid item IDs
-        Object.keys(cartItems).forEach((cartItem) => {
-          if (itemIDs.indexOf(cartItem) < 0) {
-            delete cartItems[cartItem];
-          }
-        });
-
-        // Error if nothing is sent to update
-        if (email || completedOn || paymentInfo || total > 0 || Object.keys(cartItems).length > 0) {
-          // Lookup the order
-          dataStore.read('orders', id, (err, orderData) => {
-            if (!err && orderData) {
-              // Update the fields if necessary
-              if (email) {
-                orderData.email = email;
-              }
-              if (completedOn) {
-                orderData.completedOn = completedOn;
-              }
-              if (paymentInfo) {
-                orderData.paymentInfo = paymentInfo;
-              }
-              if (total) {
-                orderData.total = total;
-              }
-              if (Object.keys(cartItems).length > 0) {
-                orderData.items = cartItems;
-              }
-
-              // Store the new updates
-              const order = new Order(orderData);
-              if (order.id === id) {
-                dataStore.update('orders', id, order.toJSON(), (err) => {
-                  if (!err) {
-                    callback(200, order.toJSON());
-                  } else {
-                    callback(500, { 'Error': 'Could not update the specified order.' });
-                  }
-                });
-              } else {
-                callback(400, { 'Error': 'Could not update the specified order' });
-              }
-            } else {
-              callback(400, { 'Error': 'Specified order does not exist.' });
-            }
-          });
-        } else {
-          callback(400, { 'Error': 'Missing fields to update.' });
+    if (!id) {
+      throw new ResponseError(400, { 'Error': 'Missing required field.' });
+    }
+
+    // Check for optional fields
+    helpers.validateRequest({ payload: Order.operations.put.payload }, data);
+    const email = typeof data.payload.email === "string" ? data.payload.email.trim() : false;
+    const completedOn = data.payload.completedOn || false;
+    const paymentInfo = data.payload.paymentInfo || false;
+    const total = data.payload.total || false;
+    const cartItems = await Order.validItems(data.payload.items);
+
+    // Error if nothing is sent to update
+    if (!email && !completedOn && !paymentInfo && !total && Object.keys(cartItems).length === 0) {
+      throw new ResponseError(400, { 'Error': 'Missing fields to update.' });
+    }
+
+    // Lookup the order and store the updates, while holding the lock of its record
+    try {
+      return await dataStore.modifyAsync('orders', id, (orderData) => {
+        // Update the fields if necessary
+        if (email) {
+          orderData.email = email;
         }
-      });
-    } else {
-      callback(400, { 'Error': 'Missing required field.' });
+        if (completedOn) {
+          orderData.completedOn = completedOn;
+        }
+        if (paymentInfo) {
+          orderData.paymentInfo = paymentInfo;
+        }
+        if (total) {
+          orderData.total = total;
+        }
+        if (Object.keys(cartItems).length > 0) {
+          orderData.items = cartItems;
+        }
+
+        const order = new Order(orderData);
+        if (order.id !== id) {
+          throw new ResponseError(400, { 'Error': 'Could not update the specified order' });
+        }
+        return order.toJSON();
+      }, { ifVersion: helpers.ifMatchVersions(data.headers) });
+    } catch (err) {
+      if (err instanceof ResponseError) {
+        throw err;
+      } else if (err.code === 'ENOENT') {
+        throw new ResponseError(400, { 'Error': 'Specified order does not exist.' });
+      } else if (err.code === 'EVERSION') {
+        throw Order.versionMismatchError();
+      }
+      throw new ResponseError(500, { 'Error': 'Could not update the specified order.' });
     }
+  }
+
+  /**
+   * Updates or modifies an existing order.
+   * @param {Object} data See `Order.putAsync`
+   * @param {Function} callback 
+   */
+  static put (data, callback) {
+    helpers.respond(Order.putAsync(data), callback, helpers.etagHeaders);
     return Order;
   }
 
   /**
-   * Deletes an existing Order.
+   * Deletes an existing Order, moving it to the trash (see `Trash`).
    * @param {Object} data 
+   * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+   * @param {String} [data.params.id] Used instead of `data.queryParams.id`
+   * @param {Object} [data.headers]
+   * @param {String} [data.headers.tokenid] The token of the user deleting the order, recorded in the trash
+   * @param {String} [data.headers.if-match] The `ETag` of the order, to only delete it if it has not been modified since
    * @param {Object} data.queryParams
    * @param {String} data.queryParams.id 
-   * @param {Function} callback 
+   * @returns {Promise<Object>} Resolves with the deleted order data
    */
-  static delete (data, callback) {
+  static async deleteAsync (data) {
     data = data && typeof data === "object" ? data : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
+    data.headers = data.headers && typeof data.headers === "object" ? data.headers : {};
+    data.queryParams = data.queryParams && typeof data.queryParams === "object" ? data.queryParams : {};
 
     // Check that id number is valid
-    const id = Order.isValidOrderId(data.queryParams.id) ? data.queryParams.id.trim() : false;
-    if (id) {
-      // Lookup the order
-      dataStore.read('orders', id, (err, orderData) => {
-        if (!err && orderData) {
-          const order = new Order(orderData);
-
-          if (order.id === id) {
-            // Delete the order's data
-            dataStore.delete('orders', id, (err) => {
-              if (!err) {
-                callback(200, order.toJSON());
-              } else {
-                callback(400, { 'Error': 'Could not delete the specified order' });
-              }
-            });
-          } else {
-            callback(400, { 'Error': 'Could not find the specified order.' });
-          }
-        } else {
-          callback(400, { 'Error': 'Could not find the specified order.' });
-        }
-      });
-    } else {
-      callback(400, { 'Error': 'Missing required field' })
+    const id = helpers.requestParam(data, "id", "queryParams", Order.isValidOrderId);
+    if (!id) {
+      throw new ResponseError(400, { 'Error': 'Missing required field' });
+    }
+
+    // Lookup the order
+    const orderData = await dataStore.readAsync('orders', id).catch(() => null);
+    const order = new Order(orderData);
+    if (!orderData || order.id !== id) {
+      throw new ResponseError(400, { 'Error': 'Could not find the specified order.' });
+    }
+
+    // Move the order's data to the trash
+    const token = Token.authenticate(data, await Token.fromHeadersAsync(data.headers));
+    try {
+      await dataStore.trashAsync('orders', id, { ifVersion: helpers.ifMatchVersions(data.headers), deletedBy: token ? token.email : null });
+    } catch (err) {
+      throw err.code === 'EVERSION' ? Order.versionMismatchError() : new ResponseError(400, { 'Error': 'Could not delete the specified order' });
     }
+    return order.toJSON();
+  }
+
+  /**
+   * Deletes an existing Order.
+   * @param {Object} data See `Order.deleteAsync`
+   * @param {Function} callback 
+   */
+  static delete (data, callback) {
+    helpers.respond(Order.deleteAsync(data), callback);
     return Order;
   }
 
+  /**
+   * Loads all existing orders.
+   * @returns {Promise<Array>} Resolves with an array containing all existing orders
+   */
+  static async listAsync () {
+    try {
+      // get all order IDs
+      const orderIds = await dataStore.listAsync("orders");
+
+      // load the data of each order
+      const orders = await Promise.all(orderIds.map((orderId) => dataStore.readAsync('orders', orderId)));
+      return orders.map((orderData) => new Order(orderData).toJSON());
+    } catch (err) {
+      throw new ResponseError(500, { "Error": "Unable to load the list of orders" });
+    }
+  }
+
   /**
    * Loads and returns (calls back with) an array containing all existing orders.
    * @param {Function} callback 
    */
   static list (callback) {
-    callback = typeof callback === "function" ? callback : Function.prototype;
-
-    // get all order IDs
-    dataStore.list("orders", (err, data) => {
-      if (!err && data instanceof Array) {
-        const orderCount = data.length;
-        const orders = [];
-
-        // for each order id
-        data.forEach((orderId) => {
-          // load the order data
-          dataStore.read('orders', orderId, (err, orderData) => {
-            if (!err) {
-              orders.push(new Order(orderData).toJSON());
-
-              if (orders.length === orderCount) {
-                callback(200, orders);
-              }
-            }
-          });
-        });
+    helpers.respond(Order.listAsync(), callback);
+    return Order;
+  }
+
+  /**
+   * Filters, sorts and paginates the orders of the user of the given token or, for an admin user (one of the `admins` of the config),
+   * the orders of all the users. The `email` and the completion time filters
+   * are looked up in the indexes of the orders, and the orders are filtered and sorted by the fields kept in their indexes
+   * (see `LISTED_INDEXES`), so that only the orders responded with are read.
+   * @static
+   * @param {Object} queryParams
+   * @param {String} [queryParams.email] Only the orders of this user: the user of the token, unless it is an admin user
+   * @param {String} [queryParams.completedFrom] Only the orders completed at or after this time (in mill. or as a date)
+   * @param {String} [queryParams.completedTo] Only the orders completed at or before this time (in mill. or as a date)
+   * @param {String} [queryParams.minTotal] Only the orders with at least this total
+   * @param {String} [queryParams.maxTotal] Only the orders with at most this total
+   * @param {String} [queryParams.sort=createdOn] One of `createdOn`, `completedOn`, `total`, `email` and `id`, prefixed with `-` for descending order
+   * @param {String} [queryParams.limit=25] The page size (at most 100)
+   * @param {String} [queryParams.offset=0] The position of the page
+   * @param {String} [queryParams.cursor] The `nextCursor` of the previous page (instead of `offset`)
+   * @param {Token} [token] The valid token of the request, see `Token.fromHeadersAsync`
+   * @returns {Promise<Object|Array>} Resolves with the page, as `{ data, pagination }`, if one is requested (see `pagination.isRequested`),
+   * or else with all the matching orders
+   * @throws {ResponseError} `403` without a token, or if the orders of another user are requested by a user who is not an admin
+   * @memberof Order
+   */
+  static async queryAsync (queryParams, token) {
+    queryParams = queryParams && typeof queryParams === "object" ? queryParams : {};
+    if (!token) {
+      throw new ResponseError(403, { 'Error': 'Missing required token in header, or token is invalid.' });
+    }
+
+    // Check the filters. The users who are not admins only list their own orders.
+    const isAdmin = config.admins.indexOf(token.email) > -1;
+    let email = typeof queryParams.email === "string" && queryParams.email.trim().length ? queryParams.email.trim() : null;
+    if (email !== null && !Order.isValidEmail(email)) {
+      throw new ResponseError(400, { 'Error': 'Invalid email' });
+    }
+    const completedFrom = pagination.timeParam(queryParams, 'completedFrom');
+    const completedTo = pagination.timeParam(queryParams, 'completedTo');
+    const minTotal = pagination.numberParam(queryParams, 'minTotal');
+    const maxTotal = pagination.numberParam(queryParams, 'maxTotal');
+
+    if (!isAdmin && email !== null && email !== token.email) {
+      throw new ResponseError(403, { 'Error': 'Only the admin users can list the orders of the other users.' });
+    }
+    email = isAdmin ? email : token.email;
+
+    // Look up only the orders of the user, or those completed in the given time range, if possible
+    let ids;
+    let keys;
+    try {
+      if (email !== null) {
+        ids = await dataStore.findAsync('orders', 'email', email);
+      } else if (completedFrom !== null || completedTo !== null) {
+        ids = await dataStore.findRangeAsync('orders', 'completedOn', Order.dayOf(completedFrom), Order.dayOf(completedTo));
       } else {
-        callback(500, { "Error": "Unable to load the list of orders" });
+        ids = await dataStore.listAsync('orders');
       }
+      keys = await Promise.all(Object.keys(LISTED_INDEXES).map((field) => dataStore.keysAsync('orders', LISTED_INDEXES[field])));
+    } catch (err) {
+      throw new ResponseError(500, { "Error": "Unable to load the list of orders" });
+    }
+
+    // Filter and sort the orders by the fields kept in the indexes
+    const entries = ids.map((id) => Object.keys(LISTED_INDEXES).reduce((entry, field, position) => {
+      const fieldKeys = keys[position].get(id);
+      entry[field] = fieldKeys && fieldKeys.length ? fieldKeys[0] : null;
+      return entry;
+    }, { id: id })).filter((order) => {
+      return (completedFrom === null || (order.completedOn && order.completedOn >= completedFrom)) &&
+        (completedTo === null || (order.completedOn && order.completedOn <= completedTo)) &&
+        (minTotal === null || order.total >= minTotal) &&
+        (maxTotal === null || order.total <= maxTotal);
     });
-    return Order;
+    const options = {
+      sortFields: ['createdOn', 'completedOn', 'total', 'email', 'id'],
+      defaultSort: 'createdOn'
+    };
+
+    // Read the orders of the page only
+    if (!pagination.isRequested(queryParams)) {
+      return Order.loadAsync(pagination.sort(entries, queryParams, options).map((entry) => entry.id));
+    }
+    const page = pagination.paginate(entries, queryParams, options);
+    page.data = await Order.loadAsync(page.data.map((entry) => entry.id));
+    return page;
+  }
+
+  /**
+   * Loads the orders with the given IDs, skipping the ones that do not exist (anymore).
+   * @static
+   * @param {Array} ids Order IDs
+   * @returns {Promise<Array>} Resolves with the orders data
+   * @memberof Order
+   */
+  static async loadAsync (ids) {
+    const orders = await Promise.all(ids.map((id) => dataStore.readAsync('orders', id).catch(() => null)));
+    return orders
+      .filter((orderData) => orderData)
+      .map((orderData) => new Order(orderData).toJSON());
+  }
+
+  /**
+   * Loads all orders of the given user, looked up in the `email` index of the orders.
+   * @static
+   * @param {String} email The user ID
+   * @returns {Promise<Array>} Resolves with the orders data
+   * @memberof Order
+   */
+  static async listByEmailAsync (email) {
+    return Order.loadAsync(await dataStore.findAsync('orders', 'email', email));
+  }
+
+  /**
+   * Loads all orders completed within the given time range, looked up in the `completedOn` index of the orders.
+   * @static
+   * @param {Number} [from] The earliest completion time (in mill.), no lower limit if not given
+   * @param {Number} [to] The latest completion time (in mill.), no upper limit if not given
+   * @returns {Promise<Array>} Resolves with the orders data
+   * @memberof Order
+   */
+  static async listCompletedAsync (from, to) {
+    from = typeof from === "number" ? from : null;
+    to = typeof to === "number" ? to : null;
+
+    // the index is by day, so narrow down the orders of the first and the last day afterwards
+    const ids = await dataStore.findRangeAsync('orders', 'completedOn', Order.dayOf(from), Order.dayOf(to));
+    const orders = await Order.loadAsync(ids);
+    return orders.filter((order) => (from === null || order.completedOn >= from) && (to === null || order.completedOn <= to));
+  }
+
+  /**
+   * Returns the (UTC) day of the given timestamp, as a `YYYY-MM-DD` string, or `null` if no timestamp is given.
+   * @static
+   * @param {Number} timestamp Time in mill.
+   * @returns {String}
+   * @memberof Order
+   */
+  static dayOf (timestamp) {
+    return typeof timestamp === "number" ? new Date(timestamp).toISOString().slice(0, 10) : null;
+  }
+
+  /**
+   * Creates the error responded with when the `If-Match` header does not match the version of the order.
+   * @static
+   * @returns {ResponseError}
+   * @memberof Order
+   */
+  static versionMismatchError () {
+    return new ResponseError(412, { 'Error': 'The order has been modified since it was retrieved (If-Match does not match its ETag).' });
+  }
+
+  /**
+   * Returns a copy of the given items hash-map, without the keys that are not IDs of existing items.
+   * @static
+   * @param {Object} items A hash-map of key-value pairs, where the 'key' is the 'itemId' and the 'value' is the quantity.
+   * @returns {Promise<Object>}
+   * @memberof Order
+   */
+  static async validItems (items) {
+    const cartItems = Object.assign({}, items && typeof items === "object" ? items : {});
+    const itemIDs = (await Item.listAsync()).map((item) => item.id);
+
+    // remove all keys that are not valid item IDs
+    Object.keys(cartItems).forEach((cartItem) => {
+      if (itemIDs.indexOf(cartItem) < 0) {
+        delete cartItems[cartItem];
+      }
+    });
+    return cartItems;
+  }
+
+  /**
+   * Returns the total of the given items, at their current prices. The items that do not exist are left out.
+   * @static
+   * @param {Object} items A hash-map of key-value pairs, where the 'key' is the 'itemId' and the 'value' is the quantity.
+   * @param {Object} menu The items, by ID (see `Item.hashmapAsync`)
+   * @returns {Number}
+   * @memberof Order
+   */
+  static totalOf (items, menu) {
+    return Object.keys(items).reduce((sum, itemId) => {
+      if (menu[itemId]) {
+        sum += menu[itemId].unitPrice * items[itemId];
+      }
+      return sum;
+    }, 0);
   }
 
   /**
@@ -326,6 +509,102 @@ class Order {
     return helpers.isValidOrderId(value);
   }
 
+  /**
+   * The schemas of the order data returned by the request handlers, by name (see `src/openapi.js`).
+   * @static
+   * @readonly
+   * @memberof Order
+   */
+  static get schemas () {
+    return {
+      Order: schemas.object({
+        id: schemas.orderId,
+        email: schemas.email,
+        createdOn: { type: "integer", description: "When the order was created, in milliseconds" },
+        completedOn: { type: ["integer", "null"], description: "When the order was paid, in milliseconds" },
+        paymentInfo: { type: ["object", "null"], description: "The details of the payment" },
+        total: { type: "number" },
+        items: schemas.itemQuantities,
+        version: { type: "integer", description: "The version of the record, incremented on every update" }
+      }, ["id", "email", "createdOn", "items"]),
+      OrderPage: schemas.page("Order")
+    };
+  }
+
+  /**
+   * The descriptions of the request handlers, by handler name (see `router.add`). Listing the orders and reading one of them
+   * are both done by `Order.get`, and are described apart.
+   * @static
+   * @readonly
+   * @memberof Order
+   */
+  static get operations () {
+    const order = { description: "The order", schema: schemas.ref("Order"), headers: { ETag: schemas.etag } };
+    const id = schemas.object({ id: schemas.orderId }, ["id"]);
+    const ifMatch = schemas.object({ "if-match": schemas.ifMatch });
+    const time = { type: "string", description: "A time in milliseconds, or a date like `2018-12-12`" };
+
+    return {
+      post: {
+        summary: "Create an order",
+        description: "Creates an order with the given items. The items that do not exist are left out.",
+        tags: ["Orders"],
+        payload: schemas.object({ email: schemas.email, items: schemas.itemQuantities }, ["email", "items"]),
+        responses: { 200: order },
+        errors: { 400: "Missing or invalid email, or no existing items" }
+      },
+      list: {
+        summary: "List the orders",
+        description: "Returns the orders of the user of the token (of all the users, for an admin user), or a page of them, or the order with the given `id`.",
+        tags: ["Orders"],
+        query: schemas.object(Object.assign({
+          id: Object.assign({}, schemas.orderId, { description: "The ID of an order, to return it instead of a page" }),
+          email: Object.assign({}, schemas.email, { description: "Only the orders of this user (for the admin users, the others only list their own orders)" }),
+          completedFrom: Object.assign({}, time, { description: `Only the orders completed at or after this time. ${time.description}` }),
+          completedTo: Object.assign({}, time, { description: `Only the orders completed at or before this time. ${time.description}` }),
+          minTotal: { type: "number", description: "Only the orders with at least this total" },
+          maxTotal: { type: "number", description: "Only the orders with at most this total" }
+        }, schemas.pageQuery(["createdOn", "completedOn", "total", "email", "id"]))),
+        headers: schemas.object({ tokenid: Object.assign({}, schemas.tokenId, { description: "The token of the user whose orders are listed, or of an admin user" }) }),
+        responses: { 200: { description: "The orders, or a page of them if `limit`, `offset` or `cursor` is given", schema: schemas.list("Order") } },
+        errors: { 400: "Invalid filters, sort field or page", 403: "Missing or invalid token, or the orders of another user without an admin token" },
+        list: true
+      },
+      get: {
+        summary: "Read an order",
+        tags: ["Orders"],
+        params: id,
+        responses: { 200: order },
+        errors: { 404: "The order does not exist" }
+      },
+      put: {
+        summary: "Update an order",
+        description: "Updates the given fields of the order.",
+        tags: ["Orders"],
+        params: id,
+        headers: ifMatch,
+        payload: schemas.object({
+          email: schemas.email,
+          items: schemas.itemQuantities,
+          completedOn: { type: "integer", minimum: 1, description: "When the order was paid, in milliseconds" },
+          paymentInfo: { type: "object" },
+          total: { type: "number", minimum: 0, exclusiveMinimum: true }
+        }),
+        responses: { 200: order },
+        errors: { 400: "Missing or invalid fields, nothing to update, or the order does not exist", 412: "The order has been modified since (`If-Match`)" }
+      },
+      delete: {
+        summary: "Delete an order",
+        description: "Moves the order to the trash, recording the user of the `tokenid` header (if any) as the one who deleted it.",
+        tags: ["Orders"],
+        params: id,
+        headers: schemas.object({ "if-match": schemas.ifMatch, tokenid: schemas.tokenId }),
+        responses: { 200: { description: "The deleted order", schema: schemas.ref("Order") } },
+        errors: { 400: "Missing or invalid ID, or the order does not exist", 412: "The order has been modified since (`If-Match`)" }
+      }
+    };
+  }
+
   /**
    * Creates an instance of Token.
    * @constructor
@@ -337,6 +616,7 @@ class Order {
    * @param {String} params.paymentInfo The payment info 
    * @param {Number} params.total total
    * @param {Object} [params.items] A hash-map key-value pairs, where the 'key' is the 'itemId' and the 'value' is the quantity.
+   * @param {Number} [params.version] The version of the stored record
    * @memberof Order.prototype
    */
   constructor(params) {
@@ -348,6 +628,7 @@ class Order {
     this.paymentInfo = params.paymentInfo && (typeof params.paymentInfo === "string" || typeof params.paymentInfo === "object") ? params.paymentInfo : null;
     this.total = typeof params.total === "number" && params.total >= 0 ? params.total : 0.0;
     this.items = typeof params.items === "object" ? params.items : {};
+    this.version = params.version;
   }
 
   /**
@@ -468,160 +749,219 @@ class Order {
     return this._items;
   }
 
+  /**
+   * The version of the stored order record, which is incremented on every update (`0` if it predates versioning)
+   * @property
+   * @type {Number}
+   * @memberof Order.prototype
+   */
+  set version (value) {
+    this._version = typeof value === "number" && value >= 0 ? value : 0;
+    return this;
+  }
+  get version () {
+    return this._version;
+  }
+
   /**
    * Process the payment and complete the order
+   * @param {Object} options See `Order.prototype.chargeAsync`
+   * @returns {Promise<Object>}
+   */
+  async completeAsync (options) {
+    // 1. if the order is already paid do not double charge
+    if (this.completedOn && this.createdOn <= this.completedOn) {
+      return { Info: "Order already completed", completedOn: this.completedOn };
+    }
+
+    // 2. make payment
+    const payment = await this.chargeAsync(options);
+
+    // 3. update order info
+    const orderData = await this.markPaidAsync(payment);
+
+    // 4. mail the receipt
+    let info = `Receipt mailed to ${this.email}`;
+    try {
+      await this.sendInvoiceAsync();
+    } catch (err) {
+      info = `Could not mail the receipt to ${this.email}`;
+    }
+    return { orderData: orderData, info: info };
+  }
+
+  /**
+   * Computes this order's total from the current item prices, and charges it.
+   * The order itself is not updated (see `Order.prototype.markPaidAsync`).
    * @param {Object} options 
    * @param {String} [options.stripeToken=tok_visa] One of these: `tok_visa`, `tok_visa_debit`, `tok_mastercard`, `tok_mastercard_debit`, `tok_mastercard_prepaid`, `tok_amex`, `tok_discover`, `tok_diners`, `tok_jcb`, `tok_unionpay`
-   * @param {Function} callback 
+   * @param {String} [options.idempotencyKey] Makes the payment provider return the first result, rather than charge again, if the charge is repeated with the same key
+   * @returns {Promise<Object>} Resolves with the successful payment details
+   * @throws {ResponseError} A `400` error if the order is empty or the payment is declined,
+   *  or a `502` error if the outcome of the payment is not known (e.g. the payment provider could not be reached)
    */
-  complete (options, callback) {
+  async chargeAsync (options) {
     options = options || {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
 
-    // 1.a. if the order is already paid do not double charge
-    if (this.completedOn && this.createdOn <= this.completedOn) {
-      callback(200, { Info: "Order already completed", completedOn: this.completedOn });
-      return this;
-    }
+    // 1. retrieve the list (the hashmap) of all items
+    const items = await Item.hashmapAsync();
 
-    // 1.b. (otherwise) retrieve the list (the hashmap) of all items
-    Item.hashmap((statusCode, items) => {
-      // 2.a. get this order's items
-      const orderItemsMap = this.items;
+    // 2. get this order's total
+    const total = Order.totalOf(this.items, items);
 
-      // 3.a. get total
-      const total = Object.keys(orderItemsMap).reduce((sum, cartItem) => {
-        if (items[cartItem]) {
-          sum += items[cartItem].unitPrice * orderItemsMap[cartItem];
-        }
-        return sum;
-      }, 0);
-
-      // 2.d. Error if the order items list is empty
-      if (total > 0) {
-        // 3. make payment
-        this.total = total;
-        this.makePayment(options, (err, paymentResult) => {
-          if (!err) {
-            const payment = JSON.parse(paymentResult);
-            if (payment.object === "charge" && payment.paid && payment.status === "succeeded") {
-              // update order info
-              this.paymentInfo = payment;
-              this.completedOn = Date.now();
-
-              Order.put({ payload: this.toJSON() }, (orderStatusCode, orderData) => {
-                this.sendInvoice((statusCode, invoice) => {
-                  if (statusCode) {
-                    callback(orderStatusCode, { orderData: orderData, info: `Receipt mailed to ${this.email}` });
-                  } else {
-                    callback(statusCode, invoice);
-                  }
-                });
-              });
-            } else {
-              callback(400, { Error: "Payment failed.", paymentDetails: payment });
-            }
-          } else {
-            callback(400, err);
-          }
-        });
-      } else {
-        callback(400, { 'Error': 'This order contains no items.' });
+    // Error if the order items list is empty
+    if (total <= 0) {
+      throw new ResponseError(400, { 'Error': 'This order contains no items.' });
+    }
+
+    // 3. make payment
+    this.total = total;
+    let payment;
+    try {
+      payment = JSON.parse(await this.makePaymentAsync(options));
+    } catch (err) {
+      if (typeof err.statusCode === "number" && err.statusCode < 500) {
+        throw new ResponseError(400, { Error: "Payment failed." });
       }
-    });
+      throw new ResponseError(502, { Error: "The payment could not be confirmed." });
+    }
+    if (payment.object !== "charge" || !payment.paid || payment.status !== "succeeded") {
+      throw new ResponseError(400, { Error: "Payment failed.", paymentDetails: payment });
+    }
+    return payment;
+  }
+
+  /**
+   * Records the given payment of this order, and completes it.
+   * @param {Object} payment The payment details, see `Order.prototype.chargeAsync`
+   * @returns {Promise<Object>} Resolves with the updated order data
+   */
+  async markPaidAsync (payment) {
+    this.total = payment.amount / 100;
+    this.paymentInfo = payment;
+    this.completedOn = Date.now();
+    return Order.putAsync({ payload: this.toJSON() });
+  }
+
+  /**
+   * Process the payment and complete the order
+   * @param {Object} options See `Order.prototype.completeAsync`
+   * @param {Function} callback 
+   */
+  complete (options, callback) {
+    helpers.respond(this.completeAsync(options), callback);
     return this;
   }
 
   /**
+   * Charges this order's total.
    * @param {Object} options 
    * @param {String} [options.stripeToken=tok_visa] One of these: `tok_visa`, `tok_visa_debit`, `tok_mastercard`, `tok_mastercard_debit`, `tok_mastercard_prepaid`, `tok_amex`, `tok_discover`, `tok_diners`, `tok_jcb`, `tok_unionpay`
-   * @param {Function} callback 
+   * @param {String} [options.idempotencyKey] See `Order.prototype.chargeAsync`
+   * @returns {Promise<String>} Resolves with the (JSON) payment result
    */
-  makePayment (options, callback) {
+  async makePaymentAsync (options) {
     options = options || {};
     const price = this.total;
-    if (typeof price === "number" && price > 0) {
-      // Create Payload
-      const stringPayload = querystring.stringify({
-        amount: price * 100,
-        currency: "USD",
-        source: options.stripeToken || "tok_visa"
-      });
+    if (typeof price !== "number" || price <= 0) {
+      throw new Error("Invalid payment amount");
+    }
 
-      // Configure request details
-      const requestDetails = {
-        protocol: "https:",
-        hostname: "api.stripe.com",
-        port: 443,
-        method: "POST",
-        path: "/v1/charges",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-          "Accept": "application/json",
-          "Authorization": "Bearer " + config.stripe.secretKey
-        }
-      };
+    // Create Payload
+    const stringPayload = querystring.stringify({
+      amount: Math.round(price * 100),
+      currency: "USD",
+      source: options.stripeToken || "tok_visa"
+    });
 
-      helpers.ajax(requestDetails, stringPayload, (err, paymentInfo) => {
-        callback(err, paymentInfo);
-      });
-    } else {
-      callback({ Error: "Invalid payment amount" });
+    // Configure request details
+    const requestDetails = {
+      protocol: "https:",
+      hostname: "api.stripe.com",
+      port: 443,
+      method: "POST",
+      path: "/v1/charges",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        "Accept": "application/json",
+        "Authorization": "Bearer " + config.stripe.secretKey
+      }
+    };
+    if (options.idempotencyKey) {
+      requestDetails.headers["Idempotency-Key"] = options.idempotencyKey;
     }
+
+    return helpers.ajaxAsync(requestDetails, stringPayload);
   }
 
-  sendInvoice (callback) {
-    Item.hashmap((statusCode, items) => {
-      let item;
-      if (statusCode === 200) {
-        // Create Payload
-        const payload = {
-          from: `PizzaApp<${config.mailgun.domain}>`,
-          to: this.email,
-          subject: `Order Invoice - ${this.id}`,
-          html: `<h1>Invoice</h1>
-          <h5>Your order #${this.id} has been placed successfully</h5>
-          <p>Details</p><hr/>
-          <ul>
-            <li><span>Order ID: </span><strong>${this.id}</strong></li>
-            <li><span>User ID: </span><strong>${this.email}</strong></li>
-            <li><span>Created On: </span><strong>${new Date(this.createdOn).toLocaleString()}</strong></li>
-            <li><span>Completed On: </span><strong>${new Date(this.completedOn).toLocaleString()}</strong></li>
-          </ul>
-          <p>Items</p><hr/>
-          <table>
-            <tr><th>Name</th><th>ID</th><th>Description</th><th>PPU ($)</th><th>Quantity</th></tr>
-            ${Object.keys(this.items).map((itemId) => {
-              item = items[itemId];
-              return `<tr><th>${item.name}</th><th>${item.id}</th><th>${item.description}</th><th>${item.unitPrice}</th><th>${this.items[itemId]}</th></tr>`;
-            })}
-          </table>
-          <p><span>Total: </span><strong>${this.total}</strong></p>`
-        };
-
-        const stringPayload = querystring.stringify(payload);
-
-        // Configure request details
-        const requestDetails = {
-          protocol: "https:",
-          hostname: "api.mailgun.net",
-          method: "POST",
-          auth: `api:${config.mailgun.apiKey}`,
-          path: `/v3/${config.mailgun.domain}/messages`,
-          headers: {
-            "Content-Type": "application/x-www-form-urlencoded",
-            "Accept": "application/json"
-          }
-        };
-
-        helpers.ajax(requestDetails, stringPayload, callback);
-      } else {
-        callback(statusCode, items);
+  /**
+   * @param {Object} options 
+   * @param {String} [options.stripeToken=tok_visa] One of these: `tok_visa`, `tok_visa_debit`, `tok_mastercard`, `tok_mastercard_debit`, `tok_mastercard_prepaid`, `tok_amex`, `tok_discover`, `tok_diners`, `tok_jcb`, `tok_unionpay`
+   * @param {Function} callback 
+   */
+  makePayment (options, callback) {
+    helpers.callback(this.makePaymentAsync(options), callback);
+  }
+
+  /**
+   * Mails the invoice of this order to its user.
+   * @returns {Promise<String>} Resolves with the (JSON) mailing result
+   */
+  async sendInvoiceAsync () {
+    const items = await Item.hashmapAsync();
+    let item;
+
+    // Create Payload
+    const payload = {
+      from: `PizzaApp<${config.mailgun.domain}>`,
+      to: this.email,
+      subject: `Order Invoice - ${this.id}`,
+      html: `<h1>Invoice</h1>
+      <h5>Your order #${this.id} has been placed successfully</h5>
+      <p>Details</p><hr/>
+      <ul>
+        <li><span>Order ID: </span><strong>${this.id}</strong></li>
+        <li><span>User ID: </span><strong>${this.email}</strong></li>
+        <li><span>Created On: </span><strong>${new Date(this.createdOn).toLocaleString()}</strong></li>
+        <li><span>Completed On: </span><strong>${new Date(this.completedOn).toLocaleString()}</strong></li>
+      </ul>
+      <p>Items</p><hr/>
+      <table>
+        <tr><th>Name</th><th>ID</th><th>Description</th><th>PPU ($)</th><th>Quantity</th></tr>
+        ${Object.keys(this.items).map((itemId) => {
+          item = items[itemId];
+          return `<tr><th>${item.name}</th><th>${item.id}</th><th>${item.description}</th><th>${item.unitPrice}</th><th>${this.items[itemId]}</th></tr>`;
+        })}
+      </table>
+      <p><span>Total: </span><strong>${this.total}</strong></p>`
+    };
+
+    const stringPayload = querystring.stringify(payload);
+
+    // Configure request details
+    const requestDetails = {
+      protocol: "https:",
+      hostname: "api.mailgun.net",
+      method: "POST",
+      auth: `api:${config.mailgun.apiKey}`,
+      path: `/v3/${config.mailgun.domain}/messages`,
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        "Accept": "application/json"
       }
-    });
-    return this;
+    };
+
+    return helpers.ajaxAsync(requestDetails, stringPayload);
   }
 
+  /**
+   * Mails the invoice of this order to its user.
+   * @param {Function} callback 
+   */
+  sendInvoice (callback) {
+    helpers.callback(this.sendInvoiceAsync(), callback);
+    return this;
+  }
 
   /**
    * Returns a JSON object containing order's internal state.
@@ -637,9 +977,17 @@ class Order {
       completedOn: this.completedOn,
       paymentInfo: this.paymentInfo,
       total: this.total,
-      items: Object.assign({}, this.items)
+      items: Object.assign({}, this.items),
+      version: this.version
     };
   }
 }
 
+// Index the orders by user, and by the day they were completed on
+dataStore.defineIndex('orders', 'email', (order) => order.email);
+dataStore.defineIndex('orders', 'completedOn', (order) => Order.dayOf(order.completedOn));
+dataStore.defineIndex('orders', 'completedAt', (order) => order.completedOn || null);
+dataStore.defineIndex('orders', 'createdOn', (order) => order.createdOn);
+dataStore.defineIndex('orders', 'total', (order) => order.total);
+
 module.exports = Order;
\ No newline at end of file
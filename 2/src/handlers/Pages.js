@@ -0,0 +1,601 @@
+// Dependencies
+const helpers = require("../helpers");
+const templates = require("../templates");
+const ResponseError = require("../ResponseError");
+const Token = require("./Token");
+const User = require("./User");
+const Item = require("./Item");
+const Order = require("./Order");
+
+// The cookie that keeps the token ID of the signed in user
+const SESSION_COOKIE = "token";
+
+// The content type of the forms, which the handlers convert the fields of (see `helpers.validateRequest`)
+const FORM_TYPE = "application/x-www-form-urlencoded";
+
+// The response headers of the pages
+const HTML_HEADERS = { "Content-Type": "text/html; charset=utf-8" };
+
+// The cards the orders can be paid with, by Stripe (test) token, see `User.checkoutAsync`
+const CARDS = {
+  "tok_visa": "Visa",
+  "tok_mastercard": "Mastercard",
+  "tok_amex": "American Express",
+  "tok_discover": "Discover"
+};
+
+/**
+ * Formats the given amount in USD.
+ * @param {Number} value
+ * @returns {String}
+ */
+const priceOf = (value) => `$${(Number(value) || 0).toFixed(2)}`;
+
+/**
+ * Formats the given timestamp as `YYYY-MM-DD HH:mm` (UTC).
+ * @param {Number} time
+ * @returns {String}
+ */
+const dateOf = (time) => typeof time === "number" && time > 0 ? new Date(time).toISOString().slice(0, 16).replace("T", " ") : "";
+
+/**
+ * Returns the `Set-Cookie` header value that keeps the given token ID in the browser, or deletes it if none is given.
+ * @param {String} [tokenId]
+ * @param {Boolean} [secure] Whether the browser may only send the cookie over HTTPS
+ * @returns {String}
+ */
+const sessionCookieOf = (tokenId, secure) => (tokenId ?
+  `${SESSION_COOKIE}=${tokenId}; Path=/; HttpOnly; SameSite=Lax` :
+  `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`) + (secure ? "; Secure" : "");
+
+/**
+ * Implements the pages of the web storefront: the menu, the account signup and login, the cart, the checkout
+ * and the order history. They are rendered from the `templates` directory, and call the `User`, `Token`, `Item`
+ * and `Order` request handlers for the data. The token of the signed in user is kept in a cookie.
+ * @class Pages
+ */
+module.exports = class Pages {
+  /**
+   * Renders the menu: all the items, with a form to add each of them to the cart.
+   * @static
+   * @param {Object} data
+   * @returns {Promise<Object>} Resolves with the page, see `Pages.respond`
+   * @memberof Pages
+   */
+  static async menuAsync (data) {
+    const items = (await Item.listAsync()).sort((a, b) => a.name.localeCompare(b.name));
+    const rows = items.map((item) => ({
+      id: item.id,
+      name: item.name,
+      description: item.description,
+      imageURL: item.imageURL,
+      price: priceOf(item.unitPrice)
+    }));
+    return {
+      template: "menu",
+      title: "Menu",
+      fields: {
+        items: rows.length ? await templates.renderEachAsync("_menuItem", rows) : await templates.renderAsync("_empty", { message: "The menu is empty." })
+      }
+    };
+  }
+
+  /**
+   * Renders the menu.
+   * @static
+   * @param {Object} data
+   * @param {Function} callback
+   * @memberof Pages
+   */
+  static menu (data, callback) {
+    Pages.respond(Pages.menuAsync(data), data, callback);
+    return Pages;
+  }
+
+  /**
+   * Renders the signup form.
+   * @static
+   * @param {Object} data
+   * @returns {Promise<Object>} Resolves with the page, see `Pages.respond`
+   * @memberof Pages
+   */
+  static async signupFormAsync (data) {
+    return { template: "signup", title: "Sign up", fields: {} };
+  }
+
+  /**
+   * Renders the signup form.
+   * @static
+   * @param {Object} data
+   * @param {Function} callback
+   * @memberof Pages
+   */
+  static signupForm (data, callback) {
+    Pages.respond(Pages.signupFormAsync(data), data, callback);
+    return Pages;
+  }
+
+  /**
+   * Creates a user (see `User.postAsync`) and signs them in. The form is rendered again, with the error, if the user cannot be created.
+   * @static
+   * @param {Object} data
+   * @param {Object} data.payload The signup form: `email`, `password`, `tosAgreement`, `firstName`, `lastName` and `streetAddress`
+   * @returns {Promise<Object>} Resolves with the page, see `Pages.respond`
+   * @memberof Pages
+   */
+  static async signupAsync (data) {
+    const fields = ["email", "password", "tosAgreement", "firstName", "lastName", "streetAddress"].reduce((fields, name) => {
+      fields[name] = typeof data.payload[name] === "string" ? data.payload[name] : "";
+      return fields;
+    }, {});
+
+    try {
+      await User.postAsync({ headers: { "content-type": FORM_TYPE }, payload: Object.assign({}, fields) });
+    } catch (err) {
+      if (!(err instanceof ResponseError) || err.statusCode !== 400) {
+        throw err;
+      }
+      delete fields.password;
+      return { template: "signup", title: "Sign up", statusCode: 400, fields: Object.assign(fields, { error: Pages.errorMessageOf(err) }) };
+    }
+    return Pages.signInAsync(fields.email, fields.password, "/", data.secure);
+  }
+
+  /**
+   * Creates a user and signs them in.
+   * @static
+   * @param {Object} data See `Pages.signupAsync`
+   * @param {Function} callback
+   * @memberof Pages
+   */
+  static signup (data, callback) {
+    Pages.respond(Pages.signupAsync(data), data, callback);
+    return Pages;
+  }
+
+  /**
+   * Renders the login form.
+   * @static
+   * @param {Object} data
+   * @param {Object} data.queryParams
+   * @param {String} [data.queryParams.next] The page to go to once signed in
+   * @returns {Promise<Object>} Resolves with the page, see `Pages.respond`
+   * @memberof Pages
+   */
+  static async loginFormAsync (data) {
+    return { template: "login", title: "Log in", fields: { next: Pages.nextPageOf(data.queryParams.next) } };
+  }
+
+  /**
+   * Renders the login form.
+   * @static
+   * @param {Object} data See `Pages.loginFormAsync`
+   * @param {Function} callback
+   * @memberof Pages
+   */
+  static loginForm (data, callback) {
+    Pages.respond(Pages.loginFormAsync(data), data, callback);
+    return Pages;
+  }
+
+  /**
+   * Signs a user in with a new token (see `Token.postAsync`). The form is rendered again, with the error, if the credentials are wrong.
+   * @static
+   * @param {Object} data
+   * @param {Object} data.payload The login form: `email`, `password` and `next`, the page to go to once signed in
+   * @returns {Promise<Object>} Resolves with the page, see `Pages.respond`
+   * @memberof Pages
+   */
+  static async loginAsync (data) {
+    const email = typeof data.payload.email === "string" ? data.payload.email : "";
+    const password = typeof data.payload.password === "string" ? data.payload.password : "";
+    const next = Pages.nextPageOf(data.payload.next);
+    try {
+      return await Pages.signInAsync(email, password, next, data.secure);
+    } catch (err) {
+      if (!(err instanceof ResponseError) || [400, 404].indexOf(err.statusCode) < 0) {
+        throw err;
+      }
+      return { template: "login", title: "Log in", statusCode: 400, fields: { email: email, next: next, error: "Invalid email or password." } };
+    }
+  }
+
+  /**
+   * Signs a user in.
+   * @static
+   * @param {Object} data See `Pages.loginAsync`
+   * @param {Function} callback
+   * @memberof Pages
+   */
+  static login (data, callback) {
+    Pages.respond(Pages.loginAsync(data), data, callback);
+    return Pages;
+  }
+
+  /**
+   * Signs the user out, deleting their token.
+   * @static
+   * @param {Object} data
+   * @returns {Promise<Object>} Resolves with the page, see `Pages.respond`
+   * @memberof Pages
+   */
+  static async logoutAsync (data) {
+    const session = await Pages.sessionAsync(data);
+    if (session) {
+      await Token.deleteAsync({ queryParams: { id: session.tokenId } }).catch(() => null);
+    }
+    return { redirect: "/", cookie: sessionCookieOf(null, data.secure) };
+  }
+
+  /**
+   * Signs the user out.
+   * @static
+   * @param {Object} data
+   * @param {Function} callback
+   * @memberof Pages
+   */
+  static logout (data, callback) {
+    Pages.respond(Pages.logoutAsync(data), data, callback);
+    return Pages;
+  }
+
+  /**
+   * Renders the cart of the signed in user, with a form to change the quantity of each item or remove it.
+   * @static
+   * @param {Object} data
+   * @returns {Promise<Object>} Resolves with the page, see `Pages.respond`
+   * @memberof Pages
+   */
+  static async cartAsync (data) {
+    const cart = await Pages.cartOfAsync(data, await Pages.requireSessionAsync(data));
+    return {
+      template: "cart",
+      title: "Cart",
+      fields: {
+        items: cart.lines.length ? await templates.renderEachAsync("_cartItem", cart.lines) : await templates.renderAsync("_emptyRow", { message: "Your cart is empty.", columns: 5 }),
+        total: priceOf(cart.total),
+        checkoutDisabled: cart.lines.length ? "" : "disabled"
+      }
+    };
+  }
+
+  /**
+   * Renders the cart.
+   * @static
+   * @param {Object} data
+   * @param {Function} callback
+   * @memberof Pages
+   */
+  static cart (data, callback) {
+    Pages.respond(Pages.cartAsync(data), data, callback);
+    return Pages;
+  }
+
+  /**
+   * Sets the quantity of an item in the cart of the signed in user (see `User.addToCartAsync`), and goes back to the cart.
+   * @static
+   * @param {Object} data
+   * @param {Object} data.payload The form: `itemId` and `quantity` (`0` removes the item)
+   * @returns {Promise<Object>} Resolves with the page, see `Pages.respond`
+   * @memberof Pages
+   */
+  static async addToCartAsync (data) {
+    const session = await Pages.requireSessionAsync(data);
+    await User.addToCartAsync(Pages.handlerDataOf(data, session, {
+      payload: { email: session.email, itemId: data.payload.itemId, quantity: data.payload.quantity }
+    }));
+    return { redirect: "/cart" };
+  }
+
+  /**
+   * Sets the quantity of an item in the cart.
+   * @static
+   * @param {Object} data See `Pages.addToCartAsync`
+   * @param {Function} callback
+   * @memberof Pages
+   */
+  static addToCart (data, callback) {
+    Pages.respond(Pages.addToCartAsync(data), data, callback);
+    return Pages;
+  }
+
+  /**
+   * Removes an item from the cart of the signed in user (see `User.removeFromCartAsync`), and goes back to the cart.
+   * @static
+   * @param {Object} data
+   * @param {Object} data.params
+   * @param {String} data.params.itemId
+   * @returns {Promise<Object>} Resolves with the page, see `Pages.respond`
+   * @memberof Pages
+   */
+  static async removeFromCartAsync (data) {
+    const session = await Pages.requireSessionAsync(data);
+    await User.removeFromCartAsync(Pages.handlerDataOf(data, session, {
+      payload: { email: session.email, itemId: data.params.itemId }
+    }));
+    return { redirect: "/cart" };
+  }
+
+  /**
+   * Removes an item from the cart.
+   * @static
+   * @param {Object} data See `Pages.removeFromCartAsync`
+   * @param {Function} callback
+   * @memberof Pages
+   */
+  static removeFromCart (data, callback) {
+    Pages.respond(Pages.removeFromCartAsync(data), data, callback);
+    return Pages;
+  }
+
+  /**
+   * Renders the checkout form: the items of the cart of the signed in user, their total, and the card to pay with.
+   * An empty cart goes back to the cart page.
+   * @static
+   * @param {Object} data
+   * @returns {Promise<Object>} Resolves with the page, see `Pages.respond`
+   * @memberof Pages
+   */
+  static async checkoutFormAsync (data) {
+    const cart = await Pages.cartOfAsync(data, await Pages.requireSessionAsync(data));
+    if (!cart.lines.length) {
+      return { redirect: "/cart" };
+    }
+    return {
+      template: "checkout",
+      title: "Checkout",
+      fields: {
+        items: await templates.renderEachAsync("_orderLine", cart.lines),
+        total: priceOf(cart.total),
+        streetAddress: cart.user.streetAddress,
+        cards: await templates.renderEachAsync("_option", Object.keys(CARDS).map((token) => ({ value: token, label: CARDS[token] })))
+      }
+    };
+  }
+
+  /**
+   * Renders the checkout form.
+   * @static
+   * @param {Object} data
+   * @param {Function} callback
+   * @memberof Pages
+   */
+  static checkoutForm (data, callback) {
+    Pages.respond(Pages.checkoutFormAsync(data), data, callback);
+    return Pages;
+  }
+
+  /**
+   * Places and pays the order of the cart of the signed in user (see `User.checkoutAsync`), and goes to the order history.
+   * @static
+   * @param {Object} data
+   * @param {Object} data.payload The form: `card`, one of the Stripe tokens of the cards offered
+   * @returns {Promise<Object>} Resolves with the page, see `Pages.respond`
+   * @memberof Pages
+   */
+  static async checkoutAsync (data) {
+    const session = await Pages.requireSessionAsync(data);
+    if (!Object.prototype.hasOwnProperty.call(CARDS, data.payload.card)) {
+      throw new ResponseError(400, { "Error": "Choose a card to pay with." });
+    }
+    await User.checkoutAsync(Pages.handlerDataOf(data, session, {
+      payload: { email: session.email, stripeToken: data.payload.card }
+    }));
+    return { redirect: "/account/orders" };
+  }
+
+  /**
+   * Places and pays the order of the cart.
+   * @static
+   * @param {Object} data See `Pages.checkoutAsync`
+   * @param {Function} callback
+   * @memberof Pages
+   */
+  static checkout (data, callback) {
+    Pages.respond(Pages.checkoutAsync(data), data, callback);
+    return Pages;
+  }
+
+  /**
+   * Renders the order history of the signed in user, the latest orders first.
+   * @static
+   * @param {Object} data
+   * @returns {Promise<Object>} Resolves with the page, see `Pages.respond`
+   * @memberof Pages
+   */
+  static async ordersAsync (data) {
+    const session = await Pages.requireSessionAsync(data);
+
+    // Make sure the token is (still) valid for the user, before listing their orders
+    await User.getAsync(Pages.handlerDataOf(data, session, { queryParams: { email: session.email } }));
+    const page = await Order.getAsync(Pages.handlerDataOf(data, session, { queryParams: { email: session.email, sort: "-createdOn", limit: "100" } }));
+    const items = await Item.hashmapAsync();
+
+    const rows = page.data.map((order) => ({
+      id: order.id,
+      date: dateOf(order.createdOn),
+      items: Object.keys(order.items).map((itemId) => `${order.items[itemId]} × ${items[itemId] ? items[itemId].name : itemId}`).join(", "),
+      total: priceOf(order.total),
+      status: order.completedOn ? "Paid" : "Pending"
+    }));
+    return {
+      template: "orders",
+      title: "Orders",
+      fields: {
+        orders: rows.length ? await templates.renderEachAsync("_order", rows) : await templates.renderAsync("_emptyRow", { message: "You have no orders yet.", columns: 5 })
+      }
+    };
+  }
+
+  /**
+   * Renders the order history.
+   * @static
+   * @param {Object} data
+   * @param {Function} callback
+   * @memberof Pages
+   */
+  static orders (data, callback) {
+    Pages.respond(Pages.ordersAsync(data), data, callback);
+    return Pages;
+  }
+
+  /**
+   * Settles the promise returned by a page into its `(statusCode, payload, headers, err)` callback. The promise resolves with either:
+   * - `{ template, title, fields, statusCode }`: the template rendered into the layout, with the fields, and the status code (`200` by default)
+   * - `{ redirect, cookie }`: a `303 See Other` redirect to the given path, setting the given cookie, if any
+   * A `403` ResponseError (the user is not signed in) redirects to the login page, any other error renders the error page. The errors
+   * that are not ResponseErrors are also passed to the callback, to be logged (see `helpers.respond`).
+   * @static
+   * @param {Promise<Object>} promise
+   * @param {Object} data The request data
+   * @param {Function} [callback]
+   * @memberof Pages
+   */
+  static respond (promise, data, callback) {
+    callback = typeof callback === "function" ? callback : Function.prototype;
+    promise.catch((err) => {
+      if (err instanceof ResponseError && err.statusCode === 403) {
+        const next = data.method === "get" ? `?next=${encodeURIComponent(`/${data.path}`)}` : "";
+        return { redirect: `/account/login${next}`, cookie: sessionCookieOf(null, data.secure) };
+      }
+      return {
+        template: "error",
+        title: "Error",
+        statusCode: err instanceof ResponseError ? err.statusCode : 500,
+        fields: { message: err instanceof ResponseError ? Pages.errorMessageOf(err) : "Something went wrong. Please try again later." },
+        error: err instanceof ResponseError ? null : err
+      };
+    }).then(async (page) => {
+      if (page.redirect) {
+        callback(303, "", Object.assign({ "Location": page.redirect }, page.cookie ? { "Set-Cookie": page.cookie } : {}));
+        return;
+      }
+      const session = await Pages.sessionAsync(data);
+      const nav = session ? await templates.renderAsync("_navUser", { email: session.email }) : await templates.renderAsync("_navGuest");
+      const html = await templates.renderPageAsync(page.template, page.fields, { title: page.title, nav: nav });
+      callback(page.statusCode || 200, html, HTML_HEADERS, page.error);
+    }).catch((err) => {
+      callback(500, "Internal server error", { "Content-Type": "text/plain; charset=utf-8" }, err);
+    });
+  }
+
+  /**
+   * Signs a user in with a new token, and redirects to the given page.
+   * @static
+   * @param {String} email
+   * @param {String} password
+   * @param {String} next The page to go to
+   * @param {Boolean} [secure] Whether the request is made over HTTPS, in which case the cookie is only sent over HTTPS
+   * @returns {Promise<Object>} Resolves with the redirect, see `Pages.respond`
+   * @memberof Pages
+   */
+  static async signInAsync (email, password, next, secure) {
+    const token = await Token.postAsync({ payload: { email: email, password: password } });
+    return { redirect: next, cookie: sessionCookieOf(token.id, secure) };
+  }
+
+  /**
+   * Looks up the token of the session cookie.
+   * @static
+   * @param {Object} data The request data
+   * @returns {Promise<Object|null>} Resolves with the session, as `{ tokenId, email }`, or `null` if the user is not signed in
+   * @memberof Pages
+   */
+  static async sessionAsync (data) {
+    const tokenId = helpers.parseCookies(data.headers)[SESSION_COOKIE];
+    const token = Token.authenticate(data, await Token.fromHeadersAsync({ tokenid: tokenId }).catch(() => null));
+    return token ? { tokenId: token.id, email: token.email } : null;
+  }
+
+  /**
+   * Looks up the token of the session cookie, for the pages of the signed in users.
+   * @static
+   * @param {Object} data The request data
+   * @returns {Promise<Object>} Resolves with the session, as `{ tokenId, email }`
+   * @throws {ResponseError} `403` if the user is not signed in
+   * @memberof Pages
+   */
+  static async requireSessionAsync (data) {
+    const session = await Pages.sessionAsync(data);
+    if (!session) {
+      throw new ResponseError(403, { "Error": "Please log in." });
+    }
+    return session;
+  }
+
+  /**
+   * Returns the message of a ResponseError to show on a page, followed by the errors of the fields if the request was invalid
+   * (see `helpers.validateRequest`), e.g. `Invalid request: quantity must be an integer.`
+   * @static
+   * @param {ResponseError} err
+   * @returns {String}
+   * @memberof Pages
+   */
+  static errorMessageOf (err) {
+    const errors = err.payload && err.payload.errors instanceof Array ? err.payload.errors : [];
+    if (!errors.length) {
+      return err.message;
+    }
+    const details = errors.map((error) => `${error.field.replace(/^payload\./, "")} ${error.message}`);
+    return `${err.message}: ${details.join(", ")}.`;
+  }
+
+  /**
+   * Returns the request data to call a request handler with, on behalf of the signed in user.
+   * @static
+   * @param {Object} data The request data of the page
+   * @param {Object} session See `Pages.sessionAsync`
+   * @param {Object} [fields] The `queryParams` and `payload` of the handler request
+   * @returns {Object} The request data, its payload marked as a form (see `helpers.validateRequest`)
+   * @memberof Pages
+   */
+  static handlerDataOf (data, session, fields) {
+    fields = fields && typeof fields === "object" ? fields : {};
+    return {
+      headers: { tokenid: session.tokenId, "content-type": FORM_TYPE },
+      params: {},
+      queryParams: fields.queryParams || {},
+      payload: fields.payload || {},
+      requestId: data.requestId
+    };
+  }
+
+  /**
+   * Loads the cart of the signed in user.
+   * @static
+   * @param {Object} data The request data
+   * @param {Object} session See `Pages.sessionAsync`
+   * @returns {Promise<Object>} Resolves with `{ user, lines, total }`, a line for each item of the cart as `{ id, name, quantity, price, subtotal }`
+   * @memberof Pages
+   */
+  static async cartOfAsync (data, session) {
+    const user = await User.getAsync(Pages.handlerDataOf(data, session, { queryParams: { email: session.email } }));
+    const items = await Item.hashmapAsync();
+    const cart = user.cart && typeof user.cart === "object" ? user.cart : {};
+
+    let total = 0;
+    const lines = Object.keys(cart).filter((itemId) => items[itemId]).map((itemId) => {
+      const subtotal = items[itemId].unitPrice * cart[itemId];
+      total += subtotal;
+      return {
+        id: itemId,
+        name: items[itemId].name,
+        quantity: cart[itemId],
+        price: priceOf(items[itemId].unitPrice),
+        subtotal: priceOf(subtotal)
+      };
+    });
+    return { user: user, lines: lines, total: total };
+  }
+
+  /**
+   * Returns the given page to go to once signed in, if it is a path of this site, or the menu otherwise.
+   * @static
+   * @param {String} value
+   * @returns {String}
+   * @memberof Pages
+   */
+  static nextPageOf (value) {
+    return typeof value === "string" && /^\/(?![/\\])/.test(value) ? value : "/";
+  }
+};
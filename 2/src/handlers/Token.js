@@ -1,6 +1,11 @@
 // Dependencies
 const helpers = require("../helpers");
 const dataStore = require("../dataStore");
+const ResponseError = require("../ResponseError");
+const schemas = require("./schemas");
+
+// Index the tokens by user
+dataStore.defineIndex("tokens", "email", (token) => token.email);
 
 /**
  * Defines and implements the CRUD operations for authentication tokens, as well as the functionality
@@ -8,200 +13,255 @@ const dataStore = require("../dataStore");
  * @class Token
  */
 module.exports = class Token {
-  /**
-   * HTTP Request handler for Tokens. It handles the HTTP `post`, `get`, `put` and `delete` methods.
-   * @param {Object} data 
-   * @param {String} data.path Recognized paths: `tokens`
-   * @param {Object} data.queryParams
-   * @param {Object} data.headers
-   * @param {Object} data.payload
-   * @param {String} data.method The HTTP method [`post` | `get` | `put` | `delete`]
-   * @param {Function} callback 
-   */
-  static httpRequestHandler (data, callback) {
-    data = data && typeof data === "object" ? data : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
-
-    const acceptedMethods = ["post", "get", "put", "delete"];
-    const method = typeof data.method === "string" ? data.method.trim().toLowerCase() : "";
-    if (acceptedMethods.indexOf(method) > -1) {
-      Token[method](data, callback);
-    } else {
-      callback(405);
-    }
-    return Token;
-  }
-
   /**
    * Creates and stores a new Token.
    * @param {Object} data 
    * @param {Object} data.payload
    * @param {String} data.payload.email User ID (email)
    * @param {String} data.payload.password User password
-   * @param {Function} callback 
+   * @returns {Promise<Object>} Resolves with the new token data
    */
-  static post (data, callback) {
+  static async postAsync (data) {
     data = data && typeof data === "object" ? data : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
+    data.payload = data.payload && typeof data.payload === "object" ? data.payload : {};
 
     // Check that all required fields are filled out
     const email = Token.isValidUserId(data.payload.email) ? data.payload.email.trim() : false;
     const password = Token.isValidPassword(data.payload.password) ? data.payload.password.trim() : false;
 
-    if (email && password) {
-      // Lookup the user who matches that email
-      dataStore.read("users", email, function (err, userData) {
-        if (!err && userData) {
-          // Hash the sent password, and compare it to the password stored in the user object
-          const hashedPassword = helpers.hash(password);
-          if (hashedPassword === userData.password) {
-            // If valid, create a new token with a random name. Set an expiration date 1 hour in the future.
-            const tokenId = Token.createUniqueId();
-            const expiration = Date.now() + 1000 * 60 * 60;
-            const tokenObject = new Token({
-              email: email,
-              id: tokenId,
-              expiration: expiration
-            }).toJSON();
-
-            // Store the token
-            dataStore.create("tokens", tokenId, tokenObject, (err) => {
-              if (!err) {
-                callback(200, tokenObject);
-              } else {
-                callback(500, { error: "Could not create the new token" });
-              }
-            });
-          } else {
-            callback(400, { error: "Password did not match the specified user password" });
-          }
-        } else {
-          callback(404, { error: "A token with the given ID cannot be found" });
-        }
-      });
-    } else {
-      callback(400, { error: "Missing required field(s)." });
+    if (!email || !password) {
+      throw new ResponseError(400, { error: "Missing required field(s)." });
     }
+
+    // Lookup the user who matches that email
+    const userData = await dataStore.readAsync("users", email).catch(() => null);
+    if (!userData) {
+      throw new ResponseError(404, { error: "A token with the given ID cannot be found" });
+    }
+
+    // Hash the sent password, and compare it to the password stored in the user object
+    const hashedPassword = helpers.hash(password);
+    if (hashedPassword !== userData.password) {
+      throw new ResponseError(400, { error: "Password did not match the specified user password" });
+    }
+
+    // If valid, create a new token with a random name. Set an expiration date 1 hour in the future.
+    const tokenId = Token.createUniqueId();
+    const expiration = Date.now() + 1000 * 60 * 60;
+    const tokenObject = new Token({
+      email: email,
+      id: tokenId,
+      expiration: expiration
+    }).toJSON();
+
+    // Store the token
+    try {
+      await dataStore.createAsync("tokens", tokenId, tokenObject);
+      Token.authenticate(data, tokenObject);
+    } catch (err) {
+      throw new ResponseError(500, { error: "Could not create the new token" });
+    }
+    return tokenObject;
+  }
+
+  /**
+   * Creates and stores a new Token.
+   * @param {Object} data See `Token.postAsync`
+   * @param {Function} callback 
+   */
+  static post (data, callback) {
+    helpers.respond(Token.postAsync(data), callback);
     return Token;
   }
 
   /**
-   * Retrieves and calls back with an existing Token.
+   * Retrieves an existing Token.
    * @param {Object} data 
+   * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+   * @param {String} [data.params.id] Used instead of `data.queryParams.id`
    * @param {Object} data.queryParams
    * @param {String} data.queryParams.id 
-   * @param {Function} callback 
+   * @returns {Promise<Object>} Resolves with the token data
    */
-  static get (data, callback) {
+  static async getAsync (data) {
     data = data && typeof data === "object" ? data : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
+    data.queryParams = data.queryParams && typeof data.queryParams === "object" ? data.queryParams : {};
 
     // Check that id is valid
-    const id = Token.isValidTokenId(data.queryParams.id) ? data.queryParams.id.trim() : false;
-    if (id) {
-      // Lookup the token
-      dataStore.read("tokens", id, function (err, tokenData) {
-        if (!err && tokenData) {
-          callback(200, new Token(tokenData).toJSON());
-        } else {
-          callback(404, { error: "A token with the given ID cannot be found" });
-        }
-      });
-    } else {
-      callback(400, { error: "Missing required field, or field invalid" })
+    const id = helpers.requestParam(data, "id", "queryParams", Token.isValidTokenId);
+    if (!id) {
+      throw new ResponseError(400, { error: "Missing required field, or field invalid" });
     }
+
+    // Lookup the token
+    const tokenData = await dataStore.readAsync("tokens", id).catch(() => null);
+    if (!tokenData) {
+      throw new ResponseError(404, { error: "A token with the given ID cannot be found" });
+    }
+    return new Token(tokenData).toJSON();
+  }
+
+  /**
+   * Retrieves and calls back with an existing Token.
+   * @param {Object} data See `Token.getAsync`
+   * @param {Function} callback 
+   */
+  static get (data, callback) {
+    helpers.respond(Token.getAsync(data), callback);
     return Token;
   }
 
   /**
    * Updates or modifies an existing Token.
    * @param {Object} data 
+   * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+   * @param {String} [data.params.id] Used instead of `data.payload.id`
    * @param {Object} data.payload
    * @param {String} data.payload.id 
    * @param {Boolean} data.payload.extend 
-   * @param {Function} callback 
+   * @returns {Promise}
    */
-  static put (data, callback) {
+  static async putAsync (data) {
     data = data && typeof data === "object" ? data : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
+    data.payload = data.payload && typeof data.payload === "object" ? data.payload : {};
+
+    const id = helpers.requestParam(data, "id", "payload", Token.isValidTokenId);
+    const extend = data.payload.extend === true || data.payload.extend === "true";
+    if (!id || !extend) {
+      throw new ResponseError(400, { error: "Missing required field(s) or field(s) are invalid." });
+    }
+
+    // Lookup the existing token
+    const tokenData = await dataStore.readAsync("tokens", id).catch(() => null);
+    const token = new Token(tokenData);
+    if (!tokenData || token.id !== id) {
+      throw new ResponseError(404, { error: "A token with the given ID cannot be found" });
+    }
+    Token.authenticate(data, token);
 
-    const id = Token.isValidTokenId(data.payload.id) ? data.payload.id.trim() : false;
-    const extend = typeof (data.payload.extend) == "boolean" && data.payload.extend == true ? true : false;
-    if (id && extend) {
-      // Lookup the existing token
-      dataStore.read("tokens", id, (err, tokenData) => {
-        if (!err && tokenData) {
-          const token = new Token(tokenData);
-
-          // Check to make sure the token isn't already expired
-          if (token.id === id && token.expiration > Date.now()) {
-            // Set the expiration an hour from now
-            token.expiration = Date.now() + 1000 * 60 * 60;
-            // Store the new updates
-            dataStore.update("tokens", id, token.toJSON(), (err) => {
-              if (!err) {
-                callback(200);
-              } else {
-                callback(500, { error: "Could not update this token's expiration." });
-              }
-            });
-          } else if (token.id === id) {
-            // delete the token, if it is expired
-            dataStore.delete("tokens", id, (err) => {
-              if (!err) {
-                callback(400, { error: "The token cannot be extended (it is expired and deleted)." });
-              } else {
-                callback(500, { error: "The token cannot be extended (it is expired, but could not be deleted)." });
-              }
-            });
-          }
-        } else {
-          callback(404, { error: "A token with the given ID cannot be found" });
-        }
-      });
+    // Check to make sure the token isn't already expired
+    if (token.expiration > Date.now()) {
+      // Set the expiration an hour from now
+      token.expiration = Date.now() + 1000 * 60 * 60;
+      // Store the new updates
+      try {
+        await dataStore.updateAsync("tokens", id, token.toJSON());
+      } catch (err) {
+        throw new ResponseError(500, { error: "Could not update this token's expiration." });
+      }
     } else {
-      callback(400, { error: "Missing required field(s) or field(s) are invalid." });
+      // delete the token, if it is expired
+      try {
+        await dataStore.deleteAsync("tokens", id);
+      } catch (err) {
+        throw new ResponseError(500, { error: "The token cannot be extended (it is expired, but could not be deleted)." });
+      }
+      throw new ResponseError(400, { error: "The token cannot be extended (it is expired and deleted)." });
     }
+  }
+
+  /**
+   * Updates or modifies an existing Token.
+   * @param {Object} data See `Token.putAsync`
+   * @param {Function} callback 
+   */
+  static put (data, callback) {
+    helpers.respond(Token.putAsync(data), callback);
     return Token;
   }
 
   /**
    * Deletes an existing Token.
    * @param {Object} data 
+   * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+   * @param {String} [data.params.id] Used instead of `data.queryParams.id`
    * @param {Object} data.queryParams
    * @param {String} data.queryParams.id 
-   * @param {Function} callback 
+   * @returns {Promise}
    */
-  static delete (data, callback) {
+  static async deleteAsync (data) {
     data = data && typeof data === "object" ? data : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
+    data.queryParams = data.queryParams && typeof data.queryParams === "object" ? data.queryParams : {};
 
     // Check that id is valid
-    let id = Token.isValidTokenId(data.queryParams.id) ? data.queryParams.id.trim() : false;
-    let token; // = new Token(tokenData);
-    if (id) {
-      // Lookup the token
-      dataStore.read("tokens", id, function (err, tokenData) {
-        token = new Token(tokenData);
-        if (!err && token.id === id) {
-          // Delete the token
-          dataStore.delete("tokens", id, function (err) {
-            if (!err) {
-              callback(200);
-            } else {
-              callback(500, { error: "Could not delete the specified token" });
-            }
-          });
-        } else {
-          callback(400, { error: "Could not find the specified token." });
-        }
-      });
-    } else {
-      callback(400, { error: "Missing required field" });
+    const id = helpers.requestParam(data, "id", "queryParams", Token.isValidTokenId);
+    if (!id) {
+      throw new ResponseError(400, { error: "Missing required field" });
+    }
+
+    // Lookup the token
+    const tokenData = await dataStore.readAsync("tokens", id).catch(() => null);
+    if (!tokenData || new Token(tokenData).id !== id) {
+      throw new ResponseError(400, { error: "Could not find the specified token." });
+    }
+    Token.authenticate(data, tokenData);
+
+    // Delete the token
+    try {
+      await dataStore.deleteAsync("tokens", id);
+    } catch (err) {
+      throw new ResponseError(500, { error: "Could not delete the specified token" });
     }
+  }
+
+  /**
+   * Deletes an existing Token.
+   * @param {Object} data See `Token.deleteAsync`
+   * @param {Function} callback 
+   */
+  static delete (data, callback) {
+    helpers.respond(Token.deleteAsync(data), callback);
     return Token;
   }
 
+  /**
+   * Deletes all the tokens of the given user (logging the user out of all sessions), looked up in the `email` index of the tokens.
+   * @static
+   * @param {String} email The user ID
+   * @returns {Promise<Number>} Resolves with the number of deleted tokens
+   * @memberof Token
+   */
+  static async deleteByEmailAsync (email) {
+    const ids = await dataStore.findAsync("tokens", "email", email);
+    const deleted = await Promise.all(ids.map((id) => dataStore.deleteAsync("tokens", id).then(() => true, () => false)));
+    if (deleted.indexOf(false) > -1) {
+      throw new ResponseError(500, { error: "Could not delete all the tokens of the specified user" });
+    }
+    return ids.length;
+  }
+
+  /**
+   * Records the user a request is authenticated as on its data, as `data.userEmail`, for the access log (see `middleware.accessLog`).
+   * @static
+   * @param {Object} data The request data
+   * @param {Token|Object} [token] The valid token of the request, if any
+   * @returns {Token|Object} The token
+   * @memberof Token
+   */
+  static authenticate (data, token) {
+    if (data && typeof data === "object" && token && typeof token.email === "string") {
+      data.userEmail = token.email;
+    }
+    return token;
+  }
+
+  /**
+   * Looks up the token given in the `tokenid` header of a request.
+   * @static
+   * @param {Object} headers The request headers
+   * @returns {Promise<Token|null>} Resolves with the token, or `null` if the header is missing or the token is invalid or expired
+   * @memberof Token
+   */
+  static async fromHeadersAsync (headers) {
+    headers = headers && typeof headers === "object" ? headers : {};
+    const tokenId = Token.isValidTokenId(headers.tokenid) ? headers.tokenid.trim() : false;
+    if (!tokenId) {
+      return null;
+    }
+    const token = new Token(await dataStore.readAsync("tokens", tokenId).catch(() => null));
+    return token.id === tokenId && (await token.isValidAsync()) ? token : null;
+  }
+
   /**
    * Returns `true` if the given value has a valid token ID format, or `false` otherwise.
    * @static
@@ -210,7 +270,7 @@ module.exports = class Token {
    * @memberof Token
    */
   static isValidTokenId (value) {
-    return typeof value === "string" && value.trim().length === 20;
+    return typeof value === "string" && /^[a-z0-9]{20}$/.test(value.trim());
   }
 
   /**
@@ -245,6 +305,67 @@ module.exports = class Token {
     return helpers.createRandomString(20);
   }
 
+  /**
+   * The schemas of the token data returned by the request handlers, by name (see `src/openapi.js`).
+   * @static
+   * @readonly
+   * @memberof Token
+   */
+  static get schemas () {
+    return {
+      Token: schemas.object({
+        email: schemas.email,
+        id: schemas.tokenId,
+        expiration: { type: "integer", description: "When the token expires, in milliseconds" }
+      }, ["email", "id", "expiration"])
+    };
+  }
+
+  /**
+   * The descriptions of the request handlers, by handler name (see `router.add`).
+   * @static
+   * @readonly
+   * @memberof Token
+   */
+  static get operations () {
+    const token = { description: "The token", schema: schemas.ref("Token") };
+    const id = schemas.object({ id: schemas.tokenId }, ["id"]);
+
+    return {
+      post: {
+        summary: "Create a token",
+        description: "Creates a token for the user with the given email and password, to send in the `tokenid` header of their requests.",
+        tags: ["Tokens"],
+        payload: schemas.object({ email: schemas.email, password: schemas.password }, ["email", "password"]),
+        responses: { 200: token },
+        errors: { 400: "Missing fields, or wrong password", 404: "The user does not exist" }
+      },
+      get: {
+        summary: "Read a token",
+        tags: ["Tokens"],
+        params: id,
+        responses: { 200: token },
+        errors: { 400: "Missing or invalid ID", 404: "The token does not exist" }
+      },
+      put: {
+        summary: "Extend a token",
+        description: "Extends the expiration of the token by an hour.",
+        tags: ["Tokens"],
+        params: id,
+        payload: schemas.object({ extend: { type: "boolean", enum: [true] } }, ["extend"]),
+        responses: { 200: { description: "The token is extended" } },
+        errors: { 400: "Missing or invalid fields, or the token is expired", 404: "The token does not exist" }
+      },
+      delete: {
+        summary: "Delete a token",
+        tags: ["Tokens"],
+        params: id,
+        responses: { 200: { description: "The token is deleted" } },
+        errors: { 400: "Missing or unknown ID" }
+      }
+    };
+  }
+
   /**
    * Creates an instance of Token.
    * @constructor
@@ -307,6 +428,16 @@ module.exports = class Token {
     return this._expiration || null;
   }
 
+  /**
+   * Delete this token (if possible).
+   * @public
+   * @returns {Promise}
+   * @memberof Token.prototype
+   */
+  deleteAsync () {
+    return Token.deleteAsync({ queryParams: { id: this.id } });
+  }
+
   /**
    * Delete this token (if possible).
    * @public
@@ -315,10 +446,20 @@ module.exports = class Token {
    * @memberof Token.prototype
    */
   delete (callback) {
-    Token.delete({ queryParams: { id: this.id } }, callback);
+    helpers.respond(this.deleteAsync(), callback);
     return this;
   }
 
+  /**
+   * Extends, if possible, the expiration time of this token.
+   * @public
+   * @returns {Promise}
+   * @memberof Token.prototype
+   */
+  extendAsync () {
+    return Token.putAsync({ payload: { id: this.id, extend: true } });
+  }
+
   /**
    * Extends, if possible, the expiration time of this token.
    * @public
@@ -327,10 +468,34 @@ module.exports = class Token {
    * @memberof Token.prototype
    */
   extend (callback) {
-    Token.put({ payload: { id: this.id, extend: true } }, callback);
+    helpers.respond(this.extendAsync(), callback);
     return this;
   }
 
+  /**
+   * Verifies if this Token is still valid.
+   * @public
+   * @returns {Promise<Boolean>} Resolves with `true` if this Token is still valid, or with `false` otherwise.
+   * @memberof Token.prototype
+   */
+  async isValidAsync () {
+    // Lookup the token
+    const data = await dataStore.readAsync("tokens", this.id).catch(() => null);
+    if (!data) {
+      return false;
+    }
+
+    this._expiration = data.expiration;
+    // Check that the token is for the given user and has not expired
+    if (data.id === this.id && this.expiration > Date.now()) {
+      return true;
+    }
+
+    // also delete this token from the data storage if it is expired
+    this.delete();
+    return false;
+  }
+
   /**
    * Verifies and calls back with `true` if this Token is still valid, or with `false` otherwise.
    * @public
@@ -339,23 +504,7 @@ module.exports = class Token {
    */
   isValid (callback) {
     callback = typeof callback === "function" ? callback : Function.prototype;
-    // Lookup the token
-    dataStore.read("tokens", this.id, (err, data) => {
-      if (!err && data) {
-        data = data || {};
-        this._expiration = data.expiration;
-        // Check that the token is for the given user and has not expired
-        if (data.id === this.id && this.expiration > Date.now()) {
-          callback(true);
-        } else {
-          callback(false);
-          // also delete this token from the data storage if it is expired
-          this.delete();
-        }
-      } else {
-        callback(false);
-      }
-    });
+    this.isValidAsync().then(callback, () => callback(false));
     return this;
   }
 
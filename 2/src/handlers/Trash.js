@@ -0,0 +1,215 @@
+// Dependencies
+const config = require("../config");
+const helpers = require("../helpers");
+const dataStore = require("../dataStore");
+const ResponseError = require("../ResponseError");
+const Token = require("./Token");
+const schemas = require("./schemas");
+
+const DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Implements the admin operations on the deleted users, orders and items, which are kept in the trash
+ * (see `dataStore.trashAsync`) until they are purged, once their retention period is over.
+ * @class Trash
+ */
+module.exports = class Trash {
+  /**
+   * Lists the deleted records of a collection.
+   * @static
+   * @param {Object} data
+   * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+   * @param {String} [data.params.collection] Used instead of `data.queryParams.collection`
+   * @param {Object} data.headers
+   * @param {String} data.headers.tokenid The token of an admin user
+   * @param {Object} data.queryParams
+   * @param {String} data.queryParams.collection One of `users`, `orders` and `items`
+   * @returns {Promise<Array>} Resolves with the deleted records, with their `deletedOn` and `deletedBy` fields
+   * @memberof Trash
+   */
+  static async getAsync (data) {
+    data = data && typeof data === "object" ? data : {};
+    data.queryParams = data.queryParams && typeof data.queryParams === "object" ? data.queryParams : {};
+
+    await Trash.authenticateAdmin(data);
+    const collection = helpers.requestParam(data, "collection", "queryParams", Trash.isValidCollection);
+    if (!collection) {
+      throw new ResponseError(400, { "Error": `Missing required field. The collection must be one of: ${Trash.collections().join(", ")}` });
+    }
+    return dataStore.listTrashAsync(collection);
+  }
+
+  /**
+   * Lists the deleted records of a collection.
+   * @static
+   * @param {Object} data See `Trash.getAsync`
+   * @param {Function} callback
+   * @memberof Trash
+   */
+  static get (data, callback) {
+    helpers.respond(Trash.getAsync(data), callback);
+    return Trash;
+  }
+
+  /**
+   * Restores a deleted record. The orders of a restored user are restored along with it.
+   * @static
+   * @param {Object} data
+   * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+   * @param {String} [data.params.collection] Used instead of `data.payload.collection`
+   * @param {String} [data.params.id] Used instead of `data.payload.id`
+   * @param {Object} data.headers
+   * @param {String} data.headers.tokenid The token of an admin user
+   * @param {Object} data.payload
+   * @param {String} data.payload.collection One of `users`, `orders` and `items`
+   * @param {String} data.payload.id The ID of the record (the email of a user)
+   * @returns {Promise<Object>} Resolves with the restored record
+   * @memberof Trash
+   */
+  static async restoreAsync (data) {
+    data = data && typeof data === "object" ? data : {};
+    data.payload = data.payload && typeof data.payload === "object" ? data.payload : {};
+
+    await Trash.authenticateAdmin(data);
+    const collection = helpers.requestParam(data, "collection", "payload", Trash.isValidCollection);
+    const id = helpers.requestParam(data, "id", "payload", (value) => typeof value === "string" && value.trim().length > 0);
+    if (!collection || !id) {
+      throw new ResponseError(400, { "Error": "Missing required fields" });
+    }
+
+    let record;
+    try {
+      record = await dataStore.restoreAsync(collection, id);
+    } catch (err) {
+      throw err.code === "ENOENT"
+        ? new ResponseError(404, { "Error": "The specified record is not in the trash." })
+        : new ResponseError(409, { "Error": "Could not restore the specified record. It may exist again." });
+    }
+
+    // Restore the orders deleted along with the user
+    if (collection === "users" && record.orders instanceof Array) {
+      await Promise.all(record.orders.map((orderId) => dataStore.restoreAsync("orders", orderId).catch(() => null)));
+    }
+    return record;
+  }
+
+  /**
+   * Restores a deleted record.
+   * @static
+   * @param {Object} data See `Trash.restoreAsync`
+   * @param {Function} callback
+   * @memberof Trash
+   */
+  static restore (data, callback) {
+    helpers.respond(Trash.restoreAsync(data), callback);
+    return Trash;
+  }
+
+  /**
+   * Permanently deletes the records that have been in the trash for longer than the retention period of their collection
+   * (the `trash.retentionDays` setting of the config).
+   * @static
+   * @returns {Promise<Number>} Resolves with the number of purged records
+   * @memberof Trash
+   */
+  static async purgeAsync () {
+    let count = 0;
+    for (const collection of Trash.collections()) {
+      count += await dataStore.purgeTrashAsync(collection, Date.now() - config.trash.retentionDays[collection] * DAY);
+    }
+    return count;
+  }
+
+  /**
+   * Makes sure the request is made by an admin user (one of the `admins` of the config), with a valid token.
+   * The user is recorded on the request data (see `Token.authenticate`).
+   * @static
+   * @param {Object} data The request data
+   * @param {Object} data.headers The request headers
+   * @returns {Promise<Token>} Resolves with the token of the admin user
+   * @memberof Trash
+   */
+  static async authenticateAdmin (data) {
+    const token = await Token.fromHeadersAsync(data.headers);
+    if (!token || config.admins.indexOf(token.email) < 0) {
+      throw new ResponseError(403, { "Error": "Missing required admin token in header, or token is invalid." });
+    }
+    return Token.authenticate(data, token);
+  }
+
+  /**
+   * Returns the names of the collections whose deleted records are kept in the trash.
+   * @static
+   * @returns {Array}
+   * @memberof Trash
+   */
+  static collections () {
+    return Object.keys(config.trash.retentionDays);
+  }
+
+  /**
+   * Returns `true` if the given value is the name of a collection whose deleted records are kept in the trash, or `false` otherwise.
+   * @static
+   * @param {String} value
+   * @returns {Boolean}
+   * @memberof Trash
+   */
+  static isValidCollection (value) {
+    return typeof value === "string" && Trash.collections().indexOf(value.trim()) > -1;
+  }
+
+  /**
+   * The schemas of the deleted records returned by the request handlers, by name (see `src/openapi.js`).
+   * @static
+   * @readonly
+   * @memberof Trash
+   */
+  static get schemas () {
+    return {
+      TrashedRecord: {
+        type: "object",
+        properties: {
+          deletedOn: { type: "integer", description: "When the record was deleted, in milliseconds" },
+          deletedBy: { type: ["string", "null"], description: "The email of the user who deleted it, if known" }
+        },
+        required: ["deletedOn"],
+        description: "A deleted user, order or item, along with when and by whom it was deleted"
+      }
+    };
+  }
+
+  /**
+   * The descriptions of the request handlers, by handler name (see `router.add`).
+   * @static
+   * @readonly
+   * @memberof Trash
+   */
+  static get operations () {
+    const collection = { type: "string", enum: Trash.collections() };
+    const errors = { 400: "Missing or invalid fields", 403: "Missing or invalid token, or the user is not an admin" };
+
+    return {
+      get: {
+        summary: "List the deleted records",
+        tags: ["Trash"],
+        auth: "admin",
+        params: schemas.object({ collection: collection }, ["collection"]),
+        responses: { 200: { description: "The deleted records of the collection", schema: { type: "array", items: schemas.ref("TrashedRecord") } } },
+        errors: errors,
+        list: true
+      },
+      restore: {
+        summary: "Restore a deleted record",
+        description: "Restores a deleted record. The orders of a restored user are restored along with it.",
+        tags: ["Trash"],
+        auth: "admin",
+        params: schemas.object({
+          collection: collection,
+          id: { type: "string", minLength: 1, description: "The ID of the record (the email of a user)" }
+        }, ["collection", "id"]),
+        responses: { 200: { description: "The restored record", schema: { type: "object" } } },
+        errors: Object.assign({ 404: "The record is not in the trash", 409: "The record exists again" }, errors)
+      }
+    };
+  }
+};
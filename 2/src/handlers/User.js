@@ -1,13 +1,11 @@
 // Dependencies
 const dataStore = require("../dataStore");
 const helpers = require("../helpers");
+const ResponseError = require("../ResponseError");
 const Token = require("./Token");
 const Item = require("./Item");
-const Order = require("./Order");
-
-const acceptedMethods = ["post", "get", "put", "delete"];
-const putOnlyPaths = ["user/logout", "user/addToCart", "user/removeFromCart", "user/emptyCart", "user/checkout"];
-const postOnlyPaths = ["user/login"];
+const Checkout = require("./Checkout");
+const schemas = require("./schemas");
 
 /**
  * Defines and implements the CRUD operations for users, as well as the functionality
@@ -15,162 +13,130 @@ const postOnlyPaths = ["user/login"];
  * @class User
  */
 module.exports = class User {
-  /**
-   * HTTP Request handler for the Users. It handles the HTTP `post`, `get`, `put` and `delete` methods.
-   * @param {Object} data 
-   * @param {String} data.path Recognized paths: `users`, `user/login`, `user/logout`, `user/addToCart`, `user/removeFromCart`, `user/emptyCart`
-   * @param {Object} data.queryParams
-   * @param {Object} data.headers
-   * @param {Object} data.payload
-   * @param {String} data.method The HTTP method [`post` | `get` | `put` | `delete`]
-   * @param {Function} callback 
-   */
-  static httpRequestHandler (data, callback) {
-    data = data && typeof data === "object" ? data : {};
-    data.headers = typeof data.headers === "object" ? data.headers : {};
-    data.payload = typeof data.payload === "object" ? data.payload : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
-
-    const method = typeof data.method === "string" ? data.method.trim().toLowerCase() : "";
-    const path = typeof data.path === "string" ? data.path.trim() : null;
-
-    if ((method === "post" && postOnlyPaths.indexOf(path) > -1) || (method === "put" && putOnlyPaths.indexOf(path) > -1)) {
-      User[path.trim().replace("user/", "").trim()](data, callback);
-    } else if (acceptedMethods.indexOf(method) > -1) {
-      User[method](data, callback);
-    } else {
-      callback(405);
-    }
-    return User;
-  }
-
   /**
    * Creates and stores a new User.
    * @param {Object} data 
    * @param {Object} data.payload
    * @param {String} data.payload.email 
    * @param {String} data.payload.password 
-   * @param {String} data.payload.tosAgreement 
+   * @param {Boolean} data.payload.tosAgreement `true`, or `"true"` from a form
    * @param {String} data.payload.firstName 
    * @param {String} data.payload.lastName 
    * @param {String} [data.payload.streetAddress] 
    * @param {Object} [data.payload.cart] 
-   * @param {Function} callback 
+   * @returns {Promise<Object>} Resolves with the new user data
+   * @throws {ResponseError} `400`, with the errors of the fields (see `helpers.validateRequest`), if the payload is invalid
    */
-  static post (data, callback) {
-    data = data && typeof data === "object" ? data : {};
-    data.headers = typeof data.headers === "object" ? data.headers : {};
-    data.payload = typeof data.payload === "object" ? data.payload : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
-
-    // Check that all required fields are filled out
-    const email = User.isValidEmail(data.payload.email) ? data.payload.email.trim() : false;
-    const password = User.isValidPassword(data.payload.password) ? data.payload.password.trim() : false;
-    const tosAgreement = typeof data.payload.tosAgreement === "boolean" ? data.payload.tosAgreement : false;
-    const firstName = typeof data.payload.firstName === "string" && data.payload.firstName.trim().length ? data.payload.firstName.trim() : false;
-    const lastName = typeof data.payload.lastName === "string" && data.payload.lastName.trim().length ? data.payload.lastName.trim() : false;
+  static async postAsync (data) {
+    data = User.normalizeRequestData(data);
+
+    // Check that all required fields are filled out (as the route does, for the callers that do not go through it)
+    helpers.validateRequest({ payload: User.operations.post.payload }, data);
+    const email = data.payload.email.trim();
+    const password = data.payload.password.trim();
+    const firstName = data.payload.firstName.trim();
+    const lastName = data.payload.lastName.trim();
     const streetAddress = typeof data.payload.streetAddress === "string" ? data.payload.streetAddress.trim() : "";
     const cart = data.payload.cart instanceof Array ? data.payload.cart : {};
 
-    if (firstName && lastName && email && password && tosAgreement) {
-      // Make sure the user doesn't already exist
-      dataStore.read("users", email, (err, data) => {
-        if (err) {
-          // Hash the password
-          const hashedPassword = helpers.hash(password);
-
-          if (hashedPassword) {
-            // Create the user object
-            const userData = new User({
-              email: email,
-              password: hashedPassword,
-              // tosAgreement: tosAgreement,
-              firstName: firstName,
-              lastName: lastName,
-              streetAddress: streetAddress,
-              cart: cart
-            }).toJSON();
-
-            // Store the user
-            dataStore.create("users", email, userData, (err) => {
-              if (!err) {
-                callback(200, userData);
-              } else {
-                callback(500, { "Error": "Could not create the new user" });
-              }
-            });
-          } else {
-            callback(500, { "Error": "Could not hash this user password." });
-          }
-        } else {
-          callback(400, { "Error": "A user with this email already exists" });
-        }
-      });
-    } else {
-      callback(400, { "Error": "Missing required fields" });
+    if (!firstName.length || !lastName.length) {
+      throw new ResponseError(400, { "Error": "Missing required fields" });
+    }
+
+    // Make sure the user doesn't already exist
+    const existing = await dataStore.readAsync("users", email).catch(() => null);
+    if (existing) {
+      throw new ResponseError(400, { "Error": "A user with this email already exists" });
     }
+
+    // Hash the password
+    const hashedPassword = helpers.hash(password);
+    if (!hashedPassword) {
+      throw new ResponseError(500, { "Error": "Could not hash this user password." });
+    }
+
+    // Create the user object
+    const userData = new User({
+      email: email,
+      password: hashedPassword,
+      // tosAgreement: tosAgreement,
+      firstName: firstName,
+      lastName: lastName,
+      streetAddress: streetAddress,
+      cart: cart
+    }).toJSON();
+
+    // Store the user
+    try {
+      return await dataStore.createAsync("users", email, userData);
+    } catch (err) {
+      throw new ResponseError(500, { "Error": "Could not create the new user" });
+    }
+  }
+
+  /**
+   * Creates and stores a new User.
+   * @param {Object} data See `User.postAsync`
+   * @param {Function} callback 
+   */
+  static post (data, callback) {
+    helpers.respond(User.postAsync(data), callback, helpers.etagHeaders);
     return User;
   }
 
   /**
-   * Retrieves and calls back with an existing user.
+   * Retrieves an existing user.
    * @param {Object} data 
+   * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+   * @param {String} [data.params.email] Used instead of `data.queryParams.email`
    * @param {Object} data.headers
    * @param {String} data.headers.tokenid
    * @param {Object} data.queryParams
    * @param {String} data.queryParams.email 
-   * @param {Function} callback 
+   * @returns {Promise<Object>} Resolves with the user data (without the password)
    */
-  static get (data, callback) {
-    data = data && typeof data === "object" ? data : {};
-    data.headers = typeof data.headers === "object" ? data.headers : {};
-    data.payload = typeof data.payload === "object" ? data.payload : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
+  static async getAsync (data) {
+    data = User.normalizeRequestData(data);
 
     // Check that email is valid
-    const email = User.isValidEmail(data.queryParams.email) ? data.queryParams.email.trim() : false;
-    if (email) {
-      // Get tokenId from headers
-      const tokenId = Token.isValidTokenId(data.headers.tokenid) ? data.headers.tokenid.trim() : false;
-
-      if (tokenId) {
-        const token = new Token({ id: tokenId, email: email });
-
-        // Verify that the given tokenId is valid for the email number
-        token.isValid((tokenIsValid) => {
-          if (tokenIsValid) {
-            // Lookup the user
-            dataStore.read("users", email, (err, data) => {
-              if (!err && data) {
-                let userData = new User(data).toJSON();
-                // Remove the hashed password from the user user object before returning it to the requester
-                delete userData.password;
-                callback(200, userData);
-              } else {
-                callback(404);
-              }
-            });
-
-            // additionally, extend the token expiration time, since the user is active
-            token.extend();
-          } else {
-            callback(403, { "Error": "Missing required token in header, or token is invalid." })
-          }
-        });
-      } else {
-        callback(403, { "Error": "Missing required token in header, or token is invalid." });
-      }
-    } else {
-      callback(400, { "Error": "Missing required field" })
+    const email = helpers.requestParam(data, "email", "queryParams", User.isValidEmail);
+    if (!email) {
+      throw new ResponseError(400, { "Error": "Missing required field" });
     }
+
+    // Verify that the given tokenId is valid for the email
+    await User.authenticate(data, email);
+
+    // Lookup the user
+    const userData = await dataStore.readAsync("users", email).catch(() => null);
+    if (!userData) {
+      throw new ResponseError(404);
+    }
+
+    const user = new User(userData).toJSON();
+    // Remove the hashed password from the user user object before returning it to the requester
+    delete user.password;
+    return user;
+  }
+
+  /**
+   * Retrieves and calls back with an existing user.
+   * @param {Object} data See `User.getAsync`
+   * @param {Function} callback 
+   */
+  static get (data, callback) {
+    helpers.respond(User.getAsync(data), callback, helpers.etagHeaders);
     return User;
   }
 
   /**
    * Updates or modifies an existing user.
    * @param {Object} data 
+   * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+   * @param {String} [data.params.email] Used instead of `data.payload.email`
    * @param {Object} data.headers
    * @param {String} data.headers.tokenid
+   * @param {String} [data.headers.if-match] The `ETag` of the user, to only update it if it has not been modified since
    * @param {Object} data.payload
    * @param {String} data.payload.email 
    * @param {String} [data.payload.password] 
@@ -179,190 +145,139 @@ module.exports = class User {
    * @param {String} [data.payload.streetAddress] 
    * @param {Object} [data.payload.cart] 
    * @param {Array} [data.payload.orders] 
-   * @param {Function} callback 
+   * @returns {Promise<Object>} Resolves with the updated user data
+   * @throws {ResponseError} `400`, with the errors of the fields (see `helpers.validateRequest`), if the payload is invalid
    */
-  static put (data, callback) {
-    data = data && typeof data === "object" ? data : {};
-    data.headers = typeof data.headers === "object" ? data.headers : {};
-    data.payload = typeof data.payload === "object" ? data.payload : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
+  static async putAsync (data) {
+    data = User.normalizeRequestData(data);
 
     // Check for required field
-    const email = User.isValidEmail(data.payload.email) ? data.payload.email.trim() : false;
+    const email = helpers.requestParam(data, "email", "payload", User.isValidEmail);
 
     // Check for optional fields
-    const password = User.isValidPassword(data.payload.password) ? data.payload.password.trim() : false;
-    const firstName = typeof (data.payload.firstName) === "string" && data.payload.firstName.trim().length ? data.payload.firstName.trim() : false;
-    const lastName = typeof (data.payload.lastName) === "string" && data.payload.lastName.trim().length ? data.payload.lastName.trim() : false;
-    const streetAddress = typeof (data.payload.streetAddress) === "string" && data.payload.streetAddress.trim().length ? data.payload.streetAddress.trim() : false;
-    const cart = typeof data.payload.cart === "object" ? data.payload.cart : false;
-    const orders = data.payload.orders instanceof Array ? data.payload.orders : false;
+    helpers.validateRequest({ payload: User.operations.put.payload }, data);
+    const password = typeof data.payload.password === "string" ? data.payload.password.trim() : false;
+    const firstName = typeof data.payload.firstName === "string" && data.payload.firstName.trim().length ? data.payload.firstName.trim() : false;
+    const lastName = typeof data.payload.lastName === "string" && data.payload.lastName.trim().length ? data.payload.lastName.trim() : false;
+    const streetAddress = typeof data.payload.streetAddress === "string" && data.payload.streetAddress.trim().length ? data.payload.streetAddress.trim() : false;
+    const cart = data.payload.cart || false;
+    const orders = data.payload.orders || false;
 
     // Error if email is invalid
-    if (email) {
-      // Error if nothing is sent to update
-      if (firstName || lastName || password || streetAddress || cart || orders) {
-
-        // Get tokenId from headers
-        const tokenId = Token.isValidTokenId(data.headers.tokenid) ? data.headers.tokenid : false;
-
-        if (tokenId) {
-          const token = new Token({ id: tokenId, email: email });
-
-          // Verify that the given tokenId is valid for the email
-          token.isValid((tokenIsValid) => {
-            if (tokenIsValid) {
-              // Lookup the user
-              dataStore.read("users", email, (err, userData) => {
-                if (!err && userData) {
-                  // Update the fields if necessary
-                  if (firstName) {
-                    userData.firstName = firstName;
-                  }
-                  if (lastName) {
-                    userData.lastName = lastName;
-                  }
-                  if (password) {
-                    userData.password = helpers.hash(password);
-                  }
-                  if (streetAddress) {
-                    userData.streetAddress = streetAddress;
-                  }
-                  if (cart) {
-                    userData.cart = cart;
-                  }
-                  if (orders) {
-                    userData.orders = orders;
-                  }
-
-                  // Store the new updates
-                  const user = new User(userData);
-                  if (user.email === email) {
-                    const userData = user.toJSON();
-                    dataStore.update("users", email, userData, (err) => {
-                      if (!err) {
-                        callback(200, userData);
-                      } else {
-                        callback(500, { "Error": "Could not update the specified user." });
-                      }
-                    });
-                  } else {
-                    callback(400, { "Error": "Could not update the specified user" });
-                  }
-
-                  // additionally, extend the token expiration time, since the user is active
-                  token.extend();
-                } else {
-                  callback(400, { "Error": "Specified user does not exist." });
-                }
-              });
-            } else {
-              callback(403, { "Error": "Missing required token in header, or token is invalid." })
-            }
-          });
-        } else {
-          callback(403, { "Error": "Missing required token in header, or token is invalid." });
-        }
-      } else {
-        callback(400, { "Error": "Missing fields to update." });
-      }
-    } else {
-      callback(400, { "Error": "Missing required field." });
+    if (!email) {
+      throw new ResponseError(400, { "Error": "Missing required field." });
     }
-    return this;
+
+    // Error if nothing is sent to update
+    if (!firstName && !lastName && !password && !streetAddress && !cart && !orders) {
+      throw new ResponseError(400, { "Error": "Missing fields to update." });
+    }
+
+    // Verify that the given tokenId is valid for the email
+    await User.authenticate(data, email);
+
+    return User.modifyAsync(email, (user) => {
+      // Update the fields if necessary
+      if (firstName) {
+        user.firstName = firstName;
+      }
+      if (lastName) {
+        user.lastName = lastName;
+      }
+      if (password) {
+        user.password = helpers.hash(password);
+      }
+      if (streetAddress) {
+        user.streetAddress = streetAddress;
+      }
+      if (cart) {
+        user.cart = cart;
+      }
+      if (orders) {
+        user.orders = orders;
+      }
+    }, helpers.ifMatchVersions(data.headers));
   }
 
   /**
-   * Deletes an existing User.
+   * Updates or modifies an existing user.
+   * @param {Object} data See `User.putAsync`
+   * @param {Function} callback 
+   */
+  static put (data, callback) {
+    helpers.respond(User.putAsync(data), callback, helpers.etagHeaders);
+    return User;
+  }
+
+  /**
+   * Deletes an existing User and all of its orders, moving them to the trash (see `Trash`).
    * @param {Object} data 
+   * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+   * @param {String} [data.params.email] Used instead of `data.queryParams.email`
    * @param {Object} data.headers
    * @param {String} data.headers.tokenid
+   * @param {String} [data.headers.if-match] The `ETag` of the user, to only delete it if it has not been modified since
    * @param {Object} data.queryParams
    * @param {String} data.queryParams.email 
+   * @returns {Promise}
+   */
+  static async deleteAsync (data) {
+    data = User.normalizeRequestData(data);
+
+    // 1. Check that email is valid
+    const email = helpers.requestParam(data, "email", "queryParams", User.isValidEmail);
+    if (!email) {
+      throw new ResponseError(400, { "Error": "Missing required field" });
+    }
+
+    // 2. Verify that the given tokenId is valid for the email
+    const token = await User.authenticate(data, email);
+
+    // 3. Lookup the user
+    const userData = await dataStore.readAsync("users", email).catch(() => null);
+    const user = new User(userData);
+    if (!userData || user.email !== email) {
+      throw new ResponseError(400, { "Error": "Could not find the specified user." });
+    }
+    const ifVersion = helpers.ifMatchVersions(data.headers);
+    if (ifVersion && ifVersion.indexOf(user.version) < 0) {
+      throw User.versionMismatchError();
+    }
+
+    // 4. Log out the user (from all sessions)
+    await token.deleteAsync();
+    await Token.deleteByEmailAsync(email);
+
+    // 5. Move the user data to the trash
+    try {
+      await dataStore.trashAsync("users", email, { ifVersion: ifVersion, deletedBy: email });
+    } catch (err) {
+      throw err.code === "EVERSION" ? User.versionMismatchError() : new ResponseError(400, { "Error": "Could not delete the specified user" });
+    }
+
+    // 6. Move each of the orders associated with the user to the trash, so that they can be restored along with the user
+    const userOrders = (user.orders instanceof Array ? user.orders : [])
+      .concat(await dataStore.findAsync("orders", "email", email))
+      .filter((orderId, position, orderIds) => orderIds.indexOf(orderId) === position);
+    if (userOrders.length === 0) {
+      return "OK";
+    }
+    const deleted = await Promise.all(userOrders.map((orderId) => {
+      return dataStore.trashAsync("orders", orderId, { deletedBy: email }).then(() => true, () => false);
+    }));
+    if (deleted.indexOf(false) > -1) {
+      throw new ResponseError(500, { "Error": "Errors encountered while deleting all of the user's orders. All orders may not have been deleted from the system successfully." });
+    }
+    return true;
+  }
+
+  /**
+   * Deletes an existing User.
+   * @param {Object} data See `User.deleteAsync`
    * @param {Function} callback 
    */
   static delete (data, callback) {
-    data = data && typeof data === "object" ? data : {};
-    data.headers = typeof data.headers === "object" ? data.headers : {};
-    data.payload = typeof data.payload === "object" ? data.payload : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
-
-    // 1. Check that email number is valid
-    const email = User.isValidEmail(data.queryParams.email) ? data.queryParams.email.trim() : false;
-    if (email) {
-
-      // 2. Get tokenId from headers
-      const tokenId = Token.isValidTokenId(data.headers.tokenid) ? data.headers.tokenid : false;
-
-      if (tokenId) {
-        const token = new Token({ id: tokenId, email: email });
-
-        // 3. Verify that the given tokenId is valid for the email number
-        token.isValid((tokenIsValid) => {
-          if (tokenIsValid) {
-            // 4. Lookup the user
-            dataStore.read("users", email, (err, userData) => {
-              if (!err && userData) {
-                const user = new User(userData);
-
-                if (user.email === email) {
-                  // 5. Log out the user
-                  token.delete((statusCode, err) => {
-                    if (statusCode === 200) {
-                      // 6. Delete the user data
-                      dataStore.delete("users", email, (err) => {
-                        if (!err) {
-                          // 7. Delete each of the orders associated with the user
-                          const userOrders = user.orders instanceof Array ? user.orders : [];
-                          const ordersToDelete = userOrders.length;
-                          if (ordersToDelete > 0) {
-                            let ordersDeleted = 0;
-                            let deletionErrors = false;
-                            // Loop through the orders
-                            userOrders.forEach(function (orderId) {
-                              // Delete the order
-                              dataStore.delete("orders", orderId, function (err) {
-                                if (err) {
-                                  deletionErrors = true;
-                                }
-                                ordersDeleted++;
-                                if (ordersDeleted === ordersToDelete) {
-                                  if (!deletionErrors) {
-                                    callback(200, true);
-                                  } else {
-                                    callback(500, { "Error": "Errors encountered while deleting all of the user's orders. All orders may not have been deleted from the system successfully." })
-                                  }
-                                }
-                              });
-                            });
-                          } else {
-                            callback(200, "OK");
-                          }
-                        } else {
-                          callback(400, { "Error": "Could not delete the specified user" });
-                        }
-                      });
-                    } else {
-                      callback(statusCode, err);
-                    }
-                  });
-                } else {
-                  callback(400, { "Error": "Could not find the specified user." });
-                }
-              } else {
-                callback(400, { "Error": "Could not find the specified user." });
-              }
-            });
-          } else {
-            callback(403, { "Error": "Missing required tokenId in header, or tokenId is invalid." });
-          }
-        });
-      } else {
-        callback(403, { "Error": "Missing required token in header, or token is invalid." });
-      }
-    } else {
-      callback(400, { "Error": "Missing required field" })
-    }
+    helpers.respond(User.deleteAsync(data), callback);
     return User;
   }
 
@@ -373,11 +288,22 @@ module.exports = class User {
    * @param {Object} data.payload
    * @param {String} data.payload.email 
    * @param {String} data.payload.password 
+   * @returns {Promise<Object>} Resolves with the new token data
+   * @memberof User
+   */
+  static loginAsync (data) {
+    return Token.postAsync(data);
+  }
+
+  /**
+   * Returns a token based on the given user email and password.
+   * @static
+   * @param {Object} data See `User.loginAsync`
    * @param {Function} callback 
    * @memberof User
    */
   static login (data, callback) {
-    Token.post(data, callback);
+    helpers.respond(User.loginAsync(data), callback);
     return User;
   }
 
@@ -387,73 +313,82 @@ module.exports = class User {
    * @param {Object} data 
    * @param {Object} data.payload
    * @param {String} data.payload.tokenId 
+   * @returns {Promise}
+   * @memberof User
+   */
+  static logoutAsync (data) {
+    data = User.normalizeRequestData(data);
+    return Token.deleteAsync({ queryParams: { id: data.payload.tokenId } });
+  }
+
+  /**
+   * Removes the authentication token of the given user
+   * @static
+   * @param {Object} data See `User.logoutAsync`
    * @param {Function} callback 
    * @memberof User
    */
   static logout (data, callback) {
-    data = typeof data === "object" ? data : {};
-    data.payload = typeof data.payload === "object" ? data.payload : {};
-    Token.delete({ queryParams: { id: data.payload.tokenId } }, callback);
+    helpers.respond(User.logoutAsync(data), callback);
     return User;
   }
 
   /**
   * Adds an item to an user's cart.
   * @param {Object} data 
+  * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+  * @param {String} [data.params.email] Used instead of `data.payload.email`
+  * @param {String} [data.params.itemId] Used instead of `data.payload.itemId`
   * @param {Object} data.headers
   * @param {String} data.headers.tokenid
+  * @param {String} [data.headers.if-match] The `ETag` of the user, to only update it if it has not been modified since
   * @param {Object} data.payload
   * @param {String} data.payload.email 
   * @param {String} data.payload.itemId 
-  * @param {Number} data.payload.quantity 
-  * @param {Function} callback 
+  * @param {Number} data.payload.quantity An integer, 0 to remove the item (or a string of one from a form)
+  * @returns {Promise<Object>} Resolves with the updated user data
+  * @throws {ResponseError} `400`, with the errors of the fields (see `helpers.validateRequest`), if the quantity is invalid
   */
-  static addToCart (data, callback) {
-    data = data && typeof data === "object" ? data : {};
-    data.headers = typeof data.headers === "object" ? data.headers : {};
-    data.payload = typeof data.payload === "object" ? data.payload : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
+  static async addToCartAsync (data) {
+    data = User.normalizeRequestData(data);
+
+    // Check the quantity, which the storefront sends from a form
+    helpers.validateRequest({ payload: User.operations.addToCart.payload }, data);
+    const quantity = data.payload.quantity;
 
     // extract the list of items
-    dataStore.list("items", (err, itemsData) => {
-      const itemId = Item.isValidId(data.payload.itemId) ? data.payload.itemId : "";
-      const quantity = Item.isValidPrice(data.payload.quantity) ? data.payload.quantity : 0.0;
-
-      // if the given itemId is valid (is in the list of items) 
-      if (!err && itemsData instanceof Array && itemsData.indexOf(itemId) > -1) {
-        // get the user data
-        data.queryParams = typeof data.queryParams === "object" ? data.queryParams : {};
-        data.queryParams.email = data.payload.email;
-        User.get(data, (statusCode, userData) => {
-          if (statusCode === 200 && userData) {
-            const user = new User(userData);
-
-            if (user.email === data.payload.email) {
-              // update user's cart with the given itemId and quantity
-              if (quantity > 0) {
-                user.cart[itemId] = quantity;
-              } else {
-                delete user.cart[itemId];
-              }
-
-              User.put({
-                payload: {
-                  email: user.email,
-                  cart: user.cart
-                },
-                headers: data.headers
-              }, callback);
-            } else {
-              callback(400, { "Error": "Could not update the specified user" });
-            }
-          } else {
-            callback(statusCode, userData);
-          }
-        });
+    const itemIds = await dataStore.listAsync("items").catch(() => null);
+    const itemId = helpers.requestParam(data, "itemId", "payload", Item.isValidId) || "";
+
+    // if the given itemId is not valid (is not in the list of items)
+    if (!(itemIds instanceof Array) || itemIds.indexOf(itemId) < 0) {
+      throw new ResponseError(500, { "Error": "Unable to load the list of items" });
+    }
+
+    // Verify that the given tokenId is valid for the email
+    const email = helpers.requestParam(data, "email", "payload", User.isValidEmail);
+    if (!email) {
+      throw new ResponseError(400, { "Error": "Missing required field" });
+    }
+    await User.authenticate(data, email);
+
+    // update user's cart with the given itemId and quantity
+    return User.modifyAsync(email, (user) => {
+      if (quantity > 0) {
+        user.cart[itemId] = quantity;
       } else {
-        callback(500, { "Error": "Unable to load the list of items" });
+        delete user.cart[itemId];
       }
-    });
+    }, helpers.ifMatchVersions(data.headers));
+  }
+
+  /**
+  * Adds an item to an user's cart.
+  * @param {Object} data See `User.addToCartAsync`
+  * @param {Function} callback 
+  */
+  static addToCart (data, callback) {
+    helpers.respond(User.addToCartAsync(data), callback, helpers.etagHeaders);
     return User;
   }
 
@@ -462,154 +397,189 @@ module.exports = class User {
   * @param {Object} data 
   * @param {Object} data.headers
   * @param {String} data.headers.tokenid
+  * @param {String} [data.headers.if-match] The `ETag` of the user, to only update it if it has not been modified since
   * @param {Object} data.payload
   * @param {String} data.payload.email 
   * @param {String} data.payload.itemId 
+  * @returns {Promise<Object>} Resolves with the updated user data
+  */
+  static removeFromCartAsync (data) {
+    data = User.normalizeRequestData(data);
+    data.payload.quantity = 0;
+    return User.addToCartAsync(data);
+  }
+
+  /**
+  * Removes an item from an user's cart.
+  * @param {Object} data See `User.removeFromCartAsync`
   * @param {Function} callback 
   */
   static removeFromCart (data, callback) {
-    data = data && typeof data === "object" ? data : {};
-    data.headers = typeof data.headers === "object" ? data.headers : {};
-    data.payload = typeof data.payload === "object" ? data.payload : {};
-    data.payload.quantity = 0;
-    return User.addToCart(data, callback);
+    helpers.respond(User.removeFromCartAsync(data), callback, helpers.etagHeaders);
+    return User;
   }
 
   /**
    * Removes all items from an user's cart.
    * @param {Object} data 
+   * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+   * @param {String} [data.params.email] Used instead of `data.payload.email`
    * @param {Object} data.headers
    * @param {String} data.headers.tokenid
+   * @param {String} [data.headers.if-match] The `ETag` of the user, to only update it if it has not been modified since
    * @param {Object} data.payload
    * @param {String} data.payload.email 
-   * @param {Function} callback 
+   * @returns {Promise<Object>} Resolves with the updated user data
    */
-  static emptyCart (data, callback) {
-    data = data && typeof data === "object" ? data : {};
-    data.headers = typeof data.headers === "object" ? data.headers : {};
-    data.payload = typeof data.payload === "object" ? data.payload : {};
-    data.queryParams = typeof data.queryParams === "object" ? data.queryParams : {};
-    data.queryParams.email = data.payload.email;
-
-    // extract the user data
-    User.get(data, (statusCode, userData) => {
-      if (statusCode === 200 && userData) {
-        const user = new User(userData);
+  static async emptyCartAsync (data) {
+    data = User.normalizeRequestData(data);
 
-        if (user.email === data.payload.email) {
-          // update user's cart
-          user.cart = {};
-
-          User.put({
-            payload: {
-              email: user.email,
-              cart: user.cart
-            },
-            headers: data.headers
-          }, callback);
-        } else {
-          callback(400, { "Error": "Could not update the specified user" });
-        }
-      } else {
-        callback(statusCode, userData);
-      }
-    });
+    // Verify that the given tokenId is valid for the email
+    const email = helpers.requestParam(data, "email", "payload", User.isValidEmail);
+    if (!email) {
+      throw new ResponseError(400, { "Error": "Missing required field" });
+    }
+    await User.authenticate(data, email);
+
+    // update user's cart
+    return User.modifyAsync(email, (user) => {
+      user.cart = {};
+    }, helpers.ifMatchVersions(data.headers));
+  }
 
+  /**
+   * Removes all items from an user's cart.
+   * @param {Object} data See `User.emptyCartAsync`
+   * @param {Function} callback 
+   */
+  static emptyCart (data, callback) {
+    helpers.respond(User.emptyCartAsync(data), callback, helpers.etagHeaders);
     return User;
   }
 
   /**
    * Proceeds to checkout, placing an order with all items in the User's cart.
    * @param {Object} data 
+   * @param {Object} [data.params] The parameters matched in the request path, see `router.resolve`
+   * @param {String} [data.params.email] Used instead of `data.payload.email`
    * @param {Object} data.headers
    * @param {String} data.headers.tokenid
+   * @param {String} [data.headers.if-match] The `ETag` of the user, to only check out if the user has not been modified since
    * @param {Object} data.payload
    * @param {String} data.payload.email 
    * @param {String} [data.payload.stripeToken=tok_visa] One of these: `tok_visa`, `tok_visa_debit`, `tok_mastercard`, `tok_mastercard_debit`, `tok_mastercard_prepaid`, `tok_amex`, `tok_discover`, `tok_diners`, `tok_jcb`, `tok_unionpay`
+   * @returns {Promise<Object>} Resolves with `{ orderData, info, checkoutId, resumed }`, see `Checkout.runAsync`
+   */
+  static async checkoutAsync (data) {
+    data = User.normalizeRequestData(data);
+
+    // 1. Check that email is valid
+    const email = helpers.requestParam(data, "email", "payload", User.isValidEmail);
+    if (!email) {
+      throw new ResponseError(400, { "Error": "Missing required field" });
+    }
+
+    // 2. get the user (verifying that the given tokenId is valid for the email)
+    data.queryParams.email = email;
+    const user = new User(await User.getAsync(data));
+    const ifVersion = helpers.ifMatchVersions(data.headers);
+    if (ifVersion && ifVersion.indexOf(user.version) < 0) {
+      throw User.versionMismatchError();
+    }
+
+    // 3. place the order, pay it and update the user, as a transaction
+    return Checkout.runAsync(user.email, data.payload.stripeToken || "tok_visa", data.requestId);
+  }
+
+  /**
+   * Proceeds to checkout, placing an order with all items in the User's cart.
+   * @param {Object} data See `User.checkoutAsync`
    * @param {Function} callback 
    */
   static checkout (data, callback) {
-    data = data && typeof data === "object" ? data : {};
-    data.headers = typeof data.headers === "object" ? data.headers : {};
-    data.payload = typeof data.payload === "object" ? data.payload : {};
-    callback = typeof callback === "function" ? callback : Function.prototype;
+    helpers.respond(User.checkoutAsync(data), callback);
+    return User;
+  }
 
-    // 1. Check that email is valid
-    const email = User.isValidEmail(data.payload.email) ? data.payload.email.trim() : false;
-
-    if (email) {
-      // 2. Get tokenId from headers
-      const tokenId = Token.isValidTokenId(data.headers.tokenid) ? data.headers.tokenid.trim() : false;
-
-      if (tokenId) {
-        const token = new Token({ id: tokenId, email: email });
-
-        // 3. Verify that the given tokenId is valid for the email
-        token.isValid((tokenIsValid) => {
-          if (tokenIsValid) {
-            // 4. get the user
-            data.queryParams.email = email;
-            User.get(data, (statusCode, userData) => {
-              if (statusCode === 200 && userData) {
-                // 5. create a user object based on the user data
-                let user = new User(userData);
-                
-                if (Object.keys(user.cart).length > 0) {
-                  // 6. create a new order based on the user's cart items
-                  Order.post({ payload: { email: user.email, items: user.cart }}, (statusCode, orderData) => {
-                    if (statusCode === 200 && orderData) {
-                      const order = new Order(orderData);
-
-                      // 7. Complete (pay) the order 
-                      order.complete({ stripeToken: data.payload.stripeToken || "tok_visa" }, (statusCode, payment) => {
-                        if (statusCode === 200) {
-                          // 8. Update the user's orders list
-                          user.orders.push(order.id);
-                          user.cart = {};
-
-                          User.put({
-                            payload: {
-                              email: user.email,
-                              cart: user.cart,
-                              orders: user.orders
-                            },
-                            headers: data.headers
-                          }, (statusCode, userData) => {
-                            if (statusCode === 200) {
-                              callback(statusCode, payment);
-                            } else {
-                              callback(statusCode, userData);
-                            }
-                          });
-                        } else {
-                          callback(statusCode, payment);
-                        }
-                      });          
-                    } else {
-                      callback(statusCode, orderData);
-                    }
-                  });
-                } else {
-                  callback(403, { "Error": "Cannot create order. Cart is empty." });
-                }
-              } else {
-                callback(statusCode, userData);
-              }
-            });
-
-            // additionally, extend the token expiration time, since the user is active
-            token.extend();
-          } else {
-            callback(403, { "Error": "Missing required token in header, or token is invalid." })
-          }
-        });
-      } else {
-        callback(403, { "Error": "Missing required token in header, or token is invalid." });
+  /**
+   * Reads an existing user, passes it to the given function to be updated, and stores it back, while
+   * holding the lock of its record, so that concurrent updates of the same user are applied one after another.
+   * @static
+   * @param {String} email The user ID
+   * @param {Function} update A function that receives the `User` instance and updates it
+   * @param {Array} [ifVersion] Only update the user if it is at one of these versions (see `helpers.ifMatchVersions`)
+   * @returns {Promise<Object>} Resolves with the updated user data
+   * @memberof User
+   */
+  static async modifyAsync (email, update, ifVersion) {
+    try {
+      return await dataStore.modifyAsync("users", email, async (userData) => {
+        const user = new User(userData);
+        await update(user);
+        if (user.email !== email) {
+          throw new ResponseError(400, { "Error": "Could not update the specified user" });
+        }
+        return user.toJSON();
+      }, { ifVersion: ifVersion });
+    } catch (err) {
+      if (err instanceof ResponseError) {
+        throw err;
+      } else if (err.code === "ENOENT") {
+        throw new ResponseError(400, { "Error": "Specified user does not exist." });
+      } else if (err.code === "EVERSION") {
+        throw User.versionMismatchError();
       }
-    } else {
-      callback(400, { "Error": "Missing required field" })
+      throw new ResponseError(500, { "Error": "Could not update the specified user." });
     }
-    return User;
+  }
+
+  /**
+   * Creates the error responded with when the `If-Match` header does not match the version of the user.
+   * @static
+   * @returns {ResponseError}
+   * @memberof User
+   */
+  static versionMismatchError () {
+    return new ResponseError(412, { "Error": "The user has been modified since it was retrieved (If-Match does not match its ETag)." });
+  }
+
+  /**
+   * Verifies that the `tokenid` header holds a valid token for the given user, and extends its
+   * expiration time, since the user is active. The user is recorded on the request data (see `Token.authenticate`).
+   * @static
+   * @param {Object} data The request data
+   * @param {Object} data.headers The request headers
+   * @param {String} email The user ID
+   * @returns {Promise<Token>} Resolves with the token, or rejects with a `403` ResponseError
+   * @memberof User
+   */
+  static async authenticate (data, email) {
+    const headers = data && data.headers && typeof data.headers === "object" ? data.headers : {};
+    const tokenId = Token.isValidTokenId(headers.tokenid) ? headers.tokenid.trim() : false;
+    const token = new Token({ id: tokenId, email: email });
+
+    if (!tokenId || !(await token.isValidAsync())) {
+      throw new ResponseError(403, { "Error": "Missing required token in header, or token is invalid." });
+    }
+
+    // additionally, extend the token expiration time, since the user is active
+    token.extend();
+    return Token.authenticate(data, token);
+  }
+
+  /**
+   * Returns the given request data, making sure it has the `headers`, `queryParams` and `payload` objects.
+   * @static
+   * @param {Object} data
+   * @returns {Object}
+   * @memberof User
+   */
+  static normalizeRequestData (data) {
+    data = data && typeof data === "object" ? data : {};
+    data.headers = data.headers && typeof data.headers === "object" ? data.headers : {};
+    data.queryParams = data.queryParams && typeof data.queryParams === "object" ? data.queryParams : {};
+    data.payload = data.payload && typeof data.payload === "object" ? data.payload : {};
+    return data;
   }
 
   /**
@@ -634,6 +604,167 @@ module.exports = class User {
     return helpers.isValidPassword(value);
   }
 
+  /**
+   * The schemas of the user data returned by the request handlers, by name (see `src/openapi.js`).
+   * @static
+   * @readonly
+   * @memberof User
+   */
+  static get schemas () {
+    return {
+      User: schemas.object({
+        email: schemas.email,
+        firstName: { type: "string" },
+        lastName: { type: "string" },
+        streetAddress: { type: "string" },
+        cart: schemas.itemQuantities,
+        orders: { type: "array", items: schemas.orderId, description: "The IDs of the orders of the user" },
+        version: { type: "integer", description: "The version of the record, incremented on every update" }
+      }, ["email", "firstName", "lastName", "cart", "orders"]),
+      CheckoutResult: schemas.object({
+        orderData: schemas.ref("Order"),
+        info: { type: "object", description: "The outcome of the checkout steps, e.g. whether the receipt was mailed" },
+        checkoutId: { type: "string", description: "The ID of the checkout transaction" },
+        resumed: { type: "boolean", description: "Whether a checkout left pending by a failure was resumed, instead of a new one" }
+      }, ["orderData", "checkoutId", "resumed"])
+    };
+  }
+
+  /**
+   * The descriptions of the request handlers, by handler name (see `router.add`).
+   * @static
+   * @readonly
+   * @memberof User
+   */
+  static get operations () {
+    const user = { description: "The user, without the password", schema: schemas.ref("User"), headers: { ETag: schemas.etag } };
+    const email = schemas.object({ email: schemas.email }, ["email"]);
+    const cartItem = schemas.object({ email: schemas.email, itemId: schemas.itemId }, ["email", "itemId"]);
+    const ifMatch = schemas.object({ "if-match": schemas.ifMatch });
+    const names = {
+      firstName: { type: "string", minLength: 1 },
+      lastName: { type: "string", minLength: 1 },
+      streetAddress: { type: "string" }
+    };
+
+    return {
+      post: {
+        summary: "Sign up",
+        tags: ["Users"],
+        payload: schemas.object(Object.assign({
+          email: schemas.email,
+          password: schemas.password,
+          tosAgreement: { type: "boolean", enum: [true], description: "Whether the user agrees to the terms of service" }
+        }, names), ["email", "password", "tosAgreement", "firstName", "lastName"]),
+        responses: { 200: user },
+        errors: { 400: "Missing or invalid fields, or a user with this email already exists" }
+      },
+      get: {
+        summary: "Read a user",
+        tags: ["Users"],
+        auth: "user",
+        params: email,
+        responses: { 200: user },
+        errors: { 400: "Missing or invalid email", 403: "Missing or invalid token", 404: "The user does not exist" }
+      },
+      put: {
+        summary: "Update a user",
+        description: "Updates the given fields of the user.",
+        tags: ["Users"],
+        auth: "user",
+        params: email,
+        headers: ifMatch,
+        payload: schemas.object(Object.assign({
+          password: schemas.password,
+          cart: schemas.itemQuantities,
+          orders: { type: "array", items: schemas.orderId }
+        }, names)),
+        responses: { 200: user },
+        errors: { 400: "Missing or invalid fields, or nothing to update", 403: "Missing or invalid token", 412: "The user has been modified since (`If-Match`)" }
+      },
+      delete: {
+        summary: "Delete a user",
+        description: "Moves the user and their orders to the trash, and logs them out of all their sessions.",
+        tags: ["Users"],
+        auth: "user",
+        params: email,
+        headers: ifMatch,
+        responses: { 200: { description: "The user is deleted" } },
+        errors: { 400: "Missing or invalid email, or the user does not exist", 403: "Missing or invalid token", 412: "The user has been modified since (`If-Match`)" }
+      },
+      login: {
+        summary: "Log in",
+        description: "Creates a token for the user, to send in the `tokenid` header of their requests.",
+        tags: ["Users"],
+        payload: schemas.object({ email: schemas.email, password: schemas.password }, ["email", "password"]),
+        responses: { 200: { description: "The new token", schema: schemas.ref("Token") } },
+        errors: { 400: "Missing fields, or wrong password", 404: "The user does not exist" }
+      },
+      logout: {
+        summary: "Log out",
+        description: "Deletes the given token.",
+        tags: ["Users"],
+        payload: schemas.object({ tokenId: schemas.tokenId }, ["tokenId"]),
+        responses: { 200: { description: "The token is deleted" } },
+        errors: { 400: "Missing or unknown token" }
+      },
+      addToCart: {
+        summary: "Add an item to the cart",
+        description: "Sets the quantity of an item in the cart of the user. A quantity of 0 removes it.",
+        tags: ["Cart"],
+        auth: "user",
+        params: cartItem,
+        headers: ifMatch,
+        payload: schemas.object({ quantity: { type: "integer", minimum: 0 } }, ["quantity"]),
+        responses: { 200: user },
+        errors: { 400: "Missing or invalid fields", 403: "Missing or invalid token", 412: "The user has been modified since (`If-Match`)" }
+      },
+      removeFromCart: {
+        summary: "Remove an item from the cart",
+        tags: ["Cart"],
+        auth: "user",
+        params: cartItem,
+        headers: ifMatch,
+        responses: { 200: user },
+        errors: { 400: "Missing or invalid fields", 403: "Missing or invalid token", 412: "The user has been modified since (`If-Match`)" }
+      },
+      emptyCart: {
+        summary: "Empty the cart",
+        tags: ["Cart"],
+        auth: "user",
+        params: email,
+        headers: ifMatch,
+        responses: { 200: user },
+        errors: { 400: "Missing or invalid email", 403: "Missing or invalid token", 412: "The user has been modified since (`If-Match`)" }
+      },
+      checkout: {
+        summary: "Check out",
+        description: "Places an order with the items of the cart, pays it and empties the cart, as a transaction.",
+        tags: ["Cart"],
+        auth: "user",
+        params: email,
+        headers: ifMatch,
+        payload: schemas.object({
+          stripeToken: {
+            type: "string",
+            enum: ["tok_visa", "tok_visa_debit", "tok_mastercard", "tok_mastercard_debit", "tok_mastercard_prepaid", "tok_amex", "tok_discover", "tok_diners", "tok_jcb", "tok_unionpay"],
+            description: "The Stripe test token to pay with (`tok_visa` by default)"
+          }
+        }),
+        responses: { 200: { description: "The placed order", schema: schemas.ref("CheckoutResult") } },
+        errors: {
+          400: "Missing or invalid email, or the payment failed",
+          403: "Missing or invalid token, or the cart is empty",
+          404: "The user does not exist",
+          409: "Another checkout of the user is being run",
+          412: "The user has been modified since (`If-Match`)",
+          500: "The checkout failed, along with its `checkoutId` if it is pending",
+          502: "The payment could not be confirmed, along with the `checkoutId`"
+        }
+      }
+    };
+  }
+
   /**
    * Creates an instance of User.
    * @constructor
@@ -645,6 +776,8 @@ module.exports = class User {
    * @param {String} [params.lastName]
    * @param {String} [params.streetAddress]
    * @param {Object} [params.cart] A hash-map key-value pairs, where the `key` is the `itemId` and the `value` is the quantity.
+   * @param {Array} [params.orders] The IDs of the user's orders
+   * @param {Number} [params.version] The version of the stored record
    * @memberof User.prototype
    */
   constructor(params) {
@@ -657,6 +790,7 @@ module.exports = class User {
     this.streetAddress = params.streetAddress;
     this.cart = params.cart instanceof Object ? params.cart : {};
     this.orders = params.orders instanceof Array ? params.orders : [];
+    this.version = params.version;
   }
 
   /**
@@ -776,6 +910,20 @@ module.exports = class User {
     return this._orders;
   }
 
+  /**
+   * The version of the stored user record, which is incremented on every update (`0` if it predates versioning)
+   * @property
+   * @type {Number}
+   * @memberof User.prototype
+   */
+  set version (value) {
+    this._version = typeof value === "number" && value >= 0 ? value : 0;
+    return this;
+  }
+  get version () {
+    return this._version;
+  }
+
   /**
    * Returns a JSON object containing user's internal state.
    * @public
@@ -791,7 +939,8 @@ module.exports = class User {
       lastName: this.lastName,
       streetAddress: this.streetAddress,
       cart: Object.assign({}, this.cart),
-      orders: [].concat(this.orders)
+      orders: [].concat(this.orders),
+      version: this.version
     };
   }
 }
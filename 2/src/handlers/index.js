@@ -3,6 +3,11 @@ const User = require("./User");
 const Token = require("./Token");
 const Item = require("./Item");
 const Order = require("./Order");
+const Trash = require("./Trash");
+const Health = require("./Health");
+const Pages = require("./Pages");
+const Assets = require("./Assets");
+const Docs = require("./Docs");
 
 /**
  * Define and export all Request Handlers
@@ -26,15 +31,48 @@ module.exports = {
     }
   },
 
+  // Method Not Allowed
+  methodNotAllowed: (data, callback, allowedMethods) => {
+    if (typeof callback === "function") {
+      setTimeout(function () {
+        callback(405, { "Error": "Method not allowed" }, { "Allow": allowedMethods.map((method) => method.toUpperCase()).join(", ") });
+      }, 0);
+    }
+  },
+
+  // Options (the methods a path supports)
+  options: (data, callback, allowedMethods) => {
+    if (typeof callback === "function") {
+      setTimeout(function () {
+        callback(204, {}, { "Allow": allowedMethods.concat("options").map((method) => method.toUpperCase()).join(", ") });
+      }, 0);
+    }
+  },
+
   // Users - request handlers
-  users: User.httpRequestHandler,
+  users: User,
 
   // Tokens - request handlers
-  tokens: Token.httpRequestHandler,
+  tokens: Token,
 
   // Items - request handlers
-  items: Item.httpRequestHandler,
+  items: Item,
 
   // Orders - request handlers
-  orders: Order.httpRequestHandler
+  orders: Order,
+
+  // Trash (deleted records) - request handlers
+  trash: Trash,
+
+  // Health (liveness and readiness probes) - request handlers
+  health: Health,
+
+  // Storefront pages - request handlers
+  pages: Pages,
+
+  // Static assets - request handlers
+  assets: Assets,
+
+  // API description - request handlers
+  docs: Docs
 };
@@ -0,0 +1,131 @@
+/**
+ * The schemas shared by the descriptions of the request handlers (the `operations` and `schemas` of the handler classes,
+ * see `router.add` and `src/openapi.js`). They are JSON schemas, as validated by `src/validation.js`.
+ */
+
+// The largest page size of the list endpoints, see `src/pagination.js`
+const MAX_LIMIT = 100;
+
+/**
+ * Define and export the shared schemas
+ */
+module.exports = {
+  // The email of a user, which is their ID
+  email: { type: "string", format: "email", description: "The email of the user (their ID)" },
+
+  // A user password
+  password: { type: "string", minLength: 6 },
+
+  // The ID of a token
+  tokenId: { type: "string", minLength: 20, maxLength: 20, pattern: "^[a-z0-9]+$", description: "The ID of the token" },
+
+  // The ID of an item
+  itemId: { type: "string", minLength: 10, maxLength: 10, pattern: "^[a-z0-9]+$", description: "The ID of the item" },
+
+  // The ID of an order
+  orderId: { type: "string", minLength: 20, maxLength: 20, pattern: "^[a-z0-9]+$", description: "The ID of the order" },
+
+  // The items of a cart or an order
+  itemQuantities: {
+    type: "object",
+    additionalProperties: { type: "integer", minimum: 1 },
+    description: "The quantities of the items, by item ID"
+  },
+
+  // The `If-Match` request header, see `helpers.ifMatchVersions`
+  ifMatch: { type: "string", description: "The `ETag` of the record, to only change it if it has not been modified since" },
+
+  // The `ETag` response header, see `helpers.etagHeaders`
+  etag: { type: "string", description: "The version of the record, e.g. `\"3\"`, to send back in an `If-Match` header" },
+
+  /**
+   * Returns a reference to a schema of the components of the API description, e.g. `ref("User")`.
+   * @param {String} name
+   * @returns {Object}
+   */
+  ref: (name) => ({ $ref: `#/components/schemas/${name}` }),
+
+  /**
+   * Returns the schema of an object.
+   * @param {Object} properties The schemas of its properties, by name
+   * @param {Array} [required] The names of the properties it must have
+   * @returns {Object}
+   */
+  object: (properties, required) => ({ type: "object", properties: properties, required: required || [] }),
+
+  /**
+   * Returns the schema of a page of a list endpoint (see `pagination.paginate`).
+   * @param {String} name The name of the schema of the records
+   * @returns {Object}
+   */
+  page: (name) => ({
+    type: "object",
+    properties: {
+      data: { type: "array", items: module.exports.ref(name) },
+      pagination: module.exports.ref("Pagination")
+    },
+    required: ["data", "pagination"]
+  }),
+
+  /**
+   * Returns the schema of the response of a list endpoint: all the records, or a page of them if one is requested
+   * (see `pagination.isRequested`).
+   * @param {String} name The name of the schema of the records
+   * @returns {Object}
+   */
+  list: (name) => ({
+    oneOf: [{ type: "array", items: module.exports.ref(name) }, module.exports.ref(`${name}Page`)]
+  }),
+
+  /**
+   * Returns the schemas of the sorting and pagination URL parameters of a list endpoint (see `pagination.paginate`).
+   * @param {Array} sortFields The fields the records can be sorted by, the default one first
+   * @returns {Object} The schemas, by parameter name
+   */
+  pageQuery: (sortFields) => ({
+    sort: {
+      type: "string",
+      enum: sortFields.reduce((values, field) => values.concat(field, `-${field}`), []),
+      description: `The sort field (\`${sortFields[0]}\` by default), prefixed with \`-\` for descending order`
+    },
+    limit: { type: "integer", minimum: 1, maximum: MAX_LIMIT, description: "The page size (25 by default)" },
+    offset: { type: "integer", minimum: 0, description: "The position of the page (0 by default)" },
+    cursor: { type: "string", description: "The `nextCursor` of the previous page, instead of `offset`" }
+  }),
+
+  // The schemas of the responses shared by the handlers, by name
+  components: {
+    Error: {
+      type: "object",
+      properties: {
+        Error: { type: "string" },
+        error: { type: "string" },
+        errors: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              field: { type: "string", description: "The part of the request and the field, e.g. `payload.quantity`" },
+              message: { type: "string", description: "What is wrong with it, e.g. `must be an integer`" }
+            },
+            required: ["field", "message"]
+          },
+          description: "The invalid fields of an invalid request"
+        }
+      },
+      description: "Tells what went wrong, as `Error` (or `error`, for the tokens), along with the invalid fields of an invalid request"
+    },
+    Pagination: {
+      type: "object",
+      properties: {
+        total: { type: "integer", description: "The number of records matching the filters" },
+        offset: { type: "integer" },
+        limit: { type: "integer" },
+        sort: { type: "string" },
+        hasMore: { type: "boolean" },
+        nextCursor: { type: ["string", "null"], description: "The `cursor` of the next page, if there are more records" }
+      },
+      required: ["total", "offset", "limit", "sort", "hasMore", "nextCursor"]
+    }
+  }
+};
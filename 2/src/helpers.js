@@ -7,11 +7,15 @@ const config = require('./config');
 const crypto = require('crypto');
 const https = require('https');
 const querystring = require('querystring');
+const validation = require('./validation');
+const ResponseError = require('./ResponseError');
 
 // Constants
-const EMAIL_REGEXP = /^[A-Za-z0-9._]+\@[A-Za-z0-9._]+\.[A-Za-z]{2,3}$/i;
 const IDs = {};
 
+// The parts of a request, as described by `router.add`, and where they are in the request data
+const REQUEST_PARTS = { path: 'params', query: 'queryParams', headers: 'headers', payload: 'payload' };
+
 // Define the helpers module
 const helpers = {};
 
@@ -26,6 +30,33 @@ helpers.parseJsonToObject = function (str) {
   }
 };
 
+/**
+ * Parses a request body by its `Content-Type`: JSON (the default, when there is no `Content-Type`)
+ * or `application/x-www-form-urlencoded`. An empty body is parsed to an empty object, whatever its content type.
+ * @param {String} body
+ * @param {String} [contentType] The `Content-Type` request header
+ * @returns {*} The parsed body
+ * @throws {ResponseError} `415` if the content type is not supported, or `400` if the body cannot be parsed
+ */
+helpers.parseRequestBody = function (body, contentType) {
+  if (!body.trim().length) {
+    return {};
+  }
+  const mediaType = typeof contentType === 'string' ? contentType.split(';')[0].trim().toLowerCase() : '';
+  const isJson = !mediaType.length || mediaType === 'application/json' || /^application\/[\w.-]+\+json$/.test(mediaType);
+  if (!isJson && mediaType !== 'application/x-www-form-urlencoded') {
+    throw new ResponseError(415, { 'Error': `Unsupported Content-Type: ${mediaType}. Use application/json or application/x-www-form-urlencoded` });
+  }
+  if (!isJson) {
+    return Object.assign({}, querystring.parse(body));
+  }
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    throw new ResponseError(400, { 'Error': `Invalid JSON payload: ${err.message}` });
+  }
+};
+
 /**
  * Create a SHA256 hash
  */
@@ -56,7 +87,7 @@ helpers.createRandomString = function (strLength) {
  * @returns {Boolean}
  */
 helpers.isValidEmail = function (value) {
-  return typeof value === "string" && EMAIL_REGEXP.test(value.trim());
+  return validation.isFormat("email", value);
 };
 
 /**
@@ -75,7 +106,7 @@ helpers.isValidPassword = function (value) {
  * @returns {Boolean}
  */
 helpers.isValidOrderId = function (value) {
-  return typeof value === "string" && value.trim().length === 20;
+  return typeof value === "string" && /^[a-z0-9]{20}$/.test(value.trim());
 };
 
 /**
@@ -85,55 +116,222 @@ helpers.isValidOrderId = function (value) {
  * @returns {Boolean}
  */
 helpers.isValidItemId = function (value) {
-  return typeof value === "string" && value.trim().length === 10;
+  return typeof value === "string" && /^[a-z0-9]{10}$/.test(value.trim());
 };
 
 /**
  * Performs requests to external APIs.
  * @param {Object} options Request options
  * @param {String|Object} payload The payload
- * @param {Function} callback
+ * @returns {Promise<String>} Resolves with the response body, or rejects with an error holding the `statusCode` of an unsuccessful response
  */
-helpers.ajax = function (options, payload, callback) {
+helpers.ajaxAsync = function (options, payload) {
   options = typeof options === "object" ? options : {};
-  callback = typeof callback === "function" ? callback : Function.prototype;
 
-  // Instantiate the request object
-  const req = https.request(options, (res) => {
-    let result = "";
-    res.setEncoding("utf-8");
-    res.on("data", (chunk) => {
-      result += chunk;
+  return new Promise((resolve, reject) => {
+    // Instantiate the request object
+    const req = https.request(options, (res) => {
+      let result = "";
+      res.setEncoding("utf-8");
+      res.on("data", (chunk) => {
+        result += chunk;
+      });
+
+      res.on("end", () => {
+        // Grab the status code
+        const statusCode = res.statusCode;
+        // Resolve successfully if the request went through
+        if (statusCode === 200 || statusCode === 201) {
+          resolve(result);
+        } else {
+          const err = new Error(`Request failed with status code ${statusCode}`);
+          err.statusCode = statusCode;
+          reject(err);
+        }
+      });
     });
 
-    res.on("end", () => {
-      // Grab the status code
-      const statusCode = res.statusCode;
-      // Callback successfully if the request went through
-      if (statusCode === 200 || statusCode === 201) {
-        callback(null, result);
-      } else {
-        callback({ Error: true });
+    // handle potential error events
+    req.on("error", reject);
+
+    // write the payload
+    if (payload) {
+      if (typeof payload === "string") {
+        req.write(payload);
+      } else if (typeof payload === "object") {
+        req.write(querystring.stringify(payload));
       }
-    });
+    }
+
+    // send the request
+    req.end();
   });
+};
+
+/**
+ * Performs requests to external APIs.
+ * @param {Object} options Request options
+ * @param {String|Object} payload The payload
+ * @param {Function} callback
+ */
+helpers.ajax = function (options, payload, callback) {
+  helpers.callback(helpers.ajaxAsync(options, payload), callback);
+};
 
-  // handle potential error events
-  req.on("error", (err) => {
-    callback(err);
+/**
+ * Settles the given promise into a Node style `(err, result)` callback.
+ * @param {Promise} promise
+ * @param {Function} [callback]
+ */
+helpers.callback = function (promise, callback) {
+  callback = typeof callback === "function" ? callback : Function.prototype;
+  promise.then((result) => {
+    callback(false, result);
+  }, (err) => {
+    callback(err || true);
   });
+};
 
-  // write the payload
-  if (payload) {
-    if (typeof payload === "string") {
-      req.write(payload);
-    } else if (typeof payload === "object") {
-      req.write(querystring.stringify(payload));
+/**
+ * Settles the promise returned by a request handler into its `(statusCode, payload, headers, err)` callback.
+ * A resolved promise calls back with `200` and the resolved payload, a `ResponseError` with its own
+ * status code and payload, and any other error with `500` and the error itself, which the server logs
+ * along with the ID of the request (see `server.runMiddleware`).
+ * @param {Promise} promise
+ * @param {Function} [callback]
+ * @param {Function} [headersOf] A function that returns the response headers for the resolved payload
+ */
+helpers.respond = function (promise, callback, headersOf) {
+  callback = typeof callback === "function" ? callback : Function.prototype;
+  headersOf = typeof headersOf === "function" ? headersOf : () => ({});
+  promise.then((payload) => {
+    callback(200, payload, headersOf(payload));
+  }, (err) => {
+    if (err instanceof ResponseError) {
+      callback(err.statusCode, err.payload);
+    } else {
+      callback(500, { "Error": "Internal server error" }, {}, err);
     }
+  });
+};
+
+/**
+ * Returns the `ETag` header for the version of the given record, if it has one.
+ * @param {Object} record
+ * @returns {Object} The response headers
+ */
+helpers.etagHeaders = function (record) {
+  return record && typeof record === "object" && typeof record.version === "number" ? { "ETag": `"${record.version}"` } : {};
+};
+
+/**
+ * Returns the record versions listed by the `If-Match` request header, or `null` if any version matches
+ * (the header is missing, or is `*`). Weak entity tags never match.
+ * @param {Object} headers The request headers
+ * @returns {Array|null}
+ */
+helpers.ifMatchVersions = function (headers) {
+  const ifMatch = headers && typeof headers["if-match"] === "string" ? headers["if-match"].trim() : "";
+  if (!ifMatch.length || ifMatch === "*") {
+    return null;
   }
+  return ifMatch.split(",").reduce((versions, etag) => {
+    const match = /^"(\d+)"$/.exec(etag.trim());
+    if (match) {
+      versions.push(Number(match[1]));
+    }
+    return versions;
+  }, []);
+};
 
-  // send the request
-  req.end();
+/**
+ * Returns a request parameter: the one matched in the request path (`data.params`, see `router.resolve`) if any,
+ * or else the one given in the query string or payload.
+ * @param {Object} data The request data
+ * @param {String} name The parameter name
+ * @param {String} source Where to look for the parameter when it is not in the path: `queryParams` or `payload`
+ * @param {Function} isValid A function that returns `true` if the value is valid
+ * @returns {String|Boolean} The trimmed value, or `false` if it is invalid
+ */
+helpers.requestParam = function (data, name, source, isValid) {
+  const params = data && data.params && typeof data.params === "object" ? data.params : {};
+  const values = data && data[source] && typeof data[source] === "object" ? data[source] : {};
+  const value = typeof params[name] === "string" ? params[name] : values[name];
+  return isValid(value) ? value.trim() : false;
+};
+
+/**
+ * Validates a request against the shapes of its parts (see `router.add`). The path, URL parameters and headers are strings,
+ * and so are the fields of a form payload: they are converted to the types of their schemas before they are validated,
+ * whereas the fields of a JSON payload must have the right types (e.g. a quantity of `"2"` is not an integer).
+ * A valid form payload is replaced by its converted copy, so that the handlers get the same types as from JSON;
+ * the rest of the request data is left as it is.
+ * @param {Object} request The object schemas of the parts of the request, as `{ path, query, headers, payload }`, each optional
+ * @param {Object} data The request data
+ * @throws {ResponseError} `400`, with the errors as `{ field, message }`, the field prefixed with the part of the request
+ * (e.g. `payload.quantity`), if the request is invalid
+ */
+helpers.validateRequest = function (request, data) {
+  data = data && typeof data === 'object' ? data : {};
+  const contentType = data.headers && typeof data.headers['content-type'] === 'string' ? data.headers['content-type'] : '';
+  const isForm = contentType.split(';')[0].trim().toLowerCase() === 'application/x-www-form-urlencoded';
+
+  const errors = [];
+  const coerced = {};
+  Object.keys(REQUEST_PARTS).forEach((part) => {
+    const schema = request && request[part];
+    if (!schema) {
+      return;
+    }
+    let value = data[REQUEST_PARTS[part]];
+    value = typeof value === 'undefined' || value === null ? {} : value;
+    if (part !== 'payload' || isForm) {
+      value = validation.coerce(schema, value);
+    }
+    errors.push(...validation.validate(schema, value, part));
+    coerced[part] = value;
+  });
+  if (errors.length) {
+    throw new ResponseError(400, { 'Error': 'Invalid request', 'errors': errors });
+  }
+  if (isForm && coerced.payload) {
+    data.payload = coerced.payload;
+  }
+};
+
+/**
+ * Adds a request header to the `Vary` header of the given response headers, telling the caches that the response depends on it.
+ * @param {Object} headers The response headers
+ * @param {String} name The request header name, e.g. `Accept`
+ * @returns {Object} The response headers
+ */
+helpers.vary = function (headers, name) {
+  const names = typeof headers["Vary"] === "string" && headers["Vary"].length ? headers["Vary"].split(/\s*,\s*/) : [];
+  if (!names.some((existing) => existing.toLowerCase() === name.toLowerCase())) {
+    headers["Vary"] = names.concat(name).join(", ");
+  }
+  return headers;
+};
+
+/**
+ * Parses the `Cookie` request header.
+ * @param {Object} headers The request headers
+ * @returns {Object} The cookie values, by name
+ */
+helpers.parseCookies = function (headers) {
+  const cookie = headers && typeof headers.cookie === "string" ? headers.cookie : "";
+  return cookie.split(";").reduce((cookies, pair) => {
+    const position = pair.indexOf("=");
+    const name = position > -1 ? pair.slice(0, position).trim() : "";
+    if (name.length && !Object.prototype.hasOwnProperty.call(cookies, name)) {
+      try {
+        cookies[name] = decodeURIComponent(pair.slice(position + 1).trim());
+      } catch (err) {
+        cookies[name] = pair.slice(position + 1).trim();
+      }
+    }
+    return cookies;
+  }, {});
 };
 
 helpers.sendTwilioSms = function (phone, msg, callback) {
@@ -0,0 +1,143 @@
+/**
+ * JSON logs, one entry per line, written to files rotated daily: `<dir>/<name>-<YYYY-MM-DD>.log`
+ */
+
+// Dependencies
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// The current settings, see `logger.configure`
+let settings = {};
+
+// The open log files, by log name: `{ date, stream }`
+const files = {};
+
+// Define the logger module
+const logger = {};
+
+/**
+ * Returns the stream of today's file of the given log, opening it (and deleting the oldest files of the log) on the first entry of the day.
+ * @param {String} name The log name
+ * @returns {fs.WriteStream}
+ */
+const streamOf = (name) => {
+  const date = new Date().toISOString().slice(0, 10);
+  if (files[name] && files[name].date === date) {
+    return files[name].stream;
+  }
+  if (files[name]) {
+    files[name].stream.end();
+  }
+
+  fs.mkdirSync(settings.dir, { recursive: true });
+  const stream = fs.createWriteStream(path.join(settings.dir, `${name}-${date}.log`), { flags: 'a' });
+  stream.on('error', (err) => {
+    console.log('\x1b[31m%s\x1b[0m', `Could not write the ${name} log: ${err.message}`);
+  });
+  files[name] = { date: date, stream: stream };
+  prune(name);
+  return stream;
+};
+
+/**
+ * Deletes the oldest files of the given log, keeping the last `maxFiles` ones.
+ * @param {String} name The log name
+ */
+const prune = (name) => {
+  const pattern = new RegExp(`^${name}-\\d{4}-\\d{2}-\\d{2}\\.log$`);
+  fs.readdir(settings.dir, (err, fileNames) => {
+    if (err) {
+      return;
+    }
+    const logFiles = fileNames.filter((fileName) => pattern.test(fileName)).sort();
+    logFiles.slice(0, Math.max(logFiles.length - settings.maxFiles, 0)).forEach((fileName) => {
+      fs.unlink(path.join(settings.dir, fileName), Function.prototype);
+    });
+  });
+};
+
+/**
+ * Sets where the logs are written.
+ * @param {Object} [newSettings]
+ * @param {String} [newSettings.dir] The directory of the log files, relative to the app folder (nothing is logged if not given)
+ * @param {Number} [newSettings.maxFiles=14] How many files (days) of each log are kept
+ * @returns {Object}
+ */
+logger.configure = function (newSettings) {
+  newSettings = newSettings && typeof newSettings === 'object' ? newSettings : {};
+  logger.close();
+  settings = {
+    dir: typeof newSettings.dir === 'string' && newSettings.dir.length ? path.resolve(__dirname, '..', newSettings.dir) : null,
+    maxFiles: typeof newSettings.maxFiles === 'number' && newSettings.maxFiles > 0 ? newSettings.maxFiles : 14
+  };
+  return logger;
+};
+
+/**
+ * Writes an entry to the given log, along with the time it is written.
+ * @param {String} name The log name, e.g. `access`
+ * @param {Object} entry
+ */
+logger.write = function (name, entry) {
+  if (!settings.dir) {
+    return;
+  }
+  streamOf(name).write(JSON.stringify(Object.assign({ time: new Date().toISOString() }, entry)) + '\n');
+};
+
+/**
+ * Writes an entry to the access log.
+ * @param {Object} entry See `middleware.accessLog`
+ */
+logger.access = function (entry) {
+  logger.write('access', entry);
+};
+
+/**
+ * Writes an informational message to the app log.
+ * @param {String} message
+ * @param {Object} [fields] The context of the message, e.g. the `requestId`
+ */
+logger.info = function (message, fields) {
+  logger.write('app', Object.assign({ level: 'info', message: message }, fields));
+};
+
+/**
+ * Writes an error message to the app log.
+ * @param {String} message
+ * @param {Object} [fields] The context of the message, e.g. the `requestId`
+ */
+logger.error = function (message, fields) {
+  logger.write('app', Object.assign({ level: 'error', message: message }, fields));
+};
+
+/**
+ * Closes the open log files, once the entries written so far are flushed. They are opened again by the next entry.
+ * @param {Function} [callback] Called once the files are closed
+ */
+logger.close = function (callback) {
+  callback = typeof callback === 'function' ? callback : Function.prototype;
+  const names = Object.keys(files);
+  let pending = names.length;
+  if (!pending) {
+    setImmediate(callback);
+    return;
+  }
+  names.forEach((name) => {
+    const stream = files[name].stream;
+    delete files[name];
+    stream.on('close', () => {
+      if (--pending === 0) {
+        callback();
+      }
+    });
+    stream.end();
+  });
+};
+
+// Use the settings of the config
+logger.configure(config.logs);
+
+// Export the module
+module.exports = logger;
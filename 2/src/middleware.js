@@ -0,0 +1,325 @@
+/**
+ * The middleware run around the request handlers (see `server.use`)
+ */
+
+// Dependencies
+const crypto = require('crypto');
+const url = require('url');
+const util = require('util');
+const config = require('./config');
+const helpers = require('./helpers');
+const router = require('./router');
+const logger = require('./logger');
+const csv = require('./csv');
+const negotiation = require('./negotiation');
+const rateLimiter = require('./rateLimiter');
+const debug = util.debuglog('server');
+
+// The request IDs accepted from the clients
+const REQUEST_ID_REGEXP = /^[\w.:-]{1,64}$/;
+
+// The request headers left to the handlers by `middleware.validateRequest`
+const UNVALIDATED_HEADERS = ['tokenid'];
+
+// Define the middleware module
+const middleware = {};
+
+/**
+ * Defaults the headers, URL parameters, path parameters and payload of the request data to objects,
+ * so the handlers (and the middleware after this one) do not have to.
+ * @param {Object} data The request data
+ * @param {Object} response
+ * @param {Function} next
+ * @returns {Promise}
+ */
+middleware.normalizeRequest = function (data, response, next) {
+  ['headers', 'queryParams', 'params', 'payload'].forEach((name) => {
+    data[name] = data[name] && typeof data[name] === 'object' ? data[name] : {};
+  });
+  return next();
+};
+
+/**
+ * Logs the method, path, status code and duration of every request (with `NODE_DEBUG=server`):
+ * in green if the response is 200, in red otherwise.
+ * @param {Object} data The request data
+ * @param {Object} response
+ * @param {Function} next
+ * @returns {Promise}
+ */
+middleware.logRequest = async function (data, response, next) {
+  const start = Date.now();
+  let statusCode;
+  try {
+    await next();
+    statusCode = response.statusCode;
+  } catch (err) {
+    statusCode = typeof err.statusCode === 'number' ? err.statusCode : 500;
+    throw err;
+  } finally {
+    const color = statusCode === 200 ? '\x1b[32m%s\x1b[0m' : '\x1b[31m%s\x1b[0m';
+    debug(color, `${data.method.toUpperCase()} /${data.path} ${statusCode} ${Date.now() - start}ms`);
+  }
+};
+
+/**
+ * Gives the request an ID, available to the handlers as `data.requestId`, and echoed in the `X-Request-Id` response header.
+ * The ID sent by the client (or a proxy) in an `X-Request-Id` header is kept, if it is made of up to 64 letters, digits, `.`, `:`, `-` and `_`.
+ * @param {Object} data The request data
+ * @param {Object} response
+ * @param {Function} next
+ * @returns {Promise}
+ */
+middleware.requestId = function (data, response, next) {
+  const requestId = data.headers && data.headers['x-request-id'];
+  data.requestId = typeof requestId === 'string' && REQUEST_ID_REGEXP.test(requestId) ? requestId : crypto.randomBytes(12).toString('hex');
+  response.headers['X-Request-Id'] = data.requestId;
+  return next();
+};
+
+/**
+ * Returns the token a request is sent with, in its `tokenid` header or, for the storefront pages, in its `token` cookie.
+ * @param {Object} data The request data
+ * @returns {String|null}
+ */
+const tokenIdOf = (data) => {
+  const tokenId = data.headers.tokenid || helpers.parseCookies(data.headers).token;
+  return typeof tokenId === 'string' && tokenId.trim().length ? tokenId.trim() : null;
+};
+
+/**
+ * Writes an entry to the access log (see `logger.access`) once the response is sent, with the request ID, method, route
+ * (the matched route path), path, status code, latency (in milliseconds), the email of the authenticated user, if any,
+ * and the size of the response payload (in bytes). The user is the one the handler authenticated the request as
+ * (see `Token.authenticate`), so the token is not looked up again.
+ * @param {Object} data The request data
+ * @param {Object} response
+ * @param {Function} next
+ * @returns {Promise}
+ */
+middleware.accessLog = async function (data, response, next) {
+  const start = Date.now();
+  let statusCode;
+  try {
+    await next();
+    statusCode = response.statusCode;
+  } catch (err) {
+    statusCode = typeof err.statusCode === 'number' ? err.statusCode : 500;
+    throw err;
+  } finally {
+    response.sent.then((bytes) => {
+      logger.access({
+        requestId: data.requestId,
+        method: data.method.toUpperCase(),
+        route: data.route,
+        path: `/${data.path}`,
+        status: statusCode,
+        latency: Date.now() - start,
+        email: data.userEmail || null,
+        bytes: bytes
+      });
+    });
+  }
+};
+
+/**
+ * Returns the key a request is counted by, for the given rate limit.
+ * @param {Object} rule
+ * @param {Object} data The request data
+ * @returns {String|null}
+ */
+const rateLimitKeyOf = (rule, data) => {
+  let key;
+  switch (rule.key) {
+    case 'ip':
+      key = data.ip;
+      break;
+    case 'email':
+      key = data.params.email || data.payload.email;
+      break;
+    case 'token':
+      key = tokenIdOf(data);
+      break;
+  }
+  return typeof key === 'string' && key.trim().length ? key.trim().toLowerCase() : null;
+};
+
+/**
+ * Applies the rate limits of the matched route (see `rateLimiter.configure`). A request over a limit is answered with
+ * `429 Too Many Requests`, and a `Retry-After` header telling how many seconds to wait. Requests without the key
+ * of a limit (e.g. without an email) are not counted by it.
+ * @param {Object} data The request data
+ * @param {Object} response
+ * @param {Function} next
+ * @returns {Promise}
+ */
+middleware.rateLimit = async function (data, response, next) {
+  const rules = data.route ? rateLimiter.rulesOf(data.method, data.route) : [];
+  for (const rule of rules) {
+    const key = rateLimitKeyOf(rule, data);
+    if (!key) {
+      continue;
+    }
+    const result = await rateLimiter.takeAsync(rule, key);
+    if (!result.allowed) {
+      response.statusCode = 429;
+      response.payload = { 'Error': `Too many requests. Retry in ${result.retryAfter} second(s).` };
+      response.headers['Retry-After'] = String(result.retryAfter);
+      return;
+    }
+  }
+  return next();
+};
+
+/**
+ * Validates the requests to the routes that describe their shapes (see `router.add`) before calling their handlers:
+ * an invalid request is answered with `400 Bad Request`, and the errors of its fields (see `helpers.validateRequest`).
+ * The token of the `tokenid` header is left to the handlers, which answer a missing or invalid one with `403 Forbidden`.
+ * @param {Object} data The request data
+ * @param {Object} response
+ * @param {Function} next
+ * @returns {Promise}
+ */
+middleware.validateRequest = function (data, response, next) {
+  if (!data.shape) {
+    return next();
+  }
+  const shape = Object.assign({}, data.shape);
+  if (shape.headers) {
+    shape.headers = Object.assign({}, shape.headers, {
+      properties: Object.assign({}, shape.headers.properties),
+      required: shape.headers.required.filter((name) => UNVALIDATED_HEADERS.indexOf(name) < 0)
+    });
+    UNVALIDATED_HEADERS.forEach((name) => {
+      delete shape.headers.properties[name];
+    });
+  }
+  helpers.validateRequest(shape, data);
+  return next();
+};
+
+/**
+ * Redirects the HTTP requests to HTTPS, if the `tls.redirectHttp` setting of the config is set (the health probes are served
+ * over HTTP anyway), and adds the `Strict-Transport-Security` header of the `tls.hsts` setting to the HTTPS responses.
+ * @param {Object} data The request data
+ * @param {Object} response
+ * @param {Function} next
+ * @returns {Promise}
+ */
+middleware.https = function (data, response, next) {
+  if (!config.tls.enabled) {
+    return next();
+  }
+  if (data.secure) {
+    if (config.tls.hsts.maxAge > 0) {
+      response.headers['Strict-Transport-Security'] = `max-age=${config.tls.hsts.maxAge}` + (config.tls.hsts.includeSubDomains ? '; includeSubDomains' : '');
+    }
+    return next();
+  }
+  if (!config.tls.redirectHttp || /^health\//.test(data.path)) {
+    return next();
+  }
+
+  // Keep the host name the client used, with the port of the HTTPS server
+  const match = /^([\w.-]+|\[[0-9a-f:.]+\])(:\d+)?$/i.exec(data.headers.host || '');
+  if (!match) {
+    response.statusCode = 400;
+    response.payload = { 'Error': 'Missing or invalid Host header' };
+    return;
+  }
+  const port = config.httpsPort === 443 ? '' : `:${config.httpsPort}`;
+  const query = url.format({ query: data.queryParams });
+  response.statusCode = data.method === 'get' ? 301 : 308;
+  response.payload = {};
+  response.headers['Location'] = `https://${match[1]}${port}/${data.path}${query}`;
+};
+
+/**
+ * Adds the CORS headers to the responses to the origins allowed by the `cors` setting of the config, and answers their preflight
+ * requests (an `OPTIONS` request with an `Access-Control-Request-Method` header) to any routed path with `204 No Content`.
+ * The requests of the other origins are served without CORS headers, so the browsers do not let their scripts read the responses.
+ * @param {Object} data The request data
+ * @param {Object} response
+ * @param {Function} next
+ * @returns {Promise}
+ */
+middleware.cors = function (data, response, next) {
+  const origin = data.headers && data.headers.origin;
+  const origins = config.cors.origins;
+  const anyOrigin = origins.indexOf('*') > -1;
+
+  // With credentials, the browsers require the origin itself rather than `*`
+  const echoOrigin = !anyOrigin || config.cors.credentials;
+  if (echoOrigin) {
+    helpers.vary(response.headers, 'Origin');
+  }
+  if (typeof origin !== 'string' || (!anyOrigin && origins.indexOf(origin) < 0)) {
+    return next();
+  }
+
+  response.headers['Access-Control-Allow-Origin'] = echoOrigin ? origin : '*';
+  if (config.cors.credentials) {
+    response.headers['Access-Control-Allow-Credentials'] = 'true';
+  }
+
+  const isPreflight = data.method === 'options' && typeof data.headers['access-control-request-method'] === 'string';
+  if (!isPreflight) {
+    response.headers['Access-Control-Expose-Headers'] = config.cors.exposedHeaders.join(', ');
+    return next();
+  }
+
+  const methods = router.allowedMethods(data.path)
+    .map((method) => method.toUpperCase())
+    .filter((method) => config.cors.methods.indexOf(method) > -1);
+  if (!methods.length) {
+    return next();
+  }
+  response.statusCode = 204;
+  response.payload = {};
+  response.headers['Access-Control-Allow-Methods'] = methods.join(', ');
+  response.headers['Access-Control-Allow-Headers'] = config.cors.headers.join(', ');
+  response.headers['Access-Control-Max-Age'] = String(config.cors.maxAge);
+};
+
+/**
+ * Negotiates the media type of the responses to the `GET` requests, by their `Accept` header: the lists (an array of records,
+ * or a page of them as `{ data, pagination }`) can be sent as JSON or exported as CSV, and the other responses as JSON only.
+ * A request that accepts none of them is answered with `406 Not Acceptable`. The error responses, and the responses with
+ * their own content type (e.g. the storefront pages), are sent as they are.
+ * @param {Object} data The request data
+ * @param {Object} response
+ * @param {Function} next
+ * @returns {Promise}
+ */
+middleware.negotiateContent = async function (data, response, next) {
+  await next();
+  if (data.method !== 'get' || response.statusCode !== 200 || response.headers['Content-Type']) {
+    return;
+  }
+
+  const payload = response.payload;
+  const isPage = payload && typeof payload === 'object' && payload.data instanceof Array && payload.pagination && typeof payload.pagination === 'object';
+  const records = payload instanceof Array ? payload : (isPage ? payload.data : null);
+  const mediaTypes = records ? ['application/json', 'text/csv'] : ['application/json'];
+  const mediaType = negotiation.mediaTypeOf(data.headers.accept, mediaTypes);
+  helpers.vary(response.headers, 'Accept');
+
+  if (!mediaType) {
+    response.statusCode = 406;
+    response.payload = { 'Error': `Not acceptable. The response can be sent as: ${mediaTypes.join(', ')}` };
+  } else if (mediaType === 'text/csv') {
+    // The pagination of a page is sent in headers, as the CSV has the records only
+    if (isPage) {
+      response.headers['X-Total-Count'] = String(payload.pagination.total);
+      if (payload.pagination.nextCursor) {
+        response.headers['X-Next-Cursor'] = payload.pagination.nextCursor;
+      }
+    }
+    response.payload = csv.stringify(records);
+    response.headers['Content-Type'] = 'text/csv; charset=utf-8';
+    response.headers['Content-Disposition'] = `attachment; filename="${data.path.replace(/[^\w-]+/g, '-')}.csv"`;
+  }
+};
+
+// Export the module
+module.exports = middleware;
@@ -0,0 +1,101 @@
+/**
+ * Content negotiation: picks the media type (`Accept`) and the content coding (`Accept-Encoding`) of a response
+ * among the ones the server can send, by the preferences of the client.
+ */
+
+// Define the negotiation module
+const negotiation = {};
+
+/**
+ * Parses an `Accept` or `Accept-Encoding` request header.
+ * @param {String} header
+ * @returns {Array} The values, as `{ value, q }` (in lower case, without their other parameters)
+ */
+const parse = (header) => header.split(',').map((part) => {
+  const params = part.split(';');
+  const value = params.shift().trim().toLowerCase();
+  const qParam = params.map((param) => param.trim()).find((param) => /^q=/i.test(param));
+  const q = qParam ? Number(qParam.slice(2)) : 1;
+  return { value: value, q: isFinite(q) ? Math.min(Math.max(q, 0), 1) : 0 };
+}).filter((entry) => entry.value.length);
+
+/**
+ * Returns the most specific of the parsed values matching the given offer, e.g. `text/csv` rather than `text/*`.
+ * @param {Array} entries See `parse`
+ * @param {String} offer
+ * @param {Function} specificityOf Returns how specific an entry is for the offer, or `-1` if it does not match it
+ * @returns {Object|null}
+ */
+const bestMatchOf = (entries, offer, specificityOf) => entries.reduce((best, entry) => {
+  const specificity = specificityOf(entry.value, offer);
+  if (specificity < 0 || (best && best.specificity >= specificity)) {
+    return best;
+  }
+  return { q: entry.q, specificity: specificity };
+}, null);
+
+/**
+ * Picks the offer the client prefers: the one with the highest quality, then the one the client named most specifically
+ * (e.g. `text/csv` rather than a wildcard), then the one listed first in the offers.
+ * @param {Array} entries See `parse`
+ * @param {Array} offers
+ * @param {Function} specificityOf See `bestMatchOf`
+ * @returns {String|null} The offer, or `null` if the client accepts none
+ */
+const pick = (entries, offers, specificityOf) => {
+  let best = null;
+  offers.forEach((offer) => {
+    const match = bestMatchOf(entries, offer, specificityOf);
+    if (!match || match.q <= 0) {
+      return;
+    }
+    if (!best || match.q > best.q || (match.q === best.q && match.specificity > best.specificity)) {
+      best = { offer: offer, q: match.q, specificity: match.specificity };
+    }
+  });
+  return best ? best.offer : null;
+};
+
+/**
+ * Returns the media type the client prefers among the given ones, by its `Accept` header. Without an `Accept` header,
+ * the client accepts any media type, so the first one offered is picked.
+ * @param {String} [accept] The `Accept` request header
+ * @param {Array} offers The media types the server can send, e.g. `['application/json', 'text/csv']`, in its order of preference
+ * @returns {String|null} The media type, or `null` if the client accepts none of them
+ */
+negotiation.mediaTypeOf = function (accept, offers) {
+  if (typeof accept !== 'string' || !accept.trim().length) {
+    return offers.length ? offers[0] : null;
+  }
+  return pick(parse(accept), offers, (value, offer) => {
+    if (value === offer) {
+      return 2;
+    }
+    if (value === '*/*') {
+      return 0;
+    }
+    return value.slice(-2) === '/*' && offer.indexOf(value.slice(0, -1)) === 0 ? 1 : -1;
+  });
+};
+
+/**
+ * Returns the content coding the client prefers among the given ones, by its `Accept-Encoding` header.
+ * Without an `Accept-Encoding` header, the response is not encoded.
+ * @param {String} [acceptEncoding] The `Accept-Encoding` request header
+ * @param {Array} offers The content codings the server can use, e.g. `['br', 'gzip', 'deflate']`, in its order of preference
+ * @returns {String|null} The content coding, or `null` if the response is to be sent as it is
+ */
+negotiation.encodingOf = function (acceptEncoding, offers) {
+  if (typeof acceptEncoding !== 'string' || !acceptEncoding.trim().length) {
+    return null;
+  }
+  return pick(parse(acceptEncoding), offers, (value, offer) => {
+    if (value === offer) {
+      return 1;
+    }
+    return value === '*' ? 0 : -1;
+  });
+};
+
+// Export the module
+module.exports = negotiation;
@@ -0,0 +1,263 @@
+/**
+ * The OpenAPI 3 description of the API, generated from the routes that have the description of their operation
+ * (see `router.add`), and from the schemas of the handler classes
+ */
+
+// Dependencies
+const rateLimiter = require('./rateLimiter');
+const schemas = require('./handlers/schemas');
+
+// The version of the OpenAPI specification the description follows, and the version of the API
+const OPENAPI_VERSION = '3.0.3';
+const API_VERSION = '1.0.0';
+
+// The media types of the request payloads, see `helpers.parseRequestBody`
+const PAYLOAD_TYPES = ['application/json', 'application/x-www-form-urlencoded'];
+
+// The description, once it is generated
+let cached = null;
+
+// Define the openapi module
+const openapi = {};
+
+/**
+ * Converts a schema to the OpenAPI 3.0 flavour of JSON Schema, which has no list of types: a type that may be `null`
+ * is `nullable` instead, and the other lists are alternatives (`oneOf`).
+ * @param {Object} schema
+ * @returns {Object}
+ */
+const convert = (schema) => {
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  const converted = {};
+  Object.keys(schema).forEach((keyword) => {
+    const value = schema[keyword];
+    if (keyword === 'properties') {
+      converted.properties = {};
+      Object.keys(value).forEach((name) => {
+        converted.properties[name] = convert(value[name]);
+      });
+    } else if (keyword === 'required') {
+      // An empty list of required properties is not allowed
+      if (value.length) {
+        converted.required = value.slice();
+      }
+    } else if (keyword === 'items' || (keyword === 'additionalProperties' && typeof value === 'object')) {
+      converted[keyword] = convert(value);
+    } else {
+      converted[keyword] = value;
+    }
+  });
+
+  if (schema.type instanceof Array) {
+    const types = schema.type.filter((type) => type !== 'null');
+    if (types.length < schema.type.length) {
+      converted.nullable = true;
+    }
+    if (types.length === 1) {
+      converted.type = types[0];
+    } else {
+      delete converted.type;
+      converted.oneOf = types.map((type) => ({ type: type }));
+    }
+  }
+  return converted;
+};
+
+/**
+ * Returns the path of a route in the description, e.g. `/users/{email}` for `users/:email`.
+ * @param {String} pattern The route path
+ * @returns {String}
+ */
+const pathOf = (pattern) => '/' + pattern.split('/').map((segment) => {
+  return segment.charAt(0) === ':' || segment.charAt(0) === '*' ? `{${segment.slice(1)}}` : segment;
+}).join('/');
+
+/**
+ * Returns the ID of the operation of a route, e.g. `getUsersEmail` for `GET users/:email`.
+ * @param {String} method
+ * @param {String} pattern
+ * @returns {String}
+ */
+const operationIdOf = (method, pattern) => method + pattern.split(/[^A-Za-z0-9]+/).filter((word) => word.length).map((word) => {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}).join('');
+
+/**
+ * Returns the parameters of an object schema of the request (the path, URL parameters or headers).
+ * @param {Object} schema
+ * @param {String} location `path`, `query` or `header`
+ * @param {Array} [skipped] The names of the parameters to leave out
+ * @returns {Array}
+ */
+const parametersOf = (schema, location, skipped) => {
+  if (!schema) {
+    return [];
+  }
+  return Object.keys(schema.properties).filter((name) => !skipped || skipped.indexOf(name) < 0).map((name) => {
+    const parameter = convert(schema.properties[name]);
+    const description = parameter.description;
+    delete parameter.description;
+    return Object.assign({
+      name: name,
+      in: location,
+      required: location === 'path' || schema.required.indexOf(name) > -1
+    }, description ? { description: description } : {}, { schema: parameter });
+  });
+};
+
+/**
+ * Returns the responses of an operation: its successful ones, its errors, `400` if its requests have parameters, headers
+ * or a payload to validate (see `middleware.validateRequest`), and `429` if its route is rate limited.
+ * @param {String} method
+ * @param {Object} route See `router.add`
+ * @returns {Object}
+ */
+const responsesOf = (method, route) => {
+  const operation = route.operation;
+  const responses = {};
+  const errors = Object.assign({}, operation.errors);
+  if (!errors[400] && Object.keys(route.request).some((part) => route.request[part])) {
+    errors[400] = 'Invalid parameters, headers or payload, listed in `errors`';
+  }
+  if (rateLimiter.rulesOf(method, route.pattern).length) {
+    errors[429] = 'Too many requests. The `Retry-After` header tells how many seconds to wait';
+  }
+
+  Object.keys(operation.responses || {}).forEach((status) => {
+    const response = operation.responses[status];
+    responses[status] = { description: response.description };
+    if (response.schema) {
+      responses[status].content = { 'application/json': { schema: convert(response.schema) } };
+      if (operation.list) {
+        responses[status].content['text/csv'] = { schema: { type: 'string' } };
+      }
+    }
+    if (response.headers) {
+      responses[status].headers = {};
+      Object.keys(response.headers).forEach((name) => {
+        const schema = convert(response.headers[name]);
+        const description = schema.description;
+        delete schema.description;
+        responses[status].headers[name] = Object.assign(description ? { description: description } : {}, { schema: schema });
+      });
+    }
+  });
+  Object.keys(errors).forEach((status) => {
+    responses[status] = {
+      description: errors[status],
+      content: { 'application/json': { schema: schemas.ref('Error') } }
+    };
+  });
+  return responses;
+};
+
+/**
+ * Describes the operation of a route.
+ * @param {String} method
+ * @param {Object} route See `router.add`
+ * @returns {Object}
+ */
+const describe = (method, route) => {
+  const operation = route.operation;
+  const request = route.request;
+  const described = {
+    operationId: operationIdOf(method, route.pattern),
+    summary: operation.summary,
+    description: operation.description,
+    tags: operation.tags
+  };
+  if (!described.description) {
+    delete described.description;
+  }
+
+  // The `tokenid` header of the operations that need a token is described by the security scheme
+  if (operation.auth) {
+    described.security = [{ tokenid: [] }];
+  }
+  described.parameters = parametersOf(request.path, 'path')
+    .concat(parametersOf(request.query, 'query'))
+    .concat(parametersOf(request.headers, 'header', operation.auth ? ['tokenid'] : []));
+  if (!described.parameters.length) {
+    delete described.parameters;
+  }
+
+  if (request.payload) {
+    const schema = convert(request.payload);
+    described.requestBody = {
+      required: request.payload.required.length > 0,
+      content: PAYLOAD_TYPES.reduce((content, type) => {
+        content[type] = { schema: schema };
+        return content;
+      }, {})
+    };
+  }
+  described.responses = responsesOf(method, route);
+  return described;
+};
+
+/**
+ * Returns the OpenAPI description of the API. It is generated once, as the routes do not change once the app is started.
+ * @returns {Object}
+ */
+openapi.document = function () {
+  if (cached) {
+    return cached;
+  }
+
+  // Required here, as the router requires the handlers, which serve this description
+  const router = require('./router');
+
+  const components = Object.assign({}, schemas.components);
+  Object.keys(router.routeHandlers).forEach((name) => {
+    const handler = router.routeHandlers[name];
+    if (handler && handler.schemas) {
+      Object.assign(components, handler.schemas);
+    }
+  });
+  Object.keys(components).forEach((name) => {
+    components[name] = convert(components[name]);
+  });
+
+  const paths = {};
+  const tags = [];
+  Object.keys(router.routes).forEach((method) => {
+    router.routes[method].filter((route) => route.operation).forEach((route) => {
+      const path = pathOf(route.pattern);
+      paths[path] = paths[path] || {};
+      paths[path][method] = describe(method, route);
+      (route.operation.tags || []).forEach((tag) => {
+        if (tags.indexOf(tag) < 0) {
+          tags.push(tag);
+        }
+      });
+    });
+  });
+
+  cached = {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: 'Pizza Delivery API',
+      description: 'The back-end API for a pizza-delivery app.',
+      version: API_VERSION
+    },
+    tags: tags.map((tag) => ({ name: tag })),
+    paths: paths,
+    components: {
+      schemas: components,
+      securitySchemes: {
+        tokenid: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'tokenid',
+          description: 'The ID of a token, created by logging in (`POST /user/login` or `POST /tokens`)'
+        }
+      }
+    }
+  };
+  return cached;
+};
+
+// Export the module
+module.exports = openapi;
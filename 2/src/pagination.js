@@ -0,0 +1,210 @@
+/**
+ * Sorting and pagination of the collections returned by the list endpoints
+ */
+
+// Dependencies
+const ResponseError = require('./ResponseError');
+
+// Constants
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Define the pagination module
+const pagination = {};
+
+/**
+ * Compares two values of a sort field. Missing values sort first.
+ * @param {*} a
+ * @param {*} b
+ * @returns {Number}
+ */
+const compareValues = (a, b) => {
+  a = typeof a === "undefined" ? null : a;
+  b = typeof b === "undefined" ? null : b;
+  if (a === b) {
+    return 0;
+  } else if (a === null) {
+    return -1;
+  } else if (b === null) {
+    return 1;
+  } else if (typeof a === "string" && typeof b === "string") {
+    return a.localeCompare(b);
+  }
+  return a < b ? -1 : (a > b ? 1 : 0);
+};
+
+/**
+ * Returns the sort order requested by the query string parameters, and the function that compares two records in that order:
+ * by the `sort` field (descending if prefixed with `-`), and then by their `id`.
+ * @param {Object} queryParams
+ * @param {Object} options See `pagination.paginate`
+ * @returns {Object} `{ sort, field, compare }`
+ * @throws {ResponseError} A `400` error if the sort field is invalid
+ */
+const orderOf = (queryParams, options) => {
+  const sort = typeof queryParams.sort === "string" && queryParams.sort.trim().length ? queryParams.sort.trim() : options.defaultSort;
+  const descending = sort.charAt(0) === '-';
+  const field = sort.replace(/^[-+]/, '');
+
+  if (options.sortFields.indexOf(field) < 0) {
+    throw new ResponseError(400, { 'Error': `Invalid sort field. Valid fields are: ${options.sortFields.join(', ')}` });
+  }
+  const compare = (a, b) => {
+    const order = compareValues(a[field], b[field]) || compareValues(a.id, b.id);
+    return descending ? -order : order;
+  };
+  return { sort: sort, field: field, compare: compare };
+};
+
+/**
+ * Tells whether a page is requested by the query string parameters (`limit`, `offset` or `cursor`). Otherwise,
+ * the list endpoints respond with all the matching records, as a plain array.
+ * @param {Object} queryParams
+ * @returns {Boolean}
+ */
+pagination.isRequested = function (queryParams) {
+  queryParams = queryParams && typeof queryParams === "object" ? queryParams : {};
+  return ['limit', 'offset', 'cursor'].some((name) => typeof queryParams[name] !== "undefined");
+};
+
+/**
+ * Sorts the given records as requested by the `sort` query string parameter (see `pagination.paginate`).
+ * @param {Array} records
+ * @param {Object} queryParams
+ * @param {Object} options See `pagination.paginate`
+ * @returns {Array} The sorted copy of the records
+ * @throws {ResponseError} A `400` error if the sort field is invalid
+ */
+pagination.sort = function (records, queryParams, options) {
+  queryParams = queryParams && typeof queryParams === "object" ? queryParams : {};
+  return [].concat(records).sort(orderOf(queryParams, options).compare);
+};
+
+/**
+ * Encodes the position after the given record, in the given sort order, as an opaque (URL safe) cursor.
+ * @param {Object} record
+ * @param {String} field The sort field
+ * @returns {String}
+ */
+pagination.encodeCursor = function (record, field) {
+  return Buffer.from(JSON.stringify([record[field], record.id]))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+/**
+ * Decodes a cursor created by `pagination.encodeCursor`.
+ * @param {String} cursor
+ * @returns {Array|Boolean} The `[value, id]` pair, or `false` if the cursor is invalid
+ */
+pagination.decodeCursor = function (cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    return position instanceof Array && position.length === 2 ? position : false;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Sorts the given records and returns one page of them, as requested by the query string parameters.
+ * The records are sorted by the `sort` field (descending if prefixed with `-`) and then by their `id`.
+ * The page starts after the record the `cursor` points to, or at the `offset` position, and holds at most `limit` records.
+ * @param {Array} records
+ * @param {Object} queryParams
+ * @param {String} [queryParams.sort]
+ * @param {String} [queryParams.limit]
+ * @param {String} [queryParams.offset]
+ * @param {String} [queryParams.cursor]
+ * @param {Object} options
+ * @param {Array} options.sortFields The fields the records can be sorted by
+ * @param {String} options.defaultSort The sort order used when none is requested
+ * @returns {Object} The page, as `{ data, pagination }`
+ * @throws {ResponseError} A `400` error if any of the parameters is invalid
+ */
+pagination.paginate = function (records, queryParams, options) {
+  queryParams = queryParams && typeof queryParams === "object" ? queryParams : {};
+  const order = orderOf(queryParams, options);
+
+  // Check the page size and position
+  const limit = typeof queryParams.limit !== "undefined" ? Number(queryParams.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ResponseError(400, { 'Error': `Invalid limit. It must be an integer between 1 and ${MAX_LIMIT}` });
+  }
+  let offset = typeof queryParams.offset !== "undefined" ? Number(queryParams.offset) : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ResponseError(400, { 'Error': 'Invalid offset. It must be a positive integer' });
+  }
+  const cursor = typeof queryParams.cursor === "string" && queryParams.cursor.trim().length ? pagination.decodeCursor(queryParams.cursor.trim()) : null;
+  if (cursor === false) {
+    throw new ResponseError(400, { 'Error': 'Invalid cursor' });
+  }
+
+  // Sort the records
+  const sorted = [].concat(records).sort(order.compare);
+
+  // Start after the record the cursor points to, if any
+  if (cursor) {
+    const position = { id: cursor[1] };
+    position[order.field] = cursor[0];
+    offset = sorted.findIndex((record) => order.compare(record, position) > 0);
+    offset = offset > -1 ? offset : sorted.length;
+  }
+
+  const data = sorted.slice(offset, offset + limit);
+  const hasMore = offset + data.length < sorted.length;
+  return {
+    data: data,
+    pagination: {
+      total: sorted.length,
+      offset: offset,
+      limit: limit,
+      sort: order.sort,
+      hasMore: hasMore,
+      nextCursor: hasMore ? pagination.encodeCursor(data[data.length - 1], order.field) : null
+    }
+  };
+};
+
+/**
+ * Parses a query string parameter holding a number. Returns `null` if it is not given.
+ * @param {Object} queryParams
+ * @param {String} name
+ * @returns {Number|null}
+ * @throws {ResponseError} A `400` error if the parameter is not a number
+ */
+pagination.numberParam = function (queryParams, name) {
+  const value = queryParams && typeof queryParams[name] === "string" ? queryParams[name].trim() : "";
+  if (!value.length) {
+    return null;
+  }
+  if (!isFinite(Number(value))) {
+    throw new ResponseError(400, { 'Error': `Invalid ${name}. It must be a number` });
+  }
+  return Number(value);
+};
+
+/**
+ * Parses a query string parameter holding a time, given either in milliseconds or as a date string
+ * (e.g. `2018-12-12` or `2018-12-12T10:00:00Z`). Returns `null` if it is not given.
+ * @param {Object} queryParams
+ * @param {String} name
+ * @returns {Number|null} The time in milliseconds
+ * @throws {ResponseError} A `400` error if the parameter is not a valid time
+ */
+pagination.timeParam = function (queryParams, name) {
+  const value = queryParams && typeof queryParams[name] === "string" ? queryParams[name].trim() : "";
+  if (!value.length) {
+    return null;
+  }
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (isNaN(time)) {
+    throw new ResponseError(400, { 'Error': `Invalid ${name}. It must be a time in milliseconds or a date` });
+  }
+  return time;
+};
+
+// Export the module
+module.exports = pagination;
@@ -0,0 +1,190 @@
+/**
+ * Rate limiting with token buckets: a bucket holds up to `capacity` tokens and is refilled at `refillPerMinute` tokens a minute,
+ * and each request takes a token from the bucket of its key (e.g. its IP address) or is rejected if the bucket is empty.
+ */
+
+// Dependencies
+const crypto = require('crypto');
+const config = require('./config');
+const dataStore = require('./dataStore');
+
+// The collection of the buckets, when they are persisted
+const BUCKETS_DIR = 'rateLimits';
+
+// How often the full buckets are forgotten
+const SWEEP_INTERVAL = 1000 * 60;
+
+// The current settings, see `rateLimiter.configure`
+let settings = { rules: [], persist: false };
+
+// The buckets kept in memory, by bucket ID
+const buckets = new Map();
+
+// Define the rate limiter module
+const rateLimiter = {};
+
+/**
+ * Returns the ID of the bucket of the given rule and key. The key is hashed, so that no email is stored in the bucket IDs.
+ * @param {Object} rule
+ * @param {String} key
+ * @returns {String}
+ */
+const bucketIdOf = (rule, key) => crypto.createHash('sha256').update(`${rule.name}:${key}`).digest('hex').slice(0, 40);
+
+/**
+ * Returns the given bucket (or a full one, if not given) as it is now, refilled for the time elapsed since it was last updated.
+ * @param {Object} rule
+ * @param {Object} [bucket] `{ tokens, updatedOn }`
+ * @param {Number} now
+ * @returns {Object} `{ tokens, updatedOn }`
+ */
+const refill = (rule, bucket, now) => {
+  if (!bucket || typeof bucket.tokens !== 'number' || typeof bucket.updatedOn !== 'number') {
+    return { tokens: rule.capacity, updatedOn: now };
+  }
+  const refilled = bucket.tokens + (now - bucket.updatedOn) / 60000 * rule.refillPerMinute;
+  return { tokens: Math.min(rule.capacity, refilled), updatedOn: now };
+};
+
+/**
+ * Takes a token from the given bucket, if it has one.
+ * @param {Object} rule
+ * @param {Object} [bucket] `{ tokens, updatedOn, rule }`
+ * @returns {Object} `{ bucket, allowed, retryAfter }`, the updated bucket, and how many seconds to wait for a token if there is none
+ */
+const take = (rule, bucket) => {
+  bucket = Object.assign(refill(rule, bucket, Date.now()), { rule: rule.name });
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return { bucket: bucket, allowed: true, retryAfter: 0 };
+  }
+  return { bucket: bucket, allowed: false, retryAfter: Math.ceil((1 - bucket.tokens) / rule.refillPerMinute * 60) };
+};
+
+/**
+ * Takes a token from an existing bucket stored through the dataStore, while holding the lock of its record.
+ * @param {Object} rule
+ * @param {String} id The bucket ID
+ * @returns {Promise<Object>} See `take`
+ */
+const modifyStoredAsync = async (rule, id) => {
+  let result;
+  await dataStore.modifyAsync(BUCKETS_DIR, id, (bucket) => {
+    result = take(rule, bucket);
+    return result.bucket;
+  });
+  return result;
+};
+
+/**
+ * Takes a token from a bucket stored through the dataStore, creating the bucket on the first request of its key.
+ * @param {Object} rule
+ * @param {String} id The bucket ID
+ * @returns {Promise<Object>} See `take`
+ */
+const takeStoredAsync = async (rule, id) => {
+  try {
+    return await modifyStoredAsync(rule, id);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+
+  // The creation fails if a concurrent request has just created the bucket, which the token is then taken from
+  const result = take(rule, null);
+  try {
+    await dataStore.createAsync(BUCKETS_DIR, id, result.bucket);
+    return result;
+  } catch (err) {
+    return modifyStoredAsync(rule, id);
+  }
+};
+
+/**
+ * Forgets the buckets that are full again, as they are the same as no bucket.
+ * @returns {Promise}
+ */
+const sweepAsync = async () => {
+  const now = Date.now();
+  const rules = {};
+  settings.rules.forEach((rule) => {
+    rules[rule.name] = rule;
+  });
+  buckets.forEach((bucket, id) => {
+    if (!rules[bucket.rule] || refill(rules[bucket.rule], bucket, now).tokens >= rules[bucket.rule].capacity) {
+      buckets.delete(id);
+    }
+  });
+
+  if (settings.persist) {
+    for (const id of await dataStore.listAsync(BUCKETS_DIR)) {
+      const bucket = await dataStore.readAsync(BUCKETS_DIR, id).catch(() => null);
+      if (bucket && (!rules[bucket.rule] || refill(rules[bucket.rule], bucket, now).tokens >= rules[bucket.rule].capacity)) {
+        await dataStore.deleteAsync(BUCKETS_DIR, id, { ifVersion: bucket.version }).catch(Function.prototype);
+      }
+    }
+  }
+};
+
+/**
+ * Sets the rate limits.
+ * @param {Object} [newSettings]
+ * @param {Array} [newSettings.rules] The rate limits, each as `{ name, routes, key, capacity, refillPerMinute }`:
+ * - `routes`: the routes it applies to, as `<METHOD> <route path>`, e.g. `POST user/login`
+ * - `key`: what the requests are counted by: `ip` (the client address), `email` (the user ID in the path or payload) or `token` (the `tokenid` header, or the session cookie of the storefront)
+ * - `capacity`: how many requests can be made at once
+ * - `refillPerMinute`: how many more requests can be made each minute
+ * @param {Boolean} [newSettings.persist] Whether to keep the buckets in the `rateLimits` collection of the dataStore,
+ * rather than in memory, so that they outlive a restart of the app
+ * @returns {Object}
+ * @throws {Error} If a rule is invalid
+ */
+rateLimiter.configure = function (newSettings) {
+  newSettings = newSettings && typeof newSettings === 'object' ? newSettings : {};
+  const rules = newSettings.rules instanceof Array ? newSettings.rules : [];
+  rules.forEach((rule, position) => {
+    if (!rule || typeof rule.name !== 'string' || !(rule.routes instanceof Array) || ['ip', 'email', 'token'].indexOf(rule.key) < 0 ||
+      !(rule.capacity >= 1) || !(rule.refillPerMinute > 0)) {
+      throw new Error(`Invalid rate limit #${position + 1}. It must have a name, routes, a key (ip, email or token), a capacity and a refillPerMinute`);
+    }
+  });
+  settings = { rules: rules, persist: newSettings.persist === true };
+  buckets.clear();
+  return rateLimiter;
+};
+
+/**
+ * Returns the rate limits that apply to the given route.
+ * @param {String} method The HTTP method, in lower case
+ * @param {String} route The route path, e.g. `user/login`
+ * @returns {Array}
+ */
+rateLimiter.rulesOf = function (method, route) {
+  const name = `${method.toUpperCase()} ${route}`;
+  return settings.rules.filter((rule) => rule.routes.indexOf(name) > -1);
+};
+
+/**
+ * Takes a token from the bucket of the given key, for the given rule.
+ * @param {Object} rule See `rateLimiter.configure`
+ * @param {String} key The IP address, email or token ID the request is counted by
+ * @returns {Promise<Object>} Resolves with `{ allowed, retryAfter }`, the number of seconds to wait before the next request is allowed
+ */
+rateLimiter.takeAsync = async function (rule, key) {
+  const id = bucketIdOf(rule, key);
+  const result = settings.persist ? await takeStoredAsync(rule, id) : take(rule, buckets.get(id));
+  if (!settings.persist) {
+    buckets.set(id, result.bucket);
+  }
+  return { allowed: result.allowed, retryAfter: result.retryAfter };
+};
+
+// Use the settings of the config, and forget the full buckets every minute
+rateLimiter.configure(config.rateLimits);
+setInterval(() => {
+  sweepAsync().catch(Function.prototype);
+}, SWEEP_INTERVAL).unref();
+
+// Export the module
+module.exports = rateLimiter;
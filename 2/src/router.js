@@ -1,25 +1,292 @@
 // Dependencies
 const handlers = require("./handlers");
+const schemas = require("./handlers/schemas");
+
+// The HTTP methods routed by the router
+const METHODS = ['get', 'post', 'put', 'delete'];
 
 /**
- * Define and export the router (a hash-map of predefined request routes and route handlers).
+ * Compiles a route path pattern, like `users/:email/cart/items/:itemId`, into a regular expression
+ * and the names of its parameters.
+ * @param {String} pattern The path, without leading or trailing slashes, with a `:name` for each parameter segment,
+ * and optionally a last `*name` segment matching the rest of the path (e.g. `public/*file`)
+ * @returns {Object} `{ regexp, names }`
  */
-module.exports = {
+const compile = (pattern) => {
+  const names = [];
+  const source = pattern.split('/').map((segment) => {
+    if (segment.charAt(0) === ':') {
+      names.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    if (segment.charAt(0) === '*') {
+      names.push(segment.slice(1));
+      return '(.+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  return { regexp: new RegExp(`^${source}$`), names: names };
+};
+
+/**
+ * Returns a copy of an object schema, which can be extended without changing it, or `null` if there is none.
+ * @param {Object} [schema]
+ * @returns {Object|null}
+ */
+const copyObjectSchema = (schema) => {
+  if (!schema) {
+    return null;
+  }
+  return Object.assign({ type: 'object' }, schema, {
+    properties: Object.assign({}, schema.properties),
+    required: (schema.required || []).slice()
+  });
+};
+
+/**
+ * Returns the shapes of the requests of a route, as object schemas, from the description of its operation (see `router.add`).
+ * The `params` of the operation are matched in the path if the pattern has them, and are otherwise looked up in the URL
+ * parameters of the `GET` and `DELETE` requests, and in the payload of the others (as `helpers.requestParam` does).
+ * The operations that need a token have a required `tokenid` header.
+ * @param {String} method The HTTP method, in lower case
+ * @param {Array} names The names of the path parameters
+ * @param {Object} operation
+ * @returns {Object} `{ path, query, headers, payload }`, each `null` if the operation has nothing in that part of the requests
+ */
+const requestOf = (method, names, operation) => {
+  const params = operation.params || {};
+  const properties = params.properties || {};
+  const required = params.required || [];
+  const request = {
+    path: names.length ? { type: 'object', properties: {}, required: names.slice() } : null,
+    query: copyObjectSchema(operation.query),
+    headers: copyObjectSchema(operation.headers),
+    payload: copyObjectSchema(operation.payload)
+  };
+  names.forEach((name) => {
+    request.path.properties[name] = properties[name] || { type: 'string' };
+  });
+
+  // The other parameters come first in the URL parameters or the payload
+  const source = method === 'get' || method === 'delete' ? 'query' : 'payload';
+  const others = Object.keys(properties).filter((name) => names.indexOf(name) < 0);
+  if (others.length) {
+    const declared = request[source] || copyObjectSchema({});
+    request[source] = Object.assign(copyObjectSchema(declared), {
+      properties: {},
+      required: others.filter((name) => required.indexOf(name) > -1).concat(declared.required)
+    });
+    others.forEach((name) => {
+      request[source].properties[name] = properties[name];
+    });
+    Object.assign(request[source].properties, declared.properties);
+  }
+
+  if (operation.auth) {
+    request.headers = request.headers || copyObjectSchema({});
+    request.headers.properties.tokenid = Object.assign({}, schemas.tokenId, {
+      description: operation.auth === 'admin' ? 'The token of an admin user' : 'The token of the user'
+    });
+    if (request.headers.required.indexOf('tokenid') < 0) {
+      request.headers.required.push('tokenid');
+    }
+  }
+  return request;
+};
+
+/**
+ * Returns the parameters of the given path if it matches the given route, or `null` otherwise.
+ * The parameters name records and files, so a path segment that decodes to another path (with a `/`, a `\` or a `..`,
+ * e.g. `..%2F..%2Fx`) matches nothing.
+ * @param {Object} route
+ * @param {String} trimmedPath
+ * @returns {Object|null}
+ */
+const matchOf = (route, trimmedPath) => {
+  const match = route.regexp.exec(trimmedPath);
+  if (!match) {
+    return null;
+  }
+  const params = {};
+  try {
+    route.names.forEach((name, position) => {
+      // A `*name` parameter spans several segments, each decoded on its own
+      params[name] = match[position + 1].split('/').map((segment) => {
+        segment = decodeURIComponent(segment);
+        if (/[/\\]|\.\./.test(segment)) {
+          throw new Error('Invalid path segment');
+        }
+        return segment;
+      }).join('/');
+    });
+  } catch (err) {
+    // A malformed escape sequence, or a segment leading out of its folder, matches nothing
+    return null;
+  }
+  return params;
+};
+
+/**
+ * Define and export the router: route tables by HTTP method, matched in the order the routes are added.
+ */
+const router = {
   routeHandlers: handlers,
 
-  // Define the routes
-  routes: {
-    'notFound': handlers.notFound,
-    'ping': handlers.ping,
-    'users': handlers.users,
-    'user/login': handlers.users,
-    'user/logout': handlers.users,
-    'user/addToCart': handlers.users,
-    'user/removeFromCart': handlers.users,
-    'user/emptyCart': handlers.users,
-    'user/checkout': handlers.users,
-    'tokens': handlers.tokens,
-    'items': handlers.items,
-    'orders': handlers.orders
+  // The routes, by HTTP method
+  routes: METHODS.reduce((routes, method) => {
+    routes[method] = [];
+    return routes;
+  }, {}),
+
+  /**
+   * Adds a route. The routes that have the description of their operation are part of the API description (see `src/openapi.js`).
+   * @param {String} method The HTTP method, one of `get`, `post`, `put` and `delete`
+   * @param {String} pattern The path, with a `:name` for each parameter segment, e.g. `orders/:id`, or a last `*name` segment for the rest of the path
+   * @param {Function} handler A `(data, callback)` request handler, called with the matched parameters as `data.params`
+   * @param {Object} [operation] The description of the operation (see the `operations` of the handler classes), with:
+   * - `summary`, `description` and `tags`: what it does, and the groups it is listed in
+   * - `auth`: `user` or `admin`, if it needs the token of a user (or of an admin) in the `tokenid` header
+   * - `params`: the object schema of the request parameters, matched in the path if the pattern has them, and otherwise
+   *   given as URL parameters (`GET` and `DELETE`) or in the payload (the other methods), see `helpers.requestParam`
+   * - `query`, `headers` and `payload`: the object schemas of the other URL parameters, headers (in lower case) and payload fields
+   * - `responses`: the successful responses, by status code, as `{ description, schema, headers }`
+   * - `errors`: the descriptions of the error responses, by status code
+   * - `list`: whether the response is a list, which can be exported as CSV
+   * @returns {Object} The router
+   */
+  add: (method, pattern, handler, operation) => {
+    method = method.toLowerCase();
+    if (METHODS.indexOf(method) < 0) {
+      throw new Error(`Unsupported HTTP method: ${method}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Missing request handler for ${method.toUpperCase()} /${pattern}`);
+    }
+    const route = Object.assign(compile(pattern), { pattern: pattern, handler: handler, operation: operation || null, request: null });
+    if (operation) {
+      route.request = requestOf(method, route.names, operation);
+    }
+    router.routes[method].push(route);
+    return router;
+  },
+
+  /**
+   * Returns the HTTP methods the given path is routed for.
+   * @param {String} trimmedPath The request path, without leading or trailing slashes
+   * @returns {Array} The methods, in lower case
+   */
+  allowedMethods: (trimmedPath) => METHODS.filter((method) => router.routes[method].some((route) => matchOf(route, trimmedPath))),
+
+  /**
+   * Finds the handler of a request. An `OPTIONS` request to a routed path resolves to `handlers.options`, a path routed
+   * for other methods only to `handlers.methodNotAllowed`, and a path not routed at all to `handlers.notFound`.
+   * @param {String} method The HTTP method, in lower case
+   * @param {String} trimmedPath The request path, without leading or trailing slashes
+   * @returns {Object} `{ handler, pattern, params, allowedMethods, request }`, where `pattern` is the matched route path (or `null`),
+   * and `request` the shapes of its requests, if it has the description of its operation (see `router.add`), or `null`
+   */
+  resolve: (method, trimmedPath) => {
+    const routes = router.routes[method] || [];
+    for (const route of routes) {
+      const params = matchOf(route, trimmedPath);
+      if (params) {
+        return { handler: route.handler, pattern: route.pattern, params: params, allowedMethods: [method], request: route.request };
+      }
+    }
+
+    const allowedMethods = router.allowedMethods(trimmedPath);
+    if (allowedMethods.length && method === 'options') {
+      return {
+        handler: (data, callback) => handlers.options(data, callback, allowedMethods),
+        pattern: null,
+        params: {},
+        allowedMethods: allowedMethods,
+        request: null
+      };
+    }
+    if (allowedMethods.length) {
+      return {
+        handler: (data, callback) => handlers.methodNotAllowed(data, callback, allowedMethods),
+        pattern: null,
+        params: {},
+        allowedMethods: allowedMethods,
+        request: null
+      };
+    }
+    return { handler: handlers.notFound, pattern: null, params: {}, allowedMethods: [], request: null };
   }
-};
\ No newline at end of file
+};
+
+// Define the routes
+router
+  .add('get', 'ping', handlers.ping, handlers.health.operations.ping)
+  .add('get', 'health/live', handlers.health.live, handlers.health.operations.live)
+  .add('get', 'health/ready', handlers.health.ready, handlers.health.operations.ready)
+
+  // API description (see `src/openapi.js`)
+  .add('get', 'openapi.json', handlers.docs.openapi, handlers.docs.operations.openapi)
+  .add('get', 'docs', handlers.docs.page, handlers.docs.operations.page)
+
+  // Users
+  .add('post', 'users', handlers.users.post, handlers.users.operations.post)
+  .add('get', 'users', handlers.users.get, handlers.users.operations.get)
+  .add('put', 'users', handlers.users.put, handlers.users.operations.put)
+  .add('delete', 'users', handlers.users.delete, handlers.users.operations.delete)
+  .add('get', 'users/:email', handlers.users.get, handlers.users.operations.get)
+  .add('put', 'users/:email', handlers.users.put, handlers.users.operations.put)
+  .add('delete', 'users/:email', handlers.users.delete, handlers.users.operations.delete)
+  .add('post', 'users/:email/cart/items', handlers.users.addToCart, handlers.users.operations.addToCart)
+  .add('delete', 'users/:email/cart/items/:itemId', handlers.users.removeFromCart, handlers.users.operations.removeFromCart)
+  .add('delete', 'users/:email/cart', handlers.users.emptyCart, handlers.users.operations.emptyCart)
+  .add('post', 'users/:email/checkout', handlers.users.checkout, handlers.users.operations.checkout)
+  .add('post', 'user/login', handlers.users.login, handlers.users.operations.login)
+  .add('put', 'user/logout', handlers.users.logout, handlers.users.operations.logout)
+  .add('put', 'user/addToCart', handlers.users.addToCart, handlers.users.operations.addToCart)
+  .add('put', 'user/removeFromCart', handlers.users.removeFromCart, handlers.users.operations.removeFromCart)
+  .add('put', 'user/emptyCart', handlers.users.emptyCart, handlers.users.operations.emptyCart)
+  .add('put', 'user/checkout', handlers.users.checkout, handlers.users.operations.checkout)
+
+  // Tokens
+  .add('post', 'tokens', handlers.tokens.post, handlers.tokens.operations.post)
+  .add('get', 'tokens', handlers.tokens.get, handlers.tokens.operations.get)
+  .add('put', 'tokens', handlers.tokens.put, handlers.tokens.operations.put)
+  .add('delete', 'tokens', handlers.tokens.delete, handlers.tokens.operations.delete)
+  .add('get', 'tokens/:id', handlers.tokens.get, handlers.tokens.operations.get)
+  .add('put', 'tokens/:id', handlers.tokens.put, handlers.tokens.operations.put)
+  .add('delete', 'tokens/:id', handlers.tokens.delete, handlers.tokens.operations.delete)
+
+  // Items (users can only read them, the other methods are not exposed over the REST API)
+  .add('get', 'items', handlers.items.get, handlers.items.operations.list)
+  .add('get', 'items/:id', handlers.items.get, handlers.items.operations.get)
+
+  // Orders
+  .add('post', 'orders', handlers.orders.post, handlers.orders.operations.post)
+  .add('get', 'orders', handlers.orders.get, handlers.orders.operations.list)
+  .add('put', 'orders', handlers.orders.put, handlers.orders.operations.put)
+  .add('delete', 'orders', handlers.orders.delete, handlers.orders.operations.delete)
+  .add('get', 'orders/:id', handlers.orders.get, handlers.orders.operations.get)
+  .add('put', 'orders/:id', handlers.orders.put, handlers.orders.operations.put)
+  .add('delete', 'orders/:id', handlers.orders.delete, handlers.orders.operations.delete)
+
+  // Trash (admins only)
+  .add('get', 'trash', handlers.trash.get, handlers.trash.operations.get)
+  .add('post', 'trash/restore', handlers.trash.restore, handlers.trash.operations.restore)
+  .add('get', 'trash/:collection', handlers.trash.get, handlers.trash.operations.get)
+  .add('post', 'trash/:collection/:id/restore', handlers.trash.restore, handlers.trash.operations.restore)
+
+  // Storefront (the HTML pages, see `handlers/Pages.js`, and their static assets)
+  .add('get', '', handlers.pages.menu)
+  .add('get', 'account/signup', handlers.pages.signupForm)
+  .add('post', 'account/signup', handlers.pages.signup)
+  .add('get', 'account/login', handlers.pages.loginForm)
+  .add('post', 'account/login', handlers.pages.login)
+  .add('post', 'account/logout', handlers.pages.logout)
+  .add('get', 'account/orders', handlers.pages.orders)
+  .add('get', 'cart', handlers.pages.cart)
+  .add('post', 'cart/items', handlers.pages.addToCart)
+  .add('post', 'cart/items/:itemId/delete', handlers.pages.removeFromCart)
+  .add('get', 'checkout', handlers.pages.checkoutForm)
+  .add('post', 'checkout', handlers.pages.checkout)
+  .add('get', 'public/*file', handlers.assets.get);
+
+module.exports = router;
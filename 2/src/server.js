@@ -13,29 +13,61 @@ const util = require('util');
 const router = require('./router');
 const config = require('./config');
 const helpers = require('./helpers');
+const compression = require('./compression');
+const logger = require('./logger');
+const ResponseError = require('./ResponseError');
 const debug = util.debuglog('server');
 
 
 // Instantiate the server module object
 const server = {};
 
+// The middleware chain, see `server.use`
+server.middleware = [];
+
+// The number of requests being served, and whether the servers are shutting down (see `server.close`)
+server.inFlight = 0;
+server.shuttingDown = false;
+
+// The callbacks waiting for the requests in flight to be served
+const drainCallbacks = [];
+
 // Instantiate the HTTP server
 server.httpServer = http.createServer((req, res) => {
   server.unifiedServer(req, res);
 });
 
-// Instantiate the HTTPS server
-server.httpsServerOptions = {
-  'key': fs.readFileSync(path.join(__dirname, '../../key.pem')),
-  'cert': fs.readFileSync(path.join(__dirname, '../../cert.pem'))
-};
-server.httpsServer = https.createServer(server.httpsServerOptions, (req, res) => {
+// Instantiate the HTTPS server. Its certificate is loaded when it starts, see `server.loadCertificatesAsync`.
+server.httpsServer = https.createServer((req, res) => {
   server.unifiedServer(req, res);
 });
 
 // All the server logic for both the http and https server
 server.unifiedServer = (req, res) => {
 
+  // Count the request as in flight until its response is sent, or its connection is closed
+  server.inFlight++;
+  let served = false;
+  const onServed = () => {
+    if (!served) {
+      served = true;
+      server.inFlight--;
+      // Let the response's own callbacks (e.g. the access log) run first
+      if (server.inFlight === 0) {
+        setImmediate(() => {
+          drainCallbacks.splice(0).forEach((callback) => callback());
+        });
+      }
+    }
+  };
+  res.on('finish', onServed);
+  res.on('close', onServed);
+
+  // Do not keep the connection alive while shutting down
+  if (server.shuttingDown) {
+    res.setHeader('Connection', 'close');
+  }
+
   // Parse the url
   const parsedUrl = url.parse(req.url, true);
 
@@ -52,64 +84,258 @@ server.unifiedServer = (req, res) => {
   //Get the headers as an object
   const headers = req.headers;
 
-  // Get the payload,if any
+  // Get the payload,if any, up to the maximum body size (the rest of a larger body is read and discarded)
   let decoder = new StringDecoder('utf-8');
   let buffer = '';
+  let size = 0;
   req.on('data', (data) => {
-    buffer += decoder.write(data);
+    size += data.length;
+    if (size <= config.maxBodySize) {
+      buffer += decoder.write(data);
+    }
   });
   req.on('end', () => {
     buffer += decoder.end();
 
-    // Check the router for a matching path for a handler. If one is not found, use the notFound handler instead.
-    const chosenHandler = typeof (router.routes[trimmedPath]) === "function" ? router.routes[trimmedPath] : router.routes.notFound;
+    // Check the router for a handler matching the method and path. If none is found, use the notFound
+    // (or methodNotAllowed, if the path is routed for other methods) handler instead.
+    const route = router.resolve(method, trimmedPath);
+    let chosenHandler = route.handler;
+
+    // Parse the payload. If it is too large, or cannot be parsed, answer with the error instead of calling the handler
+    // (and of validating the request)
+    let payload = {};
+    let shape = route.request;
+    try {
+      if (size > config.maxBodySize) {
+        throw new ResponseError(413, { 'Error': `The request body exceeds the maximum size of ${config.maxBodySize} bytes` });
+      }
+      payload = helpers.parseRequestBody(buffer, headers['content-type']);
+    } catch (err) {
+      chosenHandler = (data, callback) => {
+        callback(err.statusCode, err.payload);
+      };
+      shape = null;
+    }
 
     // Construct the data object to send to the handler
     const data = {
       'path': trimmedPath,
+      'route': route.pattern,
+      'shape': shape,
+      'params': route.params,
       'queryParams': queryParams,
       'method': method,
+      'ip': req.socket.remoteAddress,
+      'secure': Boolean(req.socket.encrypted),
       'headers': headers,
-      'payload': helpers.parseJsonToObject(buffer)
+      'payload': payload
     };
 
-    // Route the request to the handler specified in the router
-    chosenHandler(data, (statusCode, payload) => {
-      // Use the status code returned from the handler, or set the default status code to 200
-      statusCode = typeof (statusCode) === 'number' ? statusCode : 200;
-
-      // Use the payload returned from the handler, or set the default payload to an empty object
-      payload = typeof (payload) === 'object' ? payload : {};
-
-      // Convert the payload to a string
-      const payloadString = JSON.stringify(payload);
-
-      // Return the response
-      res.setHeader('Content-Type', 'application/json');
-      res.writeHead(statusCode);
-      res.end(payloadString);
+    // The response, set by the handler and the middleware. Its `sent` promise resolves once it is sent, with its size in bytes.
+    let sent;
+    const response = {
+      'statusCode': 200,
+      'payload': {},
+      'headers': {},
+      'sent': new Promise((resolve) => {
+        sent = resolve;
+      })
+    };
 
-      // If the response is 200, print green, otherwise print red
-      if (statusCode === 200) {
-        debug('\x1b[32m%s\x1b[0m', method.toUpperCase() + ' /' + trimmedPath + ' ' + statusCode);
+    // Run the middleware chain around the handler specified in the router
+    server.runMiddleware(data, response, chosenHandler).catch((err) => {
+      response.statusCode = err instanceof ResponseError ? err.statusCode : 500;
+      response.payload = err instanceof ResponseError ? err.payload : { 'Error': 'Internal server error' };
+      if (!(err instanceof ResponseError)) {
+        debug('\x1b[31m%s\x1b[0m', method.toUpperCase() + ' /' + trimmedPath + ' ' + err.stack);
+        server.logError(data, err);
+      }
+    }).then(() => {
+      // Send the payload as JSON, unless the handler set another content type (e.g. the HTML pages and the static assets),
+      // in which case it is sent as it is, as a string or a Buffer
+      const contentType = response.headers['Content-Type'] || 'application/json';
+      let payloadString;
+      if (/^application\/json\b/.test(contentType)) {
+        // Use the payload returned, or set the default payload to an empty object
+        payloadString = JSON.stringify(typeof (response.payload) === 'object' ? response.payload : {});
       } else {
-        debug('\x1b[31m%s\x1b[0m', method.toUpperCase() + ' /' + trimmedPath + ' ' + statusCode);
+        payloadString = typeof (response.payload) === 'string' || Buffer.isBuffer(response.payload) ? response.payload : '';
+      }
+
+      // Compress the payload if it is large enough, and the client accepts a supported content coding (see `compression.js`)
+      let encoding = null;
+      const hasBody = [204, 304].indexOf(response.statusCode) < 0;
+      if (hasBody && !response.headers['Content-Encoding'] && compression.isCompressible(contentType, Buffer.byteLength(payloadString))) {
+        helpers.vary(response.headers, 'Accept-Encoding');
+        encoding = compression.encodingOf(headers['accept-encoding']);
       }
+      const compressed = encoding ? compression.compressAsync(payloadString, encoding).catch(() => null) : Promise.resolve(null);
+      return compressed.then((body) => {
+        // Send the payload as it is if it could not be compressed
+        if (body) {
+          response.headers['Content-Encoding'] = encoding;
+        } else {
+          body = payloadString;
+        }
+
+        // Return the response
+        Object.keys(response.headers).forEach((name) => {
+          res.setHeader(name, response.headers[name]);
+        });
+        res.setHeader('Content-Type', contentType);
+        res.writeHead(response.statusCode);
+        res.on('close', () => {
+          sent(Buffer.byteLength(body));
+        });
+        res.end(body, () => {
+          sent(Buffer.byteLength(body));
+        });
+      });
     });
   });
 };
 
+/**
+ * Adds a middleware to the chain run around the request handlers, in the order they are added.
+ * A middleware is a `(data, response, next)` function, which may be `async`:
+ * - `data` is the request data passed on to the handler, which it may modify
+ * - `response` is the `{ statusCode, payload, headers }` the request is answered with, which it may modify
+ * - `next()` runs the rest of the chain and the handler, and returns a promise settled once they are done.
+ *   Not calling it short-circuits the request, which is answered with the `response` as it is.
+ * A `ResponseError` thrown by a middleware answers the request with its status code and payload, any other error with `500`.
+ * @param {Function} middleware
+ * @returns {Object} The server
+ */
+server.use = function (middleware) {
+  if (typeof middleware !== 'function') {
+    throw new Error('A middleware must be a function');
+  }
+  server.middleware.push(middleware);
+  return server;
+};
+
+/**
+ * Writes an error that a request is answered with `500` for to the app log, with its stack and the ID of the request.
+ * @param {Object} data The request data
+ * @param {Error} err
+ */
+server.logError = function (data, err) {
+  err = err instanceof Error ? err : new Error(String(err));
+  logger.error(err.message, {
+    requestId: data.requestId,
+    method: data.method.toUpperCase(),
+    path: `/${data.path}`,
+    stack: err.stack
+  });
+};
+
+/**
+ * Runs the middleware chain, and then the given request handler, which sets the response it calls back with.
+ * An error the handler calls back with (see `helpers.respond`) is written to the app log.
+ * @param {Object} data The request data
+ * @param {Object} response The `{ statusCode, payload, headers }` response
+ * @param {Function} handler A `(data, callback)` request handler
+ * @returns {Promise} Resolves once the chain is done
+ */
+server.runMiddleware = function (data, response, handler) {
+  let last = -1;
+  const dispatch = (position) => {
+    if (position <= last) {
+      return Promise.reject(new Error('next() called more than once'));
+    }
+    last = position;
+    if (position < server.middleware.length) {
+      return new Promise((resolve) => {
+        resolve(server.middleware[position](data, response, () => dispatch(position + 1)));
+      });
+    }
+    return new Promise((resolve) => {
+      handler(data, (statusCode, payload, headers, err) => {
+        if (err) {
+          server.logError(data, err);
+        }
+
+        // Use the status code returned from the handler, or set the default status code to 200
+        response.statusCode = typeof (statusCode) === 'number' ? statusCode : 200;
+        response.payload = payload;
+
+        // Add the headers returned from the handler, if any
+        Object.assign(response.headers, headers && typeof (headers) === 'object' ? headers : {});
+        resolve();
+      });
+    });
+  };
+  return dispatch(0);
+};
+
 // Init script
 server.init = function () {
   // Start the HTTP server
+  server.httpServer.on('error', (err) => {
+    console.log('\x1b[31m%s\x1b[0m', 'The HTTP server failed: ' + err.message);
+  });
   server.httpServer.listen(config.httpPort, function () {
     console.log('\x1b[36m%s\x1b[0m', 'The HTTP server is running on port ' + config.httpPort);
   });
 
-  // Start the HTTPS server
-  server.httpsServer.listen(config.httpsPort, function () {
-    console.log('\x1b[35m%s\x1b[0m', 'The HTTPS server is running on port ' + config.httpsPort);
+  // Start the HTTPS server, if TLS is enabled, once its certificate is loaded
+  if (!config.tls.enabled) {
+    return;
+  }
+  server.httpsServer.on('error', (err) => {
+    console.log('\x1b[31m%s\x1b[0m', 'The HTTPS server failed: ' + err.message);
   });
+  server.loadCertificatesAsync().then(() => {
+    if (!server.shuttingDown) {
+      server.httpsServer.listen(config.httpsPort, function () {
+        console.log('\x1b[35m%s\x1b[0m', 'The HTTPS server is running on port ' + config.httpsPort);
+      });
+    }
+  }, (err) => {
+    console.log('\x1b[31m%s\x1b[0m', 'The HTTPS server could not start: ' + err.message);
+  });
+};
+
+/**
+ * Loads the certificate of the HTTPS server from the files of the `tls` setting of the config: its `key`, its `cert`, and
+ * the optional `ca` chain sent along with it. The connections opened afterwards use it, while the open ones keep theirs,
+ * so that a renewed certificate can be loaded without a restart.
+ * @returns {Promise} Rejects if a file cannot be read, or the key does not match the certificate, in which case the current certificate is kept
+ */
+server.loadCertificatesAsync = async function () {
+  const read = (file) => fs.promises.readFile(path.resolve(__dirname, '..', file));
+  const options = {
+    'key': await read(config.tls.key),
+    'cert': await read(config.tls.cert)
+  };
+  if (config.tls.ca) {
+    options.cert = Buffer.concat([options.cert, Buffer.from('\n'), await read(config.tls.ca)]);
+  }
+  server.httpsServer.setSecureContext(options);
+};
+
+/**
+ * Stops accepting connections, and calls back once the requests in flight are served.
+ * @param {Function} callback
+ */
+server.close = function (callback) {
+  server.shuttingDown = true;
+  [server.httpServer, server.httpsServer].forEach((httpServer) => {
+    if (httpServer.listening) {
+      httpServer.close();
+    }
+    // Close the idle keep-alive connections (Node 18.2+). The others are closed once their response is sent.
+    if (typeof httpServer.closeIdleConnections === 'function') {
+      httpServer.closeIdleConnections();
+    }
+  });
+
+  if (server.inFlight === 0) {
+    setImmediate(callback);
+  } else {
+    drainCallbacks.push(callback);
+  }
 };
 
 // Export the module
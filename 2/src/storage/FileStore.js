@@ -0,0 +1,341 @@
+// Dependencies
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const crypto = require("crypto");
+const helpers = require("../helpers");
+const StorageAdapter = require("./StorageAdapter");
+
+// Promisified file system functions
+const open = util.promisify(fs.open);
+const close = util.promisify(fs.close);
+const fsync = util.promisify(fs.fsync);
+const writeFile = util.promisify(fs.writeFile);
+const readFile = util.promisify(fs.readFile);
+const rename = util.promisify(fs.rename);
+const link = util.promisify(fs.link);
+const access = util.promisify(fs.access);
+const unlink = util.promisify(fs.unlink);
+const readdir = util.promisify(fs.readdir);
+const mkdir = util.promisify(fs.mkdir);
+const stat = util.promisify(fs.stat);
+const utimes = util.promisify(fs.utimes);
+
+// How long a lock file may go without being refreshed by its holder, in milliseconds, before it is considered left behind by a stuck process
+const LOCK_TIMEOUT = 10 * 1000;
+
+// How many times a lock file is refreshed by its holder within the lock timeout
+const LOCK_REFRESHES = 3;
+
+// The shortest and longest waits between two attempts to take a lock, in milliseconds
+const LOCK_RETRY_MIN = 2;
+const LOCK_RETRY_MAX = 100;
+
+/**
+ * Waits for the given time.
+ * @param {Number} ms
+ * @returns {Promise}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Tells whether the process with the given ID is running.
+ * @param {Number} pid
+ * @returns {Boolean}
+ */
+const isRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // The process exists, but belongs to another user
+    return err.code === "EPERM";
+  }
+};
+
+/**
+ * Reads the owner of the given lock file: the ID of the process that holds it, and a token unique to the holding.
+ * @param {String} lockPath
+ * @returns {Promise<String|null>} Resolves with the content of the lock file, `<pid> <token>`, or `null` if there is no lock file
+ */
+const readOwner = (lockPath) => readFile(lockPath, "utf8").catch(() => null);
+
+/**
+ * Tells whether the given lock file was left behind: its process is no longer running, or it has not been refreshed
+ * for longer than the given timeout (its process is stuck). A lock file that no longer exists is not stale, as the lock can simply be taken again.
+ * @param {String} lockPath
+ * @param {Number} timeout in milliseconds
+ * @returns {Promise<String|null>} Resolves with the owner of the stale lock file (see `readOwner`), or `null` if it is not stale
+ */
+const staleOwner = async (lockPath, timeout) => {
+  try {
+    const [stats, owner] = await Promise.all([stat(lockPath), readFile(lockPath, "utf8")]);
+    const pid = parseInt(owner, 10);
+    return Date.now() - stats.mtimeMs > timeout || (pid > 0 && !isRunning(pid)) ? owner : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Removes the given lock file if it still has the given owner. The lock file is first moved aside, which only one process can do,
+ * and put back if it turns out to have another owner (the lock was released and taken again in the meantime).
+ * @param {String} lockPath
+ * @param {String} owner See `readOwner`
+ * @returns {Promise<Boolean>} Resolves with `true` if the lock file was removed
+ */
+const removeLock = async (lockPath, owner) => {
+  const removedPath = `${lockPath}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.removed`;
+  try {
+    await rename(lockPath, removedPath);
+  } catch (err) {
+    return false;
+  }
+  const removed = (await readOwner(removedPath)) === owner;
+  if (!removed) {
+    // Fails if the lock has been taken again since, in which case its owner finds out it lost the lock when it releases it
+    await link(removedPath, lockPath).catch(Function.prototype);
+  }
+  await unlink(removedPath).catch(Function.prototype);
+  return removed;
+};
+
+/**
+ * Writes the given data to a new temporary file next to the given data file, and flushes it to disk.
+ * @param {String} filePath The path of the data file
+ * @param {Object} data
+ * @returns {Promise<String>} Resolves with the path of the temporary file
+ */
+const writeTempFile = async (filePath, data) => {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  const fileDescriptor = await open(tempPath, "wx");
+  try {
+    await writeFile(fileDescriptor, JSON.stringify(data));
+    await fsync(fileDescriptor);
+  } catch (err) {
+    await close(fileDescriptor).catch(Function.prototype);
+    await unlink(tempPath).catch(Function.prototype);
+    throw err;
+  }
+  await close(fileDescriptor);
+  return tempPath;
+};
+
+/**
+ * Storage adapter that keeps each record in its own JSON file, `<baseDir>/<dir>/<file>.json`.
+ * This is the default storage backend. It can be shared by several processes, which lock the records they write
+ * with a lock file, `<baseDir>/<dir>/<file>.json.lock`, holding the ID of the process and a token unique to the holding.
+ * @class FileStore
+ * @extends StorageAdapter
+ */
+module.exports = class FileStore extends StorageAdapter {
+  /**
+   * Creates an instance of FileStore.
+   * @constructor
+   * @param {Object} [options]
+   * @param {String} [options.baseDir] The base directory of the data folder, relative to the app folder (defaults to `.data`)
+   * @param {Number} [options.lockTimeout] How long a lock file may go without being refreshed, in milliseconds, before it is taken over (defaults to 10 seconds)
+   * @memberof FileStore.prototype
+   */
+  constructor(options) {
+    super(options);
+    this.baseDir = path.resolve(__dirname, "../..", this.options.baseDir || ".data");
+    this.lockTimeout = this.options.lockTimeout > 0 ? this.options.lockTimeout : LOCK_TIMEOUT;
+  }
+
+  /**
+   * The data files can be shared by several processes.
+   * @readonly
+   * @type {Boolean}
+   * @memberof FileStore.prototype
+   */
+  get shared () {
+    return true;
+  }
+
+  /**
+   * Returns the path of the data file of the given record, which must be in the folder of its collection.
+   * @param {String} dir
+   * @param {String} file
+   * @returns {String}
+   * @throws {Error} An error with the `EINVAL` code if the file name leads out of the folder of the collection (e.g. `../x`)
+   * @memberof FileStore.prototype
+   */
+  filePath (dir, file) {
+    const dirPath = path.join(this.baseDir, dir);
+    const filePath = path.resolve(dirPath, `${file}.json`);
+    if (filePath.indexOf(dirPath + path.sep) !== 0 || path.dirname(filePath) !== dirPath) {
+      const err = new Error(`Invalid record name: ${file}`);
+      err.code = "EINVAL";
+      throw err;
+    }
+    return filePath;
+  }
+
+  /**
+   * Creates the lock file of the record, which fails if another process holds the lock, and retries until it is released.
+   * The lock file is refreshed while the task runs, so that it is not taken over from a live process, however long the task takes.
+   * A lock file left behind by a process that crashed (or is stuck) is removed, and the lock taken over. A lock file is only ever
+   * removed by a process that checked its owner (see `removeLock`), so a lock is never released by another process than its holder,
+   * nor taken over once it has been taken again.
+   * @param {String} dir
+   * @param {String} file
+   * @param {Function} task
+   * @returns {Promise}
+   * @memberof FileStore.prototype
+   */
+  async lock (dir, file, task) {
+    const lockPath = `${this.filePath(dir, file)}.lock`;
+    const owner = `${process.pid} ${crypto.randomBytes(12).toString("hex")}`;
+    let wait = LOCK_RETRY_MIN;
+    for (;;) {
+      try {
+        await writeFile(lockPath, owner, { flag: "wx" });
+        break;
+      } catch (err) {
+        if (err.code === "ENOENT") {
+          // Create the collection folder of the first record
+          await mkdir(path.dirname(lockPath), { recursive: true });
+          continue;
+        } else if (err.code !== "EEXIST") {
+          throw err;
+        }
+        const stale = await staleOwner(lockPath, this.lockTimeout);
+        if (!stale || !(await removeLock(lockPath, stale))) {
+          await sleep(wait);
+          wait = Math.min(wait * 2, LOCK_RETRY_MAX);
+        }
+      }
+    }
+
+    // Refresh the lock file while it is held (if it is still ours)
+    const refresh = setInterval(async () => {
+      if ((await readOwner(lockPath)) === owner) {
+        const now = new Date();
+        await utimes(lockPath, now, now).catch(Function.prototype);
+      }
+    }, Math.max(1, Math.floor(this.lockTimeout / LOCK_REFRESHES)));
+    refresh.unref();
+
+    try {
+      return await task();
+    } finally {
+      clearInterval(refresh);
+      await removeLock(lockPath, owner);
+    }
+  }
+
+  /**
+   * Writes the data to a temporary file, then links it as the new data file, which fails if the file already exists.
+   * @param {String} dir
+   * @param {String} file
+   * @param {Object} data
+   * @returns {Promise}
+   * @memberof FileStore.prototype
+   */
+  async create (dir, file, data) {
+    const filePath = this.filePath(dir, file);
+    let tempPath;
+
+    // Write the data to a temporary file, in a new collection folder if necessary
+    try {
+      await mkdir(path.dirname(filePath), { recursive: true });
+      tempPath = await writeTempFile(filePath, data);
+    } catch (err) {
+      throw new Error("Error writing to new file");
+    }
+
+    // Link it as the new file
+    try {
+      await link(tempPath, filePath);
+    } catch (err) {
+      throw new Error("Could not create new file, it may already exist");
+    } finally {
+      await unlink(tempPath).catch(Function.prototype);
+    }
+  }
+
+  /**
+   * @param {String} dir
+   * @param {String} file
+   * @returns {Promise<Object>}
+   * @memberof FileStore.prototype
+   */
+  async read (dir, file) {
+    const data = await readFile(this.filePath(dir, file), "utf8");
+    if (!data) {
+      throw new Error("The data file is empty");
+    }
+    return helpers.parseJsonToObject(data);
+  }
+
+  /**
+   * Writes the data to a temporary file, which is then renamed over the data file,
+   * so the data file is never left half written.
+   * @param {String} dir
+   * @param {String} file
+   * @param {Object} data
+   * @returns {Promise}
+   * @memberof FileStore.prototype
+   */
+  async update (dir, file, data) {
+    const filePath = this.filePath(dir, file);
+    let tempPath;
+
+    // Make sure the file exists
+    try {
+      await access(filePath);
+    } catch (err) {
+      throw new Error("Could not open file for updating, it may not exist yet");
+    }
+
+    // Write the data to a temporary file
+    try {
+      tempPath = await writeTempFile(filePath, data);
+    } catch (err) {
+      throw new Error("Error writing to existing file");
+    }
+
+    // Replace the file
+    try {
+      await rename(tempPath, filePath);
+    } catch (err) {
+      await unlink(tempPath).catch(Function.prototype);
+      throw new Error("Error replacing existing file");
+    }
+  }
+
+  /**
+   * @param {String} dir
+   * @param {String} file
+   * @returns {Promise}
+   * @memberof FileStore.prototype
+   */
+  async delete (dir, file) {
+    // Unlink the file from the filesystem
+    await unlink(this.filePath(dir, file));
+  }
+
+  /**
+   * @param {String} dir
+   * @returns {Promise<Array>}
+   * @memberof FileStore.prototype
+   */
+  async list (dir) {
+    let data;
+    try {
+      data = await readdir(path.join(this.baseDir, dir));
+    } catch (err) {
+      // A collection without a folder has no records yet
+      if (err.code === "ENOENT") {
+        return [];
+      }
+      throw err;
+    }
+
+    // Skip the temporary files of the writes in progress, and the lock files
+    return data
+      .filter((fileName) => /\.json$/.test(fileName))
+      .map((fileName) => fileName.replace(/\.json$/, ""));
+  }
+};
@@ -0,0 +1,206 @@
+// Dependencies
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const MemoryStore = require("./MemoryStore");
+
+// Promisified file system functions
+const open = util.promisify(fs.open);
+const close = util.promisify(fs.close);
+const fsync = util.promisify(fs.fsync);
+const write = util.promisify(fs.write);
+const readFile = util.promisify(fs.readFile);
+const rename = util.promisify(fs.rename);
+const mkdir = util.promisify(fs.mkdir);
+
+/**
+ * Storage adapter that appends every change, as a line of JSON, to a single log file, and never
+ * rewrites what was written (until it is compacted). The current state of the records is replayed
+ * from the log when the store is first used, and is then kept in memory.
+ * A line that was only partly written (e.g. by a crash) is skipped on replay.
+ * @class LogStore
+ * @extends MemoryStore
+ */
+module.exports = class LogStore extends MemoryStore {
+  /**
+   * Creates an instance of LogStore.
+   * @constructor
+   * @param {Object} [options]
+   * @param {String} [options.file] The path of the log file, relative to the app folder (defaults to `.data/store.log`)
+   * @memberof LogStore.prototype
+   */
+  constructor(options) {
+    super(Object.assign({}, options, { data: null }));
+    this.file = path.resolve(__dirname, "../..", this.options.file || ".data/store.log");
+    this.loading = null;
+    this.fileDescriptor = null;
+    this.appending = Promise.resolve();
+  }
+
+  /**
+   * Replays the log file (once), and opens it for appending.
+   * @returns {Promise}
+   * @memberof LogStore.prototype
+   */
+  load () {
+    if (!this.loading) {
+      this.loading = (async () => {
+        let content = "";
+        try {
+          content = await readFile(this.file, "utf8");
+        } catch (err) {
+          if (err.code !== "ENOENT") {
+            throw err;
+          }
+          await mkdir(path.dirname(this.file), { recursive: true });
+        }
+        content.split("\n").forEach((line) => this.apply(line));
+        this.fileDescriptor = await open(this.file, "a");
+      })();
+
+      // Allow a later retry if the log could not be loaded
+      this.loading.catch(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Applies a line of the log to the records in memory.
+   * @param {String} line
+   * @returns {LogStore}
+   * @memberof LogStore.prototype
+   */
+  apply (line) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      // skip the empty and the partly written lines
+      return this;
+    }
+    if (entry && entry.op === "put") {
+      this.collection(entry.dir)[entry.file] = JSON.stringify(entry.data);
+    } else if (entry && entry.op === "del") {
+      delete this.collection(entry.dir)[entry.file];
+    }
+    return this;
+  }
+
+  /**
+   * Appends an entry to the log file and flushes it to disk. The appends are written one after another.
+   * @param {Object} entry
+   * @returns {Promise}
+   * @memberof LogStore.prototype
+   */
+  append (entry) {
+    const line = `${JSON.stringify(Object.assign({ at: Date.now() }, entry))}\n`;
+    const result = this.appending.then(async () => {
+      await write(this.fileDescriptor, line);
+      await fsync(this.fileDescriptor);
+    });
+    this.appending = result.catch(Function.prototype);
+    return result;
+  }
+
+  /**
+   * @param {String} dir
+   * @param {String} file
+   * @param {Object} data
+   * @returns {Promise}
+   * @memberof LogStore.prototype
+   */
+  async create (dir, file, data) {
+    await this.load();
+    if (this.has(dir, file)) {
+      throw new Error("Could not create new record, it may already exist");
+    }
+    await this.append({ op: "put", dir: dir, file: file, data: data });
+    await super.create(dir, file, data);
+  }
+
+  /**
+   * @param {String} dir
+   * @param {String} file
+   * @returns {Promise<Object>}
+   * @memberof LogStore.prototype
+   */
+  async read (dir, file) {
+    await this.load();
+    return super.read(dir, file);
+  }
+
+  /**
+   * @param {String} dir
+   * @param {String} file
+   * @param {Object} data
+   * @returns {Promise}
+   * @memberof LogStore.prototype
+   */
+  async update (dir, file, data) {
+    await this.load();
+    if (!this.has(dir, file)) {
+      throw new Error("Could not update the record, it may not exist yet");
+    }
+    await this.append({ op: "put", dir: dir, file: file, data: data });
+    await super.update(dir, file, data);
+  }
+
+  /**
+   * @param {String} dir
+   * @param {String} file
+   * @returns {Promise}
+   * @memberof LogStore.prototype
+   */
+  async delete (dir, file) {
+    await this.load();
+    if (!this.has(dir, file)) {
+      throw MemoryStore.notFoundError(dir, file);
+    }
+    await this.append({ op: "del", dir: dir, file: file });
+    await super.delete(dir, file);
+  }
+
+  /**
+   * @param {String} dir
+   * @returns {Promise<Array>}
+   * @memberof LogStore.prototype
+   */
+  async list (dir) {
+    await this.load();
+    return super.list(dir);
+  }
+
+  /**
+   * Rewrites the log file with a single entry for each existing record, dropping the history of changes.
+   * @returns {Promise}
+   * @memberof LogStore.prototype
+   */
+  async compact () {
+    await this.load();
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+
+    // wait for the pending appends, and hold back the new ones until the log is replaced
+    const result = this.appending.then(async () => {
+      const fileDescriptor = await open(tempFile, "w");
+      try {
+        const lines = [];
+        Object.keys(this.collections).forEach((dir) => {
+          Object.keys(this.collections[dir]).forEach((file) => {
+            lines.push(`{"at":${Date.now()},"op":"put","dir":${JSON.stringify(dir)},"file":${JSON.stringify(file)},"data":${this.collections[dir][file]}}\n`);
+          });
+        });
+        await write(fileDescriptor, lines.join(""));
+        await fsync(fileDescriptor);
+      } finally {
+        await close(fileDescriptor);
+      }
+      await rename(tempFile, this.file);
+      await close(this.fileDescriptor);
+      this.fileDescriptor = await open(this.file, "a");
+    });
+    this.appending = result.catch(Function.prototype);
+    return result;
+  }
+};
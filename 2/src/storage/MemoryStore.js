@@ -0,0 +1,117 @@
+// Dependencies
+const StorageAdapter = require("./StorageAdapter");
+
+/**
+ * Storage adapter that keeps the records in memory, serialized as JSON strings so that the stored
+ * records cannot be changed through the objects passed in or handed out. Nothing is written to disk,
+ * and the records are lost when the process exits.
+ * @class MemoryStore
+ * @extends StorageAdapter
+ */
+module.exports = class MemoryStore extends StorageAdapter {
+  /**
+   * Creates an instance of MemoryStore.
+   * @constructor
+   * @param {Object} [options]
+   * @param {Object} [options.data] Initial records, as a hash-map of collections, each a hash-map of records
+   * @memberof MemoryStore.prototype
+   */
+  constructor(options) {
+    super(options);
+    this.collections = {};
+
+    const data = this.options.data && typeof this.options.data === "object" ? this.options.data : {};
+    Object.keys(data).forEach((dir) => {
+      Object.keys(data[dir]).forEach((file) => {
+        this.collection(dir)[file] = JSON.stringify(data[dir][file]);
+      });
+    });
+  }
+
+  /**
+   * Returns the hash-map holding the records of the given collection, creating it if necessary.
+   * @param {String} dir
+   * @returns {Object}
+   * @memberof MemoryStore.prototype
+   */
+  collection (dir) {
+    if (!Object.prototype.hasOwnProperty.call(this.collections, dir)) {
+      this.collections[dir] = {};
+    }
+    return this.collections[dir];
+  }
+
+  /**
+   * Returns `true` if the given record exists, or `false` otherwise.
+   * @param {String} dir
+   * @param {String} file
+   * @returns {Boolean}
+   * @memberof MemoryStore.prototype
+   */
+  has (dir, file) {
+    return Object.prototype.hasOwnProperty.call(this.collection(dir), file);
+  }
+
+  /**
+   * @param {String} dir
+   * @param {String} file
+   * @param {Object} data
+   * @returns {Promise}
+   * @memberof MemoryStore.prototype
+   */
+  async create (dir, file, data) {
+    if (this.has(dir, file)) {
+      throw new Error("Could not create new record, it may already exist");
+    }
+    this.collection(dir)[file] = JSON.stringify(data);
+  }
+
+  /**
+   * @param {String} dir
+   * @param {String} file
+   * @returns {Promise<Object>}
+   * @memberof MemoryStore.prototype
+   */
+  async read (dir, file) {
+    if (!this.has(dir, file)) {
+      throw StorageAdapter.notFoundError(dir, file);
+    }
+    return JSON.parse(this.collection(dir)[file]);
+  }
+
+  /**
+   * @param {String} dir
+   * @param {String} file
+   * @param {Object} data
+   * @returns {Promise}
+   * @memberof MemoryStore.prototype
+   */
+  async update (dir, file, data) {
+    if (!this.has(dir, file)) {
+      throw new Error("Could not update the record, it may not exist yet");
+    }
+    this.collection(dir)[file] = JSON.stringify(data);
+  }
+
+  /**
+   * @param {String} dir
+   * @param {String} file
+   * @returns {Promise}
+   * @memberof MemoryStore.prototype
+   */
+  async delete (dir, file) {
+    if (!this.has(dir, file)) {
+      throw StorageAdapter.notFoundError(dir, file);
+    }
+    delete this.collection(dir)[file];
+  }
+
+  /**
+   * @param {String} dir
+   * @returns {Promise<Array>}
+   * @memberof MemoryStore.prototype
+   */
+  async list (dir) {
+    return Object.keys(this.collection(dir));
+  }
+};
@@ -0,0 +1,112 @@
+/**
+ * Defines the interface of the storage backends used by the `dataStore`.
+ * The records are JSON objects, grouped in collections (`dir`) and identified by their name (`file`).
+ * The `dataStore` serializes the operations on each record within the process, and runs each of them in the `lock` of the adapter,
+ * which the adapters shared by several processes (see `shared`) implement to serialize them across the processes.
+ * @class StorageAdapter
+ */
+module.exports = class StorageAdapter {
+  /**
+   * Creates an error for a record or collection that does not exist, with the `ENOENT` code of the file system errors.
+   * @static
+   * @param {String} dir collection name
+   * @param {String} [file] record name
+   * @returns {Error}
+   * @memberof StorageAdapter
+   */
+  static notFoundError (dir, file) {
+    const err = new Error(typeof file === "string" ? `Record ${dir}/${file} does not exist` : `Collection ${dir} does not exist`);
+    err.code = "ENOENT";
+    return err;
+  }
+
+  /**
+   * Creates an instance of StorageAdapter.
+   * @constructor
+   * @param {Object} [options] Adapter specific options
+   * @memberof StorageAdapter.prototype
+   */
+  constructor(options) {
+    this.options = options && typeof options === "object" ? options : {};
+  }
+
+  /**
+   * Whether several processes can use the same backend at once (e.g. the workers of the cluster mode, see `src/cluster.js`).
+   * The backends that keep their records in the memory of the process are not shared.
+   * @readonly
+   * @type {Boolean}
+   * @memberof StorageAdapter.prototype
+   */
+  get shared () {
+    return false;
+  }
+
+  /**
+   * Runs the given task while holding the lock of the given record, so that the processes sharing the backend
+   * do not modify the record at the same time. The backends that are not shared just run the task.
+   * @param {String} dir collection name
+   * @param {String} file record name
+   * @param {Function} task A function returning a value or a promise
+   * @returns {Promise} Settles as the promise returned by the task
+   * @memberof StorageAdapter.prototype
+   */
+  async lock (dir, file, task) {
+    return task();
+  }
+
+  /**
+   * Stores a new record. Rejects if the record already exists.
+   * @param {String} dir collection name
+   * @param {String} file record name
+   * @param {Object} data
+   * @returns {Promise}
+   * @memberof StorageAdapter.prototype
+   */
+  async create (dir, file, data) {
+    throw new Error(`${this.constructor.name} does not implement create`);
+  }
+
+  /**
+   * Reads a record. Rejects with an `ENOENT` error if the record does not exist.
+   * @param {String} dir collection name
+   * @param {String} file record name
+   * @returns {Promise<Object>}
+   * @memberof StorageAdapter.prototype
+   */
+  async read (dir, file) {
+    throw new Error(`${this.constructor.name} does not implement read`);
+  }
+
+  /**
+   * Replaces an existing record. Rejects if the record does not exist.
+   * @param {String} dir collection name
+   * @param {String} file record name
+   * @param {Object} data
+   * @returns {Promise}
+   * @memberof StorageAdapter.prototype
+   */
+  async update (dir, file, data) {
+    throw new Error(`${this.constructor.name} does not implement update`);
+  }
+
+  /**
+   * Deletes an existing record. Rejects if the record does not exist.
+   * @param {String} dir collection name
+   * @param {String} file record name
+   * @returns {Promise}
+   * @memberof StorageAdapter.prototype
+   */
+  async delete (dir, file) {
+    throw new Error(`${this.constructor.name} does not implement delete`);
+  }
+
+  /**
+   * Lists the names of all records in a collection.
+   * @param {String} dir collection name
+   * @returns {Promise<Array>}
+   * @memberof StorageAdapter.prototype
+   */
+  async list (dir) {
+    throw new Error(`${this.constructor.name} does not implement list`);
+  }
+};
@@ -0,0 +1,40 @@
+// Dependencies
+const StorageAdapter = require("./StorageAdapter");
+const FileStore = require("./FileStore");
+const MemoryStore = require("./MemoryStore");
+const LogStore = require("./LogStore");
+
+/**
+ * The built-in storage adapters, by the name they are configured with.
+ */
+const adapters = {
+  file: FileStore,
+  memory: MemoryStore,
+  log: LogStore
+};
+
+/**
+ * Define and export the storage backends of the `dataStore`.
+ */
+module.exports = {
+  StorageAdapter: StorageAdapter,
+  FileStore: FileStore,
+  MemoryStore: MemoryStore,
+  LogStore: LogStore,
+
+  /**
+   * Creates the storage adapter described by the given settings.
+   * @param {Object} [settings]
+   * @param {String} [settings.adapter=file] One of `file`, `memory` and `log`
+   * @param {Object} [settings.options] The options of the adapter
+   * @returns {StorageAdapter}
+   */
+  createAdapter: (settings) => {
+    settings = settings && typeof settings === "object" ? settings : {};
+    const name = typeof settings.adapter === "string" ? settings.adapter.trim().toLowerCase() : "file";
+    if (!Object.prototype.hasOwnProperty.call(adapters, name)) {
+      throw new Error(`Unknown storage adapter: ${settings.adapter}`);
+    }
+    return new adapters[name](settings.options);
+  }
+};
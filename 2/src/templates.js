@@ -0,0 +1,106 @@
+/**
+ * HTML templates: the `.html` files of the `templates` directory, with `{name}` placeholders replaced by the HTML-escaped
+ * value of the field of that name, and `{!name}` placeholders by the value as it is (e.g. HTML rendered by another template).
+ * The pages are rendered into the `_layout` template, as its `{!body}`.
+ */
+
+// Dependencies
+const fs = require('fs');
+const path = require('path');
+
+// The directory of the templates
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+// The template names: letters, digits, `_` and `-`
+const NAME_REGEXP = /^[\w-]+$/;
+
+// The placeholders: `{name}` or `{!name}`
+const PLACEHOLDER_REGEXP = /\{(!?)(\w+)\}/g;
+
+// The characters escaped in the field values, and their entities
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+// The templates read so far, by name (as promises, so that a template is read once even when requested concurrently)
+const cache = {};
+
+// Define the templates module
+const templates = {};
+
+/**
+ * Escapes the given value for use in HTML text and attribute values. `null` and `undefined` are escaped to an empty string.
+ * @param {*} value
+ * @returns {String}
+ */
+templates.escape = function (value) {
+  return (value === null || value === undefined ? '' : String(value)).replace(/[&<>"']/g, (char) => ENTITIES[char]);
+};
+
+/**
+ * Reads the given template, once.
+ * @param {String} name The template name, e.g. `menu` for `templates/menu.html`
+ * @returns {Promise<String>}
+ */
+templates.getAsync = function (name) {
+  if (typeof name !== 'string' || !NAME_REGEXP.test(name)) {
+    return Promise.reject(new Error(`Invalid template name: ${name}`));
+  }
+  if (!cache[name]) {
+    cache[name] = fs.promises.readFile(path.join(TEMPLATES_DIR, `${name}.html`), 'utf8');
+    cache[name].catch(() => {
+      delete cache[name];
+    });
+  }
+  return cache[name];
+};
+
+/**
+ * Replaces the placeholders of the given template text with the given fields. The placeholders of missing fields are removed.
+ * @param {String} text
+ * @param {Object} [fields]
+ * @returns {String}
+ */
+templates.interpolate = function (text, fields) {
+  fields = fields && typeof fields === 'object' ? fields : {};
+  return text.replace(PLACEHOLDER_REGEXP, (placeholder, raw, name) => {
+    if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+      return '';
+    }
+    return raw ? String(fields[name] === null || fields[name] === undefined ? '' : fields[name]) : templates.escape(fields[name]);
+  });
+};
+
+/**
+ * Renders the given template.
+ * @param {String} name The template name
+ * @param {Object} [fields] The values of the placeholders
+ * @returns {Promise<String>} Resolves with the HTML
+ */
+templates.renderAsync = async function (name, fields) {
+  return templates.interpolate(await templates.getAsync(name), fields);
+};
+
+/**
+ * Renders the given template once for each of the given rows, e.g. the rows of a table.
+ * @param {String} name The template name
+ * @param {Array} rows The fields of each row
+ * @returns {Promise<String>} Resolves with the HTML of all the rows
+ */
+templates.renderEachAsync = async function (name, rows) {
+  const text = await templates.getAsync(name);
+  return rows.map((fields) => templates.interpolate(text, fields)).join('');
+};
+
+/**
+ * Renders the given template as a page, into the `_layout` template.
+ * @param {String} name The template name
+ * @param {Object} [fields] The values of the placeholders of the template
+ * @param {Object} [layoutFields] The values of the placeholders of the layout, e.g. the page `title`
+ * @returns {Promise<String>} Resolves with the HTML of the page
+ */
+templates.renderPageAsync = async function (name, fields, layoutFields) {
+  const body = await templates.renderAsync(name, fields);
+  return templates.renderAsync('_layout', Object.assign({}, layoutFields, { body: body }));
+};
+
+// Export the module
+module.exports = templates;
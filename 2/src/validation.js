@@ -0,0 +1,207 @@
+/**
+ * Validation of values against schemas: a subset of JSON Schema, e.g.
+ * `{ type: 'object', properties: { port: { type: 'integer', minimum: 1 } }, required: ['port'], additionalProperties: false }`
+ */
+
+// The type names, and how to tell them
+const TYPES = {
+  'string': (value) => typeof value === 'string',
+  'number': (value) => typeof value === 'number' && isFinite(value),
+  'integer': (value) => typeof value === 'number' && Number.isInteger(value),
+  'boolean': (value) => typeof value === 'boolean',
+  'object': (value) => value !== null && typeof value === 'object' && !(value instanceof Array),
+  'array': (value) => value instanceof Array,
+  'null': (value) => value === null
+};
+
+// The string formats, and how to tell them
+const FORMATS = {
+  'email': (value) => /^[A-Za-z0-9._]+@[A-Za-z0-9._]+\.[A-Za-z]{2,3}$/i.test(value.trim())
+};
+
+// The numbers, as they are written in the URL parameters, headers and form payloads
+const NUMBER_REGEXP = /^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+/**
+ * Describes a type in the errors, e.g. `an integer`.
+ * @param {String} type
+ * @returns {String}
+ */
+const describe = (type) => {
+  if (type === 'null') {
+    return 'null';
+  }
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+};
+
+// Define the validation module
+const validation = {};
+
+/**
+ * Returns the name of a field within the given one: `parent.name`, or `parent[0]` for an array item.
+ * @param {String} parent The name of the parent field (empty for the value itself)
+ * @param {String|Number} name The property name or the array index
+ * @returns {String}
+ */
+validation.fieldOf = function (parent, name) {
+  if (typeof name === 'number') {
+    return `${parent}[${name}]`;
+  }
+  return parent.length ? `${parent}.${name}` : name;
+};
+
+/**
+ * Validates a value against a schema, which may use these keywords:
+ * - `type`: `string`, `number`, `integer`, `boolean`, `object`, `array` or `null`, or an array of them
+ * - `enum`: the allowed values
+ * - `minimum`, `maximum`, `exclusiveMinimum`: the bounds of a number, and whether it must be greater than its minimum (`true`)
+ * - `minLength`, `maxLength`, `pattern`, `format`: the length of a string, a regular expression (or its source) it must match,
+ *   and its format (`email`)
+ * - `items`, `minItems`, `maxItems`: the schema of the items of an array, and its number of items
+ * - `properties`, `required`, `additionalProperties`: the schemas of the properties of an object, the ones it must have,
+ *   and whether it may have others (`false` if not), or the schema they must match
+ * The other keywords are ignored, so that schemas can carry their own annotations.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {String} [field] The name of the field being validated, used in the errors (empty for the value itself)
+ * @returns {Array} The errors, as `{ field, message }`, or an empty array if the value is valid
+ */
+validation.validate = function (schema, value, field) {
+  field = typeof field === 'string' ? field : '';
+  const errors = [];
+  const fail = (message) => {
+    errors.push({ field: field, message: message });
+    return errors;
+  };
+
+  // Check the type first, as the other keywords depend on it
+  if (schema.type) {
+    const types = schema.type instanceof Array ? schema.type : [schema.type];
+    if (!types.some((type) => TYPES[type](value))) {
+      return fail(`must be ${types.map(describe).join(' or ')}`);
+    }
+  }
+  if (schema.enum && !schema.enum.some((allowed) => allowed === value)) {
+    return fail(`must be one of: ${schema.enum.map(String).join(', ')}`);
+  }
+
+  if (TYPES.number(value)) {
+    if (typeof schema.minimum === 'number' && schema.exclusiveMinimum === true && value <= schema.minimum) {
+      fail(`must be greater than ${schema.minimum}`);
+    } else if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (TYPES.string(value)) {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters long`);
+    }
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern instanceof RegExp ? schema.pattern.source : schema.pattern}`);
+    }
+    if (FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (TYPES.array(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, position) => {
+        errors.push(...validation.validate(schema.items, item, validation.fieldOf(field, position)));
+      });
+    }
+  }
+
+  if (TYPES.object(value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((name) => {
+      if (!Object.prototype.hasOwnProperty.call(value, name) || value[name] === undefined) {
+        errors.push({ field: validation.fieldOf(field, name), message: 'is required' });
+      }
+    });
+    Object.keys(value).forEach((name) => {
+      if (value[name] === undefined) {
+        return;
+      }
+      if (Object.prototype.hasOwnProperty.call(properties, name)) {
+        errors.push(...validation.validate(properties[name], value[name], validation.fieldOf(field, name)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: validation.fieldOf(field, name), message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validation.validate(schema.additionalProperties, value[name], validation.fieldOf(field, name)));
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Returns `true` if the given value is a string of the given format (see `validation.validate`), or `false` otherwise.
+ * @param {String} format
+ * @param {*} value
+ * @returns {Boolean}
+ */
+validation.isFormat = function (format, value) {
+  return typeof value === 'string' && FORMATS[format](value);
+};
+
+/**
+ * Converts the strings of a value to the types of its schema, as the values of the URL parameters, headers and form payloads
+ * are all strings: `'2'` to `2` for a number, `'true'` and `'false'` to booleans, `''` to `null` where `null` is allowed,
+ * and recursively for the items of an array and the properties of an object. The strings that do not convert are kept, so that
+ * `validation.validate` tells they are invalid.
+ * @param {Object} schema
+ * @param {*} value
+ * @returns {*} The converted value (a copy, for an object or an array)
+ */
+validation.coerce = function (schema, value) {
+  const types = schema.type instanceof Array ? schema.type : [schema.type];
+  if (TYPES.array(value)) {
+    return schema.items ? value.map((item) => validation.coerce(schema.items, item)) : value.slice();
+  }
+  if (TYPES.object(value)) {
+    const properties = schema.properties || {};
+    return Object.keys(value).reduce((coerced, name) => {
+      if (Object.prototype.hasOwnProperty.call(properties, name)) {
+        coerced[name] = validation.coerce(properties[name], value[name]);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        coerced[name] = validation.coerce(schema.additionalProperties, value[name]);
+      } else {
+        coerced[name] = value[name];
+      }
+      return coerced;
+    }, {});
+  }
+  if (!TYPES.string(value) || types.indexOf('string') > -1) {
+    return value;
+  }
+
+  const trimmed = value.trim();
+  if ((types.indexOf('number') > -1 || types.indexOf('integer') > -1) && NUMBER_REGEXP.test(trimmed)) {
+    return Number(trimmed);
+  }
+  if (types.indexOf('boolean') > -1 && (trimmed === 'true' || trimmed === 'false')) {
+    return trimmed === 'true';
+  }
+  if (types.indexOf('null') > -1 && !trimmed.length) {
+    return null;
+  }
+  return value;
+};
+
+// Export the module
+module.exports = validation;
@@ -0,0 +1,83 @@
+// Dependencies
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const dataStore = require('../src/dataStore');
+const Order = require('../src/handlers/Order');
+const Checkout = require('../src/handlers/Checkout');
+
+const EMAIL = 'jane@mail.com';
+
+/**
+ * Makes the payments fail as if Stripe could not be reached, or succeed, for the rest of the test.
+ * @param {Object} t The test context
+ * @param {Boolean} reachable
+ */
+const stripe = (t, reachable) => {
+  t.mock.method(Order.prototype, 'makePaymentAsync', async function () {
+    if (!reachable) {
+      throw new Error('connect ECONNREFUSED');
+    }
+    return JSON.stringify({ object: 'charge', paid: true, status: 'succeeded', amount: Math.round(this.total * 100) });
+  });
+  t.mock.method(Order.prototype, 'sendInvoiceAsync', async () => ({}));
+};
+
+test.before(async () => {
+  await dataStore.createAsync('items', 'pizzaaaaaa', { id: 'pizzaaaaaa', name: 'Pizza', unitPrice: 9.5 });
+  await dataStore.createAsync('users', EMAIL, { email: EMAIL, firstName: 'Jane', lastName: 'Smith', cart: { pizzaaaaaa: 2 }, orders: [] });
+});
+
+test('leaves a checkout pending, with the total of its order, when the payment cannot be confirmed', async (t) => {
+  stripe(t, false);
+  await assert.rejects(Checkout.runAsync(EMAIL), (err) => err.statusCode === 502 && typeof err.payload.checkoutId === 'string');
+
+  const pending = await dataStore.findAsync('checkouts', 'pending', EMAIL);
+  assert.strictEqual(pending.length, 1);
+  const checkout = await dataStore.readAsync('checkouts', pending[0]);
+  const order = await dataStore.readAsync('orders', checkout.orderId);
+  assert.strictEqual(order.total, 19);
+  assert.ok(!order.completedOn);
+});
+
+test('resumes the pending checkout on the next checkout of the user', async (t) => {
+  const [checkoutId] = await dataStore.findAsync('checkouts', 'pending', EMAIL);
+  await dataStore.modifyAsync('users', EMAIL, (user) => Object.assign(user, { cart: { pizzaaaaaa: 2, saladaaaaa: 1 } }));
+  stripe(t, true);
+
+  const result = await Checkout.runAsync(EMAIL, 'tok_mastercard');
+  assert.strictEqual(result.resumed, true);
+  assert.strictEqual(result.checkoutId, checkoutId);
+  assert.strictEqual(result.orderData.total, 19);
+  assert.ok(result.orderData.completedOn > 0);
+
+  const user = await dataStore.readAsync('users', EMAIL);
+  assert.deepStrictEqual(user.orders, [result.orderData.id]);
+  assert.deepStrictEqual(user.cart, { saladaaaaa: 1 });
+  assert.deepStrictEqual(await dataStore.findAsync('checkouts', 'pending', EMAIL), []);
+});
+
+test('recovers the checkouts of a crashed process, and leaves the ones of a live process', async (t) => {
+  stripe(t, true);
+  const journal = (id, heartbeatOn) => ({
+    id: id,
+    email: EMAIL,
+    items: { pizzaaaaaa: 1 },
+    orderId: `${id}order`,
+    status: 'pending',
+    step: 'started',
+    history: [],
+    owner: 'otherhost:1234:abcdefgh',
+    heartbeatOn: heartbeatOn
+  });
+  await dataStore.createAsync('checkouts', 'crashedaaaaaaaaaaaaa', journal('crashedaaaaaaaaaaaaa', Date.now() - 60 * 1000));
+  await dataStore.createAsync('checkouts', 'aliveaaaaaaaaaaaaaaa', journal('aliveaaaaaaaaaaaaaaa', Date.now()));
+
+  const recovered = await Checkout.recoverAsync();
+  assert.deepStrictEqual(recovered.map((checkout) => [checkout.id, checkout.status]), [['crashedaaaaaaaaaaaaa', 'rolledBack']]);
+  assert.strictEqual((await dataStore.readAsync('checkouts', 'aliveaaaaaaaaaaaaaaa')).status, 'pending');
+
+  const alive = new Checkout(await dataStore.readAsync('checkouts', 'aliveaaaaaaaaaaaaaaa'));
+  await assert.rejects(alive.resumeAsync(), (err) => err.statusCode === 409);
+  await assert.rejects(Checkout.runAsync(EMAIL), (err) => err.statusCode === 409 && err.payload.checkoutId === 'aliveaaaaaaaaaaaaaaa');
+});
@@ -0,0 +1,69 @@
+// Dependencies
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../src/storage/FileStore');
+
+const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pizza-delivery-test-data-'));
+const store = new FileStore({ baseDir: baseDir, lockTimeout: 100 });
+const lockPath = path.join(baseDir, 'items', 'abcdefghij.json.lock');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test.after(() => {
+  fs.rmSync(baseDir, { recursive: true, force: true });
+});
+
+test('runs the tasks on a record one after another', async () => {
+  const events = [];
+  const task = (name) => async () => {
+    events.push(`${name} start`);
+    await sleep(20);
+    events.push(`${name} end`);
+  };
+  await Promise.all([store.lock('items', 'abcdefghij', task('a')), store.lock('items', 'abcdefghij', task('b'))]);
+  assert.deepStrictEqual(events, ['a start', 'a end', 'b start', 'b end']);
+  assert.strictEqual(fs.existsSync(lockPath), false);
+});
+
+test('keeps the lock of a live holder longer than the lock timeout', async () => {
+  const events = [];
+  const first = store.lock('items', 'abcdefghij', async () => {
+    events.push('a start');
+    await sleep(350);
+    events.push('a end');
+  });
+  await sleep(10);
+  await store.lock('items', 'abcdefghij', async () => {
+    events.push('b');
+  });
+  await first;
+  assert.deepStrictEqual(events, ['a start', 'a end', 'b']);
+});
+
+test('takes over the lock left behind by a process that has exited', async () => {
+  fs.writeFileSync(lockPath, '999999999 abcdef');
+  assert.strictEqual(await store.lock('items', 'abcdefghij', async () => 'done'), 'done');
+  assert.strictEqual(fs.existsSync(lockPath), false);
+});
+
+test('does not remove the lock that another process has taken since', async () => {
+  await store.lock('items', 'abcdefghij', async () => {
+    fs.writeFileSync(lockPath, `${process.pid} someoneelse`);
+  });
+  assert.strictEqual(fs.readFileSync(lockPath, 'utf8'), `${process.pid} someoneelse`);
+  fs.unlinkSync(lockPath);
+});
+
+test('keeps the records in the folder of their collection', async () => {
+  const invalid = (err) => err.code === 'EINVAL';
+  assert.throws(() => store.filePath('orders', '../../escaped/aaaaaa'), invalid);
+  assert.throws(() => store.filePath('orders', 'sub/aaaaaa'), invalid);
+  await assert.rejects(store.lock('orders', '../../escaped/aaaaaa', async () => {}), invalid);
+  await assert.rejects(store.create('orders', '../escaped', { id: 'x' }), invalid);
+  assert.strictEqual(fs.existsSync(path.join(baseDir, '..', 'escaped')), false);
+  assert.strictEqual(fs.existsSync(path.join(baseDir, 'escaped.json')), false);
+});
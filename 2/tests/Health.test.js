@@ -0,0 +1,46 @@
+// Dependencies
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const dataStore = require('../src/dataStore');
+const Health = require('../src/handlers/Health');
+
+test('is ready in staging without the secrets required in production', async () => {
+  const result = await Health.readyAsync();
+  assert.strictEqual(result.status, 'ok');
+  assert.deepStrictEqual(result.checks.config, { ok: true });
+});
+
+test('checks the storage without leaving a record or emitting change events', async () => {
+  await dataStore.createAsync('items', 'abcdefghij', { id: 'abcdefghij', name: 'Pizza', unitPrice: 9 });
+  const changes = [];
+  const listener = (change) => changes.push(change);
+  dataStore.on('change', listener);
+  try {
+    await Health.checkStorageAsync();
+  } finally {
+    dataStore.off('change', listener);
+  }
+  assert.deepStrictEqual(changes, []);
+  assert.deepStrictEqual(await dataStore.listAsync('health'), []);
+});
+
+test('is not ready while the storage cannot be written', async (t) => {
+  t.mock.method(dataStore.adapter, 'create', async () => {
+    const err = new Error('EACCES: permission denied');
+    err.code = 'EACCES';
+    throw err;
+  });
+  await assert.rejects(Health.readyAsync(), (err) => {
+    return err.statusCode === 503 && err.payload.checks.storage.ok === false && /EACCES/.test(err.payload.checks.storage.error);
+  });
+});
+
+test('is not ready while a check fails', async () => {
+  Health.addCheck('failing', () => {
+    throw new Error('Not today');
+  });
+  await assert.rejects(Health.readyAsync(), (err) => {
+    return err.statusCode === 503 && err.payload.checks.failing.error === 'Not today' && err.payload.status === 'unavailable';
+  });
+});
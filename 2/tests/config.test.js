@@ -0,0 +1,54 @@
+// Dependencies
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const childProcess = require('child_process');
+const path = require('path');
+
+/**
+ * Loads the config in a new process, with the given environment variables, and returns what the given expression evaluates to.
+ * @param {Object} env The environment variables, over the ones of the tests
+ * @param {String} expression An expression of `config`
+ * @returns {*}
+ */
+const loadConfig = (env, expression) => {
+  const script = `const config = require('./src/config'); process.stdout.write(JSON.stringify(${expression}));`;
+  const output = childProcess.execFileSync(process.execPath, ['-e', script], {
+    cwd: path.resolve(__dirname, '..'),
+    env: Object.assign({}, process.env, env),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  return JSON.parse(output.toString());
+};
+
+test('runs in staging without any config file or variable', () => {
+  assert.deepStrictEqual(loadConfig({}, '[config.envName, config.hashingSecret.length > 0]'), ['staging', true]);
+});
+
+test('uses the staging settings for an unknown environment', () => {
+  assert.strictEqual(loadConfig({ NODE_ENV: 'development' }, 'config.envName'), 'staging');
+});
+
+test('lists the missing secrets of the production environment', () => {
+  assert.throws(() => loadConfig({ NODE_ENV: 'production' }, 'config.envName'), (err) => {
+    const stderr = err.stderr.toString();
+    return /hashingSecret must not be empty \(set it with HASHING_SECRET\)/.test(stderr) &&
+      /stripe\.secretKey is required in production/.test(stderr);
+  });
+});
+
+test('parses the environment variables by the schema of their settings', () => {
+  assert.deepStrictEqual(loadConfig({ HTTP_PORT: '4000', CLUSTER_ENABLED: 'true', ADMINS: 'a@b.com, c@d.com' }, '[config.httpPort, config.cluster.enabled, config.admins]'),
+    [4000, true, ['a@b.com', 'c@d.com']]);
+});
+
+test('redacts the secrets when the config is converted to JSON', () => {
+  assert.strictEqual(loadConfig({ STRIPE_SECRET_KEY: 'sk_test' }, 'JSON.parse(JSON.stringify(config)).stripe.secretKey'), '[redacted]');
+});
+
+test('freezes the config and its sections', () => {
+  const config = require('../src/config');
+  assert.ok(Object.isFrozen(config));
+  assert.ok(Object.isFrozen(config.cluster));
+  assert.ok(Object.isFrozen(config.rateLimits.rules[0]));
+});
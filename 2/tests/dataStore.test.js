@@ -0,0 +1,65 @@
+// Dependencies
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const helpers = require('../src/helpers');
+const dataStore = require('../src/dataStore');
+const Order = require('../src/handlers/Order');
+const Item = require('../src/handlers/Item');
+
+const ORDER_ID = 'abcdefghijklmnopqrst';
+
+test('reads the versions of the If-Match header', () => {
+  assert.strictEqual(helpers.ifMatchVersions({}), null);
+  assert.strictEqual(helpers.ifMatchVersions({ 'if-match': '*' }), null);
+  assert.deepStrictEqual(helpers.ifMatchVersions({ 'if-match': '"2", "3"' }), [2, 3]);
+  assert.deepStrictEqual(helpers.ifMatchVersions({ 'if-match': 'W/"2"' }), []);
+  assert.deepStrictEqual(helpers.etagHeaders({ version: 2 }), { 'ETag': '"2"' });
+});
+
+test('versions the records, and writes them only at the expected versions', async () => {
+  await dataStore.createAsync('orders', ORDER_ID, { id: ORDER_ID, email: 'jane@mail.com', items: { abcdefghij: 1 }, total: 9 });
+  assert.strictEqual((await dataStore.readAsync('orders', ORDER_ID)).version, 1);
+
+  const updated = await dataStore.modifyAsync('orders', ORDER_ID, (order) => Object.assign(order, { total: 10 }), { ifVersion: [1] });
+  assert.strictEqual(updated.version, 2);
+
+  const mismatch = (err) => err.code === 'EVERSION';
+  await assert.rejects(dataStore.modifyAsync('orders', ORDER_ID, (order) => order, { ifVersion: 1 }), mismatch);
+  await assert.rejects(dataStore.updateAsync('orders', ORDER_ID, updated, { ifVersion: [0, 1] }), mismatch);
+  await assert.rejects(dataStore.deleteAsync('orders', ORDER_ID, { ifVersion: 3 }), mismatch);
+  assert.strictEqual((await dataStore.readAsync('orders', ORDER_ID)).total, 10);
+});
+
+test('updates an order only if the If-Match header matches its ETag', async () => {
+  const put = (ifMatch, total) => Order.putAsync({ headers: { 'if-match': ifMatch }, params: { id: ORDER_ID }, payload: { total: total } });
+
+  await assert.rejects(put('"1"', 11), (err) => err.statusCode === 412);
+  const order = await put('"1", "2"', 12);
+  assert.strictEqual(order.total, 12);
+  assert.strictEqual(order.version, 3);
+  assert.strictEqual((await put('*', 13)).version, 4);
+});
+
+test('calls the write hooks of a collection before the write resolves, and the change listeners after it', async () => {
+  const calls = [];
+  dataStore.onWrite('hooked', (change) => calls.push(`hook ${change.type}`));
+  const listener = (change) => calls.push(`listener ${change.type}`);
+  dataStore.on('hooked:created', listener);
+  try {
+    await dataStore.createAsync('hooked', 'abcdefghij', { id: 'abcdefghij' });
+    calls.push('resolved');
+    await new Promise(setImmediate);
+  } finally {
+    dataStore.off('hooked:created', listener);
+  }
+  assert.deepStrictEqual(calls, ['hook hooked:created', 'resolved', 'listener hooked:created']);
+});
+
+test('shows an item change to the next read of the menu', async () => {
+  await dataStore.createAsync('items', 'pizzaaaaaa', { id: 'pizzaaaaaa', name: 'Pizza', unitPrice: 9 });
+  assert.strictEqual((await Item.listAsync()).find((item) => item.id === 'pizzaaaaaa').unitPrice, 9);
+
+  await dataStore.modifyAsync('items', 'pizzaaaaaa', (item) => Object.assign(item, { unitPrice: 12 }));
+  assert.strictEqual((await Item.listAsync()).find((item) => item.id === 'pizzaaaaaa').unitPrice, 12);
+});
@@ -0,0 +1,66 @@
+// Dependencies
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const encryption = require('../src/encryption');
+
+const KEY = '37ea9a9f50836d3014b5e43af9d5364d4fb68053274641b5d374e936e18ac7c5';
+const OTHER_KEY = '0000000000000000000000000000000000000000000000000000000000000001';
+const FIELDS = { users: ['email', 'firstName'] };
+
+test.afterEach(() => {
+  encryption.configure({});
+});
+
+test('encrypts the configured fields, and decrypts them back', () => {
+  encryption.configure({ fields: FIELDS, keys: { k1: KEY }, currentKey: 'k1' });
+  const stored = encryption.encryptRecord('users', { email: 'jane@mail.com', firstName: 'Jane', cart: {} });
+  assert.match(stored.email, /^enc:k1:/);
+  assert.match(stored.firstName, /^enc:k1:/);
+  assert.deepStrictEqual(stored.cart, {});
+  assert.deepStrictEqual(encryption.decryptRecord('users', stored), { email: 'jane@mail.com', firstName: 'Jane', cart: {} });
+});
+
+test('encrypts the values that look encrypted, rather than storing them as they are', () => {
+  encryption.configure({ fields: FIELDS, keys: { k1: KEY }, currentKey: 'k1' });
+  const stored = encryption.encryptRecord('users', { email: 'jane@mail.com', firstName: 'enc:zz:abc' });
+  assert.notStrictEqual(stored.firstName, 'enc:zz:abc');
+  assert.strictEqual(encryption.decryptRecord('users', stored).firstName, 'enc:zz:abc');
+});
+
+test('escapes the values that look encrypted when there is no current key', () => {
+  encryption.configure({ fields: FIELDS });
+  const stored = encryption.encryptRecord('users', { email: 'jane@mail.com', firstName: 'enc:zz:abc' });
+  assert.strictEqual(stored.email, 'jane@mail.com');
+  assert.strictEqual(stored.firstName, 'enc::enc:zz:abc');
+  assert.strictEqual(encryption.decryptRecord('users', stored).firstName, 'enc:zz:abc');
+});
+
+test('only decrypts the configured fields', () => {
+  encryption.configure({ fields: FIELDS, keys: { k1: KEY }, currentKey: 'k1' });
+  const record = encryption.decryptRecord('users', { email: 'jane@mail.com', streetAddress: 'enc:zz:abc' });
+  assert.strictEqual(record.streetAddress, 'enc:zz:abc');
+});
+
+test('reads a field encrypted with an unknown key as null, and the rest of the record', () => {
+  encryption.configure({ fields: FIELDS, keys: { k1: KEY, k2: OTHER_KEY }, currentKey: 'k2' });
+  const stored = encryption.encryptRecord('users', { email: 'jane@mail.com', firstName: 'Jane' });
+  encryption.configure({ fields: FIELDS, keys: { k1: KEY }, currentKey: 'k1' });
+  const record = encryption.decryptRecord('users', Object.assign({}, stored, { email: encryption.encrypt('jane@mail.com') }));
+  assert.strictEqual(record.email, 'jane@mail.com');
+  assert.strictEqual(record.firstName, null);
+});
+
+test('decrypts the extra fields it is given', () => {
+  encryption.configure({ fields: FIELDS, keys: { k1: KEY }, currentKey: 'k1' });
+  const stored = encryption.encryptRecord('items', { id: 'abcdefghij', deletedBy: 'jane@mail.com' }, ['deletedBy']);
+  assert.match(stored.deletedBy, /^enc:k1:/);
+  assert.strictEqual(encryption.decryptRecord('items', stored).deletedBy, stored.deletedBy);
+  assert.strictEqual(encryption.decryptRecord('items', stored, ['deletedBy']).deletedBy, 'jane@mail.com');
+});
+
+test('names the data files by a keyed hash of their field', () => {
+  encryption.configure({ hashedNames: { users: 'email' }, hashKey: 'secret' });
+  assert.match(encryption.fileNameOf('users', 'jane@mail.com'), /^[0-9a-f]{64}$/);
+  assert.strictEqual(encryption.fileNameOf('tokens', 'abc'), 'abc');
+});
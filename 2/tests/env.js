@@ -0,0 +1,14 @@
+/**
+ * The environment of the tests, required by each test file before the modules of the app: the records are kept
+ * in memory, the logs are written to a temporary directory, and the config file of the app (if any) is ignored.
+ */
+
+// Dependencies
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'staging';
+process.env.CONFIG_FILE = path.join('tests', 'config.json');
+process.env.STORAGE_ADAPTER = 'memory';
+process.env.LOG_DIR = path.join(os.tmpdir(), `pizza-delivery-test-logs-${process.pid}`);
+process.env.TLS_ENABLED = 'false';
@@ -0,0 +1,67 @@
+// Dependencies
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const dataStore = require('../src/dataStore');
+const logger = require('../src/logger');
+const middleware = require('../src/middleware');
+const User = require('../src/handlers/User');
+const Token = require('../src/handlers/Token');
+
+/**
+ * Returns the data of a request, as made by the server.
+ * @param {Object} [headers]
+ * @returns {Object}
+ */
+const requestOf = (headers) => ({
+  requestId: 'abc',
+  method: 'get',
+  path: 'users',
+  route: 'users',
+  headers: headers || {},
+  params: {},
+  queryParams: {},
+  payload: {}
+});
+
+/**
+ * Returns a response, as made by the server, sent once its payload is.
+ * @returns {Object}
+ */
+const responseOf = () => ({ statusCode: 200, headers: {}, payload: {}, sent: Promise.resolve(12) });
+
+test('logs the user the handler authenticated the request as, without looking the token up again', async (t) => {
+  const entries = [];
+  t.mock.method(logger, 'access', (entry) => entries.push(entry));
+  const read = t.mock.method(dataStore.adapter, 'read');
+
+  await middleware.accessLog(requestOf({ tokenid: 'abcdefghijklmnopqrst' }), responseOf(), async () => {});
+  const data = requestOf({ tokenid: 'abcdefghijklmnopqrst' });
+  await middleware.accessLog(data, responseOf(), async () => {
+    Token.authenticate(data, { id: 'abcdefghijklmnopqrst', email: 'jane@mail.com' });
+  });
+  await new Promise(setImmediate);
+
+  assert.strictEqual(read.mock.callCount(), 0);
+  assert.deepStrictEqual(entries.map((entry) => entry.email), [null, 'jane@mail.com']);
+  assert.deepStrictEqual([entries[1].status, entries[1].bytes, entries[1].path], [200, 12, '/users']);
+});
+
+test('records the user of the requests authenticated by the handlers', async () => {
+  await User.postAsync({ payload: { email: 'jane@mail.com', password: 'secret', firstName: 'Jane', lastName: 'Smith', tosAgreement: true } });
+  const login = { payload: { email: 'jane@mail.com', password: 'secret' } };
+  const token = await Token.postAsync(login);
+  assert.strictEqual(login.userEmail, 'jane@mail.com');
+
+  const get = { headers: { tokenid: token.id }, params: { email: 'jane@mail.com' } };
+  await User.getAsync(get);
+  assert.strictEqual(get.userEmail, 'jane@mail.com');
+
+  const logout = { params: { id: token.id } };
+  await Token.deleteAsync(logout);
+  assert.strictEqual(logout.userEmail, 'jane@mail.com');
+
+  const forbidden = { headers: { tokenid: token.id }, params: { email: 'jane@mail.com' } };
+  await assert.rejects(User.getAsync(forbidden), (err) => err.statusCode === 403);
+  assert.strictEqual(forbidden.userEmail, undefined);
+});
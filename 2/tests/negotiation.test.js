@@ -0,0 +1,67 @@
+// Dependencies
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const zlib = require('zlib');
+const negotiation = require('../src/negotiation');
+const compression = require('../src/compression');
+const middleware = require('../src/middleware');
+
+const OFFERS = ['application/json', 'text/csv'];
+
+/**
+ * Runs `middleware.negotiateContent` for a `GET` request with the given `Accept` header, answered with the given payload.
+ * @param {String} [accept]
+ * @param {*} payload
+ * @returns {Promise<Object>} Resolves with the response
+ */
+const negotiate = async (accept, payload) => {
+  const response = { statusCode: 200, headers: {}, payload: payload };
+  const data = { method: 'get', path: 'orders', headers: accept ? { accept: accept } : {} };
+  await middleware.negotiateContent(data, response, async () => {});
+  return response;
+};
+
+test('picks the media type the client prefers', () => {
+  assert.strictEqual(negotiation.mediaTypeOf(undefined, OFFERS), 'application/json');
+  assert.strictEqual(negotiation.mediaTypeOf('text/csv', OFFERS), 'text/csv');
+  assert.strictEqual(negotiation.mediaTypeOf('text/*, application/json;q=0.5', OFFERS), 'text/csv');
+  assert.strictEqual(negotiation.mediaTypeOf('*/*', OFFERS), 'application/json');
+  assert.strictEqual(negotiation.mediaTypeOf('text/csv;q=0, */*;q=0.1', OFFERS), 'application/json');
+  assert.strictEqual(negotiation.mediaTypeOf('application/xml', OFFERS), null);
+});
+
+test('picks the content coding the client prefers, in the order of the server between equals', async () => {
+  assert.strictEqual(negotiation.encodingOf(undefined, ['br', 'gzip']), null);
+  assert.strictEqual(negotiation.encodingOf('gzip, br', ['br', 'gzip']), 'br');
+  assert.strictEqual(negotiation.encodingOf('br;q=0.5, gzip', ['br', 'gzip']), 'gzip');
+  assert.strictEqual(negotiation.encodingOf('*, br;q=0', ['br', 'gzip']), 'gzip');
+  assert.strictEqual(negotiation.encodingOf('identity', ['br', 'gzip']), null);
+
+  assert.strictEqual(compression.isCompressible('application/json', 2048), true);
+  assert.strictEqual(compression.isCompressible('image/png', 2048), false);
+  assert.strictEqual(compression.isCompressible('text/html', 10), false);
+  const compressed = await compression.compressAsync('{"pizza":true}', 'gzip');
+  assert.strictEqual(zlib.gunzipSync(compressed).toString(), '{"pizza":true}');
+});
+
+test('exports the lists, and the pages of them, as CSV', async () => {
+  const orders = [{ id: 'a', total: 9, items: { pizza: 1 } }, { id: 'b', total: 18, email: '=cmd' }];
+
+  const list = await negotiate('text/csv', orders);
+  assert.strictEqual(list.headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.strictEqual(list.headers['Vary'], 'Accept');
+  assert.deepStrictEqual(list.payload.trim().split(/\r?\n/), ['id,total,items,email', 'a,9,"{""pizza"":1}",', 'b,18,,\'=cmd']);
+
+  const page = await negotiate('text/csv', { data: orders.slice(0, 1), pagination: { total: 2, hasMore: true, nextCursor: 'abc' } });
+  assert.deepStrictEqual([page.headers['X-Total-Count'], page.headers['X-Next-Cursor']], ['2', 'abc']);
+  assert.strictEqual(page.payload.trim().split(/\r?\n/).length, 2);
+
+  assert.deepStrictEqual((await negotiate(undefined, orders)).payload, orders);
+});
+
+test('answers the requests that accept none of the media types of a response with a 406', async () => {
+  assert.strictEqual((await negotiate('application/xml', [])).statusCode, 406);
+  assert.strictEqual((await negotiate('text/csv', { id: 'a' })).statusCode, 406);
+  assert.strictEqual((await negotiate('application/json', { id: 'a' })).statusCode, 200);
+});
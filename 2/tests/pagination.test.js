@@ -0,0 +1,124 @@
+// Dependencies
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const pagination = require('../src/pagination');
+const dataStore = require('../src/dataStore');
+const User = require('../src/handlers/User');
+const Token = require('../src/handlers/Token');
+const Item = require('../src/handlers/Item');
+const Order = require('../src/handlers/Order');
+
+const OPTIONS = { sortFields: ['name', 'price', 'id'], defaultSort: 'name' };
+const RECORDS = [
+  { id: 'c', name: 'Salad', price: 6 },
+  { id: 'a', name: 'Pizza', price: 9 },
+  { id: 'b', name: 'Pasta', price: 8 },
+  { id: 'd', name: 'Soda', price: 2 }
+];
+
+/**
+ * Signs up a user and returns their token ID.
+ * @param {String} email
+ * @returns {Promise<String>}
+ */
+const signUp = async (email) => {
+  await User.postAsync({ payload: { email: email, password: 'secret', firstName: 'Jane', lastName: 'Smith', tosAgreement: true } });
+  return (await Token.postAsync({ payload: { email: email, password: 'secret' } })).id;
+};
+
+/**
+ * Stores an order of the given user.
+ * @param {Number} number Makes the ID, creation time and total of the order
+ * @param {String} email
+ * @returns {Promise}
+ */
+const storeOrder = (number, email) => {
+  const id = `order${String(number).padStart(15, '0')}`;
+  return dataStore.createAsync('orders', id, {
+    id: id,
+    email: email,
+    items: { pizzaaaaaa: number },
+    total: number * 9,
+    createdOn: Date.UTC(2024, 0, number)
+  });
+};
+
+test('sorts the records and tells whether a page is requested', () => {
+  assert.deepStrictEqual(pagination.sort(RECORDS, {}, OPTIONS).map((record) => record.id), ['b', 'a', 'c', 'd']);
+  assert.deepStrictEqual(pagination.sort(RECORDS, { sort: '-price' }, OPTIONS).map((record) => record.id), ['a', 'b', 'c', 'd']);
+  assert.throws(() => pagination.sort(RECORDS, { sort: 'color' }, OPTIONS), (err) => err.statusCode === 400);
+
+  assert.strictEqual(pagination.isRequested({ sort: 'name' }), false);
+  assert.strictEqual(pagination.isRequested({ limit: '2' }), true);
+  assert.strictEqual(pagination.isRequested({ offset: '0' }), true);
+  assert.strictEqual(pagination.isRequested({ cursor: 'abc' }), true);
+});
+
+test('pages through the records with the cursors, and rejects the invalid pages', () => {
+  const first = pagination.paginate(RECORDS, { limit: '3' }, OPTIONS);
+  assert.deepStrictEqual(first.data.map((record) => record.id), ['b', 'a', 'c']);
+  assert.strictEqual(first.pagination.total, 4);
+  assert.strictEqual(first.pagination.hasMore, true);
+
+  const last = pagination.paginate(RECORDS, { limit: '3', cursor: first.pagination.nextCursor }, OPTIONS);
+  assert.deepStrictEqual(last.data.map((record) => record.id), ['d']);
+  assert.strictEqual(last.pagination.offset, 3);
+  assert.strictEqual(last.pagination.nextCursor, null);
+
+  assert.throws(() => pagination.paginate(RECORDS, { limit: '101' }, OPTIONS), (err) => err.statusCode === 400);
+  assert.throws(() => pagination.paginate(RECORDS, { offset: '-1' }, OPTIONS), (err) => err.statusCode === 400);
+  assert.throws(() => pagination.paginate(RECORDS, { cursor: '!!' }, OPTIONS), (err) => err.statusCode === 400);
+});
+
+test('lists all the items unless a page is requested', async () => {
+  await Promise.all(RECORDS.map((record) => dataStore.createAsync('items', `${record.id}aaaaaaaaa`, {
+    id: `${record.id}aaaaaaaaa`,
+    name: record.name,
+    unitPrice: record.price
+  })));
+
+  const items = await Item.getAsync({ queryParams: { sort: 'unitPrice' } });
+  assert.ok(items instanceof Array);
+  assert.deepStrictEqual(items.map((item) => item.name), ['Soda', 'Salad', 'Pasta', 'Pizza']);
+
+  const page = await Item.getAsync({ queryParams: { sort: 'unitPrice', limit: '2', offset: '1' } });
+  assert.deepStrictEqual(page.data.map((item) => item.name), ['Salad', 'Pasta']);
+  assert.strictEqual(page.pagination.hasMore, true);
+});
+
+test('lists the orders of the user of the token only', async () => {
+  const janeToken = await signUp('jane@mail.com');
+  const johnToken = await signUp('john@mail.com');
+  await Promise.all([1, 2, 3].map((number) => storeOrder(number, 'jane@mail.com')).concat(storeOrder(4, 'john@mail.com')));
+
+  const forbidden = (err) => err.statusCode === 403;
+  await assert.rejects(Order.getAsync({ headers: {}, queryParams: {} }), forbidden);
+  await assert.rejects(Order.getAsync({ headers: {}, queryParams: { minTotal: '0' } }), forbidden);
+  await assert.rejects(Order.getAsync({ headers: { tokenid: johnToken }, queryParams: { email: 'jane@mail.com' } }), forbidden);
+
+  const johnOrders = await Order.getAsync({ headers: { tokenid: johnToken }, queryParams: { minTotal: '0' } });
+  assert.deepStrictEqual(johnOrders.map((order) => order.email), ['john@mail.com']);
+
+  const orders = await Order.getAsync({ headers: { tokenid: janeToken }, queryParams: { email: 'jane@mail.com', sort: '-createdOn' } });
+  assert.ok(orders instanceof Array);
+  assert.deepStrictEqual(orders.map((order) => order.total), [27, 18, 9]);
+});
+
+test('lists the orders of all the users for an admin, and reads only the orders of the page', async (t) => {
+  // The indexes of the orders are filled by the previous test already
+  const headers = { tokenid: await signUp('jane.smith@mail.com') };
+  const read = t.mock.method(dataStore.adapter, 'read');
+
+  const page = await Order.getAsync({ headers: headers, queryParams: { sort: '-total', minTotal: '10', limit: '2' } });
+  assert.deepStrictEqual(page.data.map((order) => order.total), [36, 27]);
+  assert.strictEqual(page.pagination.total, 3);
+  assert.deepStrictEqual(read.mock.calls.map((call) => call.arguments[0]).filter((dir) => dir !== 'tokens'), ['orders', 'orders']);
+
+  const next = await Order.getAsync({ headers: headers, queryParams: { sort: '-total', minTotal: '10', limit: '2', cursor: page.pagination.nextCursor } });
+  assert.deepStrictEqual(next.data.map((order) => order.total), [18]);
+  assert.strictEqual(next.pagination.hasMore, false);
+
+  const janeOrders = await Order.getAsync({ headers: headers, queryParams: { email: 'jane@mail.com' } });
+  assert.strictEqual(janeOrders.length, 3);
+});
@@ -0,0 +1,36 @@
+// Dependencies
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const rateLimiter = require('../src/rateLimiter');
+
+const rule = { name: 'login', routes: ['POST user/login'], key: 'ip', capacity: 3, refillPerMinute: 60 };
+
+test('finds the rules of a route', () => {
+  rateLimiter.configure({ rules: [rule] });
+  assert.deepStrictEqual(rateLimiter.rulesOf('post', 'user/login'), [rule]);
+  assert.deepStrictEqual(rateLimiter.rulesOf('get', 'user/login'), []);
+});
+
+test('rejects an invalid rule', () => {
+  assert.throws(() => rateLimiter.configure({ rules: [Object.assign({}, rule, { key: 'cookie' })] }), /Invalid rate limit #1/);
+});
+
+for (const persist of [false, true]) {
+  test(`allows the capacity of a bucket, and then tells when to retry (${persist ? 'stored' : 'in memory'})`, async () => {
+    rateLimiter.configure({ rules: [rule], persist: persist });
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await rateLimiter.takeAsync(rule, '10.0.0.1'));
+    }
+    assert.deepStrictEqual(results.map((result) => result.allowed), [true, true, true, false]);
+    assert.strictEqual(results[3].retryAfter, 1);
+    assert.strictEqual((await rateLimiter.takeAsync(rule, '10.0.0.2')).allowed, true);
+  });
+}
+
+test('counts the concurrent first requests of a key once each', async () => {
+  rateLimiter.configure({ rules: [rule], persist: true });
+  const results = await Promise.all([1, 2, 3, 4, 5].map(() => rateLimiter.takeAsync(rule, '10.0.0.3')));
+  assert.strictEqual(results.filter((result) => result.allowed).length, 3);
+});
@@ -0,0 +1,19 @@
+// Dependencies
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const router = require('../src/router');
+
+test('decodes the path parameters', () => {
+  assert.deepStrictEqual(router.resolve('get', 'users/jane%40mail.com').params, { email: 'jane@mail.com' });
+  assert.deepStrictEqual(router.resolve('get', 'public/css/app.css').params, { file: 'css/app.css' });
+});
+
+test('matches no route with the path parameters that lead out of their folder', () => {
+  ['orders/..%2F..%2Fescaped%2Faaaaaa', 'orders/..', 'orders/a%5Cb', 'orders/%E0%A4%A', 'public/..%2Fconfig.json', 'public/css/..%5C..%5Cx.css']
+    .forEach((trimmedPath) => {
+      const resolved = router.resolve('get', trimmedPath);
+      assert.strictEqual(resolved.pattern, null, trimmedPath);
+      assert.deepStrictEqual(resolved.params, {}, trimmedPath);
+    });
+});
@@ -0,0 +1,40 @@
+// Dependencies
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const helpers = require('../src/helpers');
+const logger = require('../src/logger');
+const server = require('../src/server');
+const ResponseError = require('../src/ResponseError');
+
+/**
+ * Runs a request handler that rejects with the given error, as the server does, and returns its response.
+ * @param {Error} err
+ * @returns {Promise<Object>}
+ */
+const respondWith = async (err) => {
+  const data = { requestId: 'abc', method: 'get', path: 'items', headers: {} };
+  const response = { statusCode: 200, payload: {}, headers: {} };
+  await server.runMiddleware(data, response, (data, callback) => helpers.respond(Promise.reject(err), callback));
+  return response;
+};
+
+test('logs the errors that a request is answered with a 500 for, with the request ID', async (t) => {
+  const entries = [];
+  t.mock.method(logger, 'error', (message, fields) => entries.push(Object.assign({ message: message }, fields)));
+
+  const response = await respondWith(Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' }));
+  assert.strictEqual(response.statusCode, 500);
+  assert.deepStrictEqual(response.payload, { 'Error': 'Internal server error' });
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].message, 'EACCES: permission denied');
+  assert.strictEqual(entries[0].requestId, 'abc');
+  assert.match(entries[0].stack, /^Error: EACCES/);
+});
+
+test('does not log the ResponseErrors', async (t) => {
+  const error = t.mock.method(logger, 'error', () => {});
+  const response = await respondWith(new ResponseError(404, { 'Error': 'Not found' }));
+  assert.strictEqual(response.statusCode, 404);
+  assert.strictEqual(error.mock.callCount(), 0);
+});
@@ -0,0 +1,99 @@
+// Dependencies
+require('./env');
+const test = require('node:test');
+const assert = require('assert');
+const validation = require('../src/validation');
+const helpers = require('../src/helpers');
+const dataStore = require('../src/dataStore');
+const User = require('../src/handlers/User');
+const Token = require('../src/handlers/Token');
+const Order = require('../src/handlers/Order');
+
+const FORM = { 'content-type': 'application/x-www-form-urlencoded' };
+
+/**
+ * Returns a predicate for `assert.rejects` that matches a `400` with the given invalid fields.
+ * @param {Array} fields
+ * @returns {Function}
+ */
+const invalid = (fields) => (err) => {
+  assert.strictEqual(err.statusCode, 400);
+  assert.deepStrictEqual(err.payload.errors.map((error) => error.field), fields);
+  return true;
+};
+
+test('validates the types, bounds and formats of the fields', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      quantity: { type: 'integer', minimum: 0 },
+      total: { type: 'number', minimum: 0, exclusiveMinimum: true },
+      email: { type: 'string', format: 'email' },
+      tags: { type: 'array', items: { type: 'string', minLength: 1 } }
+    },
+    required: ['quantity']
+  };
+  assert.deepStrictEqual(validation.validate(schema, { quantity: 2, total: 0.5, email: 'a@b.com', tags: ['x'] }), []);
+  assert.deepStrictEqual(validation.validate(schema, { quantity: 1.5, total: 0, email: 'nope', tags: [''] }), [
+    { field: 'quantity', message: 'must be an integer' },
+    { field: 'total', message: 'must be greater than 0' },
+    { field: 'email', message: 'must be a valid email' },
+    { field: 'tags[0]', message: 'must not be empty' }
+  ]);
+  assert.deepStrictEqual(validation.validate(schema, {}), [{ field: 'quantity', message: 'is required' }]);
+});
+
+test('converts the strings to the types of their schemas, and keeps the ones that do not convert', () => {
+  const schema = { type: 'object', properties: { quantity: { type: 'integer' }, agreed: { type: 'boolean' }, name: { type: 'string' } } };
+  assert.deepStrictEqual(validation.coerce(schema, { quantity: '2', agreed: 'true', name: '3' }), { quantity: 2, agreed: true, name: '3' });
+  assert.deepStrictEqual(validation.coerce(schema, { quantity: 'two', agreed: 'yes' }), { quantity: 'two', agreed: 'yes' });
+  assert.strictEqual(validation.coerce({ type: 'integer' }, '1.5'), 1.5);
+});
+
+test('converts the fields of a form payload, but not the ones of a JSON payload', () => {
+  const shape = { payload: { type: 'object', properties: { quantity: { type: 'integer', minimum: 0 } }, required: ['quantity'] } };
+
+  const form = { headers: FORM, payload: { quantity: '2' } };
+  helpers.validateRequest(shape, form);
+  assert.deepStrictEqual(form.payload, { quantity: 2 });
+
+  assert.throws(() => helpers.validateRequest(shape, { headers: {}, payload: { quantity: '2' } }), invalid(['payload.quantity']));
+  assert.throws(() => helpers.validateRequest(shape, { headers: FORM, payload: { quantity: '1.5' } }), invalid(['payload.quantity']));
+});
+
+test('rejects a quantity that is not an integer before changing the cart', async () => {
+  const data = { headers: Object.assign({ tokenid: 'abcdefghijklmnopqrst' }, FORM), payload: { email: 'jane@mail.com', itemId: 'abcdefghij', quantity: '1.5' } };
+  await assert.rejects(User.addToCartAsync(data), invalid(['payload.quantity']));
+  await assert.rejects(User.addToCartAsync(Object.assign({}, data, { headers: {}, payload: { quantity: '2' } })), invalid(['payload.quantity']));
+});
+
+test('validates the users and orders against the shapes of their routes', async () => {
+  await assert.rejects(User.postAsync({ payload: { email: 'jane@mail.com', password: 'secret', firstName: 'Jane', lastName: 'Smith', tosAgreement: 'true' } }),
+    invalid(['payload.tosAgreement']));
+  await assert.rejects(User.putAsync({ params: { email: 'jane@mail.com' }, payload: { cart: { abcdefghij: 0 } } }), invalid(['payload.cart.abcdefghij']));
+  await assert.rejects(Order.postAsync({ payload: { email: 'jane@mail.com' } }), invalid(['payload.items']));
+  await assert.rejects(Order.putAsync({ params: { id: 'abcdefghijklmnopqrst' }, payload: { total: 0 } }), invalid(['payload.total']));
+});
+
+test('signs up and fills the cart from the forms of the storefront', async () => {
+  await dataStore.createAsync('items', 'pizzaaaaaa', { id: 'pizzaaaaaa', name: 'Pizza', unitPrice: 9 });
+  await User.postAsync({
+    headers: FORM,
+    payload: { email: 'john@mail.com', password: 'secret', firstName: 'John', lastName: 'Smith', streetAddress: '', tosAgreement: 'true' }
+  });
+  const token = await Token.postAsync({ payload: { email: 'john@mail.com', password: 'secret' } });
+
+  const user = await User.addToCartAsync({
+    headers: Object.assign({ tokenid: token.id }, FORM),
+    payload: { email: 'john@mail.com', itemId: 'pizzaaaaaa', quantity: '2' }
+  });
+  assert.deepStrictEqual(user.cart, { pizzaaaaaa: 2 });
+});
+
+test('rejects the IDs that are not lower case letters and digits', async () => {
+  assert.strictEqual(helpers.isValidOrderId('../../escaped/aaaaaa'), false);
+  assert.strictEqual(helpers.isValidOrderId('abcdefghij0123456789'), true);
+  assert.strictEqual(helpers.isValidItemId('..%2Faaaaa'), false);
+  assert.strictEqual(Token.isValidTokenId('ABCDEFGHIJKLMNOPQRST'), false);
+  await assert.rejects(Order.putAsync({ params: { id: '../../escaped/aaaaaa' }, payload: { total: 1 } }), (err) => err.statusCode === 400);
+});